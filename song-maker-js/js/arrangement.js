@@ -0,0 +1,225 @@
+/**
+ * Pattern and song arrangement model for the Song Maker.
+ * A pattern is one grid's worth of notes for every track. The arrangement
+ * lists the order patterns play in (for example A A B A C) and the part of
+ * that order to repeat once the song reaches its end.
+ *
+ * This module provides:
+ * - Pattern creation and naming
+ * - Arrangement creation, editing and validation
+ * - Mapping of playback steps to an arrangement slot and column
+ * - Bar numbering for the ruler
+ *
+ * Pattern shape:
+ * {
+ *   id: string,     // Stable identifier, used as the key of each track's grids
+ *   name: string,   // Display name ("A", "B", ...)
+ * }
+ *
+ * Arrangement shape:
+ * {
+ *   slots: string[],    // Pattern IDs in play order
+ *   loopStart: number,  // First slot repeated after the song ends
+ *   loopEnd: number,    // Last slot of the repeated section
+ * }
+ */
+
+import { AUDIO_CONFIG, PATTERN_CONFIG } from "./constants.js";
+import { isNonEmptyString, isValidArray } from "./utilities.js";
+
+/** Letters used to name new patterns */
+const PATTERN_LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+/** Counter that keeps generated pattern IDs unique within a session */
+let patternIdCounter = 0;
+
+/**
+ * Creates a new pattern.
+ * Pattern notes are stored per track (see tracks.js), keyed by the pattern ID.
+ * @param {string} name - Display name
+ * @returns {{id: string, name: string}} New pattern
+ * @example
+ * const chorus = createPattern('B');
+ */
+export function createPattern(name) {
+  patternIdCounter++;
+  return {
+    id: `pattern-${Date.now().toString(36)}-${patternIdCounter}`,
+    name,
+  };
+}
+
+/**
+ * Picks the first letter not already used as a pattern name.
+ * Falls back to a numbered name once every letter is taken.
+ * @param {Object[]} patterns - Existing patterns
+ * @returns {string} Name for a new pattern
+ */
+export function getNextPatternName(patterns) {
+  const used = new Set(patterns.map((pattern) => pattern.name));
+  const letter = [...PATTERN_LETTERS].find((name) => !used.has(name));
+  return letter || `Pattern ${patterns.length + 1}`;
+}
+
+/**
+ * Validates a saved pattern.
+ * @param {any} value - Value to validate
+ * @returns {boolean} True if value is a usable pattern
+ */
+export function isValidPattern(value) {
+  return (
+    Boolean(value) &&
+    typeof value === "object" &&
+    isNonEmptyString(value.id) &&
+    isNonEmptyString(value.name)
+  );
+}
+
+/**
+ * Creates an arrangement that plays the given patterns once each and loops
+ * back to the first.
+ * @param {string[]} [patternIds=[]] - Pattern IDs in play order
+ * @returns {{slots: string[], loopStart: number, loopEnd: number}} New arrangement
+ */
+export function createArrangement(patternIds = []) {
+  return setLoopPoints(
+    { slots: [...patternIds], loopStart: 0, loopEnd: 0 },
+    0,
+    patternIds.length - 1
+  );
+}
+
+/**
+ * Validates the shape of a saved arrangement.
+ * Slots that refer to missing patterns are removed by normalizeArrangement.
+ * @param {any} value - Value to validate
+ * @returns {boolean} True if value is a usable arrangement
+ */
+export function isValidArrangement(value) {
+  return (
+    Boolean(value) &&
+    typeof value === "object" &&
+    isValidArray(value.slots, isNonEmptyString) &&
+    value.slots.length <= PATTERN_CONFIG.MAX_ARRANGEMENT_LENGTH &&
+    Number.isInteger(value.loopStart) &&
+    Number.isInteger(value.loopEnd)
+  );
+}
+
+/**
+ * Removes slots that refer to patterns which no longer exist and clamps
+ * the loop points to the remaining slots.
+ * @param {Object} arrangement - Arrangement to clean up
+ * @param {string[]} patternIds - IDs of the song's patterns
+ * @returns {Object} New arrangement
+ */
+export function normalizeArrangement(arrangement, patternIds) {
+  const known = new Set(patternIds);
+  const slots = [];
+  let { loopStart, loopEnd } = arrangement;
+
+  arrangement.slots.forEach((patternId, slot) => {
+    if (known.has(patternId)) {
+      slots.push(patternId);
+      return;
+    }
+    // Keep the loop on the same slots once earlier ones are removed
+    if (slot < loopStart) loopStart--;
+    if (slot <= loopEnd) loopEnd--;
+  });
+
+  return setLoopPoints({ slots, loopStart, loopEnd }, loopStart, loopEnd);
+}
+
+/**
+ * Adds a pattern to the end of the arrangement.
+ * When the loop ends on the last slot it grows to include the new slot.
+ * @param {Object} arrangement - Arrangement to extend
+ * @param {string} patternId - Pattern to add
+ * @returns {Object} New arrangement
+ */
+export function appendArrangementSlot(arrangement, patternId) {
+  const slots = [...arrangement.slots, patternId];
+  const loopReachesEnd =
+    arrangement.slots.length === 0 ||
+    arrangement.loopEnd === arrangement.slots.length - 1;
+
+  return setLoopPoints(
+    { ...arrangement, slots },
+    arrangement.loopStart,
+    loopReachesEnd ? slots.length - 1 : arrangement.loopEnd
+  );
+}
+
+/**
+ * Removes one slot from the arrangement, keeping the loop on the same
+ * patterns where possible.
+ * @param {Object} arrangement - Arrangement to edit
+ * @param {number} slot - Index of the slot to remove
+ * @returns {Object} New arrangement
+ */
+export function removeArrangementSlot(arrangement, slot) {
+  const slots = arrangement.slots.filter((_, index) => index !== slot);
+  let { loopStart, loopEnd } = arrangement;
+  if (slot < loopStart) loopStart--;
+  if (slot <= loopEnd) loopEnd--;
+
+  return setLoopPoints({ ...arrangement, slots }, loopStart, loopEnd);
+}
+
+/**
+ * Sets the section of the arrangement that repeats.
+ * Points are clamped to existing slots and the end never precedes the start.
+ * @param {Object} arrangement - Arrangement to edit
+ * @param {number} loopStart - First repeated slot
+ * @param {number} loopEnd - Last repeated slot
+ * @returns {Object} New arrangement
+ */
+export function setLoopPoints(arrangement, loopStart, loopEnd) {
+  const lastSlot = Math.max(0, arrangement.slots.length - 1);
+  const start = Math.min(Math.max(0, loopStart), lastSlot);
+  const end = Math.min(Math.max(start, loopEnd), lastSlot);
+
+  return { ...arrangement, loopStart: start, loopEnd: end };
+}
+
+/**
+ * Works out which slot and column a playback step falls on in song mode.
+ * The song plays every slot once, through to the last, then repeats the
+ * slots from the loop start to the loop end, so slots after the loop end
+ * are only heard on the first pass.
+ *
+ * @param {number} step - Monotonic step index since playback started
+ * @param {Object} arrangement - Arrangement being played
+ * @param {number} cols - Number of columns in every pattern
+ * @returns {{slot: number, patternId: string, column: number}|null} Position, or null if the arrangement is empty
+ * @example
+ * // Slots A B C looping B-C play A B C B C ..., so step 50 is in the second B
+ * resolveArrangementStep(50, { slots: ['a', 'b', 'c'], loopStart: 1, loopEnd: 2 }, 16);
+ * // { slot: 1, patternId: 'b', column: 2 }
+ */
+export function resolveArrangementStep(step, arrangement, cols) {
+  const { slots, loopStart, loopEnd } = arrangement;
+  if (slots.length === 0) return null;
+
+  const slotCount = Math.floor(step / cols);
+  const loopLength = loopEnd - loopStart + 1;
+  const slot =
+    slotCount < slots.length
+      ? slotCount
+      : loopStart + ((slotCount - slots.length) % loopLength);
+
+  return { slot, patternId: slots[slot], column: step % cols };
+}
+
+/**
+ * Returns the 1-based bar number of a column counted from the start of the
+ * song (or pattern), using BEATS_PER_BAR beats of NOTE_SUBDIVISION columns.
+ * @param {number} position - Column index counted from the start
+ * @returns {number} Bar number
+ */
+export function getBarNumber(position) {
+  const columnsPerBar =
+    PATTERN_CONFIG.BEATS_PER_BAR * AUDIO_CONFIG.NOTE_SUBDIVISION;
+  return Math.floor(position / columnsPerBar) + 1;
+}
@@ -4,23 +4,52 @@
  *
  * This module provides:
  * - Cross-browser Web Audio API initialization
- * - Musical note synthesis with configurable waveforms
+ * - Musical note synthesis with configurable synth voices (oscillator mix,
+ *   envelope and filter)
+ * - Synthesized drum kit (noise, pitch-swept oscillators and filters, no samples)
  * - Master volume control
+ * - Effects chains on the master output and on each track
+ * - Per-track outputs (effects, then level) feeding the master effects
+ * - Offline rendering with the same synthesis and effects as live playback
+ * - Conversion of audio times to timestamps for MIDI output
  * - Visual feedback coordination
  * - Audio resource management
  */
 
-import { AUDIO_CONFIG } from "./constants.js";
+import {
+  AUDIO_CONFIG,
+  DRUM_CONFIG,
+  VELOCITY_CONFIG,
+  VOICE_CONFIG,
+  WAV_CONFIG,
+} from "./constants.js";
+import { createEffects, createEffectsChain } from "./effects.js";
+import { createVoice } from "./voices.js";
 import { noteToFrequency, showNotification } from "./utilities.js";
 
 /** Web Audio API context instance */
 let audioContext = null;
 /** Master volume control node */
 let volumeNode = null;
+/** Effects chain ahead of the master volume; notes and tracks connect to its input */
+let masterChain = null;
+/** Per-track outputs keyed by track ID, created on first use: {chain, gain, effects} */
+const trackOutputs = new Map();
+/** Master volume, kept so it can be set before the audio context exists */
+let masterVolume = AUDIO_CONFIG.DEFAULT_VOLUME;
+/** Master effects and tempo, kept so they can be set before the audio context exists */
+let masterEffects = createEffects();
+let effectsTempo = AUDIO_CONFIG.DEFAULT_TEMPO;
+
+/** Voice notes play with when none is given */
+const DEFAULT_VOICE = createVoice();
+
+/** White noise buffers for drum synthesis, created on first use per context */
+const noiseBuffers = new WeakMap();
 
 /**
  * Initializes or resumes the Web Audio API context.
- * Creates the master volume node on first call.
+ * Creates the master effects chain and volume node on first call.
  * Required due to browser autoplay policies - must be called after user interaction.
  * @returns {AudioContext} The initialized audio context
  */
@@ -31,7 +60,9 @@ export function ensureAudioContext() {
     // Create master volume control node
     volumeNode = audioContext.createGain();
     volumeNode.connect(audioContext.destination);
-    volumeNode.gain.value = 0.5; // Start at 50% volume
+    volumeNode.gain.value = masterVolume;
+    masterChain = createEffectsChain(audioContext, masterEffects, effectsTempo);
+    masterChain.output.connect(volumeNode);
   }
 
   // Resume context if suspended (browser autoplay policy)
@@ -45,80 +76,596 @@ export function ensureAudioContext() {
 /**
  * Sets the master volume for all audio output.
  * Clamps the volume level to safe ranges and provides error handling.
+ * May be called before playback starts; the level is applied once the
+ * audio context is created.
  *
  * @param {number} level - Volume level between 0.0 (silent) and 1.0 (full volume)
- * @throws {Error} If volume node is not initialized or level is invalid
+ * @throws {Error} If level is invalid
  * @example
  * setVolume(0.5); // Set to 50% volume
  */
 export function setVolume(level) {
   try {
-    if (!volumeNode) {
-      throw new Error("Volume node not initialized");
-    }
-
     if (typeof level !== "number" || isNaN(level)) {
       throw new Error("Volume level must be a valid number");
     }
 
     // Clamp volume to safe range
-    const clampedLevel = Math.max(0, Math.min(1, level));
-    volumeNode.gain.value = clampedLevel;
+    masterVolume = Math.max(0, Math.min(1, level));
+    if (volumeNode) {
+      volumeNode.gain.value = masterVolume;
+    }
   } catch (error) {
     console.error("Failed to set volume:", error);
     showNotification("Failed to update volume", "error");
   }
 }
 
+/**
+ * Sets the effects on the master output, and updates the live chain.
+ * May be called before playback starts, like setVolume.
+ * @param {Object} effects - Effects settings (see effects.js)
+ */
+export function setMasterEffects(effects) {
+  masterEffects = effects;
+  if (masterChain) {
+    masterChain.update(masterEffects, effectsTempo);
+  }
+}
+
+/**
+ * Sets the effects of a track's live chain.
+ * Does nothing if the track has not played yet; its chain will be created
+ * with the right effects by getTrackOutput.
+ *
+ * @param {string} trackId - Track identifier
+ * @param {Object} effects - Effects settings (see effects.js)
+ */
+export function setTrackEffects(trackId, effects) {
+  const output = trackOutputs.get(trackId);
+  if (output) {
+    output.effects = effects;
+    output.chain.update(effects, effectsTempo);
+  }
+}
+
+/**
+ * Sets the tempo that tempo-synced effects follow, and updates every live chain.
+ * @param {number} tempo - Tempo in beats per minute
+ */
+export function setEffectsTempo(tempo) {
+  effectsTempo = tempo;
+  if (masterChain) {
+    masterChain.update(masterEffects, effectsTempo);
+  }
+  trackOutputs.forEach((output) =>
+    output.chain.update(output.effects, effectsTempo)
+  );
+}
+
+/**
+ * Returns the node that a track's notes should be connected to.
+ * Creates the track's effects chain and gain node on first use and routes
+ * them into the master effects.
+ *
+ * @param {string} trackId - Track identifier
+ * @param {number} [level=1] - Initial gain if the output has to be created (0-1)
+ * @param {Object} [effects] - Initial effects if the output has to be created (see effects.js)
+ * @returns {AudioNode} Input of the track's effects chain
+ * @throws {Error} If the audio context is not initialized
+ * @example
+ * playNote('C3', time, 'triangle', { destination: getTrackOutput(bass.id, 0.8, bass.effects) });
+ */
+export function getTrackOutput(trackId, level = 1, effects = createEffects()) {
+  if (!audioContext) {
+    throw new Error("Audio context not initialized");
+  }
+
+  let output = trackOutputs.get(trackId);
+  if (!output) {
+    const chain = createEffectsChain(audioContext, effects, effectsTempo);
+    const gain = audioContext.createGain();
+    gain.gain.value = level;
+    chain.output.connect(gain);
+    gain.connect(masterChain.input);
+    output = { chain, gain, effects };
+    trackOutputs.set(trackId, output);
+  }
+  return output.chain.input;
+}
+
+/**
+ * Sets a track's output level.
+ * Does nothing if the track has not played yet; its node will be created
+ * with the right level by getTrackOutput.
+ *
+ * @param {string} trackId - Track identifier
+ * @param {number} level - Track level between 0.0 (silent) and 1.0
+ */
+export function setTrackLevel(trackId, level) {
+  const output = trackOutputs.get(trackId);
+  if (output) {
+    output.gain.gain.value = Math.max(0, Math.min(1, level));
+  }
+}
+
+/**
+ * Disconnects and forgets a track's effects chain and output node.
+ * @param {string} trackId - Track identifier
+ */
+export function removeTrackOutput(trackId) {
+  const output = trackOutputs.get(trackId);
+  if (output) {
+    output.chain.disconnect();
+    output.gain.disconnect();
+    trackOutputs.delete(trackId);
+  }
+}
+
+/**
+ * Converts an audio context time to a performance.now() timestamp, so MIDI
+ * messages can be scheduled to sound with the audio. Where the browser
+ * reports what the speakers are playing, the output latency is allowed for.
+ *
+ * @param {number} time - Audio context time in seconds
+ * @returns {number} Timestamp in milliseconds
+ */
+export function getPerformanceTime(time) {
+  const context = ensureAudioContext();
+  const stamp =
+    typeof context.getOutputTimestamp === "function"
+      ? context.getOutputTimestamp()
+      : null;
+
+  // The timestamp reads zero until audio has started playing
+  if (stamp && stamp.performanceTime > 0) {
+    return stamp.performanceTime + (time - stamp.contextTime) * 1000;
+  }
+  return performance.now() + (time - context.currentTime) * 1000;
+}
+
 /**
  * Plays a musical note using Web Audio API synthesis.
- * Creates an oscillator with envelope shaping for musical note playback.
+ * The voice's oscillators are mixed and sent through its filter, then
+ * shaped by the amplitude envelope: the attack rises to a peak set by the
+ * velocity (MIDI's 0-127 range), the decay falls to the sustain level, which
+ * holds for the note's duration, and the release fades the note out after it.
+ * The filter cutoff follows its own envelope in the same way. The note is
+ * built in the destination's context, so the same code serves live playback
+ * and offline rendering. A note with an infinite duration is held, like a key
+ * played live, until the release function it returns is called.
  *
  * @param {string} noteName - Musical note in scientific notation (e.g., 'A4', 'C#3')
  * @param {number} startTime - AudioContext time when the note should start playing
- * @param {string} [waveType='sine'] - Oscillator waveform ('sine', 'square', 'sawtooth', 'triangle')
+ * @param {string} [waveType='sine'] - Waveform of the oscillators that follow the track ('sine', 'square', 'sawtooth', 'triangle')
+ * @param {Object} [options] - Additional note parameters
+ * @param {number} [options.duration] - Time in seconds before the release stage begins, or Infinity to hold the note
+ * @param {number} [options.velocity=127] - Note velocity (0-127)
+ * @param {Object} [options.voice] - Synth voice to play with (see voices.js); the default voice if omitted
+ * @param {AudioNode} [options.destination] - Node to connect to (defaults to the master effects)
+ * @returns {Function|undefined} For a held note, releases it from the given AudioContext time
  * @throws {Error} If audio context is not initialized or note name is invalid
  * @example
  * playNote('A4', audioContext.currentTime, 'sine');
+ * playNote('C4', audioContext.currentTime, 'square', { duration: 0.5, velocity: 64, voice });
+ * const release = playNote('E4', audioContext.currentTime, 'sine', { duration: Infinity });
+ * release(audioContext.currentTime);
  */
-export function playNote(noteName, startTime, waveType = "sine") {
+export function playNote(noteName, startTime, waveType = "sine", options = {}) {
   try {
-    if (!audioContext) {
+    const {
+      duration = AUDIO_CONFIG.DEFAULT_NOTE_DURATION,
+      velocity = VELOCITY_CONFIG.MAX,
+      voice = DEFAULT_VOICE,
+      destination = masterChain && masterChain.input,
+    } = options;
+    if (!destination) {
       throw new Error("Audio context not initialized");
     }
 
+    const context = destination.context;
+    const peak =
+      VOICE_CONFIG.LEVEL *
+      (Math.max(0, Math.min(VELOCITY_CONFIG.MAX, velocity)) /
+        VELOCITY_CONFIG.MAX);
     const frequency = noteToFrequency(noteName);
-    const oscillator = audioContext.createOscillator();
-    const envelope = audioContext.createGain();
-
-    // Set oscillator properties
-    oscillator.type = waveType;
-    oscillator.frequency.setValueAtTime(frequency, startTime);
-
-    // Configure ADSR envelope using constants
-    envelope.gain.setValueAtTime(0, startTime);
-    envelope.gain.linearRampToValueAtTime(
-      AUDIO_CONFIG.ENVELOPE_SUSTAIN,
-      startTime + AUDIO_CONFIG.ENVELOPE_ATTACK
+
+    // Hold until the note ends, but always allow the attack to complete
+    const isHeld = duration === Infinity;
+    const getReleaseTime = (endTime) =>
+      Math.max(endTime, startTime + voice.attack);
+    const getStopTime = (releaseTime) =>
+      releaseTime + Math.max(voice.release, VOICE_CONFIG.MIN_TIME);
+    const releaseTime = isHeld ? null : getReleaseTime(startTime + duration);
+
+    const filter = context.createBiquadFilter();
+    const envelope = context.createGain();
+    filter.type = voice.filter.type;
+    filter.Q.setValueAtTime(voice.filter.resonance, startTime);
+    const nyquist = context.sampleRate / 2;
+    const fitCutoff = (cutoff) =>
+      Math.max(VOICE_CONFIG.MIN_CUTOFF, Math.min(nyquist, cutoff));
+    const baseCutoff = fitCutoff(voice.filter.cutoff);
+    applyEnvelope(
+      filter.frequency,
+      voice.filter,
+      baseCutoff,
+      fitCutoff(voice.filter.cutoff * Math.pow(2, voice.filter.amount)),
+      startTime,
+      releaseTime
     );
-    envelope.gain.exponentialRampToValueAtTime(
-      0.001,
-      startTime + AUDIO_CONFIG.ENVELOPE_DECAY
+    applyEnvelope(envelope.gain, voice, 0, peak, startTime, releaseTime);
+
+    // Oscillator levels are scaled so the mix never gets louder than one
+    const mixTotal = voice.oscillators.reduce(
+      (total, oscillator) => total + oscillator.level,
+      0
     );
+    const oscillators = [];
+    voice.oscillators.forEach((settings) => {
+      if (settings.level === 0) return;
+
+      const oscillator = context.createOscillator();
+      const mix = context.createGain();
+      oscillator.type =
+        settings.waveform === VOICE_CONFIG.TRACK_WAVEFORM
+          ? waveType
+          : settings.waveform;
+      oscillator.frequency.setValueAtTime(
+        frequency * Math.pow(2, settings.octave),
+        startTime
+      );
+      oscillator.detune.setValueAtTime(settings.detune, startTime);
+      mix.gain.value = settings.level / mixTotal;
+
+      oscillator.connect(mix);
+      mix.connect(filter);
+      oscillator.start(startTime);
+      if (!isHeld) oscillator.stop(getStopTime(releaseTime));
+      oscillators.push(oscillator);
+    });
 
     // Connect audio graph
-    oscillator.connect(envelope);
-    envelope.connect(volumeNode);
+    filter.connect(envelope);
+    envelope.connect(destination);
 
-    // Schedule playback
-    oscillator.start(startTime);
-    oscillator.stop(startTime + AUDIO_CONFIG.ENVELOPE_DECAY);
+    if (isHeld) {
+      return (endTime) => {
+        const heldReleaseTime = getReleaseTime(endTime);
+        releaseEnvelope(
+          filter.frequency,
+          voice.filter,
+          baseCutoff,
+          heldReleaseTime
+        );
+        releaseEnvelope(envelope.gain, voice, 0, heldReleaseTime);
+        oscillators.forEach((oscillator) =>
+          oscillator.stop(getStopTime(heldReleaseTime))
+        );
+      };
+    }
   } catch (error) {
     console.error("Failed to play note:", error);
     showNotification(`Failed to play note ${noteName}`, "error");
   }
 }
 
+/**
+ * Schedules an attack, decay, sustain and release envelope on a parameter.
+ * The attack ramps from the base value to the peak, the decay and release
+ * fall exponentially towards the sustain level and then back to the base.
+ *
+ * @param {AudioParam} param - Parameter to shape
+ * @param {{attack: number, decay: number, sustain: number, release: number}} stages - Envelope stages (see voices.js)
+ * @param {number} base - Value before the attack and after the release
+ * @param {number} peak - Value at the end of the attack
+ * @param {number} startTime - AudioContext time the attack starts
+ * @param {number|null} releaseTime - AudioContext time the release starts, or null to hold at the sustain level
+ */
+function applyEnvelope(param, stages, base, peak, startTime, releaseTime) {
+  const decayStart = startTime + stages.attack;
+
+  param.setValueAtTime(base, startTime);
+  param.linearRampToValueAtTime(peak, decayStart);
+  param.setTargetAtTime(
+    base + (peak - base) * stages.sustain,
+    decayStart,
+    getTimeConstant(stages.decay)
+  );
+  if (releaseTime !== null) {
+    releaseEnvelope(param, stages, base, releaseTime);
+  }
+}
+
+/**
+ * Schedules the release stage of an envelope, falling back to the base value.
+ * @param {AudioParam} param - Parameter to shape
+ * @param {{release: number}} stages - Envelope stages (see voices.js)
+ * @param {number} base - Value after the release
+ * @param {number} releaseTime - AudioContext time the release starts
+ */
+function releaseEnvelope(param, stages, base, releaseTime) {
+  param.setTargetAtTime(base, releaseTime, getTimeConstant(stages.release));
+}
+
+/**
+ * Converts an envelope stage's length to the time constant of an
+ * exponential approach that has all but finished by its end.
+ * @param {number} time - Stage length in seconds
+ * @returns {number} Time constant in seconds
+ */
+function getTimeConstant(time) {
+  return Math.max(time, VOICE_CONFIG.MIN_TIME) / VOICE_CONFIG.TIME_CONSTANTS;
+}
+
+/**
+ * Plays a synthesized drum sound.
+ * Every sound is built from Web Audio primitives (noise buffers, pitch-swept
+ * oscillators and filters), so the kit works offline without samples.
+ * Like playNote, the hit is built in the destination's context.
+ *
+ * @param {string} drumId - Drum kit sound ID (see DRUM_KIT in config.js)
+ * @param {number} startTime - AudioContext time when the hit should sound
+ * @param {Object} [options] - Additional hit parameters
+ * @param {number} [options.velocity=127] - Hit velocity (0-127)
+ * @param {AudioNode} [options.destination] - Node to connect to (defaults to the master effects)
+ * @throws {Error} If audio context is not initialized or the drum ID is unknown
+ * @example
+ * playDrum('kick', audioContext.currentTime, { velocity: 110 });
+ */
+export function playDrum(drumId, startTime, options = {}) {
+  try {
+    const {
+      velocity = VELOCITY_CONFIG.MAX,
+      destination = masterChain && masterChain.input,
+    } = options;
+    if (!destination) {
+      throw new Error("Audio context not initialized");
+    }
+
+    const recipe = DRUM_SOUNDS[drumId];
+    if (!recipe) {
+      throw new Error(`Unknown drum sound: ${drumId}`);
+    }
+
+    const level =
+      DRUM_CONFIG.LEVEL *
+      (Math.max(0, Math.min(VELOCITY_CONFIG.MAX, velocity)) /
+        VELOCITY_CONFIG.MAX);
+
+    recipe(startTime, level, destination);
+  } catch (error) {
+    console.error("Failed to play drum:", error);
+    showNotification(`Failed to play drum ${drumId}`, "error");
+  }
+}
+
+/**
+ * Synthesis recipes for each drum kit sound, keyed by drum ID.
+ * Each recipe is called as (startTime, level, destination).
+ */
+const DRUM_SOUNDS = {
+  kick: (time, level, destination) =>
+    playPitchedHit(time, level, destination, {
+      type: "sine",
+      startFrequency: 150,
+      endFrequency: 45,
+      sweepTime: 0.12,
+      decay: 0.45,
+    }),
+
+  snare: (time, level, destination) => {
+    playNoiseHit(time, level * 0.8, destination, {
+      filterType: "highpass",
+      frequency: 1200,
+      decay: 0.2,
+    });
+    playPitchedHit(time, level * 0.5, destination, {
+      type: "triangle",
+      startFrequency: 220,
+      endFrequency: 160,
+      sweepTime: 0.05,
+      decay: 0.12,
+    });
+  },
+
+  clap: (time, level, destination) => {
+    // Several quick bursts followed by a longer tail imitate hands clapping
+    [0, 0.01, 0.02].forEach((offset) =>
+      playNoiseHit(time + offset, level * 0.7, destination, {
+        filterType: "bandpass",
+        frequency: 1500,
+        decay: 0.03,
+      })
+    );
+    playNoiseHit(time + 0.03, level * 0.6, destination, {
+      filterType: "bandpass",
+      frequency: 1500,
+      decay: 0.18,
+    });
+  },
+
+  closedHat: (time, level, destination) =>
+    playNoiseHit(time, level * 0.5, destination, {
+      filterType: "highpass",
+      frequency: 7000,
+      decay: 0.05,
+    }),
+
+  openHat: (time, level, destination) =>
+    playNoiseHit(time, level * 0.5, destination, {
+      filterType: "highpass",
+      frequency: 7000,
+      decay: 0.35,
+    }),
+
+  lowTom: (time, level, destination) =>
+    playPitchedHit(time, level, destination, {
+      type: "sine",
+      startFrequency: 110,
+      endFrequency: 70,
+      sweepTime: 0.3,
+      decay: 0.4,
+    }),
+
+  midTom: (time, level, destination) =>
+    playPitchedHit(time, level, destination, {
+      type: "sine",
+      startFrequency: 165,
+      endFrequency: 105,
+      sweepTime: 0.25,
+      decay: 0.35,
+    }),
+
+  highTom: (time, level, destination) =>
+    playPitchedHit(time, level, destination, {
+      type: "sine",
+      startFrequency: 240,
+      endFrequency: 160,
+      sweepTime: 0.2,
+      decay: 0.3,
+    }),
+
+  rim: (time, level, destination) =>
+    playPitchedHit(time, level * 0.6, destination, {
+      type: "square",
+      startFrequency: 1700,
+      endFrequency: 1600,
+      sweepTime: 0.01,
+      decay: 0.03,
+    }),
+};
+
+/**
+ * Plays an oscillator whose pitch sweeps down quickly, as used for kicks
+ * and toms.
+ *
+ * @param {number} time - Start time in AudioContext seconds
+ * @param {number} level - Peak gain
+ * @param {AudioNode} destination - Node to connect to
+ * @param {Object} settings - Sound settings
+ * @param {string} settings.type - Oscillator waveform
+ * @param {number} settings.startFrequency - Pitch at the start of the hit in Hz
+ * @param {number} settings.endFrequency - Pitch at the end of the sweep in Hz
+ * @param {number} settings.sweepTime - Duration of the pitch sweep in seconds
+ * @param {number} settings.decay - Time for the hit to fade out in seconds
+ */
+function playPitchedHit(time, level, destination, settings) {
+  const context = destination.context;
+  const oscillator = context.createOscillator();
+  const envelope = context.createGain();
+
+  oscillator.type = settings.type;
+  oscillator.frequency.setValueAtTime(settings.startFrequency, time);
+  oscillator.frequency.exponentialRampToValueAtTime(
+    settings.endFrequency,
+    time + settings.sweepTime
+  );
+
+  envelope.gain.setValueAtTime(Math.max(level, 0.001), time);
+  envelope.gain.exponentialRampToValueAtTime(0.001, time + settings.decay);
+
+  oscillator.connect(envelope);
+  envelope.connect(destination);
+
+  oscillator.start(time);
+  oscillator.stop(time + settings.decay);
+}
+
+/**
+ * Plays a burst of filtered white noise, as used for snares, claps and hats.
+ *
+ * @param {number} time - Start time in AudioContext seconds
+ * @param {number} level - Peak gain
+ * @param {AudioNode} destination - Node to connect to
+ * @param {Object} settings - Sound settings
+ * @param {BiquadFilterType} settings.filterType - Filter applied to the noise
+ * @param {number} settings.frequency - Filter frequency in Hz
+ * @param {number} settings.decay - Time for the hit to fade out in seconds
+ */
+function playNoiseHit(time, level, destination, settings) {
+  const context = destination.context;
+  const source = context.createBufferSource();
+  const filter = context.createBiquadFilter();
+  const envelope = context.createGain();
+
+  source.buffer = getNoiseBuffer(context);
+  filter.type = settings.filterType;
+  filter.frequency.setValueAtTime(settings.frequency, time);
+
+  envelope.gain.setValueAtTime(Math.max(level, 0.001), time);
+  envelope.gain.exponentialRampToValueAtTime(0.001, time + settings.decay);
+
+  source.connect(filter);
+  filter.connect(envelope);
+  envelope.connect(destination);
+
+  source.start(time);
+  source.stop(time + settings.decay);
+}
+
+/**
+ * Returns a buffer of white noise for a context, creating it on first use.
+ * @param {BaseAudioContext} context - Context the buffer will play in
+ * @returns {AudioBuffer} Mono white noise buffer
+ */
+function getNoiseBuffer(context) {
+  let buffer = noiseBuffers.get(context);
+  if (!buffer) {
+    const length = Math.floor(context.sampleRate * DRUM_CONFIG.NOISE_DURATION);
+    buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    noiseBuffers.set(context, buffer);
+  }
+  return buffer;
+}
+
+/**
+ * Renders audio offline, faster than real time.
+ * Creates an OfflineAudioContext with the master effects chain and volume
+ * node, lets the caller schedule notes into it with playNote and playDrum,
+ * then renders.
+ *
+ * @param {number} duration - Length of the rendering in seconds
+ * @param {number} volume - Master volume (0-1)
+ * @param {Function} schedule - Called as (context, master) to schedule notes; `master` is the node to connect to
+ * @param {Object} [options] - Rendering options
+ * @param {Object} [options.effects] - Master effects settings (see effects.js); none by default
+ * @param {number} [options.tempo] - Tempo the effects follow
+ * @returns {Promise<AudioBuffer>} Rendered audio
+ * @throws {Error} If the browser does not support offline rendering
+ * @example
+ * const buffer = await renderOffline(4, 0.5, (context, master) => {
+ *   playNote('C4', 0, 'sine', { duration: 1, destination: master });
+ * }, { effects: song.effects, tempo: 120 });
+ */
+export function renderOffline(duration, volume, schedule, options = {}) {
+  const { effects = createEffects(), tempo = AUDIO_CONFIG.DEFAULT_TEMPO } =
+    options;
+  const OfflineContext =
+    window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) {
+    throw new Error("Offline audio rendering is not supported");
+  }
+
+  const context = new OfflineContext(
+    WAV_CONFIG.CHANNELS,
+    Math.ceil(duration * WAV_CONFIG.SAMPLE_RATE),
+    WAV_CONFIG.SAMPLE_RATE
+  );
+  const master = context.createGain();
+  master.gain.value = Math.max(0, Math.min(1, volume));
+  master.connect(context.destination);
+  const chain = createEffectsChain(context, effects, tempo);
+  chain.output.connect(master);
+
+  schedule(context, chain.input);
+  return context.startRendering();
+}
+
 /**
  * Highlights or unhighlights a specific column in the grid during playback.
  * Provides visual feedback by adding/removing CSS classes from grid cells and ruler.
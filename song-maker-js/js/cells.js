@@ -0,0 +1,179 @@
+/**
+ * Grid cell model for the Song Maker.
+ * Defines how notes are stored in the grid state and provides helpers for
+ * creating, migrating and querying held notes.
+ *
+ * This module provides:
+ * - Note cell creation with a length in columns and a velocity
+ * - Empty grid creation and copying
+ * - Migration of legacy boolean grids to note cells
+ * - Remapping notes onto a different set of rows or columns
+ * - Lookup of the note covering a given column
+ *
+ * A grid state is a 2D array indexed [row][col]. Each cell is either null
+ * (no note starts here) or a note object `{ length, velocity }` stored at the
+ * column where the note starts. A note with length 3 starting at column 2 also
+ * covers columns 3 and 4, which stay null in the grid state. Velocity follows
+ * the MIDI range 0-127 and scales the note's loudness.
+ */
+
+import { VELOCITY_CONFIG } from "./constants.js";
+
+/**
+ * Creates a note cell.
+ * @param {number} [length=1] - Note length in columns (at least 1)
+ * @param {number} [velocity=VELOCITY_CONFIG.DEFAULT] - Note velocity (0-127)
+ * @returns {{length: number, velocity: number}} Note cell
+ * @example
+ * gridState[row][col] = createNote(4); // Held for four 16th notes
+ * gridState[row][col] = createNote(1, 64); // Short, softer note
+ */
+export function createNote(length = 1, velocity = VELOCITY_CONFIG.DEFAULT) {
+  return {
+    length: Math.max(1, Math.floor(length) || 1),
+    velocity: clampVelocity(velocity),
+  };
+}
+
+/**
+ * Rounds and clamps a velocity to the valid MIDI range.
+ * Falls back to the default velocity for non-numeric input.
+ * @param {number} velocity - Velocity to clamp
+ * @returns {number} Integer velocity between 0 and VELOCITY_CONFIG.MAX
+ */
+export function clampVelocity(velocity) {
+  const value = Math.round(Number(velocity));
+  if (isNaN(value)) return VELOCITY_CONFIG.DEFAULT;
+  return Math.min(Math.max(value, 0), VELOCITY_CONFIG.MAX);
+}
+
+/**
+ * Checks whether a grid cell holds the start of a note.
+ * @param {any} cell - Grid cell value
+ * @returns {boolean} True if a note starts in this cell
+ */
+export function isNoteCell(cell) {
+  return cell !== null && typeof cell === "object";
+}
+
+/**
+ * Creates a grid state with no notes.
+ * @param {number} rows - Number of rows (notes)
+ * @param {number} cols - Number of columns (beats)
+ * @returns {Array<Array<Object|null>>} Empty grid state
+ */
+export function createEmptyGrid(rows, cols) {
+  return Array.from({ length: rows }, () => Array(cols).fill(null));
+}
+
+/**
+ * Copies a grid state so the copy's notes can be edited independently.
+ * @param {Array<Array<Object|null>>} gridState - Grid state to copy
+ * @returns {Array<Array<Object|null>>} New grid state with copied note cells
+ */
+export function cloneGridState(gridState) {
+  return gridState.map((row) => row.map((cell) => (cell ? { ...cell } : null)));
+}
+
+/**
+ * Converts a loaded grid state into the current cell format.
+ * Legacy boolean cells become single-column notes, notes without a velocity
+ * get the default velocity, and note lengths are clamped so they neither run
+ * past the grid nor overlap the next note.
+ *
+ * @param {Array<Array<boolean|Object|null>>} gridState - Grid state to migrate
+ * @returns {Array<Array<Object|null>>} Grid state using note cells
+ * @example
+ * const migrated = normalizeGridState([[true, false], [false, true]]);
+ * // [[{ length: 1, velocity: 100 }, null], [null, { length: 1, velocity: 100 }]]
+ */
+export function normalizeGridState(gridState) {
+  return gridState.map((row) => {
+    const cells = row.map((cell) => {
+      if (cell === true) return createNote();
+      if (isNoteCell(cell)) {
+        return { ...cell, ...createNote(cell.length, cell.velocity) };
+      }
+      return null;
+    });
+
+    cells.forEach((cell, col) => {
+      if (cell) {
+        cell.length = Math.min(cell.length, getMaxNoteLength(cells, col));
+      }
+    });
+
+    return cells;
+  });
+}
+
+/**
+ * Moves a grid's notes onto a new set of rows and a new column count.
+ * Notes stay on the row with the same note name and at the same column;
+ * notes whose row no longer exists or that start past the last column are
+ * dropped, and notes running past the last column are shortened.
+ *
+ * @param {Array<Array<Object|null>>} gridState - Grid state to remap
+ * @param {string[]} fromNotes - Row notes of the grid state
+ * @param {string[]} toNotes - Row notes of the new grid
+ * @param {number} cols - Column count of the new grid
+ * @returns {{gridState: Array<Array<Object|null>>, dropped: number, shortened: number}} New grid state and how many notes were lost or cut
+ * @example
+ * const { gridState, dropped } = remapGridState(grid, ['C4', 'B3'], ['D4', 'C#4', 'C4'], 16);
+ */
+export function remapGridState(gridState, fromNotes, toNotes, cols) {
+  const remapped = createEmptyGrid(toNotes.length, cols);
+  let dropped = 0;
+  let shortened = 0;
+
+  gridState.forEach((rowState, row) => {
+    const targetRow = toNotes.indexOf(fromNotes[row]);
+
+    rowState.forEach((cell, col) => {
+      if (!isNoteCell(cell)) return;
+      if (targetRow === -1 || col >= cols) {
+        dropped++;
+        return;
+      }
+      if (col + cell.length > cols) shortened++;
+      remapped[targetRow][col] = { ...cell };
+    });
+  });
+
+  return { gridState: normalizeGridState(remapped), dropped, shortened };
+}
+
+/**
+ * Finds the note that covers a column in a grid row.
+ * @param {Array<Object|null>} rowState - One row of the grid state
+ * @param {number} col - Column index to look up
+ * @returns {{start: number, note: Object}|null} Start column and note, or null if the column is empty
+ * @example
+ * const hit = findNoteAt(gridState[row], 5);
+ * if (hit) console.log(`Note starts at column ${hit.start}`);
+ */
+export function findNoteAt(rowState, col) {
+  for (let start = col; start >= 0; start--) {
+    const cell = rowState[start];
+    if (isNoteCell(cell)) {
+      return start + cell.length > col ? { start, note: cell } : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Calculates the longest a note starting at a column may be without
+ * overlapping the next note in the row or running past the last column.
+ * @param {Array<Object|null>} rowState - One row of the grid state
+ * @param {number} col - Column where the note starts
+ * @returns {number} Maximum note length in columns
+ */
+export function getMaxNoteLength(rowState, col) {
+  for (let next = col + 1; next < rowState.length; next++) {
+    if (isNoteCell(rowState[next])) {
+      return next - col;
+    }
+  }
+  return rowState.length - col;
+}
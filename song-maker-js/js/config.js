@@ -6,6 +6,10 @@
  * - Default grid dimensions and constraints
  * - Complete chromatic scale note definitions
  * - Default note ranges for initial setup
+ * - Instrument presets for new tracks
+ * - Drum kit definitions for percussion tracks
+ * - Pitch classes and scale definitions for key constraints
+ * - Pattern generator definitions
  * - Musical constants for audio synthesis
  *
  * All note names use scientific pitch notation (e.g., A4 = 440Hz).
@@ -151,3 +155,206 @@ export const ALL_NOTES = [
  * @readonly
  */
 export const DEFAULT_NOTES = ["C4", "B3", "A3", "G3", "F3", "E3", "D3", "C3"];
+
+/**
+ * Instrument presets used when adding tracks.
+ * New tracks take the next preset in order, so a fresh song starts with a
+ * lead and adding tracks gives a bass and then a pad.
+ *
+ * Each preset defines the note range (low to high) and oscillator waveform.
+ *
+ * @type {Array<{name: string, startNote: string, endNote: string, waveform: string}>}
+ * @readonly
+ */
+export const TRACK_PRESETS = [
+  { name: "Lead", startNote: "C3", endNote: "C4", waveform: "sine" },
+  { name: "Bass", startNote: "C2", endNote: "C3", waveform: "triangle" },
+  { name: "Pad", startNote: "C4", endNote: "C5", waveform: "sawtooth" },
+];
+
+/**
+ * Synthesized drum kit used by drum tracks.
+ *
+ * Each entry becomes one grid row on a drum track, ordered top to bottom with
+ * cymbals at the top and the kick at the bottom like a drum machine. The `id`
+ * is stored in the track's notes and selects the synthesis recipe in audio.js.
+ * `midiNote` is the General MIDI percussion key used for MIDI files.
+ *
+ * @type {Array<{id: string, name: string, midiNote: number}>}
+ * @readonly
+ */
+export const DRUM_KIT = [
+  { id: "openHat", name: "Open Hat", midiNote: 46 },
+  { id: "closedHat", name: "Closed Hat", midiNote: 42 },
+  { id: "highTom", name: "High Tom", midiNote: 50 },
+  { id: "midTom", name: "Mid Tom", midiNote: 47 },
+  { id: "lowTom", name: "Low Tom", midiNote: 45 },
+  { id: "rim", name: "Rim", midiNote: 37 },
+  { id: "clap", name: "Clap", midiNote: 39 },
+  { id: "snare", name: "Snare", midiNote: 38 },
+  { id: "kick", name: "Kick", midiNote: 36 },
+];
+
+/**
+ * The twelve pitch classes, starting from C, as used in note names.
+ * A scale's root is one of these.
+ * @type {string[]}
+ * @readonly
+ */
+export const PITCH_CLASSES = [
+  "C",
+  "C#",
+  "D",
+  "D#",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "A#",
+  "B",
+];
+
+/**
+ * Scales the note rows can follow.
+ *
+ * `intervals` lists the semitones above the root that belong to the scale,
+ * in ascending order; their positions give the scale degrees. The chromatic
+ * scale (every row in key) is the default, and the custom scale takes its
+ * intervals from the song instead (see scales.js).
+ *
+ * @type {Array<{id: string, name: string, intervals: number[]|null}>}
+ * @readonly
+ */
+export const SCALES = [
+  {
+    id: "chromatic",
+    name: "Chromatic (all notes)",
+    intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  },
+  { id: "major", name: "Major", intervals: [0, 2, 4, 5, 7, 9, 11] },
+  { id: "minor", name: "Natural minor", intervals: [0, 2, 3, 5, 7, 8, 10] },
+  {
+    id: "harmonicMinor",
+    name: "Harmonic minor",
+    intervals: [0, 2, 3, 5, 7, 8, 11],
+  },
+  { id: "dorian", name: "Dorian", intervals: [0, 2, 3, 5, 7, 9, 10] },
+  { id: "phrygian", name: "Phrygian", intervals: [0, 1, 3, 5, 7, 8, 10] },
+  { id: "lydian", name: "Lydian", intervals: [0, 2, 4, 6, 7, 9, 11] },
+  { id: "mixolydian", name: "Mixolydian", intervals: [0, 2, 4, 5, 7, 9, 10] },
+  { id: "locrian", name: "Locrian", intervals: [0, 1, 3, 5, 6, 8, 10] },
+  {
+    id: "majorPentatonic",
+    name: "Major pentatonic",
+    intervals: [0, 2, 4, 7, 9],
+  },
+  {
+    id: "minorPentatonic",
+    name: "Minor pentatonic",
+    intervals: [0, 3, 5, 7, 10],
+  },
+  { id: "blues", name: "Blues", intervals: [0, 3, 5, 6, 7, 10] },
+  { id: "custom", name: "Custom", intervals: null },
+];
+
+/**
+ * Pattern generators offered by Randomise and Generate (see generators.js).
+ *
+ * Generators marked `melodicOnly` choose pitches from the scale, so they
+ * cannot fill drum tracks.
+ *
+ * @type {Array<{id: string, name: string, melodicOnly: boolean}>}
+ * @readonly
+ */
+export const GENERATORS = [
+  { id: "scatter", name: "Scatter", melodicOnly: false },
+  { id: "euclidean", name: "Euclidean rhythm", melodicOnly: false },
+  { id: "randomWalk", name: "Random walk melody", melodicOnly: true },
+  { id: "arpeggio", name: "Arpeggiated chords", melodicOnly: true },
+];
+
+/**
+ * Groove templates offered by the groove selector (see groove.js).
+ *
+ * `swing` is the share of each pair of columns taken by the first column,
+ * in percent: 50 is straight, about 67 a triplet shuffle. `offsets` nudges
+ * each step of a bar (GROOVE_CONFIG.STEPS columns) by a percentage of a
+ * column, positive for late; templates without offsets play on the swing.
+ *
+ * @type {Array<{id: string, name: string, swing: number, offsets?: number[]}>}
+ * @readonly
+ */
+export const GROOVE_TEMPLATES = [
+  { id: "straight", name: "Straight", swing: 50 },
+  { id: "mpc54", name: "MPC 54%", swing: 54 },
+  { id: "mpc58", name: "MPC 58%", swing: 58 },
+  { id: "mpc62", name: "MPC 62%", swing: 62 },
+  { id: "mpc66", name: "MPC 66%", swing: 66 },
+  { id: "shuffle", name: "Triplet shuffle", swing: 67 },
+  {
+    id: "laidBack",
+    name: "Laid back (late backbeat)",
+    swing: 50,
+    offsets: [0, 0, 0, 0, 10, 0, 0, 0, 0, 0, 0, 0, 10, 0, 0, 0],
+  },
+  {
+    id: "pushed",
+    name: "Pushed (early off-beats)",
+    swing: 50,
+    offsets: [0, 0, -8, 0, 0, 0, -8, 0, 0, 0, -8, 0, 0, 0, -8, 0],
+  },
+];
+
+/**
+ * Note values the delay can sync to, as fractions of a beat (see effects.js).
+ *
+ * @type {Array<{id: string, name: string, beats: number}>}
+ * @readonly
+ */
+export const DELAY_DIVISIONS = [
+  { id: "quarter", name: "1/4", beats: 1 },
+  { id: "dottedEighth", name: "1/8 dotted", beats: 0.75 },
+  { id: "eighth", name: "1/8", beats: 0.5 },
+  { id: "tripletEighth", name: "1/8 triplet", beats: 1 / 3 },
+  { id: "sixteenth", name: "1/16", beats: 0.25 },
+];
+
+/**
+ * Computer keyboard keys that play notes, as semitones above the keyboard
+ * piano's lowest C. Keys are matched by position (KeyboardEvent.code) and
+ * laid out like a piano: the bottom row from V and the top row from T hold
+ * the white keys of two octaves, with the black keys on the row above each.
+ * Z, X, C and R are left to their shortcuts.
+ *
+ * @type {Object<string, number>}
+ * @readonly
+ */
+export const PIANO_KEYS = {
+  KeyV: 0,
+  KeyG: 1,
+  KeyB: 2,
+  KeyH: 3,
+  KeyN: 4,
+  KeyM: 5,
+  KeyK: 6,
+  Comma: 7,
+  KeyL: 8,
+  Period: 9,
+  Semicolon: 10,
+  Slash: 11,
+  KeyT: 12,
+  Digit6: 13,
+  KeyY: 14,
+  Digit7: 15,
+  KeyU: 16,
+  KeyI: 17,
+  Digit9: 18,
+  KeyO: 19,
+  Digit0: 20,
+  KeyP: 21,
+  Minus: 22,
+  BracketLeft: 23,
+  BracketRight: 24,
+};
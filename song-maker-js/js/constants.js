@@ -10,18 +10,66 @@
  * @enum {string}
  */
 export const STORAGE_KEYS = {
-  /** Grid cell states - 2D boolean array */
+  /** Legacy single-grid cell states, read only to migrate into the first track */
   GRID_STATE: "songMaker_gridState",
   /** Number of columns in the grid */
   COLUMNS: "songMaker_COLS",
-  /** Array of note names currently displayed */
+  /** Legacy single-grid note names, read only to migrate into the first track */
   NOTE_NAMES: "songMaker_NOTE_NAMES",
+  /** Array of tracks, each with its own notes, pattern grids and mix settings */
+  TRACKS: "songMaker_tracks",
+  /** Index of the track shown in the grid */
+  SELECTED_TRACK: "songMaker_selectedTrack",
+  /** Array of named patterns */
+  PATTERNS: "songMaker_patterns",
+  /** Index of the pattern shown in the grid */
+  SELECTED_PATTERN: "songMaker_selectedPattern",
+  /** Song arrangement: the order patterns play in and the loop points */
+  ARRANGEMENT: "songMaker_arrangement",
   /** Current tempo/BPM setting */
   TEMPO: "songMaker_tempo",
   /** Current volume level (0-1) */
   VOLUME: "songMaker_volume",
-  /** Selected waveform type */
-  WAVEFORM: "songMaker_waveform",
+  /** Key and scale the note rows follow */
+  SCALE: "songMaker_scale",
+  /** Swing, groove template and micro-timing of the song */
+  GROOVE: "songMaker_groove",
+  /** Synth voice melodic tracks play with */
+  VOICE: "songMaker_voice",
+  /** Effects chain on the master output */
+  EFFECTS: "songMaker_effects",
+  /** ID of the library project this tab is editing */
+  PROJECT_ID: "songMaker_projectId",
+};
+
+// ===== PROJECT LIBRARY SETTINGS =====
+/**
+ * Storage used by the project library, in order of preference.
+ * @readonly
+ * @enum {string}
+ */
+export const STORAGE_BACKENDS = {
+  INDEXED_DB: "indexedDB",
+  LOCAL_STORAGE: "localStorage",
+};
+
+/**
+ * Persistent project library settings.
+ * @readonly
+ */
+export const PROJECT_CONFIG = {
+  /** IndexedDB database name, version and object store */
+  DB_NAME: "songMaker",
+  DB_VERSION: 1,
+  STORE_NAME: "projects",
+  /** localStorage key holding every project when IndexedDB is unavailable */
+  FALLBACK_KEY: "songMaker_projects",
+  /** Delay after the last edit before the project is saved, in milliseconds */
+  AUTOSAVE_DELAY: 1000,
+  /** Name of the project created from an earlier session's work */
+  FIRST_PROJECT_NAME: "My first song",
+  /** Name suggested for new projects */
+  DEFAULT_NAME: "Untitled song",
 };
 
 // ===== GRID CONSTRAINTS =====
@@ -38,6 +86,8 @@ export const GRID_LIMITS = {
   DEFAULT_COLUMNS: 16,
   /** Grid cell size in pixels - responsive sizing handled via CSS */
   CELL_SIZE: 32,
+  /** Rows Page Up and Page Down move the cursor (an octave on melodic tracks) */
+  PAGE_ROWS: 12,
 };
 
 // ===== AUDIO SETTINGS =====
@@ -48,12 +98,8 @@ export const GRID_LIMITS = {
 export const AUDIO_CONFIG = {
   /** Default master volume (0-1) */
   DEFAULT_VOLUME: 0.5,
-  /** Note envelope attack time in seconds */
-  ENVELOPE_ATTACK: 0.01,
-  /** Note envelope decay time in seconds */
-  ENVELOPE_DECAY: 0.3,
-  /** Note envelope sustain level (0-1) */
-  ENVELOPE_SUSTAIN: 0.3,
+  /** Time in seconds a note is held when no duration is given */
+  DEFAULT_NOTE_DURATION: 0.3,
   /** Minimum tempo in BPM */
   MIN_TEMPO: 60,
   /** Maximum tempo in BPM */
@@ -64,6 +110,295 @@ export const AUDIO_CONFIG = {
   NOTE_SUBDIVISION: 4,
 };
 
+// ===== TRACK TYPES =====
+/**
+ * Kinds of track. Melodic tracks play pitched notes with an oscillator;
+ * drum tracks play synthesized percussion from the drum kit.
+ * @readonly
+ * @enum {string}
+ */
+export const TRACK_TYPES = {
+  MELODIC: "melodic",
+  DRUM: "drum",
+};
+
+// ===== SCALE SETTINGS =====
+/**
+ * Key and scale defaults (see js/scales.js and SCALES in config.js).
+ * @readonly
+ */
+export const SCALE_CONFIG = {
+  /** Root of new songs */
+  DEFAULT_ROOT: "C",
+  /** Scale of new songs; chromatic leaves every row in key */
+  DEFAULT_TYPE: "chromatic",
+  /** Scale whose intervals are chosen by the user */
+  CUSTOM_TYPE: "custom",
+  /** Intervals a custom scale starts with (major) */
+  DEFAULT_CUSTOM: [0, 2, 4, 5, 7, 9, 11],
+};
+
+/**
+ * How rows outside the scale are shown.
+ * @readonly
+ * @enum {string}
+ */
+export const SCALE_DISPLAY = {
+  /** Greyed out but still editable */
+  DIM: "dim",
+  /** Hidden, unless they hold notes */
+  HIDE: "hide",
+};
+
+// ===== GROOVE SETTINGS =====
+/**
+ * Swing and micro-timing limits (see js/groove.js and GROOVE_TEMPLATES in
+ * config.js). Timing offsets are percentages of one column.
+ * @readonly
+ */
+export const GROOVE_CONFIG = {
+  /** Swing of straight timing: off-beat columns are not delayed */
+  MIN_SWING: 50,
+  /** Strongest swing: off-beat columns are delayed by half a column */
+  MAX_SWING: 75,
+  /** Steps in the micro-timing pattern, repeated along the grid (one bar) */
+  STEPS: 16,
+  /** Largest micro-timing offset either way, in percent of a column */
+  MAX_OFFSET: 25,
+  /** Shortest a grooved note can become, in columns */
+  MIN_NOTE_LENGTH: 0.25,
+  /** Template of new songs */
+  DEFAULT_TEMPLATE: "straight",
+  /** Template shown once the swing or offsets are edited by hand */
+  CUSTOM_TEMPLATE: "custom",
+};
+
+// ===== TRACK SETTINGS =====
+/**
+ * Multi-track limits and defaults.
+ * @readonly
+ */
+export const TRACK_CONFIG = {
+  /** Maximum number of tracks in a song */
+  MAX_TRACKS: 8,
+  /** Default track level (0-1) */
+  DEFAULT_VOLUME: 0.8,
+  /** Display name for new drum tracks */
+  DRUM_TRACK_NAME: "Drums",
+};
+
+// ===== DRUM SETTINGS =====
+/**
+ * Drum synthesis levels and timing.
+ * @readonly
+ */
+export const DRUM_CONFIG = {
+  /** Peak gain of a full-velocity drum hit (0-1) */
+  LEVEL: 0.6,
+  /** Length of the shared white noise buffer in seconds */
+  NOISE_DURATION: 1,
+};
+
+// ===== PATTERN SETTINGS =====
+/**
+ * Pattern and song arrangement limits.
+ * @readonly
+ */
+export const PATTERN_CONFIG = {
+  /** Maximum number of patterns in a song (one per letter A-Z) */
+  MAX_PATTERNS: 26,
+  /** Maximum number of pattern slots in the arrangement */
+  MAX_ARRANGEMENT_LENGTH: 64,
+  /** Beats per bar, used with NOTE_SUBDIVISION to number bars on the ruler */
+  BEATS_PER_BAR: 4,
+};
+
+// ===== MIDI SETTINGS =====
+/**
+ * Standard MIDI File settings.
+ * @readonly
+ */
+export const MIDI_CONFIG = {
+  /** Time resolution of exported files, in ticks per quarter note */
+  TICKS_PER_QUARTER: 480,
+  /** General MIDI percussion channel (channel 10, zero-based) */
+  DRUM_CHANNEL: 9,
+  /** File name offered when exporting */
+  EXPORT_FILENAME: "web-song-maker.mid",
+  /** Number of MIDI channels */
+  CHANNELS: 16,
+  /** Channel choice that gives each track its own channel, as in exported files */
+  CHANNEL_BY_TRACK: "track",
+  /** MIDI clock pulses sent per quarter note */
+  CLOCKS_PER_QUARTER: 24,
+};
+
+/**
+ * Note events decoded from MIDI devices (see js/webMidi.js).
+ * @readonly
+ * @enum {string}
+ */
+export const MIDI_EVENTS = {
+  NOTE_ON: "noteOn",
+  NOTE_OFF: "noteOff",
+};
+
+/**
+ * How notes played on a MIDI input are written into the grid.
+ * @readonly
+ * @enum {string}
+ */
+export const MIDI_RECORD_MODES = {
+  /** Notes are only heard */
+  OFF: "off",
+  /** Notes go in at the cursor column, which moves on once all keys are up */
+  STEP: "step",
+  /** Notes go in at the playing column while the song plays */
+  REALTIME: "realtime",
+};
+
+/**
+ * Computer keyboard piano (see PIANO_KEYS in config.js).
+ * Octaves number the lowest C the keyboard plays, so octave 4 starts at C4
+ * (MIDI note 60).
+ */
+export const KEYBOARD_PIANO_CONFIG = {
+  /** Octave of the lowest C at start, matching the default rows */
+  DEFAULT_OCTAVE: 3,
+  /** Lowest octave Z can shift down to */
+  MIN_OCTAVE: 0,
+  /** Highest octave X can shift up to, where the top key is C8, the highest note in ALL_NOTES */
+  MAX_OCTAVE: 6,
+};
+
+// ===== SONG FILE SETTINGS =====
+/**
+ * Song file format identification and naming (see js/songFile.js).
+ * @readonly
+ */
+export const SONG_FILE_CONFIG = {
+  /** Value of the `format` field that identifies a song document */
+  FORMAT: "web-song-maker",
+  /** Current schema version; bump it and add a migration when the schema changes */
+  VERSION: 6,
+  /** File extension and name used when the song has no name */
+  EXTENSION: ".json",
+  DEFAULT_FILENAME: "web-song-maker",
+};
+
+// ===== SHARE LINK SETTINGS =====
+/**
+ * Song link format (see js/shareLink.js).
+ * @readonly
+ */
+export const SHARE_LINK_CONFIG = {
+  /** Start of the URL fragment that holds a song, after the '#' */
+  FRAGMENT_PREFIX: "song=",
+  /** Binary layout version written; links of newer versions are rejected */
+  VERSION: 5,
+};
+
+// ===== WAV EXPORT SETTINGS =====
+/**
+ * Offline rendering and WAV file settings.
+ * @readonly
+ */
+export const WAV_CONFIG = {
+  /** Sample rate of rendered audio in Hz */
+  SAMPLE_RATE: 44100,
+  /** Number of audio channels (stereo) */
+  CHANNELS: 2,
+  /** Bits per sample in the WAV file (16-bit PCM) */
+  BITS_PER_SAMPLE: 16,
+  /** Default and maximum number of times the song is played */
+  DEFAULT_LOOPS: 1,
+  MAX_LOOPS: 16,
+  /** Default and maximum silence after the last step, in seconds, for notes to release */
+  DEFAULT_TAIL: 2,
+  MAX_TAIL: 10,
+  /** Longest rendering allowed, in seconds, to keep memory use reasonable */
+  MAX_DURATION: 600,
+  /** File name offered when exporting */
+  EXPORT_FILENAME: "web-song-maker.wav",
+};
+
+// ===== HISTORY SETTINGS =====
+/**
+ * Undo/redo history settings (see js/history.js).
+ * @readonly
+ */
+export const HISTORY_CONFIG = {
+  /** Most edits that can be undone; older edits are forgotten */
+  MAX_ENTRIES: 100,
+  /** Repeats of the same edit within this many milliseconds undo as one step */
+  MERGE_WINDOW: 1000,
+};
+
+// ===== SELECTION SETTINGS =====
+/**
+ * Selection tool settings (see js/selection.js).
+ * @readonly
+ */
+export const SELECTION_CONFIG = {
+  /** Semitones an octave transpose moves by */
+  OCTAVE_SEMITONES: 12,
+};
+
+/**
+ * Tools that act on the selected cells, named by the data-selection-action
+ * attribute of their buttons.
+ * @readonly
+ * @enum {string}
+ */
+export const SELECTION_ACTIONS = {
+  SELECT_ALL: "selectAll",
+  COPY: "copy",
+  CUT: "cut",
+  PASTE: "paste",
+  DELETE: "delete",
+  TRANSPOSE_UP: "transposeUp",
+  TRANSPOSE_DOWN: "transposeDown",
+  OCTAVE_UP: "octaveUp",
+  OCTAVE_DOWN: "octaveDown",
+  SHIFT_LEFT: "shiftLeft",
+  SHIFT_RIGHT: "shiftRight",
+  REVERSE: "reverse",
+  INVERT: "invert",
+  DUPLICATE: "duplicate",
+};
+
+// ===== VELOCITY SETTINGS =====
+/**
+ * Note velocity range and editing behaviour, following MIDI conventions.
+ * @readonly
+ */
+export const VELOCITY_CONFIG = {
+  /** Lowest velocity a note can be edited down to (0 would be silent) */
+  MIN: 1,
+  /** Highest velocity (MIDI maximum) */
+  MAX: 127,
+  /** Velocity given to newly placed notes */
+  DEFAULT: 100,
+  /** Velocity change per mouse wheel notch */
+  WHEEL_STEP: 8,
+  /** Vertical drag distance in pixels per velocity unit */
+  DRAG_PIXELS_PER_UNIT: 0.5,
+};
+
+// ===== SCHEDULER SETTINGS =====
+/**
+ * Lookahead scheduler timing configuration.
+ * @readonly
+ */
+export const SCHEDULER_CONFIG = {
+  /** How often the scheduling loop wakes up, in milliseconds */
+  LOOKAHEAD_MS: 25,
+  /** How far ahead of the audio clock steps are queued, in seconds */
+  SCHEDULE_AHEAD: 0.1,
+  /** Delay before the first step sounds after pressing play, in seconds */
+  START_DELAY: 0.05,
+};
+
 // ===== WAVEFORM TYPES =====
 /**
  * Available oscillator waveform types for audio synthesis.
@@ -77,6 +412,111 @@ export const WAVEFORMS = {
   TRIANGLE: "triangle",
 };
 
+/**
+ * Filter types of the synth voice.
+ * @readonly
+ * @enum {string}
+ */
+export const FILTER_TYPES = {
+  LOWPASS: "lowpass",
+  HIGHPASS: "highpass",
+  BANDPASS: "bandpass",
+};
+
+// ===== SYNTH VOICE SETTINGS =====
+/**
+ * Synth voice limits and defaults (see js/voices.js). The default voice
+ * plays a single oscillator with the track's waveform, held at full level
+ * until the note ends, through an open filter.
+ * @readonly
+ */
+export const VOICE_CONFIG = {
+  /** Peak gain of a note at full velocity */
+  LEVEL: 0.3,
+  /** Number of oscillators in a voice */
+  OSCILLATORS: 2,
+  /** Oscillator waveform that follows the track's waveform */
+  TRACK_WAVEFORM: "track",
+  /** Longest attack, decay or release, in seconds */
+  MAX_TIME: 2.5,
+  /** Shortest decay or release used, in seconds, so notes never click */
+  MIN_TIME: 0.005,
+  /** Time constants per decay or release stage; 4 fades to about 2% */
+  TIME_CONSTANTS: 4,
+  /** Default amplitude envelope */
+  DEFAULT_ATTACK: 0.01,
+  DEFAULT_DECAY: 0.3,
+  DEFAULT_SUSTAIN: 1,
+  DEFAULT_RELEASE: 0.1,
+  /** Largest oscillator detune either way, in cents */
+  MAX_DETUNE: 100,
+  /** Oscillator octave shift range */
+  MIN_OCTAVE: -2,
+  MAX_OCTAVE: 2,
+  /** Filter cutoff range in Hz; the default leaves the filter open */
+  MIN_CUTOFF: 20,
+  MAX_CUTOFF: 20000,
+  /** Filter resonance (Q) range, and the default with no resonant peak */
+  MIN_RESONANCE: 0.1,
+  MAX_RESONANCE: 20,
+  DEFAULT_RESONANCE: 0.7,
+  /** Largest filter envelope sweep either way, in octaves */
+  MAX_FILTER_AMOUNT: 4,
+};
+
+// ===== EFFECTS SETTINGS =====
+/**
+ * Where an effects chain is inserted.
+ * @readonly
+ * @enum {string}
+ */
+export const EFFECT_TARGETS = {
+  MASTER: "master",
+  TRACK: "track",
+};
+
+/**
+ * Effects chain limits and fixed settings (see js/effects.js).
+ * @readonly
+ */
+export const EFFECTS_CONFIG = {
+  /** Largest EQ boost or cut, in dB */
+  MAX_EQ_GAIN: 12,
+  /** Corner of the low shelf, centre of the mid band and corner of the high shelf, in Hz */
+  EQ_LOW_FREQUENCY: 250,
+  EQ_MID_FREQUENCY: 1000,
+  EQ_HIGH_FREQUENCY: 4000,
+  /** Width (Q) of the mid band */
+  EQ_MID_Q: 0.7,
+  /** Steepness of the distortion curve at full drive */
+  MAX_DRIVE: 50,
+  /** Points in the distortion curve */
+  CURVE_POINTS: 1024,
+  /** Longest delay time, in seconds; longer divisions at slow tempos are cut to it */
+  MAX_DELAY_TIME: 2,
+  /** Largest delay feedback, kept below 1 so echoes always die away */
+  MAX_FEEDBACK: 0.9,
+  /** Reverb length range, in seconds */
+  MIN_REVERB_SIZE: 0.1,
+  MAX_REVERB_SIZE: 5,
+  /** Reverb decay curve range; higher values fade out sooner */
+  MIN_REVERB_DECAY: 0.5,
+  MAX_REVERB_DECAY: 10,
+  /** Seed of the reverb's noise, so every render of a song sounds the same */
+  REVERB_SEED: 1,
+  /** Compressor threshold range, in dB */
+  MIN_THRESHOLD: -60,
+  /** Compressor ratio range; the highest ratio acts as a limiter */
+  MIN_RATIO: 1,
+  MAX_RATIO: 20,
+  /** Largest make-up gain after the compressor, in dB */
+  MAX_MAKEUP: 24,
+  /** Fixed compressor knee (dB), attack and release (seconds) */
+  COMPRESSOR_KNEE: 6,
+  COMPRESSOR_ATTACK: 0.003,
+  COMPRESSOR_RELEASE: 0.25,
+};
+
 // ===== DOM ELEMENT IDS =====
 /**
  * HTML element IDs used throughout the application.
@@ -98,11 +538,86 @@ export const ELEMENT_IDS = {
   // Grid controls
   CLEAR_BUTTON: "clearBtn",
   RANDOM_BUTTON: "randomBtn",
+  RANDOM_VELOCITY_TOGGLE: "randomVelocity",
+  GENERATOR_SELECT: "generatorType",
+  GENERATOR_DENSITY_SLIDER: "generatorDensity",
+  GENERATOR_DENSITY_VALUE: "generatorDensityValue",
+  GENERATOR_SEED_INPUT: "generatorSeed",
+  GENERATE_BUTTON: "generateBtn",
+  UNDO_BUTTON: "undoBtn",
+  REDO_BUTTON: "redoBtn",
+
+  // Track controls
+  TRACK_LIST: "trackList",
+  ADD_TRACK_BUTTON: "addTrackBtn",
+  ADD_DRUM_TRACK_BUTTON: "addDrumTrackBtn",
+
+  // Pattern and arrangement controls
+  PATTERN_LIST: "patternList",
+  ADD_PATTERN_BUTTON: "addPatternBtn",
+  DUPLICATE_PATTERN_BUTTON: "duplicatePatternBtn",
+  ARRANGEMENT: "arrangement",
+  ADD_TO_ARRANGEMENT_BUTTON: "addToArrangementBtn",
+  SONG_MODE_TOGGLE: "songMode",
+
+  // Project library
+  PROJECT_SELECT: "projectSelect",
+  NEW_PROJECT_BUTTON: "newProjectBtn",
+  DUPLICATE_PROJECT_BUTTON: "duplicateProjectBtn",
+  RENAME_PROJECT_BUTTON: "renameProjectBtn",
+  DELETE_PROJECT_BUTTON: "deleteProjectBtn",
+  PROJECT_STATUS: "projectStatus",
+
+  // Import and export
+  EXPORT_MIDI_BUTTON: "exportMidiBtn",
+  IMPORT_MIDI_BUTTON: "importMidiBtn",
+  IMPORT_MIDI_INPUT: "importMidiInput",
+  RENDER_WAV_BUTTON: "renderWavBtn",
+  EXPORT_SONG_BUTTON: "exportSongBtn",
+  IMPORT_SONG_BUTTON: "importSongBtn",
+  IMPORT_SONG_INPUT: "importSongInput",
+  SHARE_LINK_BUTTON: "shareLinkBtn",
+  WAV_LOOPS_INPUT: "wavLoops",
+  WAV_TAIL_INPUT: "wavTail",
+  MIDI_FORMAT_SELECT: "midiFormat",
 
   // Grid configuration
   COLUMNS_INPUT: "columnsInput",
   START_NOTE_SELECT: "startNote",
   END_NOTE_SELECT: "endNote",
+  CLEAR_ON_RESIZE_TOGGLE: "clearOnResize",
+
+  // Key and scale
+  SCALE_ROOT_SELECT: "scaleRoot",
+  SCALE_TYPE_SELECT: "scaleType",
+  SCALE_DISPLAY_SELECT: "scaleDisplay",
+  CUSTOM_SCALE: "customScale",
+  TRANSPOSE_SELECT: "transposeKey",
+  TRANSPOSE_BUTTON: "transposeBtn",
+
+  // Swing and groove
+  SWING_SLIDER: "swing",
+  SWING_VALUE: "swingValue",
+  GROOVE_TEMPLATE_SELECT: "grooveTemplate",
+  MICRO_TIMING: "microTiming",
+
+  // Synth voice
+  VOICE_PANEL: "voicePanel",
+  RESET_VOICE_BUTTON: "resetVoiceBtn",
+
+  // Effects
+  MASTER_EFFECTS: "masterEffects",
+  TRACK_EFFECTS: "trackEffects",
+
+  // Selection tools
+  SELECTION_TOOLS: "selectionTools",
+
+  // MIDI devices
+  CONNECT_MIDI_BUTTON: "connectMidiBtn",
+  MIDI_INPUT_SELECT: "midiInput",
+  MIDI_OUTPUT_SELECT: "midiOutput",
+  MIDI_CHANNEL_SELECT: "midiChannel",
+  MIDI_RECORD_SELECT: "midiRecord",
 
   // Help system
   HELP_BUTTON: "helpBtn",
@@ -111,6 +626,7 @@ export const ELEMENT_IDS = {
 
   // Notification system
   NOTIFICATION_CONTAINER: "notificationContainer",
+  ANNOUNCER: "announcer",
 };
 
 // ===== CSS CLASSES =====
@@ -123,6 +639,13 @@ export const CSS_CLASSES = {
   // Grid cell states
   CELL_ACTIVE: "active",
   CELL_PLAYING: "playing-col",
+  NOTE_TAIL: "note-tail",
+  NOTE_CONTINUES: "note-continues",
+  NOTE_HANDLE: "note-handle",
+  NOTE_RESIZING: "note-resizing",
+  VELOCITY_EDITING: "velocity-editing",
+  CELL_SELECTED: "selected",
+  CELL_CURSOR: "cursor",
 
   // Grid layout
   GRID_LAYOUT: "grid-layout",
@@ -131,10 +654,38 @@ export const CSS_CLASSES = {
   GRID_RIGHT_SIDE: "grid-right-side",
   ROW_LABELS: "row-labels",
   ROW_LABEL_TEXT: "row-label-text",
+  ROW_LABEL_PLAYING: "row-label--playing",
   RULER: "ruler",
   RULER_BEAT: "ruler-beat",
   RULER_SPACER: "ruler-spacer",
   CELL: "cell",
+  OFF_SCALE: "off-scale",
+  OFF_SCALE_HIDDEN: "off-scale-hidden",
+
+  // Controls
+  CONTROL_SELECT: "control-select",
+
+  // Track list
+  TRACK_ITEM: "track-item",
+  TRACK_ITEM_SELECTED: "track-item--selected",
+  TRACK_ITEM_SILENT: "track-item--silent",
+  TRACK_NAME: "track-name",
+  TRACK_TOGGLE: "track-toggle",
+  TRACK_TOGGLE_ON: "track-toggle--on",
+  TRACK_VOLUME: "track-volume",
+  TRACK_REMOVE: "track-remove",
+
+  // Patterns and arrangement
+  PATTERN_ITEM: "pattern-item",
+  PATTERN_ITEM_SELECTED: "pattern-item--selected",
+  PATTERN_NAME: "pattern-name",
+  PATTERN_REMOVE: "pattern-remove",
+  ARRANGEMENT_SLOTS: "arrangement-slots",
+  ARRANGEMENT_SLOT: "arrangement-slot",
+  ARRANGEMENT_SLOT_LOOPED: "arrangement-slot--looped",
+  ARRANGEMENT_SLOT_PLAYING: "arrangement-slot--playing",
+  ARRANGEMENT_EMPTY: "arrangement-empty",
+  LOOP_CONTROLS: "loop-controls",
 
   // Notifications
   NOTIFICATION: "notification",
@@ -158,18 +709,68 @@ export const MESSAGES = {
   INVALID_COLUMNS: "Columns must be a number between 4 and 32",
   MISSING_NOTE_SELECTION: "Please select both start and end notes",
 
+  // Track errors
+  MAX_TRACKS_REACHED: "A song can have at most 8 tracks",
+  LAST_TRACK: "A song needs at least one track",
+
+  // Pattern errors
+  MAX_PATTERNS_REACHED: "A song can have at most 26 patterns",
+  LAST_PATTERN: "A song needs at least one pattern",
+  ARRANGEMENT_FULL: "The song arrangement can hold at most 64 patterns",
+  EMPTY_ARRANGEMENT:
+    "The song arrangement is empty, so the selected pattern will loop",
+
   // Storage errors
   STORAGE_SAVE_ERROR: "Failed to save your changes. Please try again.",
   STORAGE_LOAD_ERROR:
     "Failed to load saved data. Starting with default settings.",
   STORAGE_NOT_AVAILABLE:
     "Browser storage is not available. Changes will not be saved.",
+  PROJECT_LIBRARY_UNAVAILABLE:
+    "Songs cannot be saved in this browser. Your work lasts until the tab closes.",
+  PROJECT_SAVE_ERROR: "Failed to save the song. Is browser storage full?",
+  PROJECT_LOAD_ERROR: "Failed to open the song",
 
   // Audio errors
   AUDIO_CONTEXT_ERROR:
     "Failed to initialize audio. Please try refreshing the page.",
   AUDIO_PLAYBACK_ERROR:
     "Audio playback failed. Please check your browser settings.",
+  PLAYBACK_STEP_ERROR: "Part of the song failed to play and was skipped",
+
+  // Import and export messages
+  EXPORT_EMPTY: "There are no notes to export",
+  IMPORT_NO_NOTES: "The MIDI file has no notes to import",
+  IMPORT_READ_ERROR: "Could not read the MIDI file",
+  RENDER_TOO_LONG: "The rendering would be longer than 10 minutes",
+  RENDER_ERROR: "Failed to render audio. Please check your browser settings.",
+  SONG_FILE_READ_ERROR: "Could not read the song file",
+  SHARE_LINK_INVALID:
+    "The song link is damaged or incomplete, so it could not be opened",
+
+  // MIDI device errors
+  MIDI_UNAVAILABLE:
+    "MIDI devices could not be opened. Check that your browser supports Web MIDI and allow access.",
+  MIDI_NO_DEVICES: "No MIDI devices are connected",
+  MIDI_INPUT_MISSING: "The MIDI input is no longer connected",
+  MIDI_OUTPUT_MISSING: "The MIDI output is no longer connected",
+
+  // Generator errors
+  INVALID_SEED: "The seed must be a whole number from 1 to 999999",
+
+  // Selection errors
+  NO_SELECTION: "Select notes first: Shift-click or Shift-drag over the grid",
+  CLIPBOARD_EMPTY: "Copy or cut some notes before pasting",
+  SELECTION_AT_EDGE: "The selected notes would move off the grid",
+  DRUM_TRANSPOSE: "Drum sounds have no pitch to transpose",
+  TRANSPOSE_BETWEEN_ROWS:
+    "Some transposed notes would have no row on this track. Widen the note range or transpose by an octave.",
+  NO_ROOM_TO_DUPLICATE:
+    "There is no room after the selection to duplicate it into",
+
+  // History errors
+  HISTORY_STEP_FAILED:
+    "That change can no longer be undone because its track or pattern changed",
 
   // Success messages
   GRID_UPDATED: "Grid configuration updated successfully",
@@ -190,12 +791,25 @@ export const TIMING = {
   ANIMATION_DURATION: 200,
 };
 
-// ===== RANDOMIZATION SETTINGS =====
+// ===== PATTERN GENERATOR SETTINGS =====
 /**
- * Settings for the randomize grid functionality.
+ * Settings for the pattern generators behind Randomise and Generate
+ * (see js/generators.js and GENERATORS in config.js).
  * @readonly
  */
-export const RANDOMIZE_CONFIG = {
-  /** Probability of activating each cell (0-1) */
-  CELL_ACTIVATION_PROBABILITY: 0.25,
+export const GENERATOR_CONFIG = {
+  /** Generator selected at start */
+  DEFAULT_TYPE: "scatter",
+  /** Default density (0-1); for scatter, the probability of activating each cell */
+  DEFAULT_DENSITY: 0.25,
+  /** Largest seed; seeds are whole numbers from 1 */
+  MAX_SEED: 999999,
+  /** Lowest velocity used when randomizing velocities */
+  MIN_VELOCITY: 40,
+  /** Highest velocity used when randomizing velocities */
+  MAX_VELOCITY: 127,
+  /** Most scale steps a random walk moves between notes */
+  WALK_MAX_STEP: 2,
+  /** Probability that a random walk note is held for two columns */
+  WALK_HOLD_PROBABILITY: 0.25,
 };
@@ -0,0 +1,405 @@
+/**
+ * Effects chains for the Song Maker.
+ * A chain runs sound through EQ, distortion, a tempo-synced delay, reverb
+ * and a compressor, in that order. The master output has a chain, and so
+ * does every track, ahead of its level. Each effect can be bypassed; all of
+ * them are bypassed by default, so a new song sounds dry. Chains are built
+ * in whichever context they are given, so live playback and offline
+ * rendering run the same effects.
+ *
+ * This module provides:
+ * - Effects settings creation with defaults, and validation
+ * - Effects chains of Web Audio nodes, updated in place as settings change
+ *
+ * Effects shape:
+ * {
+ *   eq: {
+ *     bypass: boolean,
+ *     low: number,       // Low shelf gain in dB (±EFFECTS_CONFIG.MAX_EQ_GAIN)
+ *     mid: number,       // Mid band gain in dB
+ *     high: number,      // High shelf gain in dB
+ *   },
+ *   distortion: {
+ *     bypass: boolean,
+ *     drive: number,     // How hard the signal is driven (0-1)
+ *     mix: number,       // Share of distorted signal (0-1)
+ *   },
+ *   delay: {
+ *     bypass: boolean,
+ *     division: string,  // Note value the delay time follows (see DELAY_DIVISIONS)
+ *     feedback: number,  // Level of each echo after the first (0 to EFFECTS_CONFIG.MAX_FEEDBACK)
+ *     mix: number,       // Level of the echoes (0-1)
+ *   },
+ *   reverb: {
+ *     bypass: boolean,
+ *     size: number,      // Length of the reverb in seconds
+ *     decay: number,     // Shape of the fade; higher fades sooner
+ *     mix: number,       // Level of the reverb (0-1)
+ *   },
+ *   compressor: {
+ *     bypass: boolean,
+ *     threshold: number, // Level compression starts at, in dB
+ *     ratio: number,     // Compression ratio; EFFECTS_CONFIG.MAX_RATIO limits
+ *     makeup: number,    // Gain after compression, in dB
+ *   },
+ * }
+ */
+
+import { DELAY_DIVISIONS } from "./config.js";
+import { EFFECTS_CONFIG } from "./constants.js";
+import { createRandom } from "./generators.js";
+import { isNumberInRange } from "./utilities.js";
+
+/** Effects in the order sound passes through them */
+export const EFFECT_ORDER = [
+  "eq",
+  "distortion",
+  "delay",
+  "reverb",
+  "compressor",
+];
+
+/** Settings of each effect in a new chain */
+const DEFAULT_EFFECTS = {
+  eq: { bypass: true, low: 0, mid: 0, high: 0 },
+  distortion: { bypass: true, drive: 0.3, mix: 1 },
+  delay: { bypass: true, division: "eighth", feedback: 0.35, mix: 0.3 },
+  reverb: { bypass: true, size: 2, decay: 3, mix: 0.25 },
+  compressor: { bypass: true, threshold: -18, ratio: 4, makeup: 0 },
+};
+
+/** Checks the settings of each effect, keyed like the effects shape */
+const EFFECT_VALIDATORS = {
+  eq: ({ low, mid, high }) =>
+    [low, mid, high].every((gain) =>
+      isNumberInRange(
+        gain,
+        -EFFECTS_CONFIG.MAX_EQ_GAIN,
+        EFFECTS_CONFIG.MAX_EQ_GAIN
+      )
+    ),
+  distortion: ({ drive, mix }) =>
+    isNumberInRange(drive, 0, 1) && isNumberInRange(mix, 0, 1),
+  delay: ({ division, feedback, mix }) =>
+    DELAY_DIVISIONS.some((entry) => entry.id === division) &&
+    isNumberInRange(feedback, 0, EFFECTS_CONFIG.MAX_FEEDBACK) &&
+    isNumberInRange(mix, 0, 1),
+  reverb: ({ size, decay, mix }) =>
+    isNumberInRange(
+      size,
+      EFFECTS_CONFIG.MIN_REVERB_SIZE,
+      EFFECTS_CONFIG.MAX_REVERB_SIZE
+    ) &&
+    isNumberInRange(
+      decay,
+      EFFECTS_CONFIG.MIN_REVERB_DECAY,
+      EFFECTS_CONFIG.MAX_REVERB_DECAY
+    ) &&
+    isNumberInRange(mix, 0, 1),
+  compressor: ({ threshold, ratio, makeup }) =>
+    isNumberInRange(threshold, EFFECTS_CONFIG.MIN_THRESHOLD, 0) &&
+    isNumberInRange(
+      ratio,
+      EFFECTS_CONFIG.MIN_RATIO,
+      EFFECTS_CONFIG.MAX_RATIO
+    ) &&
+    isNumberInRange(makeup, 0, EFFECTS_CONFIG.MAX_MAKEUP),
+};
+
+/** Builds the nodes of each effect, keyed like the effects shape */
+const EFFECT_BUILDERS = {
+  eq: createEq,
+  distortion: createDistortion,
+  delay: createDelay,
+  reverb: createReverb,
+  compressor: createCompressor,
+};
+
+/**
+ * Creates effects settings, filling in defaults for missing settings.
+ * @param {Object} [settings] - Effects settings (see the effects shape)
+ * @returns {Object} New effects settings
+ * @example
+ * const effects = createEffects({ reverb: { bypass: false, mix: 0.4 } });
+ */
+export function createEffects(settings = {}) {
+  return Object.fromEntries(
+    EFFECT_ORDER.map((id) => [id, { ...DEFAULT_EFFECTS[id], ...settings[id] }])
+  );
+}
+
+/**
+ * Validates saved effects settings.
+ * @param {any} value - Value to validate
+ * @returns {boolean} True if value is usable effects settings
+ */
+export function isValidEffects(value) {
+  return (
+    Boolean(value) &&
+    typeof value === "object" &&
+    EFFECT_ORDER.every((id) => {
+      const settings = value[id];
+      return (
+        Boolean(settings) &&
+        typeof settings === "object" &&
+        typeof settings.bypass === "boolean" &&
+        EFFECT_VALIDATORS[id](settings)
+      );
+    })
+  );
+}
+
+/**
+ * Returns the delay time of a note value at a tempo.
+ * @param {string} division - Delay division ID (see DELAY_DIVISIONS in config.js)
+ * @param {number} tempo - Tempo in beats per minute
+ * @returns {number} Delay time in seconds, at most EFFECTS_CONFIG.MAX_DELAY_TIME
+ * @example
+ * getDelayTime('dottedEighth', 120); // 0.375
+ */
+export function getDelayTime(division, tempo) {
+  const entry =
+    DELAY_DIVISIONS.find((candidate) => candidate.id === division) ||
+    DELAY_DIVISIONS[0];
+  return Math.min((entry.beats * 60) / tempo, EFFECTS_CONFIG.MAX_DELAY_TIME);
+}
+
+/**
+ * Builds an effects chain in an audio context.
+ * Sound connected to `input` passes through every effect and comes out of
+ * `output`; bypassed effects pass it through untouched. Calling `update`
+ * changes the settings without rebuilding the chain, so sound already
+ * playing keeps going.
+ *
+ * @param {BaseAudioContext} context - Context to build the chain in
+ * @param {Object} effects - Effects settings (see the effects shape)
+ * @param {number} tempo - Tempo in beats per minute, for the delay time
+ * @returns {{input: AudioNode, output: AudioNode, update: Function, disconnect: Function}} The chain; `update` is called as (effects, tempo)
+ * @example
+ * const chain = createEffectsChain(context, song.effects, 120);
+ * chain.output.connect(context.destination);
+ * playNote('C4', 0, 'sine', { destination: chain.input });
+ */
+export function createEffectsChain(context, effects, tempo) {
+  const input = context.createGain();
+  const output = context.createGain();
+  const units = EFFECT_ORDER.map((id) => EFFECT_BUILDERS[id](context));
+
+  let previous = input;
+  units.forEach((unit) => {
+    previous.connect(unit.input);
+    previous = unit.output;
+  });
+  previous.connect(output);
+
+  const chain = {
+    input,
+    output,
+    update(nextEffects, nextTempo) {
+      units.forEach((unit, index) =>
+        unit.update(nextEffects[EFFECT_ORDER[index]], nextTempo)
+      );
+    },
+    disconnect() {
+      input.disconnect();
+      output.disconnect();
+    },
+  };
+  chain.update(effects, tempo);
+  return chain;
+}
+
+/**
+ * Wraps a run of effect nodes with dry and wet paths that meet at one output.
+ * @param {BaseAudioContext} context - Context to build in
+ * @param {AudioNode} first - Node the wet path starts with
+ * @param {AudioNode} last - Node the wet path ends with
+ * @returns {{input: AudioNode, output: AudioNode, setMix: Function}} Unit; `setMix` is called as (bypass, dry, wet)
+ */
+function createUnit(context, first, last) {
+  const input = context.createGain();
+  const output = context.createGain();
+  const dry = context.createGain();
+  const wet = context.createGain();
+
+  input.connect(dry);
+  dry.connect(output);
+  input.connect(first);
+  last.connect(wet);
+  wet.connect(output);
+
+  return {
+    input,
+    output,
+    setMix(bypass, dryLevel, wetLevel) {
+      dry.gain.value = bypass ? 1 : dryLevel;
+      wet.gain.value = bypass ? 0 : wetLevel;
+    },
+  };
+}
+
+/**
+ * Three band EQ: a low shelf, a peaking mid band and a high shelf.
+ * @param {BaseAudioContext} context - Context to build in
+ * @returns {Object} Effect unit with an `update(settings)` method
+ */
+function createEq(context) {
+  const bands = [
+    ["lowshelf", EFFECTS_CONFIG.EQ_LOW_FREQUENCY],
+    ["peaking", EFFECTS_CONFIG.EQ_MID_FREQUENCY],
+    ["highshelf", EFFECTS_CONFIG.EQ_HIGH_FREQUENCY],
+  ].map(([type, frequency]) => {
+    const band = context.createBiquadFilter();
+    band.type = type;
+    band.frequency.value = frequency;
+    band.Q.value = EFFECTS_CONFIG.EQ_MID_Q;
+    return band;
+  });
+  bands[0].connect(bands[1]);
+  bands[1].connect(bands[2]);
+
+  const unit = createUnit(context, bands[0], bands[2]);
+  return {
+    ...unit,
+    update(settings) {
+      [settings.low, settings.mid, settings.high].forEach((gain, index) => {
+        bands[index].gain.value = gain;
+      });
+      unit.setMix(settings.bypass, 0, 1);
+    },
+  };
+}
+
+/**
+ * Distortion: a soft clipping curve that gets steeper with the drive.
+ * @param {BaseAudioContext} context - Context to build in
+ * @returns {Object} Effect unit with an `update(settings)` method
+ */
+function createDistortion(context) {
+  const shaper = context.createWaveShaper();
+  shaper.oversample = "4x";
+  let drive = null;
+
+  const unit = createUnit(context, shaper, shaper);
+  return {
+    ...unit,
+    update(settings) {
+      if (settings.drive !== drive) {
+        drive = settings.drive;
+        shaper.curve = createDistortionCurve(drive);
+      }
+      unit.setMix(settings.bypass, 1 - settings.mix, settings.mix);
+    },
+  };
+}
+
+/**
+ * Creates a soft clipping curve, (1 + k)x / (1 + k|x|).
+ * @param {number} drive - Drive (0-1); 0 leaves the signal unchanged
+ * @returns {Float32Array} Curve for a WaveShaperNode
+ */
+function createDistortionCurve(drive) {
+  const k = drive * EFFECTS_CONFIG.MAX_DRIVE;
+  const curve = new Float32Array(EFFECTS_CONFIG.CURVE_POINTS);
+  for (let i = 0; i < curve.length; i++) {
+    const x = (i * 2) / (curve.length - 1) - 1;
+    curve[i] = ((1 + k) * x) / (1 + k * Math.abs(x));
+  }
+  return curve;
+}
+
+/**
+ * Delay: echoes at a note value of the tempo, fed back into themselves.
+ * @param {BaseAudioContext} context - Context to build in
+ * @returns {Object} Effect unit with an `update(settings, tempo)` method
+ */
+function createDelay(context) {
+  const delay = context.createDelay(EFFECTS_CONFIG.MAX_DELAY_TIME);
+  const feedback = context.createGain();
+  delay.connect(feedback);
+  feedback.connect(delay);
+
+  const unit = createUnit(context, delay, delay);
+  return {
+    ...unit,
+    update(settings, tempo) {
+      delay.delayTime.value = getDelayTime(settings.division, tempo);
+      feedback.gain.value = settings.feedback;
+      unit.setMix(settings.bypass, 1, settings.mix);
+    },
+  };
+}
+
+/**
+ * Reverb: convolution with a generated impulse response. The response is
+ * only built while the reverb is on, and again when its size or decay change.
+ * @param {BaseAudioContext} context - Context to build in
+ * @returns {Object} Effect unit with an `update(settings)` method
+ */
+function createReverb(context) {
+  const convolver = context.createConvolver();
+  let builtFor = null;
+
+  const unit = createUnit(context, convolver, convolver);
+  return {
+    ...unit,
+    update(settings) {
+      const key = `${settings.size}:${settings.decay}`;
+      if (!settings.bypass && key !== builtFor) {
+        builtFor = key;
+        convolver.buffer = createImpulseResponse(
+          context,
+          settings.size,
+          settings.decay
+        );
+      }
+      unit.setMix(settings.bypass, 1, settings.mix);
+    },
+  };
+}
+
+/**
+ * Creates a stereo impulse response of seeded noise fading out over a curve.
+ * @param {BaseAudioContext} context - Context the response will play in
+ * @param {number} size - Length in seconds
+ * @param {number} decay - Power of the fade; higher fades sooner
+ * @returns {AudioBuffer} Impulse response for a ConvolverNode
+ */
+function createImpulseResponse(context, size, decay) {
+  const length = Math.max(1, Math.floor(context.sampleRate * size));
+  const buffer = context.createBuffer(2, length, context.sampleRate);
+  const random = createRandom(EFFECTS_CONFIG.REVERB_SEED);
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      data[i] = (random() * 2 - 1) * Math.pow(1 - i / length, decay);
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Compressor with make-up gain; at the highest ratio it acts as a limiter.
+ * @param {BaseAudioContext} context - Context to build in
+ * @returns {Object} Effect unit with an `update(settings)` method
+ */
+function createCompressor(context) {
+  const compressor = context.createDynamicsCompressor();
+  const makeup = context.createGain();
+  compressor.knee.value = EFFECTS_CONFIG.COMPRESSOR_KNEE;
+  compressor.attack.value = EFFECTS_CONFIG.COMPRESSOR_ATTACK;
+  compressor.release.value = EFFECTS_CONFIG.COMPRESSOR_RELEASE;
+  compressor.connect(makeup);
+
+  const unit = createUnit(context, compressor, makeup);
+  return {
+    ...unit,
+    update(settings) {
+      compressor.threshold.value = settings.threshold;
+      compressor.ratio.value = settings.ratio;
+      makeup.gain.value = Math.pow(10, settings.makeup / 20);
+      unit.setMix(settings.bypass, 0, 1);
+    },
+  };
+}
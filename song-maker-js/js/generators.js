@@ -0,0 +1,283 @@
+/**
+ * Pattern generators for the Song Maker.
+ * Fill a grid with musically usable material instead of uniform noise.
+ * Every generator draws from a seeded random number generator, so the same
+ * settings and seed always give the same pattern.
+ *
+ * This module provides:
+ * - A seeded pseudo-random number generator (mulberry32)
+ * - Scatter: notes placed at random on the rows in the scale
+ * - Euclidean rhythms: pulses spread as evenly as possible over the columns
+ * - Random walk melodies that move through the scale in small steps
+ * - Arpeggiated chord progressions built from the scale
+ *
+ * Generator options shape:
+ * {
+ *   notes: string[],         // Row notes high to low, or drum IDs
+ *   cols: number,            // Number of columns
+ *   isDrums: boolean,        // Whether the rows are drums
+ *   scale: Object,           // Key and scale of the song (see scales.js)
+ *   density: number,         // How busy the pattern is (0-1)
+ *   seed: number,            // Seed for the random number generator
+ *   randomVelocity: boolean, // Vary velocities instead of using the default
+ * }
+ */
+
+import { GENERATOR_CONFIG } from "./constants.js";
+import { createEmptyGrid, createNote } from "./cells.js";
+import {
+  createScale,
+  getScaleDegree,
+  getScaleIntervals,
+  isChromaticScale,
+  isNoteInScale,
+} from "./scales.js";
+
+/**
+ * Chord progressions for the arpeggiator, as 0-based scale degrees
+ * (I-V-vi-IV, I-vi-IV-V, I-IV-V-I and vi-IV-I-V in a major key).
+ */
+const PROGRESSIONS = [
+  [0, 4, 5, 3],
+  [0, 5, 3, 4],
+  [0, 3, 4, 0],
+  [5, 3, 0, 4],
+];
+
+/** Orders the arpeggiator plays chord tones in, from low to high tones */
+const ARPEGGIO_ORDERS = [
+  (tones) => tones,
+  (tones) => [...tones].reverse(),
+  (tones) => [...tones, ...tones.slice(1, -1).reverse()],
+];
+
+/** Generator implementations, keyed by the IDs in GENERATORS (config.js) */
+const GENERATOR_FUNCTIONS = {
+  scatter: generateScatter,
+  euclidean: generateEuclidean,
+  randomWalk: generateRandomWalk,
+  arpeggio: generateArpeggio,
+};
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * @param {number} seed - Whole number seed
+ * @returns {Function} Returns the next number from 0 (inclusive) to 1 (exclusive)
+ * @example
+ * const random = createRandom(42);
+ * random(); // Always the same first number for seed 42
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks a new seed for generating a pattern.
+ * @returns {number} Seed from 1 to GENERATOR_CONFIG.MAX_SEED
+ */
+export function createSeed() {
+  return 1 + Math.floor(Math.random() * GENERATOR_CONFIG.MAX_SEED);
+}
+
+/**
+ * Generates a grid with one of the generators.
+ *
+ * @param {string} type - Generator ID (see GENERATORS in config.js)
+ * @param {Object} options - Generator options (see the options shape)
+ * @returns {Array<Array<Object|null>>} New grid state
+ * @throws {Error} If the generator is unknown
+ * @example
+ * const gridState = generatePattern('euclidean', { notes, cols: 16, isDrums: true, scale, density: 0.3, seed: 7 });
+ */
+export function generatePattern(type, options) {
+  const generator = GENERATOR_FUNCTIONS[type];
+  if (!generator) {
+    throw new Error(`Unknown generator: ${type}`);
+  }
+
+  const random = createRandom(options.seed);
+  const gridState = createEmptyGrid(options.notes.length, options.cols);
+  const makeNote = (length = 1) =>
+    createNote(
+      length,
+      options.randomVelocity ? pickVelocity(random) : undefined
+    );
+
+  generator(gridState, options, random, makeNote);
+  return gridState;
+}
+
+/**
+ * Scatter: each cell of the rows in the scale holds a note with a
+ * probability equal to the density. This is the original randomize.
+ * @param {Array<Array<Object|null>>} gridState - Empty grid to fill
+ * @param {Object} options - Generator options
+ * @param {Function} random - Seeded random number generator
+ * @param {Function} makeNote - Creates a note with the chosen velocity
+ */
+function generateScatter(gridState, options, random, makeNote) {
+  const rows = options.isDrums
+    ? options.notes.map((_, row) => row)
+    : getScaleRows(options.notes, options.scale);
+
+  rows.forEach((row) => {
+    for (let col = 0; col < options.cols; col++) {
+      if (random() < options.density) {
+        gridState[row][col] = makeNote();
+      }
+    }
+  });
+}
+
+/**
+ * Euclidean rhythm: spreads pulses as evenly as possible over the columns.
+ * Drum tracks get a rhythm per drum, each with its own number of pulses and
+ * offset; melodic tracks pulse on the lowest key note.
+ * @param {Array<Array<Object|null>>} gridState - Empty grid to fill
+ * @param {Object} options - Generator options
+ * @param {Function} random - Seeded random number generator
+ * @param {Function} makeNote - Creates a note with the chosen velocity
+ */
+function generateEuclidean(gridState, options, random, makeNote) {
+  const { cols, density } = options;
+  const placeRhythm = (row, pulses, rotation) => {
+    for (let col = 0; col < cols; col++) {
+      if (((col + rotation) * pulses) % cols < pulses) {
+        gridState[row][col] = makeNote();
+      }
+    }
+  };
+
+  if (options.isDrums) {
+    options.notes.forEach((_, row) => {
+      const pulses = Math.min(cols, Math.round(density * cols * 2 * random()));
+      const rotation = Math.floor(random() * cols);
+      if (pulses > 0) placeRhythm(row, pulses, rotation);
+    });
+    return;
+  }
+
+  const scale = getTonalScale(options.scale);
+  const rows = getScaleRows(options.notes, scale);
+  const keyRow =
+    rows.find((row) => getScaleDegree(options.notes[row], scale) === 1) ??
+    rows[0];
+  placeRhythm(keyRow, Math.max(1, Math.round(density * cols)), 0);
+}
+
+/**
+ * Random walk melody: starts in the middle of the scale rows and moves by
+ * at most GENERATOR_CONFIG.WALK_MAX_STEP scale steps between notes. Each
+ * column starts a note with a probability equal to the density, and some
+ * notes are held for two columns.
+ * @param {Array<Array<Object|null>>} gridState - Empty grid to fill
+ * @param {Object} options - Generator options
+ * @param {Function} random - Seeded random number generator
+ * @param {Function} makeNote - Creates a note with the chosen velocity
+ */
+function generateRandomWalk(gridState, options, random, makeNote) {
+  const rows = getScaleRows(options.notes, getTonalScale(options.scale));
+  let position = Math.floor(rows.length / 2);
+
+  let col = 0;
+  while (col < options.cols) {
+    // The melody always starts on the first column
+    if (col > 0 && random() >= options.density) {
+      col++;
+      continue;
+    }
+
+    const length = random() < GENERATOR_CONFIG.WALK_HOLD_PROBABILITY ? 2 : 1;
+    gridState[rows[position]][col] = makeNote(
+      Math.min(length, options.cols - col)
+    );
+    col += length;
+
+    const step = Math.round(
+      (random() * 2 - 1) * GENERATOR_CONFIG.WALK_MAX_STEP
+    );
+    position = Math.min(rows.length - 1, Math.max(0, position + step));
+  }
+}
+
+/**
+ * Arpeggiated chords: picks a chord progression and an arpeggio order,
+ * then plays the tones of each chord (stacked thirds from the scale) in
+ * turn. Each chord lasts an equal share of the columns; its first step
+ * always plays and later steps play with a probability equal to the density.
+ * @param {Array<Array<Object|null>>} gridState - Empty grid to fill
+ * @param {Object} options - Generator options
+ * @param {Function} random - Seeded random number generator
+ * @param {Function} makeNote - Creates a note with the chosen velocity
+ */
+function generateArpeggio(gridState, options, random, makeNote) {
+  const scale = getTonalScale(options.scale);
+  const scaleLength = getScaleIntervals(scale).length;
+  const rows = getScaleRows(options.notes, scale);
+  const progression = PROGRESSIONS[Math.floor(random() * PROGRESSIONS.length)];
+  const order = ARPEGGIO_ORDERS[Math.floor(random() * ARPEGGIO_ORDERS.length)];
+  const chordLength = Math.ceil(options.cols / progression.length);
+
+  progression.forEach((root, chordIndex) => {
+    const chordDegrees = [root, root + 2, root + 4].map(
+      (degree) => (degree % scaleLength) + 1
+    );
+    const tones = rows.filter((row) =>
+      chordDegrees.includes(getScaleDegree(options.notes[row], scale))
+    );
+    if (tones.length === 0) return;
+
+    const sequence = order(tones);
+    for (let step = 0; step < chordLength; step++) {
+      const col = chordIndex * chordLength + step;
+      if (col >= options.cols) break;
+      if (step === 0 || random() < options.density) {
+        gridState[sequence[step % sequence.length]][col] = makeNote();
+      }
+    }
+  });
+}
+
+/**
+ * Lists the rows whose notes are in a scale, from the lowest note up.
+ * Falls back to every row when none are in the scale.
+ * @param {string[]} notes - Row notes high to low
+ * @param {Object} scale - Scale
+ * @returns {number[]} Row indices, lowest note first
+ */
+function getScaleRows(notes, scale) {
+  const rows = notes
+    .map((_, row) => row)
+    .filter((row) => isNoteInScale(notes[row], scale))
+    .reverse();
+  return rows.length > 0 ? rows : notes.map((_, row) => row).reverse();
+}
+
+/**
+ * Returns the scale melodies and chords are built from. A chromatic scale
+ * has no chords of its own, so the major scale on the same key is used.
+ * @param {Object} scale - Key and scale of the song
+ * @returns {Object} Scale with a tonal centre
+ */
+function getTonalScale(scale) {
+  return isChromaticScale(scale)
+    ? createScale({ ...scale, type: "major" })
+    : scale;
+}
+
+/**
+ * Picks a random velocity within the configured range.
+ * @param {Function} random - Seeded random number generator
+ * @returns {number} Velocity between GENERATOR_CONFIG.MIN_VELOCITY and MAX_VELOCITY
+ */
+function pickVelocity(random) {
+  const range = GENERATOR_CONFIG.MAX_VELOCITY - GENERATOR_CONFIG.MIN_VELOCITY;
+  return GENERATOR_CONFIG.MIN_VELOCITY + Math.floor(random() * (range + 1));
+}
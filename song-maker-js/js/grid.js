@@ -7,30 +7,76 @@
  * - Musical note label rendering
  * - Beat ruler creation
  * - Interactive cell grid with event handling
+ * - Painting and erasing notes by dragging across cells
+ * - Held notes rendered as bars with a drag handle to change their length
+ * - Velocity editing by mouse wheel or Alt-drag, shown as cell opacity
+ * - Greyed out or hidden rows for notes outside the key and scale
+ * - Rectangular selection by Shift-click or Shift-drag
+ * - Keyboard navigation with a roving cursor cell and spoken note changes
  * - Grid state synchronization
  */
 
-import { CSS_CLASSES, GRID_LIMITS } from "./constants.js";
-import { createElement, showNotification } from "./utilities.js";
+import { CSS_CLASSES, GRID_LIMITS, VELOCITY_CONFIG } from "./constants.js";
+import {
+  announce,
+  clamp,
+  createElement,
+  showNotification,
+} from "./utilities.js";
+import {
+  createNote,
+  findNoteAt,
+  getMaxNoteLength,
+  isNoteCell,
+} from "./cells.js";
+import { createSelection, isCellSelected } from "./selection.js";
+
+/** Drags handled by setupNoteDragging, which edit one existing note */
+const NOTE_DRAG_TYPES = ["length", "velocity"];
 
 /**
  * Renders a complete musical grid interface.
  * Creates a responsive grid layout with note labels, ruler, and interactive cells.
  * Validates inputs and provides comprehensive error handling.
  *
+ * Cells dispatch bubbling custom events instead of mutating the grid state:
+ * - `cellStateChange` with `{ row, col, isActive }` when a note is added or removed
+ * - `cellsPaint` with `{ cells: [{ row, col }], isActive }` once per paint or
+ *   erase drag; erased cells are the starts of the notes to remove
+ * - `noteLengthChange` with `{ row, col, length }` when a note's end handle is dragged
+ * - `noteVelocityChange` with `{ row, col, velocity }` after a wheel or Alt-drag edit
+ * - `selectionChange` with `{ selection }` after a Shift-click, Shift-drag or
+ *   Shift+arrow key
+ * - `cursorMove` with `{ row, col }` when the keyboard cursor moves to another cell
+ * Listeners are expected to update the shared grid state synchronously.
+ *
  * @param {HTMLElement} container - DOM element to render the grid into
  * @param {string[]} notes - Array of musical note names for row labels (high to low)
  * @param {number} cols - Number of columns (beats) in the grid
- * @param {boolean[][]} gridState - 2D array representing active cells [row][col]
+ * @param {Array<Array<Object|null>>} gridState - 2D array of note cells [row][col]
+ * @param {Object} [options] - Optional rendering settings
+ * @param {string[]} [options.labels] - Display names for the rows (defaults to the note names)
+ * @param {boolean} [options.heldNotes=true] - Whether notes can be lengthened; one-shot
+ *   sounds such as drums hide the length handle
+ * @param {boolean[]} [options.offScaleRows] - Rows outside the key and scale, greyed out
+ * @param {boolean} [options.hideOffScaleRows=false] - Hide off-scale rows that hold
+ *   no notes instead of greying them out
+ * @param {Object|null} [options.selection=null] - Selected cells (see js/selection.js)
+ * @param {{row: number, col: number}} [options.cursor] - Cell the keyboard cursor is on;
+ *   moved to the nearest visible row if its row is hidden
  * @returns {Object} Object containing references to grid DOM elements
  * @returns {HTMLElement} returns.gridInner - Container for all grid cells
  * @returns {HTMLElement} returns.ruler - Container for beat numbers
- * @returns {boolean[][]} returns.gridState - Reference to the provided grid state
+ * @returns {HTMLElement} returns.rulerLabel - Corner above the row labels, for the pattern and bar playing
+ * @returns {Array<Array<Object|null>>} returns.gridState - Reference to the provided grid state
+ * @returns {Function} returns.focusCursor - Moves keyboard focus to the cursor cell
+ * @returns {Function} returns.highlightRows - Highlights the labels of rows being
+ *   played from a keyboard, given a boolean per row
  * @throws {Error} If container is invalid or parameters are out of bounds
  * @example
  * const refs = renderGrid(containerEl, ['C4', 'B3', 'A3'], 8, gridStateArray);
  */
-export function renderGrid(container, notes, cols, gridState) {
+export function renderGrid(container, notes, cols, gridState, options = {}) {
   try {
     // Validate inputs
     if (!container || typeof container.appendChild !== "function") {
@@ -54,28 +100,65 @@ export function renderGrid(container, notes, cols, gridState) {
     if (!Array.isArray(gridState) || gridState.length !== notes.length) {
       throw new Error("Grid state must be a 2D array matching notes length");
     }
+
+    const {
+      labels = notes,
+      heldNotes = true,
+      offScaleRows = [],
+      hideOffScaleRows = false,
+      selection = null,
+      cursor = { row: 0, col: 0 },
+    } = options;
+    if (!Array.isArray(labels) || labels.length !== notes.length) {
+      throw new Error("Row labels must match notes length");
+    }
+
+    // Hidden rows keep their cells so row indices stay the same; rows with
+    // notes stay visible, and hiding every row would leave nothing to edit
+    let hiddenRows = notes.map(
+      (_, row) =>
+        hideOffScaleRows &&
+        Boolean(offScaleRows[row]) &&
+        !(Array.isArray(gridState[row]) && gridState[row].some(isNoteCell))
+    );
+    if (hiddenRows.every(Boolean)) {
+      hiddenRows = hiddenRows.map(() => false);
+    }
+    const visibleRowCount = hiddenRows.filter((hidden) => !hidden).length;
+    const applyScaleClasses = (element, row) => {
+      element.classList.toggle(
+        CSS_CLASSES.OFF_SCALE,
+        Boolean(offScaleRows[row])
+      );
+      element.classList.toggle(CSS_CLASSES.OFF_SCALE_HIDDEN, hiddenRows[row]);
+    };
     const gridLayout = createElement("div", CSS_CLASSES.GRID_LAYOUT);
 
     // Create the left section containing note labels
     const labelsSection = createElement("div", CSS_CLASSES.LABELS_LEFT_SIDE);
-    // Add empty spacer to align with the ruler row
-    labelsSection.appendChild(createElement("div", CSS_CLASSES.RULER_SPACER));
+    // Spacer aligned with the ruler row, also used to show the playback position
+    const rulerLabel = createElement("div", CSS_CLASSES.RULER_SPACER);
+    labelsSection.appendChild(rulerLabel);
 
     // Create container for musical note labels
     const rowLabels = createElement("div", CSS_CLASSES.ROW_LABELS);
     // Set CSS grid rows to match the number of notes using constant for cell size
-    rowLabels.style.gridTemplateRows = `repeat(${notes.length}, ${GRID_LIMITS.CELL_SIZE}px)`;
+    rowLabels.style.gridTemplateRows = `repeat(${visibleRowCount}, ${GRID_LIMITS.CELL_SIZE}px)`;
 
     // Generate a label element for each musical note
-    notes.forEach((noteName) => {
+    const labelElements = [];
+    notes.forEach((noteName, row) => {
       if (typeof noteName !== "string" || !noteName.trim()) {
         console.warn(`Invalid note name: ${noteName}`);
         return;
       }
       const label = createElement("div", CSS_CLASSES.ROW_LABEL_TEXT);
-      label.textContent = noteName;
-      label.title = `Note: ${noteName}`;
+      label.textContent = labels[row];
+      label.title =
+        labels[row] === noteName ? `Note: ${noteName}` : labels[row];
+      applyScaleClasses(label, row);
       rowLabels.appendChild(label);
+      labelElements[row] = label;
     });
 
     labelsSection.appendChild(rowLabels);
@@ -101,56 +184,800 @@ export function renderGrid(container, notes, cols, gridState) {
     const gridInner = createElement("div", CSS_CLASSES.GRID_INNER);
     gridInner.style.gridTemplateColumns = `repeat(${cols}, ${GRID_LIMITS.CELL_SIZE}px)`;
 
+    // Cell buttons per row, used to restyle a row after its notes change
+    const rowCells = [];
+    // Shared state for dragging a note to change its length or velocity
+    const dragState = { active: null, justFinished: false };
+    // Selection shared by mouse and keyboard selecting
+    const selectionState = { current: selection };
+    // Only the cursor cell is in the tab order; the arrow keys move it
+    const cursorState = {
+      current: {
+        row: findNearestVisibleRow(
+          hiddenRows,
+          clamp(cursor.row, 0, notes.length - 1)
+        ),
+        col: clamp(cursor.col, 0, cols - 1),
+      },
+    };
+
+    // Restyles a row from its grid state, or from a preview while dragging
+    const restyleRow = (row, rowState = gridState[row]) =>
+      applyRowClasses(rowCells[row], rowState, labels[row], heldNotes);
+
     for (let row = 0; row < notes.length; row++) {
       // Validate each row of grid state
       if (!Array.isArray(gridState[row]) || gridState[row].length !== cols) {
         throw new Error(`Grid state row ${row} is invalid`);
       }
 
+      rowCells.push([]);
+
       for (let col = 0; col < cols; col++) {
         const cell = createElement("button", CSS_CLASSES.CELL);
 
-        // Add accessibility attributes
+        // Add accessibility attributes (labels and pressed state are set per row)
         cell.setAttribute("role", "button");
-        cell.setAttribute("aria-label", `${notes[row]} beat ${col + 1}`);
-        cell.setAttribute("aria-pressed", gridState[row][col].toString());
-
-        // Set initial state
-        if (gridState[row][col]) {
-          cell.classList.add(CSS_CLASSES.CELL_ACTIVE);
-        }
+        applyScaleClasses(cell, row);
+        const isCursor =
+          row === cursorState.current.row && col === cursorState.current.col;
+        cell.tabIndex = isCursor ? 0 : -1;
+        cell.classList.toggle(CSS_CLASSES.CELL_CURSOR, isCursor);
 
         // Click handler with error handling
-        cell.addEventListener("click", () => {
+        cell.addEventListener("click", (event) => {
           try {
-            const isActive = !cell.classList.contains(CSS_CLASSES.CELL_ACTIVE);
-            cell.classList.toggle(CSS_CLASSES.CELL_ACTIVE, isActive);
-            cell.setAttribute("aria-pressed", isActive.toString());
+            // Ignore the click that ends a note drag on this cell, and
+            // Shift-clicks, which select instead
+            if (event.shiftKey) return;
+            if (dragState.justFinished) {
+              dragState.justFinished = false;
+              return;
+            }
+
+            // Clicking anywhere on a held note removes the whole note
+            const hit = findNoteAt(gridState[row], col);
+            const isActive = !hit;
 
             // Dispatch custom event for cell state change
             const cellChangeEvent = new CustomEvent("cellStateChange", {
-              detail: { row, col, isActive },
+              detail: { row, col: hit ? hit.start : col, isActive },
               bubbles: true,
             });
             cell.dispatchEvent(cellChangeEvent);
+
+            // Listeners update the shared grid state synchronously
+            restyleRow(row);
           } catch (error) {
             console.error("Failed to handle cell click:", error);
             showNotification("Failed to update cell", "error");
           }
         });
 
+        rowCells[row].push(cell);
         gridInner.appendChild(cell);
       }
+
+      restyleRow(row);
     }
 
+    applySelectionClasses(rowCells, selection);
+    setupNoteDragging(gridInner, rowCells, gridState, restyleRow, dragState);
+    setupSelectionDragging(gridInner, rowCells, selectionState, dragState);
+    setupPaintDragging(gridInner, rowCells, gridState, restyleRow, dragState);
+    setupVelocityWheel(gridInner, rowCells, gridState, restyleRow);
+    setupKeyboardNavigation(gridInner, rowCells, {
+      gridState,
+      labels,
+      hiddenRows,
+      cursorState,
+      selectionState,
+    });
+
     rightSection.appendChild(gridInner);
     gridLayout.appendChild(rightSection);
     container.appendChild(gridLayout);
 
-    return { gridInner, ruler, gridState };
+    const focusCursor = () =>
+      rowCells[cursorState.current.row][cursorState.current.col].focus();
+    const highlightRows = (rows) =>
+      labelElements.forEach((label, row) =>
+        label.classList.toggle(
+          CSS_CLASSES.ROW_LABEL_PLAYING,
+          Boolean(rows[row])
+        )
+      );
+
+    return {
+      gridInner,
+      ruler,
+      rulerLabel,
+      gridState,
+      focusCursor,
+      highlightRows,
+    };
   } catch (error) {
     console.error("Failed to render grid:", error);
     showNotification("Failed to render grid", "error");
     throw error;
   }
 }
+
+/**
+ * Applies note styling to one row of cells from its grid state.
+ * Note starts get the active class, covered columns get the tail class,
+ * the last cell of each note receives the resize handle, and every covered
+ * cell exposes the note's velocity for opacity styling.
+ *
+ * @param {HTMLButtonElement[]} cells - Cell buttons of the row, in column order
+ * @param {Array<Object|null>} rowState - Grid state of the row
+ * @param {string} rowLabel - Display name of the row, used for accessible labels
+ * @param {boolean} heldNotes - Whether to show the length handle
+ */
+function applyRowClasses(cells, rowState, rowLabel, heldNotes) {
+  let noteEnd = -1;
+  let velocity = VELOCITY_CONFIG.DEFAULT;
+
+  cells.forEach((cell, col) => {
+    const startsNote = isNoteCell(rowState[col]);
+    if (startsNote) {
+      noteEnd = col + rowState[col].length - 1;
+      velocity = rowState[col].velocity;
+    }
+
+    const isTail = !startsNote && col <= noteEnd;
+    const isCovered = startsNote || isTail;
+
+    cell.classList.toggle(CSS_CLASSES.CELL_ACTIVE, startsNote);
+    cell.classList.toggle(CSS_CLASSES.NOTE_TAIL, isTail);
+    cell.classList.toggle(
+      CSS_CLASSES.NOTE_CONTINUES,
+      isCovered && col < noteEnd
+    );
+    cell.setAttribute("aria-pressed", isCovered.toString());
+
+    if (isCovered) {
+      cell.style.setProperty(
+        "--note-velocity",
+        (velocity / VELOCITY_CONFIG.MAX).toFixed(3)
+      );
+      cell.title = `Velocity ${velocity}`;
+    } else {
+      cell.style.removeProperty("--note-velocity");
+      cell.removeAttribute("title");
+    }
+
+    let label = `${rowLabel} beat ${col + 1}`;
+    if (startsNote) {
+      if (rowState[col].length > 1) {
+        label += `, held for ${rowState[col].length} beats`;
+      }
+      label += `, velocity ${velocity}`;
+    }
+    cell.setAttribute("aria-label", label);
+
+    // Only the last cell of a note carries the resize handle
+    const existingHandle = cell.querySelector(`.${CSS_CLASSES.NOTE_HANDLE}`);
+    if (heldNotes && isCovered && col === noteEnd) {
+      if (!existingHandle) {
+        const handle = createElement("span", CSS_CLASSES.NOTE_HANDLE);
+        handle.setAttribute("aria-hidden", "true");
+        cell.appendChild(handle);
+      }
+    } else if (existingHandle) {
+      existingHandle.remove();
+    }
+  });
+}
+
+/**
+ * Enables pointer drags that edit existing notes.
+ * Uses pointer events so it works with mouse, pen and touch input.
+ * - Dragging a note's end handle across columns changes its length and
+ *   dispatches a single `noteLengthChange` event on release.
+ * - Alt-dragging a note vertically changes its velocity and dispatches a
+ *   single `noteVelocityChange` event on release.
+ * The row is restyled live while dragging.
+ *
+ * @param {HTMLElement} gridInner - Container holding all cell buttons
+ * @param {HTMLButtonElement[][]} rowCells - Cell buttons indexed [row][col]
+ * @param {Array<Array<Object|null>>} gridState - Shared grid state
+ * @param {Function} restyleRow - Restyles a row as (row, [rowState])
+ * @param {{active: Object|null, justFinished: boolean}} dragState - Drag state shared with click handlers
+ */
+function setupNoteDragging(
+  gridInner,
+  rowCells,
+  gridState,
+  restyleRow,
+  dragState
+) {
+  gridInner.addEventListener("pointerdown", (event) => {
+    const isHandle = event.target.classList.contains(CSS_CLASSES.NOTE_HANDLE);
+    if (!isHandle && !event.altKey) return;
+
+    const position = getCellPosition(rowCells, event.target);
+    if (!position) return;
+
+    const hit = findNoteAt(gridState[position.row], position.col);
+    if (!hit) return;
+
+    event.preventDefault();
+    gridInner.setPointerCapture?.(event.pointerId);
+
+    if (isHandle) {
+      gridInner.classList.add(CSS_CLASSES.NOTE_RESIZING);
+      dragState.active = {
+        type: "length",
+        row: position.row,
+        start: hit.start,
+        original: hit.note.length,
+        value: hit.note.length,
+        maxLength: getMaxNoteLength(gridState[position.row], hit.start),
+      };
+    } else {
+      gridInner.classList.add(CSS_CLASSES.VELOCITY_EDITING);
+      dragState.active = {
+        type: "velocity",
+        row: position.row,
+        start: hit.start,
+        original: hit.note.velocity,
+        value: hit.note.velocity,
+        startY: event.clientY,
+      };
+    }
+  });
+
+  gridInner.addEventListener("pointermove", (event) => {
+    const drag = dragState.active;
+    if (!drag || !NOTE_DRAG_TYPES.includes(drag.type)) return;
+
+    let value;
+    if (drag.type === "length") {
+      const col = getColumnFromPointer(rowCells[drag.row], event.clientX);
+      value = Math.min(Math.max(col - drag.start + 1, 1), drag.maxLength);
+    } else {
+      const delta =
+        (drag.startY - event.clientY) / VELOCITY_CONFIG.DRAG_PIXELS_PER_UNIT;
+      value = clampEditedVelocity(drag.original + delta);
+    }
+
+    if (value !== drag.value) {
+      drag.value = value;
+      const preview = [...gridState[drag.row]];
+      preview[drag.start] = { ...preview[drag.start], [drag.type]: value };
+      restyleRow(drag.row, preview);
+    }
+  });
+
+  const finishDrag = (event) => {
+    const drag = dragState.active;
+    if (!drag || !NOTE_DRAG_TYPES.includes(drag.type)) return;
+
+    dragState.active = null;
+    dragState.justFinished = event.type === "pointerup";
+    gridInner.classList.remove(
+      CSS_CLASSES.NOTE_RESIZING,
+      CSS_CLASSES.VELOCITY_EDITING
+    );
+
+    try {
+      if (event.type === "pointerup" && drag.value !== drag.original) {
+        const eventName =
+          drag.type === "length" ? "noteLengthChange" : "noteVelocityChange";
+        gridInner.dispatchEvent(
+          new CustomEvent(eventName, {
+            detail: { row: drag.row, col: drag.start, [drag.type]: drag.value },
+            bubbles: true,
+          })
+        );
+      }
+    } catch (error) {
+      console.error("Failed to finish note drag:", error);
+      showNotification("Failed to update note", "error");
+    }
+
+    restyleRow(drag.row);
+
+    // The click after pointerup only fires if the pointer ends on a cell
+    setTimeout(() => {
+      dragState.justFinished = false;
+    }, 0);
+  };
+
+  gridInner.addEventListener("pointerup", finishDrag);
+  gridInner.addEventListener("pointercancel", finishDrag);
+}
+
+/**
+ * Enables selecting a block of cells with Shift held.
+ * - Shift-dragging selects from the cell where the drag started.
+ * - Shift-clicking extends the selection from its anchor to the clicked
+ *   cell, or selects that one cell when nothing is selected.
+ * The selection is shown live and a single `selectionChange` event is
+ * dispatched on release.
+ *
+ * @param {HTMLElement} gridInner - Container holding all cell buttons
+ * @param {HTMLButtonElement[][]} rowCells - Cell buttons indexed [row][col]
+ * @param {{current: Object|null}} selectionState - Selection shared with keyboard selecting
+ * @param {{active: Object|null, justFinished: boolean}} dragState - Drag state shared with click handlers
+ */
+function setupSelectionDragging(
+  gridInner,
+  rowCells,
+  selectionState,
+  dragState
+) {
+  gridInner.addEventListener("pointerdown", (event) => {
+    // Shift-dragging a note's handle still changes its length
+    if (dragState.active || !event.shiftKey || event.altKey) return;
+
+    const position = getCellPosition(rowCells, event.target);
+    if (!position) return;
+
+    event.preventDefault();
+    gridInner.setPointerCapture?.(event.pointerId);
+
+    dragState.active = { type: "selection", start: position };
+    const selection = selectionState.current;
+    selectionState.current = createSelection(
+      selection ? selection.anchor : position,
+      position
+    );
+    applySelectionClasses(rowCells, selectionState.current);
+  });
+
+  gridInner.addEventListener("pointermove", (event) => {
+    const drag = dragState.active;
+    if (!drag || drag.type !== "selection") return;
+
+    const position = getCellFromPointer(rowCells, event);
+    if (!position) return;
+
+    // Dragging away from the pressed cell starts a new selection there
+    if (position.row !== drag.start.row || position.col !== drag.start.col) {
+      drag.moved = true;
+    }
+    if (drag.moved) {
+      selectionState.current = createSelection(drag.start, position);
+      applySelectionClasses(rowCells, selectionState.current);
+    }
+  });
+
+  const finishSelection = (event) => {
+    const drag = dragState.active;
+    if (!drag || drag.type !== "selection") return;
+
+    dragState.active = null;
+    dragState.justFinished = event.type === "pointerup";
+    try {
+      gridInner.dispatchEvent(
+        new CustomEvent("selectionChange", {
+          detail: { selection: selectionState.current },
+          bubbles: true,
+        })
+      );
+    } catch (error) {
+      console.error("Failed to finish selection:", error);
+      showNotification("Failed to select cells", "error");
+    }
+
+    setTimeout(() => {
+      dragState.justFinished = false;
+    }, 0);
+  };
+
+  gridInner.addEventListener("pointerup", finishSelection);
+  gridInner.addEventListener("pointercancel", finishSelection);
+}
+
+/**
+ * Enables painting and erasing notes by dragging across cells.
+ * Pressing an empty cell and dragging paints single-column notes into the
+ * empty cells passed over; pressing a note and dragging erases every note
+ * passed over. A press that never leaves its cell stays a normal click.
+ * The grid is previewed while dragging and a single `cellsPaint` event is
+ * dispatched on release, so the whole stroke saves and undoes as one edit.
+ *
+ * @param {HTMLElement} gridInner - Container holding all cell buttons
+ * @param {HTMLButtonElement[][]} rowCells - Cell buttons indexed [row][col]
+ * @param {Array<Array<Object|null>>} gridState - Shared grid state
+ * @param {Function} restyleRow - Restyles a row as (row, [rowState])
+ * @param {{active: Object|null, justFinished: boolean}} dragState - Drag state shared with click handlers
+ */
+function setupPaintDragging(
+  gridInner,
+  rowCells,
+  gridState,
+  restyleRow,
+  dragState
+) {
+  gridInner.addEventListener("pointerdown", (event) => {
+    if (dragState.active || event.button !== 0) return;
+    if (event.shiftKey || event.altKey) return;
+
+    const position = getCellPosition(rowCells, event.target);
+    if (!position) return;
+
+    gridInner.setPointerCapture?.(event.pointerId);
+    dragState.active = {
+      type: "paint",
+      isActive: !findNoteAt(gridState[position.row], position.col),
+      last: position,
+      moved: false,
+      // Copy of the grid with the stroke applied, shown while dragging
+      preview: gridState.map((rowState) => [...rowState]),
+      cells: [],
+    };
+  });
+
+  gridInner.addEventListener("pointermove", (event) => {
+    const drag = dragState.active;
+    if (!drag || drag.type !== "paint") return;
+
+    const position = getCellFromPointer(rowCells, event);
+    if (
+      !position ||
+      (position.row === drag.last.row && position.col === drag.last.col)
+    ) {
+      return;
+    }
+
+    event.preventDefault();
+    if (!drag.moved) {
+      drag.moved = true;
+      paintCell(drag, drag.last);
+    }
+
+    // Fill in the cells a fast stroke skipped over
+    const steps = Math.max(
+      Math.abs(position.row - drag.last.row),
+      Math.abs(position.col - drag.last.col)
+    );
+    for (let step = 1; step <= steps; step++) {
+      paintCell(drag, {
+        row: Math.round(
+          drag.last.row + ((position.row - drag.last.row) * step) / steps
+        ),
+        col: Math.round(
+          drag.last.col + ((position.col - drag.last.col) * step) / steps
+        ),
+      });
+    }
+    drag.last = position;
+  });
+
+  // Paints or erases one cell of the stroke in the preview
+  const paintCell = (drag, { row, col }) => {
+    const rowState = drag.preview[row];
+    const hit = findNoteAt(rowState, col);
+
+    if (drag.isActive && !hit) {
+      rowState[col] = createNote();
+      drag.cells.push({ row, col });
+    } else if (!drag.isActive && hit) {
+      rowState[hit.start] = null;
+      drag.cells.push({ row, col: hit.start });
+    } else {
+      return;
+    }
+    restyleRow(row, rowState);
+  };
+
+  const finishPaint = (event) => {
+    const drag = dragState.active;
+    if (!drag || drag.type !== "paint") return;
+
+    dragState.active = null;
+    if (!drag.moved) return;
+
+    dragState.justFinished = event.type === "pointerup";
+    const rows = new Set(drag.cells.map((cell) => cell.row));
+
+    try {
+      if (event.type === "pointerup" && drag.cells.length > 0) {
+        gridInner.dispatchEvent(
+          new CustomEvent("cellsPaint", {
+            detail: { cells: drag.cells, isActive: drag.isActive },
+            bubbles: true,
+          })
+        );
+      }
+    } catch (error) {
+      console.error("Failed to finish painting:", error);
+      showNotification("Failed to update cells", "error");
+    }
+
+    // Listeners update the shared grid state synchronously
+    rows.forEach((row) => restyleRow(row));
+
+    setTimeout(() => {
+      dragState.justFinished = false;
+    }, 0);
+  };
+
+  gridInner.addEventListener("pointerup", finishPaint);
+  gridInner.addEventListener("pointercancel", finishPaint);
+}
+
+/**
+ * Enables moving around the grid with the keyboard. Only the cursor cell
+ * is in the tab order, so Tab enters and leaves the grid in one step.
+ * - Arrow keys move the cursor, skipping hidden rows.
+ * - Home and End jump to the first and last column; with Ctrl, to the
+ *   first and last cell of the grid.
+ * - Page Up and Page Down jump GRID_LIMITS.PAGE_ROWS rows.
+ * - Shift with any of these extends the selection to the new cell.
+ * - Enter and Space add or remove the note under the cursor, and the change
+ *   is announced. Shift+Space is left for play/stop.
+ * Clicking or tabbing to a cell moves the cursor there too.
+ *
+ * @param {HTMLElement} gridInner - Container holding all cell buttons
+ * @param {HTMLButtonElement[][]} rowCells - Cell buttons indexed [row][col]
+ * @param {Object} state - Shared grid state and rendering details
+ * @param {Array<Array<Object|null>>} state.gridState - Shared grid state
+ * @param {string[]} state.labels - Display names of the rows
+ * @param {boolean[]} state.hiddenRows - Rows that are not shown
+ * @param {{current: {row: number, col: number}}} state.cursorState - Cursor cell
+ * @param {{current: Object|null}} state.selectionState - Selection shared with mouse selecting
+ */
+function setupKeyboardNavigation(gridInner, rowCells, state) {
+  const { gridState, labels, hiddenRows, cursorState, selectionState } = state;
+  const visibleRows = hiddenRows
+    .map((hidden, row) => (hidden ? -1 : row))
+    .filter((row) => row !== -1);
+  const lastCol = rowCells[0].length - 1;
+
+  const moveCursor = (position) => {
+    const previous = cursorState.current;
+    const cell = rowCells[position.row][position.col];
+    rowCells[previous.row][previous.col].tabIndex = -1;
+    rowCells[previous.row][previous.col].classList.remove(
+      CSS_CLASSES.CELL_CURSOR
+    );
+    cell.tabIndex = 0;
+    cell.classList.add(CSS_CLASSES.CELL_CURSOR);
+    cursorState.current = position;
+
+    gridInner.dispatchEvent(
+      new CustomEvent("cursorMove", { detail: position, bubbles: true })
+    );
+    return cell;
+  };
+
+  // Clicking or tabbing into a cell puts the cursor on it
+  gridInner.addEventListener("focusin", (event) => {
+    const position = getCellPosition(rowCells, event.target);
+    const { row, col } = cursorState.current;
+    if (position && (position.row !== row || position.col !== col)) {
+      moveCursor(position);
+    }
+  });
+
+  gridInner.addEventListener("keydown", (event) => {
+    const position = getCellPosition(rowCells, event.target);
+    if (!position || event.altKey || event.metaKey) return;
+
+    const { row, col } = position;
+    const rowIndex = visibleRows.indexOf(row);
+    let target;
+    switch (event.key) {
+      case "ArrowLeft":
+        target = { row, col: Math.max(col - 1, 0) };
+        break;
+      case "ArrowRight":
+        target = { row, col: Math.min(col + 1, lastCol) };
+        break;
+      case "ArrowUp":
+        target = { row: visibleRows[Math.max(rowIndex - 1, 0)], col };
+        break;
+      case "ArrowDown":
+        target = {
+          row: visibleRows[Math.min(rowIndex + 1, visibleRows.length - 1)],
+          col,
+        };
+        break;
+      case "Home":
+        target = { row: event.ctrlKey ? visibleRows[0] : row, col: 0 };
+        break;
+      case "End":
+        target = {
+          row: event.ctrlKey ? visibleRows[visibleRows.length - 1] : row,
+          col: lastCol,
+        };
+        break;
+      case "PageUp":
+      case "PageDown": {
+        const step =
+          event.key === "PageUp"
+            ? -GRID_LIMITS.PAGE_ROWS
+            : GRID_LIMITS.PAGE_ROWS;
+        target = {
+          row: findNearestVisibleRow(
+            hiddenRows,
+            clamp(row + step, 0, hiddenRows.length - 1)
+          ),
+          col,
+        };
+        break;
+      }
+      case "Enter":
+      case " ":
+        if (event.shiftKey || event.ctrlKey) return;
+        event.preventDefault();
+        toggleCell(position);
+        return;
+      default:
+        return;
+    }
+
+    // Other Ctrl combinations are shortcuts, such as Ctrl+Z
+    if (event.ctrlKey && event.key !== "Home" && event.key !== "End") return;
+
+    event.preventDefault();
+    const anchor = selectionState.current
+      ? selectionState.current.anchor
+      : position;
+    moveCursor(target).focus();
+
+    if (event.shiftKey) {
+      selectionState.current = createSelection(anchor, target);
+      applySelectionClasses(rowCells, selectionState.current);
+      gridInner.dispatchEvent(
+        new CustomEvent("selectionChange", {
+          detail: { selection: selectionState.current },
+          bubbles: true,
+        })
+      );
+    }
+  });
+
+  // Buttons click when Space is released; the keydown already toggled
+  gridInner.addEventListener("keyup", (event) => {
+    if (event.key === " " && getCellPosition(rowCells, event.target)) {
+      event.preventDefault();
+    }
+  });
+
+  // Clicks the cell like a pointer would, then says what changed
+  const toggleCell = ({ row, col }) => {
+    rowCells[row][col].click();
+    const hit = findNoteAt(gridState[row], col);
+    announce(`${hit ? "Added" : "Removed"} ${labels[row]} beat ${col + 1}`);
+  };
+}
+
+/**
+ * Finds the visible row closest to a row, preferring the row itself.
+ * @param {boolean[]} hiddenRows - Rows that are not shown
+ * @param {number} row - Row index to start from
+ * @returns {number} Index of the nearest visible row
+ */
+function findNearestVisibleRow(hiddenRows, row) {
+  for (let distance = 0; distance < hiddenRows.length; distance++) {
+    if (hiddenRows[row - distance] === false) return row - distance;
+    if (hiddenRows[row + distance] === false) return row + distance;
+  }
+  return row;
+}
+
+/**
+ * Marks the cells inside a selection.
+ * @param {HTMLButtonElement[][]} rowCells - Cell buttons indexed [row][col]
+ * @param {Object|null} selection - Selection, or null to unmark every cell
+ */
+function applySelectionClasses(rowCells, selection) {
+  rowCells.forEach((cells, row) =>
+    cells.forEach((cell, col) =>
+      cell.classList.toggle(
+        CSS_CLASSES.CELL_SELECTED,
+        isCellSelected(selection, row, col)
+      )
+    )
+  );
+}
+
+/**
+ * Enables changing a note's velocity with the mouse wheel.
+ * Only captures the wheel over notes so the page still scrolls elsewhere.
+ *
+ * @param {HTMLElement} gridInner - Container holding all cell buttons
+ * @param {HTMLButtonElement[][]} rowCells - Cell buttons indexed [row][col]
+ * @param {Array<Array<Object|null>>} gridState - Shared grid state
+ * @param {Function} restyleRow - Restyles a row as (row, [rowState])
+ */
+function setupVelocityWheel(gridInner, rowCells, gridState, restyleRow) {
+  gridInner.addEventListener(
+    "wheel",
+    (event) => {
+      const position = getCellPosition(rowCells, event.target);
+      if (!position || event.deltaY === 0) return;
+
+      const hit = findNoteAt(gridState[position.row], position.col);
+      if (!hit) return;
+
+      event.preventDefault();
+
+      try {
+        const step =
+          event.deltaY < 0
+            ? VELOCITY_CONFIG.WHEEL_STEP
+            : -VELOCITY_CONFIG.WHEEL_STEP;
+        const velocity = clampEditedVelocity(hit.note.velocity + step);
+        if (velocity === hit.note.velocity) return;
+
+        gridInner.dispatchEvent(
+          new CustomEvent("noteVelocityChange", {
+            detail: { row: position.row, col: hit.start, velocity },
+            bubbles: true,
+          })
+        );
+
+        restyleRow(position.row);
+      } catch (error) {
+        console.error("Failed to change velocity:", error);
+        showNotification("Failed to update note velocity", "error");
+      }
+    },
+    { passive: false }
+  );
+}
+
+/**
+ * Finds the row and column of the cell containing an event target.
+ * @param {HTMLButtonElement[][]} rowCells - Cell buttons indexed [row][col]
+ * @param {EventTarget} target - Event target (a cell or an element inside one)
+ * @returns {{row: number, col: number}|null} Cell position, or null if the target is not in a cell
+ */
+function getCellPosition(rowCells, target) {
+  const cell = target.closest?.(`.${CSS_CLASSES.CELL}`);
+  if (!cell) return null;
+
+  for (let row = 0; row < rowCells.length; row++) {
+    const col = rowCells[row].indexOf(cell);
+    if (col !== -1) return { row, col };
+  }
+  return null;
+}
+
+/**
+ * Finds the cell under the pointer. While the pointer is captured, events
+ * target the grid itself, so the cell is looked up from the coordinates.
+ * @param {HTMLButtonElement[][]} rowCells - Cell buttons indexed [row][col]
+ * @param {PointerEvent} event - Pointer event
+ * @returns {{row: number, col: number}|null} Cell position, or null if the pointer is not over a cell
+ */
+function getCellFromPointer(rowCells, event) {
+  const target =
+    document.elementFromPoint?.(event.clientX, event.clientY) ?? event.target;
+  return target ? getCellPosition(rowCells, target) : null;
+}
+
+/**
+ * Rounds and clamps a velocity to the range reachable by editing.
+ * @param {number} velocity - Raw velocity value
+ * @returns {number} Integer velocity between VELOCITY_CONFIG.MIN and VELOCITY_CONFIG.MAX
+ */
+function clampEditedVelocity(velocity) {
+  return Math.min(
+    Math.max(Math.round(velocity), VELOCITY_CONFIG.MIN),
+    VELOCITY_CONFIG.MAX
+  );
+}
+
+/**
+ * Finds the column under a horizontal pointer position within a row.
+ * Uses the rendered cell boxes so it follows responsive cell sizes.
+ *
+ * @param {HTMLElement[]} cells - Cell buttons of one row, in column order
+ * @param {number} clientX - Pointer X coordinate in viewport pixels
+ * @returns {number} Column index, clamped to the row
+ */
+function getColumnFromPointer(cells, clientX) {
+  for (let col = 0; col < cells.length; col++) {
+    if (clientX < cells[col].getBoundingClientRect().right) {
+      return col;
+    }
+  }
+  return cells.length - 1;
+}
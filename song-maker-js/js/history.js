@@ -0,0 +1,116 @@
+/**
+ * Undo/redo history for the Song Maker.
+ * Edits are recorded as commands that know how to undo and redo themselves.
+ * The history lives outside the DOM, so it survives grid re-renders.
+ *
+ * This module provides:
+ * - Recording commands, with a size limit
+ * - Merging rapid repeats of the same edit into one step
+ * - Undo and redo
+ * - Labels of the next undo and redo steps for the UI
+ *
+ * Command shape:
+ * {
+ *   label: string,      // Description shown to the user ("Clear", "Add note", ...)
+ *   undo: Function,     // Restores the state before the edit
+ *   redo: Function,     // Applies the edit again
+ *   mergeKey: string,   // Optional: commands with the same key recorded in quick
+ *                       // succession merge into one step (e.g. velocity scrolling)
+ * }
+ */
+
+import { HISTORY_CONFIG } from "./constants.js";
+
+/** Commands that can be undone, oldest first */
+const undoStack = [];
+
+/** Commands that were undone and can be redone, most recently undone last */
+const redoStack = [];
+
+/** Time the last command was recorded, for merging */
+let lastRecordedAt = 0;
+
+/**
+ * Records an edit that has already been applied.
+ * Recording clears the redo steps. The oldest steps are forgotten once the
+ * history reaches HISTORY_CONFIG.MAX_ENTRIES.
+ *
+ * @param {Object} command - Command describing the edit
+ * @example
+ * recordCommand({ label: 'Clear', undo: () => restore(before), redo: () => restore(after) });
+ */
+export function recordCommand(command) {
+  const now = Date.now();
+  const last = undoStack[undoStack.length - 1];
+  const merges =
+    last &&
+    command.mergeKey &&
+    last.mergeKey === command.mergeKey &&
+    redoStack.length === 0 &&
+    now - lastRecordedAt < HISTORY_CONFIG.MERGE_WINDOW;
+
+  lastRecordedAt = now;
+  redoStack.length = 0;
+
+  if (merges) {
+    // Keep the oldest undo so one step undoes the whole burst
+    last.redo = command.redo;
+    return;
+  }
+
+  undoStack.push(command);
+  if (undoStack.length > HISTORY_CONFIG.MAX_ENTRIES) {
+    undoStack.shift();
+  }
+}
+
+/**
+ * Undoes the most recent edit.
+ * A command that fails to undo is dropped from the history.
+ * @returns {Object|null} The undone command, or null if there was nothing to undo
+ * @throws {Error} If the command could not be undone
+ */
+export function undo() {
+  const command = undoStack.pop();
+  if (!command) return null;
+
+  command.undo();
+  redoStack.push(command);
+  return command;
+}
+
+/**
+ * Redoes the most recently undone edit.
+ * A command that fails to redo is dropped from the history.
+ * @returns {Object|null} The redone command, or null if there was nothing to redo
+ * @throws {Error} If the command could not be redone
+ */
+export function redo() {
+  const command = redoStack.pop();
+  if (!command) return null;
+
+  command.redo();
+  undoStack.push(command);
+  return command;
+}
+
+/**
+ * Returns the labels of the edits that undo and redo would affect.
+ * @returns {{undo: string|null, redo: string|null}} Labels, or null when there is nothing to undo or redo
+ */
+export function getHistoryLabels() {
+  const lastUndo = undoStack[undoStack.length - 1];
+  const lastRedo = redoStack[redoStack.length - 1];
+  return {
+    undo: lastUndo ? lastUndo.label : null,
+    redo: lastRedo ? lastRedo.label : null,
+  };
+}
+
+/**
+ * Forgets every recorded edit, for example when another song is opened.
+ */
+export function clearHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+}
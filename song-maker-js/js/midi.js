@@ -0,0 +1,534 @@
+/**
+ * Standard MIDI File support for the Song Maker.
+ * Converts track grids into MIDI notes and writes them as a .mid file that
+ * DAWs and notation software can open, and reads .mid files back into grids.
+ *
+ * This module provides:
+ * - Conversion of track grids to timed MIDI notes
+ * - Type 0 (single track) and Type 1 (one track per instrument) file writing
+ * - Standard MIDI File parsing
+ * - Quantizing MIDI notes to grid columns and placing them in a grid
+ *
+ * Timing: each grid column is one NOTE_SUBDIVISION step of a quarter note, so
+ * with MIDI_CONFIG.TICKS_PER_QUARTER = 480 and 16th-note columns a column lasts
+ * 120 ticks. Note numbers come from noteToMidiNumber, the same mapping that
+ * noteToFrequency uses, and drum rows use their General MIDI percussion keys.
+ * Exported notes follow the song's groove (see groove.js), rounded to ticks.
+ */
+
+import { DRUM_KIT } from "./config.js";
+import { AUDIO_CONFIG, MIDI_CONFIG, TRACK_TYPES } from "./constants.js";
+import { createEmptyGrid, isNoteCell, normalizeGridState } from "./cells.js";
+import { createGroove, getNoteTiming } from "./groove.js";
+import { noteToMidiNumber } from "./utilities.js";
+
+/**
+ * Collects a track's notes across a sequence of patterns as MIDI notes.
+ * Patterns follow each other in order, each lasting `cols` columns, and the
+ * groove restarts with every pattern as it does during playback.
+ *
+ * @param {Object} track - Track to convert (see tracks.js)
+ * @param {string[]} patternIds - Patterns to play, in order
+ * @param {number} cols - Number of columns in every pattern
+ * @param {Object} [groove] - Swing and micro-timing to apply; straight if omitted
+ * @returns {Array<{key: number, startTick: number, durationTicks: number, velocity: number}>} Notes in time order
+ * @example
+ * const notes = getTrackMidiNotes(track, ['pattern-a', 'pattern-a'], 16);
+ */
+export function getTrackMidiNotes(
+  track,
+  patternIds,
+  cols,
+  groove = createGroove()
+) {
+  const ticksPerColumn = getTicksPerColumn();
+  const isDrums = track.type === TRACK_TYPES.DRUM;
+  const keys = getRowMidiKeys(track);
+  const notes = [];
+
+  patternIds.forEach((patternId, slot) => {
+    const gridState = track.grids[patternId];
+    if (!gridState) return;
+
+    for (let col = 0; col < cols; col++) {
+      gridState.forEach((rowState, row) => {
+        const cell = rowState[col];
+        if (!isNoteCell(cell)) return;
+
+        // Drum hits are one-shot, so they always last a single column
+        const timing = getNoteTiming(groove, col, isDrums ? 1 : cell.length);
+        notes.push({
+          key: keys[row],
+          startTick: Math.max(
+            0,
+            Math.round((slot * cols + col + timing.offset) * ticksPerColumn)
+          ),
+          durationTicks: Math.round(timing.length * ticksPerColumn),
+          velocity: cell.velocity,
+        });
+      });
+    }
+  });
+
+  return notes;
+}
+
+/**
+ * Returns the MIDI note number played by each of a track's rows.
+ * @param {Object} track - Track to read
+ * @returns {number[]} MIDI note number per row
+ */
+export function getRowMidiKeys(track) {
+  return track.notes.map((note) =>
+    track.type === TRACK_TYPES.DRUM
+      ? DRUM_KIT.find((drum) => drum.id === note).midiNote
+      : noteToMidiNumber(note)
+  );
+}
+
+/**
+ * Writes a Standard MIDI File.
+ * Type 1 files hold a tempo track followed by one track per instrument;
+ * Type 0 files merge everything into a single track, keeping each
+ * instrument on its own channel.
+ *
+ * @param {Object} song - Song to write
+ * @param {number} song.tempo - Tempo in beats per minute
+ * @param {Array<{name: string, channel: number, notes: Object[]}>} song.tracks - Instruments with notes from getTrackMidiNotes
+ * @param {number} [format=1] - MIDI file type (0 or 1)
+ * @returns {Uint8Array} File contents
+ * @throws {Error} If the format is not 0 or 1
+ * @example
+ * const bytes = writeMidiFile({ tempo: 120, tracks: [{ name: 'Lead', channel: 0, notes }] });
+ */
+export function writeMidiFile(song, format = 1) {
+  if (format !== 0 && format !== 1) {
+    throw new Error(`Unsupported MIDI file type: ${format}`);
+  }
+
+  const tempoEvents = [
+    metaEvent(0, 0x51, uint(Math.round(60000000 / song.tempo), 3)),
+    // Time signature: 4/4, 24 MIDI clocks per metronome click, 8 32nds per quarter
+    metaEvent(0, 0x58, [4, 2, 24, 8]),
+  ];
+
+  const trackChunks =
+    format === 0
+      ? [
+          trackChunk([
+            ...tempoEvents,
+            ...song.tracks.flatMap((track) =>
+              noteEvents(track.notes, track.channel)
+            ),
+          ]),
+        ]
+      : [
+          trackChunk(tempoEvents),
+          ...song.tracks.map((track) =>
+            trackChunk([
+              metaEvent(0, 0x03, textBytes(track.name)),
+              ...noteEvents(track.notes, track.channel),
+            ])
+          ),
+        ];
+
+  const header = [
+    ...textBytes("MThd"),
+    ...uint(6, 4),
+    ...uint(format, 2),
+    ...uint(trackChunks.length, 2),
+    ...uint(MIDI_CONFIG.TICKS_PER_QUARTER, 2),
+  ];
+
+  return Uint8Array.from([header, ...trackChunks].flat());
+}
+
+/**
+ * Parses a Standard MIDI File.
+ * Each MTrk chunk becomes one track; a chunk that uses several channels,
+ * as Type 0 files do, is split into one track per channel.
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{format: number, ticksPerQuarter: number, tempo: number|null, tracks: Array<{name: string, channel: number, notes: Object[]}>}} Parsed file; tempo is the first tempo in BPM
+ * @throws {Error} If the data is not a Standard MIDI File or uses SMPTE timing
+ * @example
+ * const midi = readMidiFile(new Uint8Array(await file.arrayBuffer()));
+ */
+export function readMidiFile(bytes) {
+  const reader = createReader(bytes);
+
+  if (reader.text(4) !== "MThd") {
+    throw new Error("Not a Standard MIDI File");
+  }
+  const headerEnd = reader.uint(4) + reader.position;
+  const format = reader.uint(2);
+  const trackCount = reader.uint(2);
+  const division = reader.uint(2);
+  reader.position = headerEnd;
+
+  if (division & 0x8000) {
+    throw new Error("MIDI files with SMPTE timing are not supported");
+  }
+
+  const song = { format, ticksPerQuarter: division, tempo: null, tracks: [] };
+
+  for (let chunk = 0; chunk < trackCount && !reader.atEnd(); chunk++) {
+    const id = reader.text(4);
+    const length = reader.uint(4);
+    const end = reader.position + length;
+
+    if (id === "MTrk") {
+      song.tracks.push(...readTrackChunk(reader, end, song));
+    }
+    reader.position = end;
+  }
+
+  return song;
+}
+
+/**
+ * Converts MIDI notes to grid positions by rounding them to the nearest
+ * column. Every note lasts at least one column.
+ * @param {Object[]} notes - Notes from readMidiFile
+ * @param {number} ticksPerQuarter - Time resolution of the file
+ * @returns {Array<{key: number, column: number, length: number, velocity: number}>} Quantized notes
+ */
+export function quantizeMidiNotes(notes, ticksPerQuarter) {
+  const ticksPerColumn = ticksPerQuarter / AUDIO_CONFIG.NOTE_SUBDIVISION;
+
+  return notes.map((note) => ({
+    key: note.key,
+    column: Math.round(note.startTick / ticksPerColumn),
+    length: Math.max(1, Math.round(note.durationTicks / ticksPerColumn)),
+    velocity: note.velocity,
+  }));
+}
+
+/**
+ * Places quantized notes into a new grid state.
+ * Notes whose key has no row or that start past the last column are
+ * dropped; notes quantized onto a note already placed are merged into it,
+ * which keeps the longer length; notes running past the last column, or
+ * into the next note on their row, are shortened.
+ *
+ * @param {Object[]} notes - Notes from quantizeMidiNotes
+ * @param {number[]} rowKeys - MIDI note number of each row
+ * @param {number} cols - Number of columns in the grid
+ * @returns {{gridState: Array<Array<Object|null>>, placed: number, outOfRange: number, pastEnd: number, merged: number, shortened: number}} Grid state and counts for reporting
+ */
+export function placeMidiNotes(notes, rowKeys, cols) {
+  const gridState = createEmptyGrid(rowKeys.length, cols);
+  const result = {
+    placed: 0,
+    outOfRange: 0,
+    pastEnd: 0,
+    merged: 0,
+    shortened: 0,
+  };
+
+  notes.forEach((note) => {
+    const row = rowKeys.indexOf(note.key);
+    if (row === -1) {
+      result.outOfRange++;
+      return;
+    }
+    if (note.column >= cols) {
+      result.pastEnd++;
+      return;
+    }
+    const existing = gridState[row][note.column];
+    if (existing) {
+      existing.length = Math.max(existing.length, note.length);
+      result.merged++;
+      return;
+    }
+
+    gridState[row][note.column] = {
+      length: note.length,
+      velocity: note.velocity,
+    };
+    result.placed++;
+  });
+
+  // Normalizing cuts notes at the grid's end and at the next note on their row
+  const normalized = normalizeGridState(gridState);
+  normalized.forEach((cells, row) =>
+    cells.forEach((cell, col) => {
+      if (cell && cell.length < gridState[row][col].length) {
+        result.shortened++;
+      }
+    })
+  );
+
+  return { ...result, gridState: normalized };
+}
+
+/**
+ * Picks a MIDI channel for each track.
+ * Drum tracks use the General MIDI percussion channel; melodic tracks take
+ * the other channels in order.
+ * @param {Object[]} tracks - Tracks in the song
+ * @returns {number[]} Channel (0-15) for each track
+ */
+export function assignMidiChannels(tracks) {
+  let nextChannel = 0;
+  return tracks.map((track) => {
+    if (track.type === TRACK_TYPES.DRUM) return MIDI_CONFIG.DRUM_CHANNEL;
+    if (nextChannel === MIDI_CONFIG.DRUM_CHANNEL) nextChannel++;
+    return nextChannel++ % 16;
+  });
+}
+
+/**
+ * Returns the length of one grid column in MIDI ticks.
+ * @returns {number} Ticks per column
+ */
+export function getTicksPerColumn() {
+  return MIDI_CONFIG.TICKS_PER_QUARTER / AUDIO_CONFIG.NOTE_SUBDIVISION;
+}
+
+/**
+ * Builds note on/off events for a list of notes.
+ * @param {Object[]} notes - Notes from getTrackMidiNotes
+ * @param {number} channel - MIDI channel (0-15)
+ * @returns {Object[]} Timed events
+ */
+function noteEvents(notes, channel) {
+  return notes.flatMap((note) => {
+    // Velocity 0 would be read as a note off, so the softest note is 1
+    const velocity = Math.max(1, Math.min(127, note.velocity));
+    return [
+      {
+        tick: note.startTick,
+        order: 1,
+        bytes: [0x90 | channel, note.key, velocity],
+      },
+      {
+        tick: note.startTick + note.durationTicks,
+        order: 0,
+        bytes: [0x80 | channel, note.key, 0],
+      },
+    ];
+  });
+}
+
+/**
+ * Creates a meta event.
+ * @param {number} tick - Event time in ticks
+ * @param {number} type - Meta event type
+ * @param {number[]} data - Event data
+ * @returns {Object} Timed event
+ */
+function metaEvent(tick, type, data) {
+  return {
+    tick,
+    order: 0,
+    bytes: [0xff, type, ...variableLength(data.length), ...data],
+  };
+}
+
+/**
+ * Encodes timed events as an MTrk chunk with delta times.
+ * Events are sorted by time, with note offs before note ons at the same
+ * tick so repeated notes on one key retrigger cleanly.
+ * @param {Object[]} events - Timed events
+ * @returns {number[]} Chunk bytes
+ */
+function trackChunk(events) {
+  const sorted = [...events].sort(
+    (a, b) => a.tick - b.tick || a.order - b.order
+  );
+  const data = [];
+  let lastTick = 0;
+
+  sorted.forEach((event) => {
+    data.push(...variableLength(event.tick - lastTick), ...event.bytes);
+    lastTick = event.tick;
+  });
+
+  // End of track
+  data.push(0, 0xff, 0x2f, 0);
+
+  return [...textBytes("MTrk"), ...uint(data.length, 4), ...data];
+}
+
+/**
+ * Reads the events of one MTrk chunk and pairs note ons with note offs.
+ * Records the first tempo found on the song.
+ * @param {Object} reader - Byte reader positioned at the chunk data
+ * @param {number} end - Position where the chunk ends
+ * @param {Object} song - Song being read, for its tempo
+ * @returns {Array<{name: string, channel: number, notes: Object[]}>} One track per channel used
+ */
+function readTrackChunk(reader, end, song) {
+  const notesByChannel = new Map();
+  const openNotes = new Map();
+  let name = "";
+  let tick = 0;
+  let runningStatus = 0;
+
+  const endNote = (channel, key, endTick) => {
+    const started = openNotes.get(`${channel}:${key}`);
+    if (!started || started.length === 0) return;
+
+    const start = started.shift();
+    if (!notesByChannel.has(channel)) notesByChannel.set(channel, []);
+    notesByChannel.get(channel).push({
+      key,
+      startTick: start.tick,
+      durationTicks: endTick - start.tick,
+      velocity: start.velocity,
+    });
+  };
+
+  while (reader.position < end) {
+    tick += reader.variableLength();
+
+    let status = reader.peek();
+    if (status & 0x80) {
+      reader.position++;
+    } else {
+      status = runningStatus;
+    }
+
+    if (status === 0xff) {
+      const type = reader.byte();
+      const data = reader.bytes(reader.variableLength());
+      if (type === 0x03 && !name) name = String.fromCharCode(...data);
+      if (type === 0x51 && song.tempo === null) {
+        song.tempo = 60000000 / ((data[0] << 16) | (data[1] << 8) | data[2]);
+      }
+      if (type === 0x2f) break;
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      reader.position += reader.variableLength();
+      runningStatus = 0;
+      continue;
+    }
+
+    if (!(status & 0x80)) {
+      throw new Error("Invalid MIDI event data");
+    }
+
+    runningStatus = status;
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+    const data1 = reader.byte();
+    // Program change and channel pressure carry a single data byte
+    const data2 = type === 0xc0 || type === 0xd0 ? 0 : reader.byte();
+
+    if (type === 0x90 && data2 > 0) {
+      const id = `${channel}:${data1}`;
+      if (!openNotes.has(id)) openNotes.set(id, []);
+      openNotes.get(id).push({ tick, velocity: data2 });
+    } else if (type === 0x80 || type === 0x90) {
+      endNote(channel, data1, tick);
+    }
+  }
+
+  // Notes never switched off end with the track
+  openNotes.forEach((started, id) => {
+    const [channel, key] = id.split(":").map(Number);
+    while (started.length > 0) endNote(channel, key, tick);
+  });
+
+  const channels = [...notesByChannel.keys()].sort((a, b) => a - b);
+  return channels.map((channel) => ({
+    name:
+      channels.length > 1 || !name
+        ? `${name || "Track"} (channel ${channel + 1})`
+        : name,
+    channel,
+    notes: notesByChannel
+      .get(channel)
+      .sort((a, b) => a.startTick - b.startTick),
+  }));
+}
+
+/**
+ * Creates a sequential big-endian reader over file bytes.
+ * @param {Uint8Array} bytes - Data to read
+ * @returns {Object} Reader with a movable `position`
+ * @throws {Error} From its read methods when reading past the end of the data
+ */
+function createReader(bytes) {
+  const reader = {
+    position: 0,
+    atEnd: () => reader.position >= bytes.length,
+    peek: () => {
+      if (reader.atEnd()) throw new Error("Unexpected end of MIDI file");
+      return bytes[reader.position];
+    },
+    byte: () => {
+      const value = reader.peek();
+      reader.position++;
+      return value;
+    },
+    bytes: (count) => {
+      if (reader.position + count > bytes.length) {
+        throw new Error("Unexpected end of MIDI file");
+      }
+      const slice = Array.from(
+        bytes.subarray(reader.position, reader.position + count)
+      );
+      reader.position += count;
+      return slice;
+    },
+    uint: (byteCount) =>
+      reader.bytes(byteCount).reduce((value, byte) => value * 256 + byte, 0),
+    text: (length) => String.fromCharCode(...reader.bytes(length)),
+    variableLength: () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = reader.byte();
+        value = value * 128 + (byte & 0x7f);
+      } while (byte & 0x80);
+      return value;
+    },
+  };
+  return reader;
+}
+
+/**
+ * Encodes a number as a MIDI variable-length quantity.
+ * @param {number} value - Non-negative integer
+ * @returns {number[]} Encoded bytes
+ */
+function variableLength(value) {
+  const bytes = [value & 0x7f];
+  let remaining = value >> 7;
+  while (remaining > 0) {
+    bytes.unshift((remaining & 0x7f) | 0x80);
+    remaining >>= 7;
+  }
+  return bytes;
+}
+
+/**
+ * Encodes an unsigned integer as big-endian bytes.
+ * @param {number} value - Value to encode
+ * @param {number} byteCount - Number of bytes
+ * @returns {number[]} Encoded bytes
+ */
+function uint(value, byteCount) {
+  const bytes = [];
+  for (let i = byteCount - 1; i >= 0; i--) {
+    bytes.push((value >> (8 * i)) & 0xff);
+  }
+  return bytes;
+}
+
+/**
+ * Encodes text as ASCII bytes, replacing other characters with '?'.
+ * @param {string} text - Text to encode
+ * @returns {number[]} Encoded bytes
+ */
+function textBytes(text) {
+  return [...text].map((char) => {
+    const code = char.charCodeAt(0);
+    return code < 128 ? code : 63;
+  });
+}
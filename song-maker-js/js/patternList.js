@@ -0,0 +1,237 @@
+/**
+ * Pattern switcher and song arrangement rendering module.
+ * Builds the list of patterns shown above the grid and the arrangement
+ * timeline that song mode plays through.
+ *
+ * This module provides:
+ * - Pattern list rendering with the edited pattern highlighted
+ * - Pattern rename and remove actions
+ * - Arrangement timeline rendering with the loop section marked
+ * - Loop point selectors
+ * - Highlighting of the arrangement slot being played
+ */
+
+import { CSS_CLASSES } from "./constants.js";
+import {
+  createElement,
+  showNotification,
+  isNonEmptyString,
+} from "./utilities.js";
+
+/**
+ * Renders the pattern switcher into a container, replacing its contents.
+ *
+ * @param {HTMLElement} container - Element to render the pattern list into
+ * @param {Object[]} patterns - Patterns in the song (see arrangement.js)
+ * @param {number} selectedIndex - Index of the pattern shown in the grid
+ * @param {Object} callbacks - Handlers for pattern actions, each receiving the pattern index
+ * @param {Function} callbacks.onSelect - Called as (index) when a pattern is chosen
+ * @param {Function} callbacks.onRename - Called as (index, name) after a rename
+ * @param {Function} callbacks.onRemove - Called as (index) when remove is clicked
+ * @throws {Error} If the container is invalid
+ * @example
+ * renderPatternList(listEl, appState.patterns, 0, { onSelect: selectPattern, ... });
+ */
+export function renderPatternList(
+  container,
+  patterns,
+  selectedIndex,
+  callbacks
+) {
+  try {
+    if (!container || typeof container.appendChild !== "function") {
+      throw new Error("Container must be a valid DOM element");
+    }
+
+    container.innerHTML = "";
+
+    patterns.forEach((pattern, index) => {
+      const isSelected = index === selectedIndex;
+      const item = createElement("div", CSS_CLASSES.PATTERN_ITEM);
+      item.setAttribute("role", "listitem");
+      item.classList.toggle(CSS_CLASSES.PATTERN_ITEM_SELECTED, isSelected);
+
+      // Pattern name selects the pattern; double-click renames it
+      const nameButton = createElement("button", CSS_CLASSES.PATTERN_NAME);
+      nameButton.textContent = pattern.name;
+      nameButton.title = "Click to edit this pattern, double-click to rename";
+      nameButton.setAttribute("aria-pressed", isSelected.toString());
+      nameButton.addEventListener("click", () =>
+        runPatternAction(() => callbacks.onSelect(index))
+      );
+      nameButton.addEventListener("dblclick", () =>
+        runPatternAction(() => {
+          const name = window.prompt("Pattern name", pattern.name);
+          if (isNonEmptyString(name)) {
+            callbacks.onRename(index, name.trim());
+          }
+        })
+      );
+
+      const removeButton = createElement("button", CSS_CLASSES.PATTERN_REMOVE);
+      removeButton.textContent = "×";
+      removeButton.setAttribute("aria-label", `Remove pattern ${pattern.name}`);
+      removeButton.title = `Remove pattern ${pattern.name}`;
+      removeButton.addEventListener("click", () =>
+        runPatternAction(() => callbacks.onRemove(index))
+      );
+
+      item.append(nameButton, removeButton);
+      container.appendChild(item);
+    });
+  } catch (error) {
+    console.error("Failed to render pattern list:", error);
+    showNotification("Failed to render patterns", "error");
+    throw error;
+  }
+}
+
+/**
+ * Renders the arrangement timeline and its loop selectors into a container,
+ * replacing its contents. Slots inside the loop section are marked.
+ *
+ * @param {HTMLElement} container - Element to render the arrangement into
+ * @param {Object} arrangement - Arrangement to show (see arrangement.js)
+ * @param {Object[]} patterns - Patterns in the song, used for slot names
+ * @param {Object} callbacks - Handlers for arrangement actions
+ * @param {Function} callbacks.onSelectSlot - Called as (slot) when a slot is clicked
+ * @param {Function} callbacks.onRemoveSlot - Called as (slot) when a slot's remove button is clicked
+ * @param {Function} callbacks.onLoopChange - Called as (loopStart, loopEnd) when a loop selector changes
+ * @throws {Error} If the container is invalid
+ */
+export function renderArrangement(container, arrangement, patterns, callbacks) {
+  try {
+    if (!container || typeof container.appendChild !== "function") {
+      throw new Error("Container must be a valid DOM element");
+    }
+
+    container.innerHTML = "";
+
+    const slotList = createElement("div", CSS_CLASSES.ARRANGEMENT_SLOTS);
+    slotList.setAttribute("role", "list");
+    slotList.setAttribute("aria-label", "Song arrangement");
+
+    const slotNames = arrangement.slots.map((patternId) => {
+      const pattern = patterns.find((entry) => entry.id === patternId);
+      return pattern ? pattern.name : "?";
+    });
+
+    if (slotNames.length === 0) {
+      const empty = createElement("span", CSS_CLASSES.ARRANGEMENT_EMPTY);
+      empty.textContent = "Add patterns to build a song";
+      slotList.appendChild(empty);
+    }
+
+    slotNames.forEach((name, slot) => {
+      const item = createElement("div", CSS_CLASSES.ARRANGEMENT_SLOT);
+      item.setAttribute("role", "listitem");
+      item.dataset.slot = slot.toString();
+      item.classList.toggle(
+        CSS_CLASSES.ARRANGEMENT_SLOT_LOOPED,
+        slot >= arrangement.loopStart && slot <= arrangement.loopEnd
+      );
+
+      const nameButton = createElement("button", CSS_CLASSES.PATTERN_NAME);
+      nameButton.textContent = name;
+      nameButton.title = `Slot ${slot + 1}: click to edit pattern ${name}`;
+      nameButton.addEventListener("click", () =>
+        runPatternAction(() => callbacks.onSelectSlot(slot))
+      );
+
+      const removeButton = createElement("button", CSS_CLASSES.PATTERN_REMOVE);
+      removeButton.textContent = "×";
+      removeButton.setAttribute("aria-label", `Remove slot ${slot + 1}`);
+      removeButton.title = `Remove slot ${slot + 1} from the song`;
+      removeButton.addEventListener("click", () =>
+        runPatternAction(() => callbacks.onRemoveSlot(slot))
+      );
+
+      item.append(nameButton, removeButton);
+      slotList.appendChild(item);
+    });
+
+    container.appendChild(slotList);
+
+    if (slotNames.length > 0) {
+      container.appendChild(
+        createLoopControls(arrangement, slotNames, callbacks.onLoopChange)
+      );
+    }
+  } catch (error) {
+    console.error("Failed to render arrangement:", error);
+    showNotification("Failed to render song arrangement", "error");
+    throw error;
+  }
+}
+
+/**
+ * Marks the arrangement slot that is currently playing.
+ * @param {HTMLElement} container - Element the arrangement was rendered into
+ * @param {number|null} slot - Slot being played, or null to clear the marker
+ */
+export function highlightArrangementSlot(container, slot) {
+  container
+    .querySelectorAll(`.${CSS_CLASSES.ARRANGEMENT_SLOT}`)
+    .forEach((item) => {
+      item.classList.toggle(
+        CSS_CLASSES.ARRANGEMENT_SLOT_PLAYING,
+        item.dataset.slot === String(slot)
+      );
+    });
+}
+
+/**
+ * Creates the "Loop from ... to ..." selectors for the arrangement.
+ * @param {Object} arrangement - Arrangement being edited
+ * @param {string[]} slotNames - Pattern name of each slot
+ * @param {Function} onLoopChange - Called as (loopStart, loopEnd)
+ * @returns {HTMLElement} Loop controls element
+ */
+function createLoopControls(arrangement, slotNames, onLoopChange) {
+  const controls = createElement("div", CSS_CLASSES.LOOP_CONTROLS);
+  const startSelect = createSlotSelect(slotNames, arrangement.loopStart);
+  const endSelect = createSlotSelect(slotNames, arrangement.loopEnd);
+  startSelect.setAttribute("aria-label", "Loop start slot");
+  endSelect.setAttribute("aria-label", "Loop end slot");
+
+  const handleChange = () =>
+    runPatternAction(() =>
+      onLoopChange(parseInt(startSelect.value), parseInt(endSelect.value))
+    );
+  startSelect.addEventListener("change", handleChange);
+  endSelect.addEventListener("change", handleChange);
+
+  controls.append("Loop", startSelect, "to", endSelect);
+  return controls;
+}
+
+/**
+ * Creates a select listing every arrangement slot.
+ * @param {string[]} slotNames - Pattern name of each slot
+ * @param {number} selectedSlot - Slot selected initially
+ * @returns {HTMLSelectElement} Slot selector
+ */
+function createSlotSelect(slotNames, selectedSlot) {
+  const select = createElement("select", CSS_CLASSES.CONTROL_SELECT);
+  slotNames.forEach((name, slot) => {
+    const option = createElement("option");
+    option.value = slot.toString();
+    option.textContent = `${slot + 1} (${name})`;
+    select.appendChild(option);
+  });
+  select.value = selectedSlot.toString();
+  return select;
+}
+
+/**
+ * Runs a pattern or arrangement action, reporting failures to the user.
+ * @param {Function} action - Action to run
+ */
+function runPatternAction(action) {
+  try {
+    action();
+  } catch (error) {
+    console.error("Pattern action failed:", error);
+    showNotification("Failed to update patterns", "error");
+  }
+}
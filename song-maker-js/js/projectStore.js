@@ -0,0 +1,265 @@
+/**
+ * Persistent project library for the Song Maker.
+ * Keeps named songs in IndexedDB so they survive closing the tab, and falls
+ * back to localStorage when IndexedDB is unavailable (for example in some
+ * private browsing modes).
+ *
+ * This module provides:
+ * - Opening the library on the best available storage
+ * - Listing, loading, saving and deleting projects
+ * - Project creation and validation
+ *
+ * Project shape:
+ * {
+ *   id: string,         // Stable identifier
+ *   name: string,       // Display name
+ *   createdAt: number,  // Creation time (ms since epoch)
+ *   updatedAt: number,  // Last save time (ms since epoch)
+ *   song: Object,       // Song document (see songFile.js)
+ * }
+ */
+
+import { PROJECT_CONFIG, STORAGE_BACKENDS } from "./constants.js";
+import { isNonEmptyString } from "./utilities.js";
+
+/** Open IndexedDB database, or null when using the localStorage fallback */
+let database = null;
+
+/** Storage the library uses once opened (see STORAGE_BACKENDS) */
+let backend = null;
+
+/** Counter that keeps generated project IDs unique within a session */
+let projectIdCounter = 0;
+
+/**
+ * Opens the project library, preferring IndexedDB and falling back to
+ * localStorage. Safe to call more than once.
+ *
+ * @returns {Promise<string>} Storage in use (see STORAGE_BACKENDS)
+ * @throws {Error} If neither IndexedDB nor localStorage is available
+ * @example
+ * await openProjectStore();
+ * const projects = await listProjects();
+ */
+export async function openProjectStore() {
+  if (backend) return backend;
+
+  try {
+    database = await openDatabase();
+    backend = STORAGE_BACKENDS.INDEXED_DB;
+  } catch (error) {
+    console.warn("IndexedDB unavailable, using localStorage:", error);
+    if (!isLocalStorageAvailable()) {
+      throw new Error("No persistent storage is available");
+    }
+    backend = STORAGE_BACKENDS.LOCAL_STORAGE;
+  }
+  return backend;
+}
+
+/**
+ * Creates a new project holding a song.
+ * The project is not stored until it is passed to saveProject.
+ * @param {string} name - Display name
+ * @param {Object} song - Song document (see songFile.js)
+ * @returns {Object} New project
+ */
+export function createProject(name, song) {
+  projectIdCounter++;
+  const now = Date.now();
+  return {
+    id: `project-${now.toString(36)}-${projectIdCounter}`,
+    name,
+    createdAt: now,
+    updatedAt: now,
+    song,
+  };
+}
+
+/**
+ * Validates a stored project.
+ * The song document itself is validated when it is loaded into the editor.
+ * @param {any} value - Value to validate
+ * @returns {boolean} True if value is a usable project
+ */
+export function isValidProject(value) {
+  return (
+    Boolean(value) &&
+    typeof value === "object" &&
+    isNonEmptyString(value.id) &&
+    isNonEmptyString(value.name) &&
+    Number.isFinite(value.updatedAt) &&
+    Boolean(value.song) &&
+    typeof value.song === "object"
+  );
+}
+
+/**
+ * Lists the stored projects, most recently saved first.
+ * Only names and dates are returned; load a project to get its song.
+ * @returns {Promise<Array<{id: string, name: string, createdAt: number, updatedAt: number}>>} Project summaries
+ */
+export async function listProjects() {
+  const projects = await readAllProjects();
+  return projects
+    .filter(isValidProject)
+    .map(({ id, name, createdAt, updatedAt }) => ({
+      id,
+      name,
+      createdAt,
+      updatedAt,
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Loads one project.
+ * @param {string} id - Project ID
+ * @returns {Promise<Object|null>} The project, or null if it does not exist or is unreadable
+ */
+export async function loadProject(id) {
+  const project =
+    backend === STORAGE_BACKENDS.INDEXED_DB
+      ? await runRequest("readonly", (store) => store.get(id))
+      : readFallbackProjects()[id];
+  return isValidProject(project) ? project : null;
+}
+
+/**
+ * Stores a project, replacing any project with the same ID.
+ * @param {Object} project - Project to store
+ * @returns {Promise<Object>} The stored project
+ * @throws {Error} If the library is not open or storage is full
+ */
+export async function saveProject(project) {
+  if (backend === STORAGE_BACKENDS.INDEXED_DB) {
+    await runRequest("readwrite", (store) => store.put(project));
+  } else {
+    const projects = readFallbackProjects();
+    projects[project.id] = project;
+    writeFallbackProjects(projects);
+  }
+  return project;
+}
+
+/**
+ * Deletes a project. Deleting a project that does not exist does nothing.
+ * @param {string} id - Project ID
+ * @returns {Promise<void>}
+ */
+export async function deleteProject(id) {
+  if (backend === STORAGE_BACKENDS.INDEXED_DB) {
+    await runRequest("readwrite", (store) => store.delete(id));
+  } else {
+    const projects = readFallbackProjects();
+    delete projects[id];
+    writeFallbackProjects(projects);
+  }
+}
+
+/**
+ * Opens (and on first use creates) the IndexedDB database.
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB is not supported"));
+      return;
+    }
+
+    const request = window.indexedDB.open(
+      PROJECT_CONFIG.DB_NAME,
+      PROJECT_CONFIG.DB_VERSION
+    );
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(PROJECT_CONFIG.STORE_NAME, {
+        keyPath: "id",
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("IndexedDB upgrade blocked"));
+  });
+}
+
+/**
+ * Runs one request against the projects object store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<any>} The request's result, once the transaction completes
+ */
+function runRequest(mode, makeRequest) {
+  if (!backend) {
+    return Promise.reject(new Error("Project library is not open"));
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(PROJECT_CONFIG.STORE_NAME, mode);
+    const request = makeRequest(
+      transaction.objectStore(PROJECT_CONFIG.STORE_NAME)
+    );
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Reads every stored project, valid or not.
+ * @returns {Promise<Object[]>} Stored projects
+ */
+async function readAllProjects() {
+  if (backend === STORAGE_BACKENDS.INDEXED_DB) {
+    return runRequest("readonly", (store) => store.getAll());
+  }
+  return Object.values(readFallbackProjects());
+}
+
+/**
+ * Checks whether localStorage can be written to.
+ * @returns {boolean} True if localStorage works
+ */
+function isLocalStorageAvailable() {
+  try {
+    const probe = `${PROJECT_CONFIG.FALLBACK_KEY}_probe`;
+    window.localStorage.setItem(probe, probe);
+    window.localStorage.removeItem(probe);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Reads the projects kept in localStorage.
+ * @returns {Object} Projects keyed by ID
+ * @throws {Error} If the library is not open
+ */
+function readFallbackProjects() {
+  if (!backend) {
+    throw new Error("Project library is not open");
+  }
+
+  try {
+    const stored = JSON.parse(
+      window.localStorage.getItem(PROJECT_CONFIG.FALLBACK_KEY)
+    );
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (error) {
+    console.warn("Stored projects are unreadable:", error);
+    return {};
+  }
+}
+
+/**
+ * Writes the projects kept in localStorage.
+ * @param {Object} projects - Projects keyed by ID
+ * @throws {Error} If storage is full
+ */
+function writeFallbackProjects(projects) {
+  window.localStorage.setItem(
+    PROJECT_CONFIG.FALLBACK_KEY,
+    JSON.stringify(projects)
+  );
+}
@@ -0,0 +1,139 @@
+/**
+ * Keys and scales for the Song Maker.
+ * A scale marks which rows of melodic tracks are in key, so the grid can
+ * grey out or hide the other rows and label rows with their scale degree.
+ * Tracks keep every chromatic row, so changing the scale never loses notes.
+ *
+ * This module provides:
+ * - Scale creation and validation
+ * - In-scale checks and scale degrees for notes
+ * - Transposition of notes between keys
+ *
+ * Scale shape:
+ * {
+ *   root: string,      // Pitch class of the key (see PITCH_CLASSES)
+ *   type: string,      // Scale ID (see SCALES)
+ *   custom: number[],  // Semitones above the root used when type is custom
+ *   display: string,   // How rows outside the scale are shown (see SCALE_DISPLAY)
+ * }
+ */
+
+import { ALL_NOTES, PITCH_CLASSES, SCALES } from "./config.js";
+import { SCALE_CONFIG, SCALE_DISPLAY } from "./constants.js";
+import {
+  isValidArray,
+  midiNumberToNote,
+  noteToMidiNumber,
+} from "./utilities.js";
+
+/**
+ * Creates a scale, filling in defaults for missing settings.
+ * @param {Object} [settings] - Scale settings (see the scale shape)
+ * @returns {Object} New scale
+ * @example
+ * const scale = createScale({ root: 'A', type: 'minor' });
+ */
+export function createScale({
+  root = SCALE_CONFIG.DEFAULT_ROOT,
+  type = SCALE_CONFIG.DEFAULT_TYPE,
+  custom = SCALE_CONFIG.DEFAULT_CUSTOM,
+  display = SCALE_DISPLAY.DIM,
+} = {}) {
+  return { root, type, custom: [...custom], display };
+}
+
+/**
+ * Validates a saved scale.
+ * @param {any} value - Value to validate
+ * @returns {boolean} True if value is a usable scale
+ */
+export function isValidScale(value) {
+  return (
+    Boolean(value) &&
+    typeof value === "object" &&
+    PITCH_CLASSES.includes(value.root) &&
+    SCALES.some((scale) => scale.id === value.type) &&
+    isValidArray(
+      value.custom,
+      (interval) => Number.isInteger(interval) && interval >= 0 && interval < 12
+    ) &&
+    Object.values(SCALE_DISPLAY).includes(value.display)
+  );
+}
+
+/**
+ * Returns the semitones above the root that belong to a scale.
+ * The root itself always belongs, including in custom scales.
+ * @param {Object} scale - Scale
+ * @returns {number[]} Intervals in ascending order
+ */
+export function getScaleIntervals(scale) {
+  if (scale.type === SCALE_CONFIG.CUSTOM_TYPE) {
+    return [...new Set([0, ...scale.custom])].sort((a, b) => a - b);
+  }
+  return SCALES.find((entry) => entry.id === scale.type).intervals;
+}
+
+/**
+ * Checks whether a scale holds all twelve notes, so no row is out of key.
+ * @param {Object} scale - Scale
+ * @returns {boolean} True for chromatic scales
+ */
+export function isChromaticScale(scale) {
+  return getScaleIntervals(scale).length === PITCH_CLASSES.length;
+}
+
+/**
+ * Returns a note's position in a scale, counting the root as 1.
+ * @param {string} note - Note name (e.g. 'E4')
+ * @param {Object} scale - Scale
+ * @returns {number|null} Scale degree, or null if the note is not in the scale
+ * @example
+ * getScaleDegree('E4', createScale({ root: 'C', type: 'major' })); // 3
+ */
+export function getScaleDegree(note, scale) {
+  const interval =
+    (noteToMidiNumber(note) - PITCH_CLASSES.indexOf(scale.root) + 12) %
+    PITCH_CLASSES.length;
+  const degree = getScaleIntervals(scale).indexOf(interval);
+  return degree === -1 ? null : degree + 1;
+}
+
+/**
+ * Checks whether a note belongs to a scale.
+ * @param {string} note - Note name
+ * @param {Object} scale - Scale
+ * @returns {boolean} True if the note is in the scale
+ */
+export function isNoteInScale(note, scale) {
+  return getScaleDegree(note, scale) !== null;
+}
+
+/**
+ * Works out the smallest shift between two keys, up to a tritone either way,
+ * so transposing keeps notes close to where they were.
+ * @param {string} fromRoot - Pitch class of the current key
+ * @param {string} toRoot - Pitch class of the new key
+ * @returns {number} Semitones to shift by (-5 to 6)
+ * @example
+ * getTransposition('C', 'A'); // -3
+ */
+export function getTransposition(fromRoot, toRoot) {
+  const up =
+    (PITCH_CLASSES.indexOf(toRoot) - PITCH_CLASSES.indexOf(fromRoot) + 12) %
+    PITCH_CLASSES.length;
+  return up > 6 ? up - PITCH_CLASSES.length : up;
+}
+
+/**
+ * Shifts a note by a number of semitones.
+ * @param {string} note - Note name
+ * @param {number} semitones - Shift, positive for up
+ * @returns {string|null} Shifted note, or null if it is outside ALL_NOTES
+ * @example
+ * transposeNote('C4', 2); // 'D4'
+ */
+export function transposeNote(note, semitones) {
+  const shifted = midiNumberToNote(noteToMidiNumber(note) + semitones);
+  return ALL_NOTES.includes(shifted) ? shifted : null;
+}
@@ -0,0 +1,163 @@
+/**
+ * Lookahead playback scheduler for the Song Maker.
+ * Queues steps slightly ahead of time on the AudioContext clock and drives
+ * visual updates from a separate animation-frame clock synced to audio time.
+ *
+ * This module provides:
+ * - Sample-accurate step scheduling independent of main thread jitter
+ * - Per-step duration lookup so tempo changes apply at the next step
+ * - A visual queue that fires callbacks when scheduled steps become audible
+ *
+ * Based on the "tale of two clocks" pattern: a coarse setTimeout timer wakes up
+ * every few milliseconds and schedules every step that falls inside the
+ * lookahead window, while requestAnimationFrame reports which step is audible.
+ */
+
+import { MESSAGES, SCHEDULER_CONFIG } from "./constants.js";
+import { showNotification } from "./utilities.js";
+
+/** Active scheduler options, or null when stopped */
+let activeOptions = null;
+/** Timer ID for the scheduling loop */
+let timerId = null;
+/** Animation frame ID for the visual loop */
+let animationFrameId = null;
+/** Index of the next step to schedule (increases monotonically) */
+let nextStep = 0;
+/** AudioContext time at which the next step should sound */
+let nextStepTime = 0;
+/** Steps that have been scheduled but not yet reported to the visual callback */
+let visualQueue = [];
+/** Whether a failed step has been reported since the scheduler started */
+let failureReported = false;
+
+/**
+ * Starts the lookahead scheduler.
+ * Stops any previously running scheduler before starting a new one.
+ *
+ * @param {Object} options - Scheduler configuration
+ * @param {AudioContext} options.audioContext - Context whose clock drives scheduling
+ * @param {Function} options.getStepDuration - Returns the duration in seconds of a given step
+ * @param {Function} options.onScheduleStep - Called as (step, time, duration) for each step
+ *   entering the lookahead window; its return value is passed to onVisualStep
+ * @param {Function} [options.onVisualStep] - Called with the scheduled step's payload
+ *   once the audio clock reaches the step
+ * @throws {Error} If required options are missing
+ * @example
+ * startScheduler({
+ *   audioContext,
+ *   getStepDuration: () => 0.125,
+ *   onScheduleStep: (step, time) => playStep(step, time),
+ *   onVisualStep: (column) => highlight(column),
+ * });
+ */
+export function startScheduler(options) {
+  const { audioContext, getStepDuration, onScheduleStep } = options || {};
+
+  if (!audioContext) {
+    throw new Error("Scheduler requires an audio context");
+  }
+
+  if (
+    typeof getStepDuration !== "function" ||
+    typeof onScheduleStep !== "function"
+  ) {
+    throw new Error(
+      "Scheduler requires getStepDuration and onScheduleStep callbacks"
+    );
+  }
+
+  stopScheduler();
+
+  activeOptions = options;
+  nextStep = 0;
+  nextStepTime = audioContext.currentTime + SCHEDULER_CONFIG.START_DELAY;
+  visualQueue = [];
+  failureReported = false;
+
+  scheduleAhead();
+  animationFrameId = requestAnimationFrame(drawVisuals);
+}
+
+/**
+ * Stops the scheduler and discards any pending visual updates.
+ * Notes already handed to the audio graph will still finish sounding.
+ */
+export function stopScheduler() {
+  clearTimeout(timerId);
+  if (animationFrameId !== null) {
+    cancelAnimationFrame(animationFrameId);
+  }
+
+  timerId = null;
+  animationFrameId = null;
+  activeOptions = null;
+  visualQueue = [];
+}
+
+/**
+ * Reports whether the scheduler is currently running.
+ * @returns {boolean} True if the scheduler is active
+ */
+export function isSchedulerRunning() {
+  return activeOptions !== null;
+}
+
+/**
+ * Schedules every step that falls within the lookahead window,
+ * then re-arms the timer for the next wake-up.
+ * A step that fails is skipped rather than retried, so playback keeps time
+ * and the notes it did schedule are not played twice. The first failure is
+ * reported to the user.
+ */
+function scheduleAhead() {
+  if (!activeOptions) return;
+
+  const { audioContext, getStepDuration, onScheduleStep } = activeOptions;
+  const horizon = audioContext.currentTime + SCHEDULER_CONFIG.SCHEDULE_AHEAD;
+
+  while (nextStepTime < horizon) {
+    const duration = getStepDuration(nextStep);
+    try {
+      const payload = onScheduleStep(nextStep, nextStepTime, duration);
+      visualQueue.push({ time: nextStepTime, payload });
+    } catch (error) {
+      console.error("Scheduler step failed:", error);
+      if (!failureReported) {
+        failureReported = true;
+        showNotification(MESSAGES.PLAYBACK_STEP_ERROR, "error");
+      }
+    }
+
+    nextStepTime += duration;
+    nextStep++;
+  }
+
+  timerId = setTimeout(scheduleAhead, SCHEDULER_CONFIG.LOOKAHEAD_MS);
+}
+
+/**
+ * Animation frame loop that reports the most recent audible step.
+ * Skips intermediate steps if several became audible since the last frame.
+ */
+function drawVisuals() {
+  if (!activeOptions) return;
+
+  const { audioContext, onVisualStep } = activeOptions;
+  const now = audioContext.currentTime;
+  let latest = null;
+
+  while (visualQueue.length > 0 && visualQueue[0].time <= now) {
+    latest = visualQueue.shift();
+  }
+
+  if (latest && typeof onVisualStep === "function") {
+    try {
+      onVisualStep(latest.payload);
+    } catch (error) {
+      console.error("Scheduler visual update failed:", error);
+    }
+  }
+
+  animationFrameId = requestAnimationFrame(drawVisuals);
+}
@@ -0,0 +1,378 @@
+/**
+ * Rectangular selections on the grid, and the edits made to them.
+ * A selection covers a block of rows and columns; the notes that start
+ * inside it belong to it, including any held part that runs past its right
+ * edge. Every edit returns a new grid state and leaves the one passed in
+ * untouched, so the caller can record both for undo.
+ *
+ * This module provides:
+ * - Selection creation and fitting to a grid
+ * - Copying notes to a clip, deleting them and pasting a clip
+ * - Moving notes by rows and columns (time)
+ * - Transposing notes by pitch, onto the rows of their new notes
+ * - Reversing and inverting notes within the selection
+ * - Duplicating the selection after itself
+ *
+ * Selection shape:
+ * {
+ *   anchor: { row, col },  // Cell the selection started from
+ *   focus: { row, col },   // Opposite corner, moved by Shift-click and drag
+ * }
+ *
+ * Clip shape:
+ * {
+ *   rows: number,          // Height of the copied block
+ *   cols: number,          // Width of the copied block
+ *   origin: { row, col },  // Top left cell the block was copied from
+ *   notes: Array<{row, col, note}>, // Notes relative to the top left cell
+ * }
+ *
+ * Edit result shape:
+ * {
+ *   gridState: Array<Array<Object|null>>, // New grid state
+ *   selection: Object|null,               // Selection covering the result, or
+ *                                         // null if it left the grid
+ *   dropped: number,                      // Notes that fell off the grid
+ * }
+ */
+
+import { cloneGridState, isNoteCell, normalizeGridState } from "./cells.js";
+import { transposeNote } from "./scales.js";
+import { clamp, noteToMidiNumber } from "./utilities.js";
+
+/**
+ * Creates a selection between two cells.
+ * @param {{row: number, col: number}} anchor - Cell the selection starts from
+ * @param {{row: number, col: number}} [focus=anchor] - Opposite corner
+ * @returns {Object} New selection
+ * @example
+ * const selection = createSelection({ row: 2, col: 0 }, { row: 5, col: 3 });
+ */
+export function createSelection(anchor, focus = anchor) {
+  return {
+    anchor: { row: anchor.row, col: anchor.col },
+    focus: { row: focus.row, col: focus.col },
+  };
+}
+
+/**
+ * Creates a selection covering a whole grid.
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {Object} New selection
+ */
+export function selectAll(rows, cols) {
+  return createSelection({ row: 0, col: 0 }, { row: rows - 1, col: cols - 1 });
+}
+
+/**
+ * Returns the rows and columns a selection covers.
+ * @param {Object} selection - Selection
+ * @returns {{top: number, left: number, bottom: number, right: number}} Inclusive bounds
+ */
+export function getSelectionBounds(selection) {
+  const { anchor, focus } = selection;
+  return {
+    top: Math.min(anchor.row, focus.row),
+    left: Math.min(anchor.col, focus.col),
+    bottom: Math.max(anchor.row, focus.row),
+    right: Math.max(anchor.col, focus.col),
+  };
+}
+
+/**
+ * Checks whether a cell is inside a selection.
+ * @param {Object|null} selection - Selection, or null for none
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {boolean} True if the cell is selected
+ */
+export function isCellSelected(selection, row, col) {
+  if (!selection) return false;
+  const { top, left, bottom, right } = getSelectionBounds(selection);
+  return row >= top && row <= bottom && col >= left && col <= right;
+}
+
+/**
+ * Moves a selection's corners inside a grid, for example after the grid
+ * shrank or another track with fewer rows was selected.
+ * @param {Object|null} selection - Selection, or null for none
+ * @param {number} rows - Number of rows in the grid
+ * @param {number} cols - Number of columns in the grid
+ * @returns {Object|null} Fitted selection, or null if there was none
+ */
+export function fitSelection(selection, rows, cols) {
+  if (!selection) return null;
+  const fitCell = ({ row, col }) => ({
+    row: clamp(row, 0, rows - 1),
+    col: clamp(col, 0, cols - 1),
+  });
+  return createSelection(fitCell(selection.anchor), fitCell(selection.focus));
+}
+
+/**
+ * Cuts a selection down to the part inside a grid.
+ * @param {Object} selection - Selection, possibly reaching past the grid
+ * @param {number} rows - Number of rows in the grid
+ * @param {number} cols - Number of columns in the grid
+ * @returns {Object|null} Selection of the cells inside the grid, or null if it lies entirely outside
+ */
+export function clipSelection(selection, rows, cols) {
+  const { top, left, bottom, right } = getSelectionBounds(selection);
+  if (bottom < 0 || top >= rows || right < 0 || left >= cols) return null;
+  return fitSelection(selection, rows, cols);
+}
+
+/**
+ * Copies the notes in a selection.
+ * @param {Array<Array<Object|null>>} gridState - Grid state to copy from
+ * @param {Object} selection - Selection to copy
+ * @returns {Object} Clip holding the notes (see the clip shape)
+ */
+export function copyNotes(gridState, selection) {
+  const { top, left, bottom, right } = getSelectionBounds(selection);
+  return {
+    rows: bottom - top + 1,
+    cols: right - left + 1,
+    origin: { row: top, col: left },
+    notes: findNotes(gridState, selection).map(({ row, col, note }) => ({
+      row: row - top,
+      col: col - left,
+      note,
+    })),
+  };
+}
+
+/**
+ * Removes the notes in a selection.
+ * @param {Array<Array<Object|null>>} gridState - Grid state to edit
+ * @param {Object} selection - Selection to empty
+ * @returns {Array<Array<Object|null>>} New grid state
+ */
+export function deleteNotes(gridState, selection) {
+  return liftNotes(gridState, selection).remaining;
+}
+
+/**
+ * Pastes a clip with its top left corner at a cell. Notes already starting
+ * in the pasted block are replaced, and notes overlapping the pasted ones
+ * are shortened.
+ *
+ * @param {Array<Array<Object|null>>} gridState - Grid state to paste into
+ * @param {Object} clip - Clip from copyNotes
+ * @param {{row: number, col: number}} target - Cell for the clip's top left corner
+ * @returns {Object} Edit result, selecting the pasted block
+ * @example
+ * const { gridState: pasted } = pasteNotes(grid, clip, { row: 0, col: 8 });
+ */
+export function pasteNotes(gridState, clip, target) {
+  const block = createSelection(target, {
+    row: target.row + clip.rows - 1,
+    col: target.col + clip.cols - 1,
+  });
+  const placed = clip.notes.map(({ row, col, note }) => ({
+    row: target.row + row,
+    col: target.col + col,
+    note,
+  }));
+  return placeBlock(gridState, gridState, block, placed);
+}
+
+/**
+ * Moves the notes in a selection, together with the selection.
+ * Rows run from high to low notes, so a negative row offset raises the pitch.
+ *
+ * @param {Array<Array<Object|null>>} gridState - Grid state to edit
+ * @param {Object} selection - Selection to move
+ * @param {number} rowOffset - Rows to move by, positive for down
+ * @param {number} colOffset - Columns to move by, positive for later
+ * @returns {Object} Edit result; notes moved past the edge are counted as dropped
+ */
+export function moveNotes(gridState, selection, rowOffset, colOffset) {
+  const moveCell = ({ row, col }) => ({
+    row: row + rowOffset,
+    col: col + colOffset,
+  });
+  const { remaining, lifted } = liftNotes(gridState, selection);
+  return placeBlock(
+    gridState,
+    remaining,
+    createSelection(moveCell(selection.anchor), moveCell(selection.focus)),
+    lifted.map((entry) => ({ ...entry, ...moveCell(entry) }))
+  );
+}
+
+/**
+ * Transposes the notes in a selection by pitch, moving each note and the
+ * selection's corners to the rows of their new notes, so the result does
+ * not depend on which rows the grid holds.
+ *
+ * @param {Array<Array<Object|null>>} gridState - Grid state to edit
+ * @param {Object} selection - Selection to transpose
+ * @param {string[]} rowNotes - Note name of each row, high to low
+ * @param {number} semitones - Semitones to move by, positive for up
+ * @returns {Object} Edit result; notes whose new pitch has no row are counted as
+ *   dropped, and those of them whose pitch lies between rows, as on a grid
+ *   following a scale, are also counted as `betweenRows`
+ * @example
+ * const result = transposeNotes(gridState, selection, track.notes, 12);
+ */
+export function transposeNotes(gridState, selection, rowNotes, semitones) {
+  const keys = rowNotes.map(noteToMidiNumber);
+  const isBetweenRows = (note) => {
+    const key = noteToMidiNumber(note);
+    return key > Math.min(...keys) && key < Math.max(...keys);
+  };
+
+  // A pitch with no row goes past the edge it was moving towards
+  const offGrid = semitones > 0 ? -1 : rowNotes.length;
+  const moveCell = ({ row, col }) => {
+    const note = transposeNote(rowNotes[row], semitones);
+    const newRow = note ? rowNotes.indexOf(note) : -1;
+    return { row: newRow === -1 ? offGrid : newRow, col };
+  };
+  const { remaining, lifted } = liftNotes(gridState, selection);
+  const betweenRows = lifted.filter(({ row }) => {
+    const note = transposeNote(rowNotes[row], semitones);
+    return note !== null && !rowNotes.includes(note) && isBetweenRows(note);
+  }).length;
+  return {
+    ...placeBlock(
+      gridState,
+      remaining,
+      createSelection(moveCell(selection.anchor), moveCell(selection.focus)),
+      lifted.map((entry) => ({ ...entry, ...moveCell(entry) }))
+    ),
+    betweenRows,
+  };
+}
+
+/**
+ * Plays the notes in a selection backwards: each note ends where its
+ * mirror image in time starts, and keeps its length.
+ * @param {Array<Array<Object|null>>} gridState - Grid state to edit
+ * @param {Object} selection - Selection to reverse
+ * @returns {Object} Edit result
+ */
+export function reverseNotes(gridState, selection) {
+  const { left, right } = getSelectionBounds(selection);
+  const { remaining, lifted } = liftNotes(gridState, selection);
+  return {
+    selection,
+    ...placeNotes(
+      remaining,
+      lifted.map((entry) => ({
+        ...entry,
+        col: Math.max(left, left + right - (entry.col + entry.note.length - 1)),
+      }))
+    ),
+  };
+}
+
+/**
+ * Turns the notes in a selection upside down, so the highest selected row
+ * swaps with the lowest.
+ * @param {Array<Array<Object|null>>} gridState - Grid state to edit
+ * @param {Object} selection - Selection to invert
+ * @returns {Object} Edit result
+ */
+export function invertNotes(gridState, selection) {
+  const { top, bottom } = getSelectionBounds(selection);
+  const { remaining, lifted } = liftNotes(gridState, selection);
+  return {
+    selection,
+    ...placeNotes(
+      remaining,
+      lifted.map((entry) => ({ ...entry, row: top + bottom - entry.row }))
+    ),
+  };
+}
+
+/**
+ * Copies the notes in a selection to the block straight after it, and
+ * selects the copy so duplicating again continues the sequence.
+ * @param {Array<Array<Object|null>>} gridState - Grid state to edit
+ * @param {Object} selection - Selection to duplicate
+ * @returns {Object} Edit result; copies past the last column are counted as dropped
+ */
+export function duplicateNotes(gridState, selection) {
+  const { top, right } = getSelectionBounds(selection);
+  return pasteNotes(gridState, copyNotes(gridState, selection), {
+    row: top,
+    col: right + 1,
+  });
+}
+
+/**
+ * Lists the notes starting inside a selection.
+ * @param {Array<Array<Object|null>>} gridState - Grid state
+ * @param {Object} selection - Selection
+ * @returns {Array<{row: number, col: number, note: Object}>} Notes with their positions
+ */
+function findNotes(gridState, selection) {
+  const { top, left, bottom, right } = getSelectionBounds(selection);
+  const notes = [];
+  for (let row = top; row <= bottom; row++) {
+    for (let col = left; col <= right; col++) {
+      const cell = gridState[row] && gridState[row][col];
+      if (isNoteCell(cell)) notes.push({ row, col, note: { ...cell } });
+    }
+  }
+  return notes;
+}
+
+/**
+ * Takes the notes in a selection out of a copy of the grid.
+ * @param {Array<Array<Object|null>>} gridState - Grid state
+ * @param {Object} selection - Selection
+ * @returns {{remaining: Array<Array<Object|null>>, lifted: Array<{row: number, col: number, note: Object}>}} Grid without the notes, and the notes
+ */
+function liftNotes(gridState, selection) {
+  const remaining = cloneGridState(gridState);
+  const lifted = findNotes(gridState, selection);
+  lifted.forEach(({ row, col }) => {
+    remaining[row][col] = null;
+  });
+  return { remaining, lifted };
+}
+
+/**
+ * Places notes into a block of a grid. Notes already starting in the part of
+ * the block inside the grid are replaced.
+ * @param {Array<Array<Object|null>>} gridState - Grid state before the edit, for its size
+ * @param {Array<Array<Object|null>>} remaining - Copy of the grid with the moved notes taken out
+ * @param {Object} block - Selection the notes land in, possibly reaching past the grid
+ * @param {Array<{row: number, col: number, note: Object}>} notes - Notes to place
+ * @returns {Object} Edit result, selecting the part of the block inside the grid
+ */
+function placeBlock(gridState, remaining, block, notes) {
+  const selection = clipSelection(block, gridState.length, gridState[0].length);
+  const cleared = selection
+    ? liftNotes(remaining, selection).remaining
+    : remaining;
+  return { selection, ...placeNotes(cleared, notes) };
+}
+
+/**
+ * Puts notes into a grid, dropping those outside it. Overlapping notes are
+ * shortened so held notes never cover another note's start.
+ * @param {Array<Array<Object|null>>} gridState - Grid state to fill (modified)
+ * @param {Array<{row: number, col: number, note: Object}>} notes - Notes to place
+ * @returns {{gridState: Array<Array<Object|null>>, dropped: number}} New grid state and the count of dropped notes
+ */
+function placeNotes(gridState, notes) {
+  let dropped = 0;
+  notes.forEach(({ row, col, note }) => {
+    if (
+      row < 0 ||
+      row >= gridState.length ||
+      col < 0 ||
+      col >= gridState[row].length
+    ) {
+      dropped++;
+      return;
+    }
+    gridState[row][col] = { ...note };
+  });
+  return { gridState: normalizeGridState(gridState), dropped };
+}
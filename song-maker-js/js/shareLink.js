@@ -0,0 +1,663 @@
+/**
+ * Shareable song links for the Song Maker.
+ * Packs a whole song into a compact binary form and stores it, base64url
+ * encoded, in the URL fragment so a song can be sent as a link. The
+ * fragment never reaches the server.
+ *
+ * This module provides:
+ * - Encoding a song document into a link fragment
+ * - Decoding a link fragment back into a validated song document
+ * - Detection of song links
+ *
+ * Binary layout, all numbers are single unsigned bytes:
+ *   version, tempo (BPM), volume (percent), columns, song name
+ *   pattern count, then each pattern name
+ *   arrangement slot count, each slot's pattern index, loop start, loop end
+ *   track count, then per track:
+ *     type (0 melodic, 1 drum), waveform index, volume (percent),
+ *     flags (1 muted, 2 solo), name,
+ *     row count, each row's MIDI note number (melodic) or drum kit index (drum),
+ *     per pattern: note-start bits (rows x columns, row by row),
+ *       a bit per note set when it is not a one-column default-velocity note,
+ *       then length and velocity bytes for each of those notes
+ * Version 2 appends the key and scale:
+ *   root pitch class index, scale index, custom scale bits (one per
+ *   semitone above the root), display (0 grey out, 1 hide)
+ * Version 3 appends the groove:
+ *   swing (percent), template index (the count of templates for custom),
+ *   each step's micro-timing offset plus GROOVE_CONFIG.MAX_OFFSET
+ * Version 4 appends the synth voice:
+ *   envelope, then per oscillator: waveform index (0 for the track's
+ *   waveform), octave minus VOICE_CONFIG.MIN_OCTAVE, detune in cents plus
+ *   VOICE_CONFIG.MAX_DETUNE, mix level (percent),
+ *   then the filter: type index, cutoff in Hz (two bytes, high first),
+ *   resonance (tenths), envelope amount in tenths of an octave plus ten
+ *   times VOICE_CONFIG.MAX_FILTER_AMOUNT, envelope
+ *   Envelopes are attack, decay, release (hundredths of a second) and
+ *   sustain (percent), in that order.
+ * Version 5 appends the effects of the master output, then of each track:
+ *   bypass bits (one per effect, in EFFECT_ORDER),
+ *   EQ low, mid and high gains in half dB plus twice EFFECTS_CONFIG.MAX_EQ_GAIN,
+ *   distortion drive and mix (percent),
+ *   delay division index, feedback and mix (percent),
+ *   reverb size and decay (tenths), mix (percent),
+ *   compressor threshold (dB below zero), ratio and make-up gain (half units)
+ * Version 1 links have no scale and open with the default scale, links
+ * before version 3 play straight, links before version 4 use the default
+ * voice, and links before version 5 have no effects.
+ * Names are a length byte followed by UTF-8 bytes. Bit fields are packed
+ * most significant bit first and padded to a whole byte.
+ */
+
+import {
+  DELAY_DIVISIONS,
+  DRUM_KIT,
+  GROOVE_TEMPLATES,
+  PITCH_CLASSES,
+  SCALES,
+} from "./config.js";
+import {
+  EFFECTS_CONFIG,
+  FILTER_TYPES,
+  GROOVE_CONFIG,
+  SCALE_DISPLAY,
+  SHARE_LINK_CONFIG,
+  TRACK_TYPES,
+  VELOCITY_CONFIG,
+  VOICE_CONFIG,
+  WAVEFORMS,
+} from "./constants.js";
+import { createNote, createEmptyGrid } from "./cells.js";
+import {
+  createPattern,
+  createArrangement,
+  setLoopPoints,
+} from "./arrangement.js";
+import { createTrack } from "./tracks.js";
+import { createScale } from "./scales.js";
+import { createGroove } from "./groove.js";
+import { createVoice } from "./voices.js";
+import { EFFECT_ORDER, createEffects } from "./effects.js";
+import { createSongDocument, validateSongDocument } from "./songFile.js";
+import { midiNumberToNote, noteToMidiNumber } from "./utilities.js";
+
+/** Waveforms in the order their index is stored */
+const WAVEFORM_ORDER = Object.values(WAVEFORMS);
+
+/** Scale display modes in the order their index is stored */
+const SCALE_DISPLAY_ORDER = [SCALE_DISPLAY.DIM, SCALE_DISPLAY.HIDE];
+
+/** Voice oscillator waveforms in the order their index is stored */
+const OSCILLATOR_WAVEFORM_ORDER = [
+  VOICE_CONFIG.TRACK_WAVEFORM,
+  ...WAVEFORM_ORDER,
+];
+
+/** Filter types in the order their index is stored */
+const FILTER_TYPE_ORDER = Object.values(FILTER_TYPES);
+
+/** Groove template IDs in the order their index is stored */
+const GROOVE_TEMPLATE_ORDER = [
+  ...GROOVE_TEMPLATES.map((template) => template.id),
+  GROOVE_CONFIG.CUSTOM_TEMPLATE,
+];
+
+/** Track flag bits */
+const MUTED_FLAG = 1;
+const SOLO_FLAG = 2;
+
+/**
+ * Checks whether a URL fragment holds a shared song.
+ * @param {string} hash - URL fragment, including the leading '#'
+ * @returns {boolean} True for song links
+ */
+export function isSongLink(hash) {
+  return hash.startsWith(`#${SHARE_LINK_CONFIG.FRAGMENT_PREFIX}`);
+}
+
+/**
+ * Encodes a song as a URL fragment.
+ *
+ * @param {Object} song - Current-version song document (see songFile.js)
+ * @returns {string} Fragment including the leading '#'
+ * @throws {Error} If the song does not fit the link format
+ * @example
+ * const url = `${location.origin}${location.pathname}${encodeSongLink(song)}`;
+ */
+export function encodeSongLink(song) {
+  const writer = createWriter();
+  const patternIds = song.patterns.map((pattern) => pattern.id);
+
+  writer.byte(SHARE_LINK_CONFIG.VERSION);
+  writer.byte(Math.round(song.tempo));
+  writer.byte(Math.round(song.volume * 100));
+  writer.byte(song.cols);
+  writer.text(song.name || "");
+
+  writer.byte(song.patterns.length);
+  song.patterns.forEach((pattern) => writer.text(pattern.name));
+
+  writer.byte(song.arrangement.slots.length);
+  song.arrangement.slots.forEach((id) => writer.byte(patternIds.indexOf(id)));
+  writer.byte(song.arrangement.loopStart);
+  writer.byte(song.arrangement.loopEnd);
+
+  writer.byte(song.tracks.length);
+  song.tracks.forEach((track) => {
+    const isDrums = track.type === TRACK_TYPES.DRUM;
+    writer.byte(isDrums ? 1 : 0);
+    writer.byte(Math.max(0, WAVEFORM_ORDER.indexOf(track.waveform)));
+    writer.byte(Math.round(track.volume * 100));
+    writer.byte((track.muted ? MUTED_FLAG : 0) | (track.solo ? SOLO_FLAG : 0));
+    writer.text(track.name);
+
+    writer.byte(track.notes.length);
+    track.notes.forEach((note) =>
+      writer.byte(
+        isDrums
+          ? DRUM_KIT.findIndex((drum) => drum.id === note)
+          : noteToMidiNumber(note)
+      )
+    );
+
+    patternIds.forEach((id) => writeGrid(writer, track.grids[id]));
+  });
+
+  const scale = song.scale || createScale();
+  writer.byte(PITCH_CLASSES.indexOf(scale.root));
+  writer.byte(SCALES.findIndex((entry) => entry.id === scale.type));
+  writer.bits(
+    PITCH_CLASSES.map((_, interval) => scale.custom.includes(interval))
+  );
+  writer.byte(SCALE_DISPLAY_ORDER.indexOf(scale.display));
+
+  const groove = song.groove || createGroove();
+  writer.byte(groove.swing);
+  writer.byte(GROOVE_TEMPLATE_ORDER.indexOf(groove.template));
+  groove.offsets.forEach((offset) =>
+    writer.byte(offset + GROOVE_CONFIG.MAX_OFFSET)
+  );
+
+  writeVoice(writer, song.voice || createVoice());
+
+  writeEffects(writer, song.effects || createEffects());
+  song.tracks.forEach((track) =>
+    writeEffects(writer, track.effects || createEffects())
+  );
+
+  return `#${SHARE_LINK_CONFIG.FRAGMENT_PREFIX}${toBase64Url(writer.bytes())}`;
+}
+
+/**
+ * Decodes a URL fragment into a song.
+ *
+ * @param {string} hash - URL fragment, including the leading '#'
+ * @returns {Object} Valid song document at the current song file version
+ * @throws {Error} If the link is not a song link, is corrupted, or comes from a newer version
+ */
+export function decodeSongLink(hash) {
+  if (!isSongLink(hash)) {
+    throw new Error("Not a song link");
+  }
+
+  const bytes = fromBase64Url(
+    hash.slice(SHARE_LINK_CONFIG.FRAGMENT_PREFIX.length + 1)
+  );
+  const reader = createReader(bytes);
+
+  const version = reader.byte();
+  if (version < 1 || version > SHARE_LINK_CONFIG.VERSION) {
+    throw new Error(`Unsupported song link version: ${version}`);
+  }
+
+  const tempo = reader.byte();
+  const volume = reader.byte() / 100;
+  const cols = reader.byte();
+  const name = reader.text();
+
+  const patterns = [];
+  const patternCount = reader.byte();
+  for (let i = 0; i < patternCount; i++) {
+    patterns.push(createPattern(reader.text()));
+  }
+  const patternIds = patterns.map((pattern) => pattern.id);
+
+  const slots = [];
+  const slotCount = reader.byte();
+  for (let i = 0; i < slotCount; i++) {
+    const patternId = patternIds[reader.byte()];
+    if (!patternId) throw new Error("Arrangement refers to a missing pattern");
+    slots.push(patternId);
+  }
+  const arrangement = setLoopPoints(
+    createArrangement(slots),
+    reader.byte(),
+    reader.byte()
+  );
+
+  const tracks = [];
+  const trackCount = reader.byte();
+  for (let i = 0; i < trackCount; i++) {
+    tracks.push(readTrack(reader, cols, patternIds));
+  }
+
+  const scale = version >= 2 ? readScale(reader) : createScale();
+  const groove = version >= 3 ? readGroove(reader) : createGroove();
+  const voice = version >= 4 ? readVoice(reader) : createVoice();
+  const effects = version >= 5 ? readEffects(reader) : createEffects();
+  if (version >= 5) {
+    tracks.forEach((track) => {
+      track.effects = readEffects(reader);
+    });
+  }
+
+  if (!reader.atEnd()) {
+    throw new Error("Unexpected data after the song");
+  }
+
+  const song = createSongDocument(
+    {
+      tempo,
+      volume,
+      cols,
+      patterns,
+      arrangement,
+      tracks,
+      scale,
+      groove,
+      voice,
+      effects,
+    },
+    name
+  );
+  const problems = validateSongDocument(song);
+  if (problems.length > 0) {
+    throw new Error(`Song link is invalid: ${problems[0]}`);
+  }
+  return song;
+}
+
+/**
+ * Reads one track and its pattern grids.
+ * @param {Object} reader - Byte reader positioned at the track
+ * @param {number} cols - Columns in every grid
+ * @param {string[]} patternIds - IDs of the song's patterns, in stored order
+ * @returns {Object} Track (see tracks.js)
+ * @throws {Error} If the track data is invalid
+ */
+function readTrack(reader, cols, patternIds) {
+  const type = reader.byte() === 1 ? TRACK_TYPES.DRUM : TRACK_TYPES.MELODIC;
+  const waveform = WAVEFORM_ORDER[reader.byte()];
+  const volume = reader.byte() / 100;
+  const flags = reader.byte();
+  const name = reader.text();
+
+  const notes = [];
+  const rowCount = reader.byte();
+  for (let row = 0; row < rowCount; row++) {
+    const value = reader.byte();
+    const note =
+      type === TRACK_TYPES.DRUM
+        ? DRUM_KIT[value] && DRUM_KIT[value].id
+        : midiNumberToNote(value);
+    if (!note) throw new Error(`Invalid note in track "${name}"`);
+    notes.push(note);
+  }
+
+  const track = createTrack({
+    name,
+    type,
+    notes,
+    cols,
+    patternIds,
+    waveform,
+    volume,
+  });
+  track.muted = Boolean(flags & MUTED_FLAG);
+  track.solo = Boolean(flags & SOLO_FLAG);
+  patternIds.forEach((id) => {
+    track.grids[id] = readGrid(reader, rowCount, cols);
+  });
+  return track;
+}
+
+/**
+ * Reads the key and scale written after the tracks.
+ * @param {Object} reader - Byte reader positioned at the scale
+ * @returns {Object} Scale (see scales.js)
+ * @throws {Error} If the scale data is invalid
+ */
+function readScale(reader) {
+  const root = PITCH_CLASSES[reader.byte()];
+  const scaleType = SCALES[reader.byte()];
+  const custom = reader
+    .bits(PITCH_CLASSES.length)
+    .flatMap((inScale, interval) => (inScale ? [interval] : []));
+  const display = SCALE_DISPLAY_ORDER[reader.byte()];
+  if (!root || !scaleType || !display) {
+    throw new Error("Invalid scale");
+  }
+  return createScale({ root, type: scaleType.id, custom, display });
+}
+
+/**
+ * Reads the swing and micro-timing written after the scale.
+ * Out-of-range values are left for song validation to reject.
+ * @param {Object} reader - Byte reader positioned at the groove
+ * @returns {Object} Groove (see groove.js)
+ * @throws {Error} If the template is unknown
+ */
+function readGroove(reader) {
+  const swing = reader.byte();
+  const template = GROOVE_TEMPLATE_ORDER[reader.byte()];
+  const offsets = Array.from(
+    { length: GROOVE_CONFIG.STEPS },
+    () => reader.byte() - GROOVE_CONFIG.MAX_OFFSET
+  );
+  if (!template) {
+    throw new Error("Invalid groove");
+  }
+  return createGroove({ swing, template, offsets });
+}
+
+/**
+ * Writes the synth voice, rounding each setting to the precision stored.
+ * @param {Object} writer - Byte writer
+ * @param {Object} voice - Voice (see voices.js)
+ */
+function writeVoice(writer, voice) {
+  writeEnvelope(writer, voice);
+  voice.oscillators.forEach((oscillator) => {
+    writer.byte(OSCILLATOR_WAVEFORM_ORDER.indexOf(oscillator.waveform));
+    writer.byte(oscillator.octave - VOICE_CONFIG.MIN_OCTAVE);
+    writer.byte(Math.round(oscillator.detune) + VOICE_CONFIG.MAX_DETUNE);
+    writer.byte(Math.round(oscillator.level * 100));
+  });
+
+  const { filter } = voice;
+  const cutoff = Math.round(filter.cutoff);
+  writer.byte(FILTER_TYPE_ORDER.indexOf(filter.type));
+  writer.byte(cutoff >> 8);
+  writer.byte(cutoff & 0xff);
+  writer.byte(Math.round(filter.resonance * 10));
+  writer.byte(
+    Math.round((filter.amount + VOICE_CONFIG.MAX_FILTER_AMOUNT) * 10)
+  );
+  writeEnvelope(writer, filter);
+}
+
+/**
+ * Writes an envelope's attack, decay, release and sustain.
+ * @param {Object} writer - Byte writer
+ * @param {{attack: number, decay: number, sustain: number, release: number}} envelope - Envelope stages
+ */
+function writeEnvelope(writer, envelope) {
+  writer.byte(Math.round(envelope.attack * 100));
+  writer.byte(Math.round(envelope.decay * 100));
+  writer.byte(Math.round(envelope.release * 100));
+  writer.byte(Math.round(envelope.sustain * 100));
+}
+
+/**
+ * Reads the synth voice written after the groove.
+ * Out-of-range values are left for song validation to reject.
+ * @param {Object} reader - Byte reader positioned at the voice
+ * @returns {Object} Voice (see voices.js)
+ * @throws {Error} If a waveform or filter type is unknown
+ */
+function readVoice(reader) {
+  const envelope = readEnvelope(reader);
+  const oscillators = [];
+  for (let i = 0; i < VOICE_CONFIG.OSCILLATORS; i++) {
+    const waveform = OSCILLATOR_WAVEFORM_ORDER[reader.byte()];
+    if (!waveform) throw new Error("Invalid oscillator waveform");
+    oscillators.push({
+      waveform,
+      octave: reader.byte() + VOICE_CONFIG.MIN_OCTAVE,
+      detune: reader.byte() - VOICE_CONFIG.MAX_DETUNE,
+      level: reader.byte() / 100,
+    });
+  }
+
+  const type = FILTER_TYPE_ORDER[reader.byte()];
+  if (!type) throw new Error("Invalid filter type");
+  const filter = {
+    type,
+    cutoff: (reader.byte() << 8) | reader.byte(),
+    resonance: reader.byte() / 10,
+    amount: reader.byte() / 10 - VOICE_CONFIG.MAX_FILTER_AMOUNT,
+    ...readEnvelope(reader),
+  };
+  return createVoice({ ...envelope, oscillators, filter });
+}
+
+/**
+ * Reads an envelope written by writeEnvelope.
+ * @param {Object} reader - Byte reader positioned at the envelope
+ * @returns {{attack: number, decay: number, sustain: number, release: number}} Envelope stages
+ */
+function readEnvelope(reader) {
+  const attack = reader.byte() / 100;
+  const decay = reader.byte() / 100;
+  const release = reader.byte() / 100;
+  const sustain = reader.byte() / 100;
+  return { attack, decay, sustain, release };
+}
+
+/**
+ * Writes effects settings, rounding each setting to the precision stored.
+ * @param {Object} writer - Byte writer
+ * @param {Object} effects - Effects settings (see effects.js)
+ */
+function writeEffects(writer, effects) {
+  const { eq, distortion, delay, reverb, compressor } = effects;
+  const percent = (value) => writer.byte(Math.round(value * 100));
+  const halves = (value) => writer.byte(Math.round(value * 2));
+
+  writer.bits(EFFECT_ORDER.map((id) => effects[id].bypass));
+  [eq.low, eq.mid, eq.high].forEach((gain) =>
+    halves(gain + EFFECTS_CONFIG.MAX_EQ_GAIN)
+  );
+  percent(distortion.drive);
+  percent(distortion.mix);
+  writer.byte(
+    DELAY_DIVISIONS.findIndex((entry) => entry.id === delay.division)
+  );
+  percent(delay.feedback);
+  percent(delay.mix);
+  writer.byte(Math.round(reverb.size * 10));
+  writer.byte(Math.round(reverb.decay * 10));
+  percent(reverb.mix);
+  writer.byte(Math.round(-compressor.threshold));
+  halves(compressor.ratio);
+  halves(compressor.makeup);
+}
+
+/**
+ * Reads effects settings written by writeEffects.
+ * Out-of-range values are left for song validation to reject.
+ * @param {Object} reader - Byte reader positioned at the effects
+ * @returns {Object} Effects settings (see effects.js)
+ * @throws {Error} If the delay division is unknown
+ */
+function readEffects(reader) {
+  const bypass = reader.bits(EFFECT_ORDER.length);
+  const percent = () => reader.byte() / 100;
+  const halves = () => reader.byte() / 2;
+
+  const [low, mid, high] = [halves(), halves(), halves()].map(
+    (gain) => gain - EFFECTS_CONFIG.MAX_EQ_GAIN
+  );
+  const distortion = { drive: percent(), mix: percent() };
+  const division = DELAY_DIVISIONS[reader.byte()];
+  if (!division) throw new Error("Invalid delay division");
+  const delay = { division: division.id, feedback: percent(), mix: percent() };
+  const reverb = {
+    size: reader.byte() / 10,
+    decay: reader.byte() / 10,
+    mix: percent(),
+  };
+  const compressor = {
+    threshold: -reader.byte(),
+    ratio: halves(),
+    makeup: halves(),
+  };
+
+  const settings = {
+    eq: { low, mid, high },
+    distortion,
+    delay,
+    reverb,
+    compressor,
+  };
+  EFFECT_ORDER.forEach((id, index) => {
+    settings[id].bypass = bypass[index];
+  });
+  return createEffects(settings);
+}
+
+/**
+ * Writes a grid's note starts, then the details of notes that are not
+ * one-column default-velocity notes.
+ * @param {Object} writer - Byte writer
+ * @param {Array<Array<Object|null>>} gridState - Grid to write
+ */
+function writeGrid(writer, gridState) {
+  const notes = gridState.flat();
+  const custom = notes
+    .filter(Boolean)
+    .map(
+      (cell) => cell.length !== 1 || cell.velocity !== VELOCITY_CONFIG.DEFAULT
+    );
+
+  writer.bits(notes.map(Boolean));
+  writer.bits(custom);
+  notes.filter(Boolean).forEach((cell, index) => {
+    if (!custom[index]) return;
+    writer.byte(cell.length);
+    writer.byte(cell.velocity);
+  });
+}
+
+/**
+ * Reads a grid written by writeGrid.
+ * @param {Object} reader - Byte reader positioned at the grid
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {Array<Array<Object|null>>} Grid state
+ */
+function readGrid(reader, rows, cols) {
+  const gridState = createEmptyGrid(rows, cols);
+  const starts = reader.bits(rows * cols);
+  const noteCount = starts.filter(Boolean).length;
+  const custom = reader.bits(noteCount);
+
+  let noteIndex = 0;
+  starts.forEach((isStart, index) => {
+    if (!isStart) return;
+    gridState[Math.floor(index / cols)][index % cols] = custom[noteIndex]
+      ? createNote(reader.byte(), reader.byte())
+      : createNote();
+    noteIndex++;
+  });
+  return gridState;
+}
+
+/**
+ * Creates a writer that collects bytes, bit fields and short strings.
+ * @returns {Object} Writer; call `bytes()` for the result
+ */
+function createWriter() {
+  const output = [];
+  return {
+    byte: (value) => {
+      if (!Number.isInteger(value) || value < 0 || value > 255) {
+        throw new Error(`Value does not fit the song link format: ${value}`);
+      }
+      output.push(value);
+    },
+    bits: (flags) => {
+      for (let i = 0; i < flags.length; i += 8) {
+        let value = 0;
+        for (let bit = 0; bit < 8; bit++) {
+          value = (value << 1) | (flags[i + bit] ? 1 : 0);
+        }
+        output.push(value);
+      }
+    },
+    text: (value) => {
+      let encoded = new TextEncoder().encode(value);
+      // Names are limited to one length byte; drop a split character
+      if (encoded.length > 255) {
+        encoded = new TextEncoder().encode(
+          new TextDecoder()
+            .decode(encoded.subarray(0, 255))
+            .replace(/\uFFFD$/, "")
+        );
+      }
+      output.push(encoded.length, ...encoded);
+    },
+    bytes: () => Uint8Array.from(output),
+  };
+}
+
+/**
+ * Creates a sequential reader over song link bytes.
+ * @param {Uint8Array} bytes - Data to read
+ * @returns {Object} Reader
+ * @throws {Error} From its read methods when reading past the end of the data
+ */
+function createReader(bytes) {
+  let position = 0;
+  const take = (count) => {
+    if (position + count > bytes.length) {
+      throw new Error("Song link is incomplete");
+    }
+    const slice = bytes.subarray(position, position + count);
+    position += count;
+    return slice;
+  };
+
+  return {
+    atEnd: () => position >= bytes.length,
+    byte: () => take(1)[0],
+    bits: (count) => {
+      const packed = take(Math.ceil(count / 8));
+      return Array.from(
+        { length: count },
+        (_, i) => (packed[i >> 3] & (0x80 >> (i & 7))) !== 0
+      );
+    },
+    text: () => new TextDecoder().decode(take(take(1)[0])),
+  };
+}
+
+/**
+ * Encodes bytes as unpadded base64url, which is safe in URLs.
+ * @param {Uint8Array} bytes - Data to encode
+ * @returns {string} Encoded text
+ */
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Decodes unpadded base64url text.
+ * @param {string} text - Encoded text
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the text is not base64url
+ */
+function fromBase64Url(text) {
+  if (!/^[\w-]*$/.test(text)) {
+    throw new Error("Song link contains invalid characters");
+  }
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
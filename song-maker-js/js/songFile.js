@@ -0,0 +1,316 @@
+/**
+ * Versioned song file format for the Song Maker.
+ * A song document is a plain JSON object holding everything needed to
+ * restore a song. It is used for song files the user downloads and opens,
+ * and for the songs kept in the project library.
+ *
+ * This module provides:
+ * - Song document creation and serialization
+ * - Schema validation with readable problem descriptions
+ * - Migration of older documents to the current version
+ * - Parsing of uploaded song files
+ *
+ * Song document shape (version 6):
+ * {
+ *   format: "web-song-maker",   // Identifies the file type
+ *   version: 6,                 // Schema version, see SONG_FILE_CONFIG.VERSION
+ *   name: string,               // Optional song name
+ *   tempo: number,              // BPM (AUDIO_CONFIG.MIN_TEMPO to MAX_TEMPO)
+ *   volume: number,             // Master volume (0-1)
+ *   cols: number,               // Columns in every pattern grid (GRID_LIMITS)
+ *   patterns: Object[],         // Named patterns (see arrangement.js)
+ *   arrangement: Object,        // Pattern play order and loop points (see arrangement.js)
+ *   tracks: Object[],           // Tracks with notes, pattern grids, waveform, mix and effects (see tracks.js)
+ *   selectedTrackIndex: number, // Optional: track shown in the grid
+ *   selectedPatternIndex: number, // Optional: pattern shown in the grid
+ *   scale: Object,              // Key and scale the rows follow (see scales.js)
+ *   groove: Object,             // Swing and micro-timing (see groove.js)
+ *   voice: Object,              // Synth voice of melodic tracks (see voices.js)
+ *   effects: Object,            // Effects chain on the master output (see effects.js)
+ * }
+ *
+ * Fields added by later versions are ignored by older readers, and the
+ * editor falls back to defaults for optional fields that are missing.
+ *
+ * Version history:
+ * - 1: Project library snapshots, with no format, version, tempo or volume
+ * - 2: Adds format and version identification, tempo and master volume
+ * - 3: Adds the key and scale
+ * - 4: Adds the groove
+ * - 5: Adds the synth voice
+ * - 6: Adds the effects of the master output and of each track
+ */
+
+import { ALL_NOTES } from "./config.js";
+import {
+  AUDIO_CONFIG,
+  GRID_LIMITS,
+  PATTERN_CONFIG,
+  SONG_FILE_CONFIG,
+  TRACK_CONFIG,
+} from "./constants.js";
+import { isValidArrangement, isValidPattern } from "./arrangement.js";
+import { isValidTrack } from "./tracks.js";
+import { createScale, isValidScale } from "./scales.js";
+import { createGroove, isValidGroove } from "./groove.js";
+import { createVoice, isValidVoice } from "./voices.js";
+import { createEffects, isValidEffects } from "./effects.js";
+import {
+  isNonEmptyString,
+  isNumberInRange,
+  isValidArray,
+} from "./utilities.js";
+
+/**
+ * Upgrades a document by one version, keyed by the version it upgrades from.
+ * Each migration returns a new document at the next version.
+ */
+const MIGRATIONS = {
+  1: (songDocument) => ({
+    tempo: AUDIO_CONFIG.DEFAULT_TEMPO,
+    volume: AUDIO_CONFIG.DEFAULT_VOLUME,
+    ...songDocument,
+    format: SONG_FILE_CONFIG.FORMAT,
+    version: 2,
+  }),
+  2: (songDocument) => ({
+    scale: createScale(),
+    ...songDocument,
+    version: 3,
+  }),
+  3: (songDocument) => ({
+    groove: createGroove(),
+    ...songDocument,
+    version: 4,
+  }),
+  4: (songDocument) => ({
+    voice: createVoice(),
+    ...songDocument,
+    version: 5,
+  }),
+  5: (songDocument) => ({
+    effects: createEffects(),
+    ...songDocument,
+    tracks: Array.isArray(songDocument.tracks)
+      ? songDocument.tracks.map((track) =>
+          track && typeof track === "object"
+            ? { effects: createEffects(), ...track }
+            : track
+        )
+      : songDocument.tracks,
+    version: 6,
+  }),
+};
+
+/**
+ * Wraps song data in a document of the current version.
+ * @param {Object} song - Song fields (tempo, volume, cols, patterns, arrangement, tracks, ...)
+ * @param {string} [name] - Song name stored in the document
+ * @returns {Object} Song document
+ * @example
+ * const songDocument = createSongDocument({ tempo: 120, volume: 0.5, cols: 16, ... }, 'Intro');
+ */
+export function createSongDocument(song, name) {
+  const songDocument = {
+    format: SONG_FILE_CONFIG.FORMAT,
+    version: SONG_FILE_CONFIG.VERSION,
+    ...song,
+  };
+  if (isNonEmptyString(name)) {
+    songDocument.name = name;
+  }
+  return songDocument;
+}
+
+/**
+ * Brings a song document up to the current version.
+ * Documents without a version are version 1 project snapshots.
+ *
+ * @param {Object} songDocument - Song document of any known version
+ * @returns {Object} Song document at the current version
+ * @throws {Error} If the document is not a song, or comes from a newer version of the app
+ */
+export function migrateSongDocument(songDocument) {
+  if (
+    !songDocument ||
+    typeof songDocument !== "object" ||
+    Array.isArray(songDocument)
+  ) {
+    throw new Error("The file does not contain a song");
+  }
+
+  const hasVersion = songDocument.version !== undefined;
+  if (hasVersion && songDocument.format !== SONG_FILE_CONFIG.FORMAT) {
+    throw new Error("The file is not a Web Song Maker song");
+  }
+
+  let migrated = hasVersion ? songDocument : { ...songDocument, version: 1 };
+  if (!Number.isInteger(migrated.version) || migrated.version < 1) {
+    throw new Error(`Unknown song file version: ${migrated.version}`);
+  }
+  if (migrated.version > SONG_FILE_CONFIG.VERSION) {
+    throw new Error(
+      "The song was saved by a newer version of Web Song Maker. Please update the app."
+    );
+  }
+
+  while (migrated.version < SONG_FILE_CONFIG.VERSION) {
+    migrated = MIGRATIONS[migrated.version](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Checks a current-version song document against the schema.
+ * @param {Object} songDocument - Song document at the current version
+ * @returns {string[]} Problems found, empty if the document is valid
+ * @example
+ * const problems = validateSongDocument(songDocument);
+ * if (problems.length > 0) console.warn(problems.join('; '));
+ */
+export function validateSongDocument(songDocument) {
+  const problems = [];
+  const check = (isValid, problem) => {
+    if (!isValid) problems.push(problem);
+  };
+
+  check(
+    Number.isInteger(songDocument.cols) &&
+      isNumberInRange(
+        songDocument.cols,
+        GRID_LIMITS.MIN_COLUMNS,
+        GRID_LIMITS.MAX_COLUMNS
+      ),
+    `cols must be a whole number from ${GRID_LIMITS.MIN_COLUMNS} to ${GRID_LIMITS.MAX_COLUMNS}`
+  );
+  check(
+    isNumberInRange(
+      songDocument.tempo,
+      AUDIO_CONFIG.MIN_TEMPO,
+      AUDIO_CONFIG.MAX_TEMPO
+    ),
+    `tempo must be from ${AUDIO_CONFIG.MIN_TEMPO} to ${AUDIO_CONFIG.MAX_TEMPO} BPM`
+  );
+  check(
+    isNumberInRange(songDocument.volume, 0, 1),
+    "volume must be from 0 to 1"
+  );
+  check(
+    isValidArray(songDocument.patterns, isValidPattern) &&
+      isNumberInRange(
+        songDocument.patterns.length,
+        1,
+        PATTERN_CONFIG.MAX_PATTERNS
+      ),
+    `patterns must list 1 to ${PATTERN_CONFIG.MAX_PATTERNS} named patterns`
+  );
+  check(
+    isValidArrangement(songDocument.arrangement),
+    "arrangement must list pattern IDs with whole-number loop points"
+  );
+  const noteRange = `${ALL_NOTES[ALL_NOTES.length - 1]} to ${ALL_NOTES[0]}`;
+  check(
+    isValidArray(songDocument.tracks, (track) =>
+      isValidTrack(track, songDocument.cols)
+    ) &&
+      isNumberInRange(songDocument.tracks.length, 1, TRACK_CONFIG.MAX_TRACKS),
+    `tracks must hold 1 to ${TRACK_CONFIG.MAX_TRACKS} tracks whose rows are notes from ${noteRange} or drum kit sounds, with grids of one row per note and ${songDocument.cols} columns`
+  );
+  check(
+    isOptionalIndex(songDocument.selectedTrackIndex, songDocument.tracks),
+    "selectedTrackIndex must be the index of a track"
+  );
+  check(
+    isOptionalIndex(songDocument.selectedPatternIndex, songDocument.patterns),
+    "selectedPatternIndex must be the index of a pattern"
+  );
+  check(
+    isValidScale(songDocument.scale),
+    "scale must have a known key, scale type and display"
+  );
+  check(
+    isValidGroove(songDocument.groove),
+    "groove must have a swing, a known template and a timing offset per step"
+  );
+  check(
+    isValidVoice(songDocument.voice),
+    "voice must have an envelope, oscillators and a filter within range"
+  );
+  check(
+    isValidEffects(songDocument.effects),
+    "effects must have settings within range for every effect"
+  );
+  check(
+    isValidArray(
+      songDocument.tracks,
+      (track) => Boolean(track) && isValidEffects(track.effects)
+    ),
+    "every track must have effects with settings within range"
+  );
+
+  return problems;
+}
+
+/**
+ * Reads an uploaded song file, migrating and validating it.
+ * Error messages describe the problem for the user.
+ *
+ * @param {string} text - File contents
+ * @returns {Object} Valid song document at the current version
+ * @throws {Error} If the file is not valid JSON, not a song, or fails validation
+ */
+export function parseSongFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file is not valid JSON");
+  }
+
+  const songDocument = migrateSongDocument(parsed);
+  const problems = validateSongDocument(songDocument);
+  if (problems.length > 0) {
+    throw new Error(`The song file is invalid: ${problems[0]}`);
+  }
+  return songDocument;
+}
+
+/**
+ * Serializes a song document for download.
+ * @param {Object} songDocument - Song document
+ * @returns {string} Indented JSON text
+ */
+export function serializeSongDocument(songDocument) {
+  return JSON.stringify(songDocument, null, 2);
+}
+
+/**
+ * Builds a download file name from a song name.
+ * @param {string} [name] - Song name
+ * @returns {string} File name ending in the song file extension
+ * @example
+ * getSongFileName('My song: take 2'); // "My song take 2.json"
+ */
+export function getSongFileName(name) {
+  const base = isNonEmptyString(name)
+    ? name.replace(/[^\w\- ]+/g, "").trim()
+    : "";
+  return `${base || SONG_FILE_CONFIG.DEFAULT_FILENAME}${
+    SONG_FILE_CONFIG.EXTENSION
+  }`;
+}
+
+/**
+ * Checks an optional index into a list.
+ * @param {any} value - Index, or undefined if omitted
+ * @param {any[]} list - List the index refers to
+ * @returns {boolean} True if the index is omitted or points into the list
+ */
+function isOptionalIndex(value, list) {
+  if (value === undefined) return true;
+  return (
+    Array.isArray(list) &&
+    Number.isInteger(value) &&
+    isNumberInRange(value, 0, list.length - 1)
+  );
+}
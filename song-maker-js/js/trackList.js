@@ -0,0 +1,152 @@
+/**
+ * Track switcher rendering module.
+ * Builds the list of instrument tracks shown above the grid, with controls
+ * for selecting, renaming, muting, soloing, mixing and removing tracks.
+ *
+ * This module provides:
+ * - Track list rendering with the selected track highlighted
+ * - Per-track mute, solo and volume controls
+ * - Rename and remove actions
+ */
+
+import { CSS_CLASSES } from "./constants.js";
+import {
+  createElement,
+  showNotification,
+  isNonEmptyString,
+} from "./utilities.js";
+import { isTrackAudible } from "./tracks.js";
+
+/**
+ * Renders the track switcher into a container, replacing its contents.
+ *
+ * @param {HTMLElement} container - Element to render the track list into
+ * @param {Object[]} tracks - Tracks in the song (see tracks.js)
+ * @param {number} selectedIndex - Index of the track shown in the grid
+ * @param {Object} callbacks - Handlers for track actions, each receiving the track index
+ * @param {Function} callbacks.onSelect - Called as (index) when a track is chosen
+ * @param {Function} callbacks.onToggleMute - Called as (index) when mute is toggled
+ * @param {Function} callbacks.onToggleSolo - Called as (index) when solo is toggled
+ * @param {Function} callbacks.onVolumeChange - Called as (index, volume) while the slider moves
+ * @param {Function} callbacks.onRename - Called as (index, name) after a rename
+ * @param {Function} callbacks.onRemove - Called as (index) when remove is clicked
+ * @throws {Error} If the container is invalid
+ * @example
+ * renderTrackList(listEl, appState.tracks, 0, { onSelect: selectTrack, ... });
+ */
+export function renderTrackList(container, tracks, selectedIndex, callbacks) {
+  try {
+    if (!container || typeof container.appendChild !== "function") {
+      throw new Error("Container must be a valid DOM element");
+    }
+
+    container.innerHTML = "";
+
+    tracks.forEach((track, index) => {
+      const isSelected = index === selectedIndex;
+      const item = createElement("div", CSS_CLASSES.TRACK_ITEM);
+      item.setAttribute("role", "listitem");
+      item.classList.toggle(CSS_CLASSES.TRACK_ITEM_SELECTED, isSelected);
+      item.classList.toggle(
+        CSS_CLASSES.TRACK_ITEM_SILENT,
+        !isTrackAudible(track, tracks)
+      );
+
+      // Track name selects the track; double-click renames it
+      const nameButton = createElement("button", CSS_CLASSES.TRACK_NAME);
+      nameButton.textContent = track.name;
+      nameButton.title = "Click to edit this track, double-click to rename";
+      nameButton.setAttribute("aria-pressed", isSelected.toString());
+      nameButton.addEventListener("click", () =>
+        runTrackAction(() => callbacks.onSelect(index))
+      );
+      nameButton.addEventListener("dblclick", () =>
+        runTrackAction(() => {
+          const name = window.prompt("Track name", track.name);
+          if (isNonEmptyString(name)) {
+            callbacks.onRename(index, name.trim());
+          }
+        })
+      );
+
+      const muteButton = createToggle(
+        "M",
+        `Mute ${track.name}`,
+        track.muted,
+        () => callbacks.onToggleMute(index)
+      );
+      const soloButton = createToggle(
+        "S",
+        `Solo ${track.name}`,
+        track.solo,
+        () => callbacks.onToggleSolo(index)
+      );
+
+      const volumeSlider = createElement("input", CSS_CLASSES.TRACK_VOLUME);
+      volumeSlider.type = "range";
+      volumeSlider.min = "0";
+      volumeSlider.max = "1";
+      volumeSlider.step = "0.01";
+      volumeSlider.value = track.volume.toString();
+      volumeSlider.setAttribute("aria-label", `${track.name} volume`);
+      volumeSlider.addEventListener("input", () =>
+        runTrackAction(() =>
+          callbacks.onVolumeChange(index, parseFloat(volumeSlider.value))
+        )
+      );
+
+      const removeButton = createElement("button", CSS_CLASSES.TRACK_REMOVE);
+      removeButton.textContent = "×";
+      removeButton.setAttribute("aria-label", `Remove ${track.name}`);
+      removeButton.title = `Remove ${track.name}`;
+      removeButton.addEventListener("click", () =>
+        runTrackAction(() => callbacks.onRemove(index))
+      );
+
+      item.append(
+        nameButton,
+        muteButton,
+        soloButton,
+        volumeSlider,
+        removeButton
+      );
+      container.appendChild(item);
+    });
+  } catch (error) {
+    console.error("Failed to render track list:", error);
+    showNotification("Failed to render tracks", "error");
+    throw error;
+  }
+}
+
+/**
+ * Creates a small on/off toggle button for mute and solo.
+ * @param {string} text - Button label
+ * @param {string} label - Accessible description
+ * @param {boolean} isOn - Whether the toggle is currently on
+ * @param {Function} onToggle - Called when the button is clicked
+ * @returns {HTMLButtonElement} Toggle button
+ */
+function createToggle(text, label, isOn, onToggle) {
+  const button = createElement("button", CSS_CLASSES.TRACK_TOGGLE);
+  button.textContent = text;
+  button.title = label;
+  button.setAttribute("aria-label", label);
+  button.setAttribute("aria-pressed", isOn.toString());
+  button.classList.toggle(CSS_CLASSES.TRACK_TOGGLE_ON, isOn);
+  button.addEventListener("click", () => runTrackAction(onToggle));
+  return button;
+}
+
+/**
+ * Runs a track action, reporting failures to the user.
+ * @param {Function} action - Action to run
+ */
+function runTrackAction(action) {
+  try {
+    action();
+  } catch (error) {
+    console.error("Track action failed:", error);
+    showNotification("Failed to update track", "error");
+  }
+}
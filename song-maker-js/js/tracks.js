@@ -0,0 +1,292 @@
+/**
+ * Track model for the Song Maker.
+ * A song is made of several instrument tracks that play in sync, each with its
+ * own note range, pattern grids, waveform and mix settings.
+ *
+ * This module provides:
+ * - Track creation from presets or explicit settings
+ * - Drum track creation from the synthesized drum kit
+ * - Per-pattern grid creation
+ * - Validation and migration of saved tracks
+ * - Mute/solo resolution for playback
+ *
+ * Track shape:
+ * {
+ *   id: string,          // Stable identifier, used for audio routing
+ *   name: string,        // Display name
+ *   type: string,        // 'melodic' or 'drum' (see TRACK_TYPES)
+ *   notes: string[],     // Row note names high to low, or drum IDs for drum tracks
+ *   grids: Object,       // Grid state per pattern ID, cells indexed [row][col] (see cells.js)
+ *   waveform: string,    // Oscillator waveform (see WAVEFORMS), unused by drums
+ *   volume: number,      // Track level (0-1)
+ *   effects: Object,     // Effects chain ahead of the level (see effects.js)
+ *   muted: boolean,
+ *   solo: boolean,
+ * }
+ */
+
+import { ALL_NOTES, DRUM_KIT, TRACK_PRESETS } from "./config.js";
+import { TRACK_CONFIG, TRACK_TYPES, WAVEFORMS } from "./constants.js";
+import { createEffects, isValidEffects } from "./effects.js";
+import {
+  cloneGridState,
+  createEmptyGrid,
+  normalizeGridState,
+} from "./cells.js";
+import { getScaleDegree, isChromaticScale } from "./scales.js";
+import {
+  getNoteRange,
+  isNonEmptyString,
+  isNumberInRange,
+  isValidArray,
+  isValidGridState,
+} from "./utilities.js";
+
+/** Counter that keeps generated track IDs unique within a session */
+let trackIdCounter = 0;
+
+/**
+ * Generates a unique track identifier.
+ * @returns {string} New track ID
+ */
+function createTrackId() {
+  trackIdCounter++;
+  return `track-${Date.now().toString(36)}-${trackIdCounter}`;
+}
+
+/**
+ * Creates a new track with an empty grid for every pattern.
+ * @param {Object} settings - Track settings
+ * @param {string} settings.name - Display name
+ * @param {string[]} settings.notes - Row note names high to low, or drum IDs
+ * @param {number} settings.cols - Number of columns in the grid
+ * @param {string[]} settings.patternIds - IDs of the song's patterns
+ * @param {string} [settings.type='melodic'] - Track type (see TRACK_TYPES)
+ * @param {string} [settings.waveform='sine'] - Oscillator waveform
+ * @param {number} [settings.volume] - Track level (0-1)
+ * @param {Object} [settings.effects] - Effects settings (see effects.js); all bypassed by default
+ * @returns {Object} New track
+ * @example
+ * const bass = createTrack({ name: 'Bass', notes: ['C3', 'B2', 'A2'], cols: 16, patternIds });
+ */
+export function createTrack({
+  name,
+  notes,
+  cols,
+  patternIds,
+  type = TRACK_TYPES.MELODIC,
+  waveform = WAVEFORMS.SINE,
+  volume = TRACK_CONFIG.DEFAULT_VOLUME,
+  effects = createEffects(),
+}) {
+  return {
+    id: createTrackId(),
+    name,
+    type,
+    notes: [...notes],
+    grids: createTrackGrids(patternIds, notes.length, cols),
+    waveform,
+    volume,
+    effects,
+    muted: false,
+    solo: false,
+  };
+}
+
+/**
+ * Creates a track from the preset list, cycling through presets by index.
+ * Tracks beyond the preset list are numbered ("Track 4", "Track 5", ...).
+ * @param {number} index - Position of the new track in the track list
+ * @param {number} cols - Number of columns in the grid
+ * @param {string[]} patternIds - IDs of the song's patterns
+ * @returns {Object} New track
+ */
+export function createTrackFromPreset(index, cols, patternIds) {
+  const preset = TRACK_PRESETS[index % TRACK_PRESETS.length];
+  const name =
+    index < TRACK_PRESETS.length ? preset.name : `Track ${index + 1}`;
+
+  return createTrack({
+    name,
+    notes: getNoteRange(preset.startNote, preset.endNote),
+    cols,
+    patternIds,
+    waveform: preset.waveform,
+  });
+}
+
+/**
+ * Creates a drum track with one row per drum kit sound.
+ * @param {number} cols - Number of columns in the grid
+ * @param {string[]} patternIds - IDs of the song's patterns
+ * @returns {Object} New drum track
+ */
+export function createDrumTrack(cols, patternIds) {
+  return createTrack({
+    name: TRACK_CONFIG.DRUM_TRACK_NAME,
+    type: TRACK_TYPES.DRUM,
+    notes: DRUM_KIT.map((drum) => drum.id),
+    cols,
+    patternIds,
+  });
+}
+
+/**
+ * Creates an empty grid for each pattern.
+ * @param {string[]} patternIds - IDs of the song's patterns
+ * @param {number} rows - Number of rows (notes)
+ * @param {number} cols - Number of columns
+ * @returns {Object} Grid states keyed by pattern ID
+ */
+export function createTrackGrids(patternIds, rows, cols) {
+  return Object.fromEntries(
+    patternIds.map((id) => [id, createEmptyGrid(rows, cols)])
+  );
+}
+
+/**
+ * Copies every track's notes from one pattern into another.
+ * @param {Object[]} tracks - Tracks in the song
+ * @param {string} fromPatternId - Pattern to copy
+ * @param {string} toPatternId - Pattern receiving the copy
+ */
+export function copyPatternGrids(tracks, fromPatternId, toPatternId) {
+  tracks.forEach((track) => {
+    track.grids[toPatternId] = cloneGridState(track.grids[fromPatternId]);
+  });
+}
+
+/**
+ * Checks whether a track plays drum sounds rather than pitched notes.
+ * @param {Object} track - Track to check
+ * @returns {boolean} True for drum tracks
+ */
+export function isDrumTrack(track) {
+  return track.type === TRACK_TYPES.DRUM;
+}
+
+/**
+ * Returns the display names of a track's rows.
+ * Melodic rows show their note names, followed by the scale degree of rows
+ * in the scale unless the scale is chromatic; drum rows show the drum's name.
+ * @param {Object} track - Track to label
+ * @param {Object} [scale] - Key and scale of the song (see scales.js)
+ * @returns {string[]} One label per row
+ * @example
+ * getRowLabels(track, createScale({ root: 'C', type: 'major' })); // ['C4 (1)', 'B3 (7)', 'A#3', ...]
+ */
+export function getRowLabels(track, scale = null) {
+  if (!isDrumTrack(track)) {
+    if (!scale || isChromaticScale(scale)) return [...track.notes];
+
+    return track.notes.map((note) => {
+      const degree = getScaleDegree(note, scale);
+      return degree ? `${note} (${degree})` : note;
+    });
+  }
+
+  return track.notes.map((id) => {
+    const drum = DRUM_KIT.find((entry) => entry.id === id);
+    return drum ? drum.name : id;
+  });
+}
+
+/**
+ * Validates a saved track. Melodic rows must be notes in ALL_NOTES and drum
+ * rows sounds in DRUM_KIT.
+ * Tracks saved before track types existed have no type and are melodic;
+ * tracks saved before patterns existed have a single `gridState`, and
+ * tracks saved before effects existed have none.
+ * @param {any} value - Value to validate
+ * @param {number} [expectedCols] - Expected number of grid columns
+ * @returns {boolean} True if value is a usable track
+ */
+export function isValidTrack(value, expectedCols = null) {
+  if (!value || typeof value !== "object") return false;
+
+  const type = value.type === undefined ? TRACK_TYPES.MELODIC : value.type;
+  if (!Object.values(TRACK_TYPES).includes(type)) return false;
+
+  // Rows must be sounds the kit or the synth can play
+  const isValidRow =
+    type === TRACK_TYPES.DRUM
+      ? (id) => DRUM_KIT.some((drum) => drum.id === id)
+      : (note) => ALL_NOTES.includes(note);
+
+  return (
+    isNonEmptyString(value.id) &&
+    isNonEmptyString(value.name) &&
+    isValidArray(value.notes, isValidRow) &&
+    value.notes.length > 0 &&
+    hasValidGrids(value, expectedCols) &&
+    Object.values(WAVEFORMS).includes(value.waveform) &&
+    isNumberInRange(value.volume, 0, 1) &&
+    (value.effects === undefined || isValidEffects(value.effects))
+  );
+}
+
+/**
+ * Checks a saved track's grids, in either the per-pattern or legacy form.
+ * @param {Object} value - Saved track
+ * @param {number|null} expectedCols - Expected number of grid columns
+ * @returns {boolean} True if every grid matches the track's rows
+ */
+function hasValidGrids(value, expectedCols) {
+  if (!isValidArray(value.notes)) return false;
+
+  if (value.grids === undefined) {
+    return isValidGridState(value.gridState, value.notes.length, expectedCols);
+  }
+
+  return (
+    Boolean(value.grids) &&
+    typeof value.grids === "object" &&
+    Object.values(value.grids).every((grid) =>
+      isValidGridState(grid, value.notes.length, expectedCols)
+    )
+  );
+}
+
+/**
+ * Brings a validated saved track up to the current format.
+ * Migrates its grid cells, moves a legacy single grid into the first pattern,
+ * gives every pattern a grid, and fills in the type, mix flags and effects missing
+ * from older saves.
+ * @param {Object} track - Saved track that passed isValidTrack
+ * @param {string[]} patternIds - IDs of the song's patterns
+ * @param {number} cols - Number of columns in the grid
+ * @returns {Object} Track in the current format
+ */
+export function normalizeTrack(track, patternIds, cols) {
+  const { gridState, grids, ...rest } = track;
+  const savedGrids = grids || { [patternIds[0]]: gridState };
+
+  return {
+    ...rest,
+    type: track.type || TRACK_TYPES.MELODIC,
+    grids: Object.fromEntries(
+      patternIds.map((id) => [
+        id,
+        savedGrids[id]
+          ? normalizeGridState(savedGrids[id])
+          : createEmptyGrid(track.notes.length, cols),
+      ])
+    ),
+    effects: createEffects(track.effects),
+    muted: Boolean(track.muted),
+    solo: Boolean(track.solo),
+  };
+}
+
+/**
+ * Checks whether a track should be heard given the mute and solo flags.
+ * When any track is soloed only soloed tracks play; otherwise every
+ * track that is not muted plays.
+ * @param {Object} track - Track to check
+ * @param {Object[]} tracks - All tracks in the song
+ * @returns {boolean} True if the track is audible
+ */
+export function isTrackAudible(track, tracks) {
+  const anySolo = tracks.some((other) => other.solo);
+  return anySolo ? track.solo : !track.muted;
+}
@@ -7,11 +7,41 @@
  * - Slider value display management
  * - Grid configuration controls
  * - Note selector population
+ * - Key and scale controls
+ * - Swing, groove template and micro-timing controls
+ * - Synth voice panel
+ * - Master and track effects panels
+ * - Pattern generator controls
+ * - Selection tools
+ * - MIDI device controls
+ * - Project library controls
  * - User input validation and feedback
  */
 
-import { ELEMENT_IDS, GRID_LIMITS, MESSAGES } from "./constants.js";
 import {
+  DELAY_DIVISIONS,
+  GENERATORS,
+  GROOVE_TEMPLATES,
+  PITCH_CLASSES,
+  SCALES,
+} from "./config.js";
+import {
+  EFFECT_TARGETS,
+  EFFECTS_CONFIG,
+  ELEMENT_IDS,
+  FILTER_TYPES,
+  GENERATOR_CONFIG,
+  GRID_LIMITS,
+  GROOVE_CONFIG,
+  MESSAGES,
+  MIDI_CONFIG,
+  SCALE_CONFIG,
+  SELECTION_ACTIONS,
+  VOICE_CONFIG,
+  WAVEFORMS,
+} from "./constants.js";
+import {
+  createElement,
   showNotification,
   getRequiredElement,
   isNumberInRange,
@@ -20,6 +50,31 @@ import {
   debounce,
 } from "./utilities.js";
 
+/** Formats an envelope time for a voice slider display */
+const formatSeconds = (value) => `${value.toFixed(2)} s`;
+
+/** Slider settings for envelope stages, shared by the amplitude and filter envelopes */
+const ENVELOPE_SLIDERS = [
+  { key: "attack", label: "Attack", max: VOICE_CONFIG.MAX_TIME },
+  { key: "decay", label: "Decay", max: VOICE_CONFIG.MAX_TIME },
+  { key: "sustain", label: "Sustain", max: 1 },
+  { key: "release", label: "Release", max: VOICE_CONFIG.MAX_TIME },
+].map((slider) => ({
+  ...slider,
+  min: 0,
+  step: 0.01,
+  format: slider.key === "sustain" ? formatAsPercentage : formatSeconds,
+}));
+
+/** Value formatters of the sliders in the voice and effects panels */
+const settingFormats = new WeakMap();
+
+/** Effects panel element IDs, keyed by effect target */
+const EFFECT_PANELS = {
+  [EFFECT_TARGETS.MASTER]: ELEMENT_IDS.MASTER_EFFECTS,
+  [EFFECT_TARGETS.TRACK]: ELEMENT_IDS.TRACK_EFFECTS,
+};
+
 /**
  * Initializes all user interface controls and event listeners.
  * Sets up event handlers for all interactive elements and provides error handling.
@@ -27,16 +82,115 @@ import {
  * @param {Object} callbacks - Object containing callback functions for user actions
  * @param {Function} callbacks.onClear - Function to call when clear button is clicked
  * @param {Function} callbacks.onRandomize - Function to call when randomize button is clicked
+ * @param {Function} callbacks.onGenerate - Function to call when the generate button is clicked
+ * @param {Function} callbacks.onUndo - Function to call when the undo button is clicked
+ * @param {Function} callbacks.onRedo - Function to call when the redo button is clicked
  * @param {Function} callbacks.onGridChange - Function to call when grid configuration changes
+ * @param {Function} callbacks.onScaleChange - Function to call with the scale settings when a key or scale control changes
+ * @param {Function} callbacks.onTranspose - Function to call with the chosen key when the transpose button is clicked
+ * @param {Function} callbacks.onGrooveChange - Function to call with the groove settings and whether the edit is finished, while the swing or a micro-timing slider moves
+ * @param {Function} callbacks.onGrooveTemplate - Function to call with the ID of the groove template chosen
+ * @param {Function} callbacks.onVoiceChange - Function to call with the voice settings and whether the edit is finished, while a voice control changes
+ * @param {Function} callbacks.onResetVoice - Function to call when the reset voice button is clicked
+ * @param {Function} callbacks.onEffectsChange - Function to call with the effect target, its effects settings and whether the edit is finished, while an effects control changes
+ * @param {Function} callbacks.onSelectionAction - Function to call with the action (see SELECTION_ACTIONS) of the selection tool clicked
+ * @param {Function} callbacks.onConnectMidi - Function to call when the connect MIDI button is clicked
+ * @param {Function} callbacks.onMidiInputChange - Function to call with the ID of the MIDI input chosen, or an empty string for none
+ * @param {Function} callbacks.onMidiOutputChange - Function to call with the ID of the MIDI output chosen, or an empty string for none
+ * @param {Function} callbacks.onMidiChannelChange - Function to call with the MIDI output channel chosen (0-15), or MIDI_CONFIG.CHANNEL_BY_TRACK
+ * @param {Function} callbacks.onAddTrack - Function to call when the add track button is clicked
+ * @param {Function} callbacks.onAddDrumTrack - Function to call when the add drums button is clicked
+ * @param {Function} callbacks.onAddPattern - Function to call when the add pattern button is clicked
+ * @param {Function} callbacks.onDuplicatePattern - Function to call when the duplicate pattern button is clicked
+ * @param {Function} callbacks.onAddToArrangement - Function to call when the add to song button is clicked
+ * @param {Function} callbacks.onExportMidi - Function to call when the export MIDI button is clicked
+ * @param {Function} callbacks.onImportMidi - Function to call with the File chosen through the import MIDI button
+ * @param {Function} callbacks.onExportWav - Function to call when the export WAV button is clicked
+ * @param {Function} callbacks.onExportSong - Function to call when the save song file button is clicked
+ * @param {Function} callbacks.onImportSong - Function to call with the File chosen through the open song file button
+ * @param {Function} callbacks.onShareLink - Function to call when the copy link button is clicked
+ * @param {Function} callbacks.onOpenProject - Function to call with the ID of the song chosen in the song list
+ * @param {Function} callbacks.onNewProject - Function to call when the new song button is clicked
+ * @param {Function} callbacks.onDuplicateProject - Function to call when the duplicate song button is clicked
+ * @param {Function} callbacks.onRenameProject - Function to call when the rename song button is clicked
+ * @param {Function} callbacks.onDeleteProject - Function to call when the delete song button is clicked
  * @throws {Error} If required UI elements are not found
  */
 export function setupControls(callbacks) {
   try {
-    const { onClear, onRandomize, onGridChange } = callbacks;
+    const {
+      onClear,
+      onRandomize,
+      onGenerate,
+      onUndo,
+      onRedo,
+      onGridChange,
+      onScaleChange,
+      onTranspose,
+      onGrooveChange,
+      onGrooveTemplate,
+      onVoiceChange,
+      onResetVoice,
+      onEffectsChange,
+      onSelectionAction,
+      onConnectMidi,
+      onMidiInputChange,
+      onMidiOutputChange,
+      onMidiChannelChange,
+      onAddTrack,
+      onAddDrumTrack,
+      onAddPattern,
+      onDuplicatePattern,
+      onAddToArrangement,
+      onExportMidi,
+      onImportMidi,
+      onExportWav,
+      onExportSong,
+      onImportSong,
+      onShareLink,
+      onOpenProject,
+      onNewProject,
+      onDuplicateProject,
+      onRenameProject,
+      onDeleteProject,
+    } = callbacks;
 
     // Wire up grid manipulation buttons with error handling
     const clearBtn = getRequiredElement(ELEMENT_IDS.CLEAR_BUTTON);
     const randomBtn = getRequiredElement(ELEMENT_IDS.RANDOM_BUTTON);
+    const generateBtn = getRequiredElement(ELEMENT_IDS.GENERATE_BUTTON);
+    const undoBtn = getRequiredElement(ELEMENT_IDS.UNDO_BUTTON);
+    const redoBtn = getRequiredElement(ELEMENT_IDS.REDO_BUTTON);
+    const addTrackBtn = getRequiredElement(ELEMENT_IDS.ADD_TRACK_BUTTON);
+    const addDrumTrackBtn = getRequiredElement(
+      ELEMENT_IDS.ADD_DRUM_TRACK_BUTTON
+    );
+    const addPatternBtn = getRequiredElement(ELEMENT_IDS.ADD_PATTERN_BUTTON);
+    const duplicatePatternBtn = getRequiredElement(
+      ELEMENT_IDS.DUPLICATE_PATTERN_BUTTON
+    );
+    const addToArrangementBtn = getRequiredElement(
+      ELEMENT_IDS.ADD_TO_ARRANGEMENT_BUTTON
+    );
+    const exportMidiBtn = getRequiredElement(ELEMENT_IDS.EXPORT_MIDI_BUTTON);
+    const importMidiBtn = getRequiredElement(ELEMENT_IDS.IMPORT_MIDI_BUTTON);
+    const importMidiInput = getRequiredElement(ELEMENT_IDS.IMPORT_MIDI_INPUT);
+    const renderWavBtn = getRequiredElement(ELEMENT_IDS.RENDER_WAV_BUTTON);
+    const exportSongBtn = getRequiredElement(ELEMENT_IDS.EXPORT_SONG_BUTTON);
+    const importSongBtn = getRequiredElement(ELEMENT_IDS.IMPORT_SONG_BUTTON);
+    const importSongInput = getRequiredElement(ELEMENT_IDS.IMPORT_SONG_INPUT);
+    const shareLinkBtn = getRequiredElement(ELEMENT_IDS.SHARE_LINK_BUTTON);
+    const projectSelect = getRequiredElement(ELEMENT_IDS.PROJECT_SELECT);
+    const newProjectBtn = getRequiredElement(ELEMENT_IDS.NEW_PROJECT_BUTTON);
+    const duplicateProjectBtn = getRequiredElement(
+      ELEMENT_IDS.DUPLICATE_PROJECT_BUTTON
+    );
+    const renameProjectBtn = getRequiredElement(
+      ELEMENT_IDS.RENAME_PROJECT_BUTTON
+    );
+    const deleteProjectBtn = getRequiredElement(
+      ELEMENT_IDS.DELETE_PROJECT_BUTTON
+    );
 
     clearBtn.addEventListener("click", () => {
       try {
@@ -56,11 +210,208 @@ export function setupControls(callbacks) {
       }
     });
 
+    generateBtn.addEventListener("click", () => {
+      try {
+        onGenerate();
+      } catch (error) {
+        console.error("Generate operation failed:", error);
+        showNotification("Failed to generate a pattern", "error");
+      }
+    });
+
+    undoBtn.addEventListener("click", () => {
+      try {
+        onUndo();
+      } catch (error) {
+        console.error("Undo operation failed:", error);
+        showNotification("Failed to undo", "error");
+      }
+    });
+
+    redoBtn.addEventListener("click", () => {
+      try {
+        onRedo();
+      } catch (error) {
+        console.error("Redo operation failed:", error);
+        showNotification("Failed to redo", "error");
+      }
+    });
+
+    addTrackBtn.addEventListener("click", () => {
+      try {
+        onAddTrack();
+      } catch (error) {
+        console.error("Add track operation failed:", error);
+        showNotification("Failed to add track", "error");
+      }
+    });
+
+    addDrumTrackBtn.addEventListener("click", () => {
+      try {
+        onAddDrumTrack();
+      } catch (error) {
+        console.error("Add drum track operation failed:", error);
+        showNotification("Failed to add drum track", "error");
+      }
+    });
+
+    addPatternBtn.addEventListener("click", () => {
+      try {
+        onAddPattern();
+      } catch (error) {
+        console.error("Add pattern operation failed:", error);
+        showNotification("Failed to add pattern", "error");
+      }
+    });
+
+    duplicatePatternBtn.addEventListener("click", () => {
+      try {
+        onDuplicatePattern();
+      } catch (error) {
+        console.error("Duplicate pattern operation failed:", error);
+        showNotification("Failed to duplicate pattern", "error");
+      }
+    });
+
+    addToArrangementBtn.addEventListener("click", () => {
+      try {
+        onAddToArrangement();
+      } catch (error) {
+        console.error("Add to song operation failed:", error);
+        showNotification("Failed to add pattern to song", "error");
+      }
+    });
+
+    exportMidiBtn.addEventListener("click", () => {
+      try {
+        onExportMidi();
+      } catch (error) {
+        console.error("Export MIDI operation failed:", error);
+        showNotification("Failed to export MIDI file", "error");
+      }
+    });
+
+    // The import button opens the hidden file picker
+    importMidiBtn.addEventListener("click", () => importMidiInput.click());
+    importMidiInput.addEventListener("change", () => {
+      const [file] = importMidiInput.files;
+      // Reset so choosing the same file again still fires a change
+      importMidiInput.value = "";
+      if (!file) return;
+
+      try {
+        onImportMidi(file);
+      } catch (error) {
+        console.error("Import MIDI operation failed:", error);
+        showNotification("Failed to import MIDI file", "error");
+      }
+    });
+
+    renderWavBtn.addEventListener("click", () => {
+      try {
+        onExportWav();
+      } catch (error) {
+        console.error("Export WAV operation failed:", error);
+        showNotification("Failed to export WAV file", "error");
+      }
+    });
+
+    exportSongBtn.addEventListener("click", () => {
+      try {
+        onExportSong();
+      } catch (error) {
+        console.error("Save song file operation failed:", error);
+        showNotification("Failed to save the song file", "error");
+      }
+    });
+
+    // The open button uses a hidden file picker, like MIDI import
+    importSongBtn.addEventListener("click", () => importSongInput.click());
+    importSongInput.addEventListener("change", () => {
+      const [file] = importSongInput.files;
+      importSongInput.value = "";
+      if (!file) return;
+
+      try {
+        onImportSong(file);
+      } catch (error) {
+        console.error("Open song file operation failed:", error);
+        showNotification(MESSAGES.SONG_FILE_READ_ERROR, "error");
+      }
+    });
+
+    shareLinkBtn.addEventListener("click", () => {
+      try {
+        onShareLink();
+      } catch (error) {
+        console.error("Share link operation failed:", error);
+        showNotification("Failed to create a song link", "error");
+      }
+    });
+
+    // Project actions are asynchronous and report their own storage errors
+    projectSelect.addEventListener("change", () => {
+      try {
+        onOpenProject(projectSelect.value);
+      } catch (error) {
+        console.error("Open song operation failed:", error);
+        showNotification(MESSAGES.PROJECT_LOAD_ERROR, "error");
+      }
+    });
+
+    newProjectBtn.addEventListener("click", () => {
+      try {
+        onNewProject();
+      } catch (error) {
+        console.error("New song operation failed:", error);
+        showNotification("Failed to create song", "error");
+      }
+    });
+
+    duplicateProjectBtn.addEventListener("click", () => {
+      try {
+        onDuplicateProject();
+      } catch (error) {
+        console.error("Duplicate song operation failed:", error);
+        showNotification("Failed to duplicate song", "error");
+      }
+    });
+
+    renameProjectBtn.addEventListener("click", () => {
+      try {
+        onRenameProject();
+      } catch (error) {
+        console.error("Rename song operation failed:", error);
+        showNotification("Failed to rename song", "error");
+      }
+    });
+
+    deleteProjectBtn.addEventListener("click", () => {
+      try {
+        onDeleteProject();
+      } catch (error) {
+        console.error("Delete song operation failed:", error);
+        showNotification("Failed to delete song", "error");
+      }
+    });
+
     // Initialize slider value displays and event handlers
     setupSliderDisplays();
+    setupGeneratorControls();
 
     // Initialize grid configuration controls
     setupGridControls(onGridChange);
+    setupScaleControls(onScaleChange, onTranspose);
+    setupGrooveControls(onGrooveChange, onGrooveTemplate);
+    setupVoiceControls(onVoiceChange, onResetVoice);
+    setupEffectsControls(onEffectsChange);
+    setupSelectionTools(onSelectionAction);
+    setupMidiControls(
+      onConnectMidi,
+      onMidiInputChange,
+      onMidiOutputChange,
+      onMidiChannelChange
+    );
 
     // Initialize help system
     setupHelpSystem();
@@ -232,6 +583,1002 @@ export function populateNoteSelectors(allNotes) {
   }
 }
 
+/**
+ * Shows a grid configuration in the columns input and note range selectors.
+ * Used when switching tracks or loading a saved song so the controls reflect
+ * the grid being edited. Setting values programmatically does not fire the
+ * change handlers, so this never triggers a grid update.
+ *
+ * @param {string} startNote - Lowest note of the range
+ * @param {string} endNote - Highest note of the range
+ * @param {number} cols - Number of columns
+ * @throws {Error} If grid control elements are not found
+ * @example
+ * syncGridControls('C2', 'C3', 16);
+ */
+export function syncGridControls(startNote, endNote, cols) {
+  const colSelector = getRequiredElement(ELEMENT_IDS.COLUMNS_INPUT);
+  const startNoteSelect = getRequiredElement(ELEMENT_IDS.START_NOTE_SELECT);
+  const endNoteSelect = getRequiredElement(ELEMENT_IDS.END_NOTE_SELECT);
+
+  colSelector.value = cols.toString();
+  startNoteSelect.value = startNote;
+  endNoteSelect.value = endNote;
+}
+
+/**
+ * Fills the generator selector and keeps the density display in step with
+ * its slider. Generation itself reads the controls when it runs.
+ * @throws {Error} If required generator control elements are not found
+ */
+function setupGeneratorControls() {
+  try {
+    const generatorSelect = getRequiredElement(ELEMENT_IDS.GENERATOR_SELECT);
+    const densitySlider = getRequiredElement(
+      ELEMENT_IDS.GENERATOR_DENSITY_SLIDER
+    );
+    const densityValue = getRequiredElement(
+      ELEMENT_IDS.GENERATOR_DENSITY_VALUE
+    );
+
+    generatorSelect.innerHTML = "";
+    GENERATORS.forEach((generator) => {
+      const option = document.createElement("option");
+      option.value = generator.id;
+      option.textContent = generator.name;
+      generatorSelect.appendChild(option);
+    });
+    generatorSelect.value = GENERATOR_CONFIG.DEFAULT_TYPE;
+
+    const showDensity = () => {
+      densityValue.textContent = formatAsPercentage(
+        parseFloat(densitySlider.value)
+      );
+    };
+    densitySlider.addEventListener("input", showDensity);
+    densitySlider.value = GENERATOR_CONFIG.DEFAULT_DENSITY.toString();
+    showDensity();
+  } catch (error) {
+    console.error("Failed to setup generator controls:", error);
+    showNotification("Failed to initialize generator controls", "error");
+    throw error;
+  }
+}
+
+/**
+ * Sets up the key, scale and transpose controls.
+ * Any change to the key, scale, display or custom notes reports the complete
+ * scale settings, so the caller can rebuild the scale from them.
+ *
+ * @param {Function} onScaleChange - Called with {root, type, custom, display}
+ * @param {Function} onTranspose - Called with the pitch class to transpose to
+ * @throws {Error} If required scale control elements are not found
+ */
+function setupScaleControls(onScaleChange, onTranspose) {
+  try {
+    const rootSelect = getRequiredElement(ELEMENT_IDS.SCALE_ROOT_SELECT);
+    const typeSelect = getRequiredElement(ELEMENT_IDS.SCALE_TYPE_SELECT);
+    const displaySelect = getRequiredElement(ELEMENT_IDS.SCALE_DISPLAY_SELECT);
+    const customScale = getRequiredElement(ELEMENT_IDS.CUSTOM_SCALE);
+    const transposeSelect = getRequiredElement(ELEMENT_IDS.TRANSPOSE_SELECT);
+    const transposeBtn = getRequiredElement(ELEMENT_IDS.TRANSPOSE_BUTTON);
+
+    const handleChange = () => {
+      try {
+        onScaleChange({
+          root: rootSelect.value,
+          type: typeSelect.value,
+          display: displaySelect.value,
+          custom: [...customScale.querySelectorAll("input:checked")].map(
+            (checkbox) => parseInt(checkbox.value)
+          ),
+        });
+      } catch (error) {
+        console.error("Scale update failed:", error);
+        showNotification("Failed to update the scale", "error");
+      }
+    };
+
+    // Checkbox changes bubble up to the custom scale fieldset
+    [rootSelect, typeSelect, displaySelect, customScale].forEach((element) =>
+      element.addEventListener("change", handleChange)
+    );
+
+    transposeBtn.addEventListener("click", () => {
+      try {
+        onTranspose(transposeSelect.value);
+      } catch (error) {
+        console.error("Transpose operation failed:", error);
+        showNotification("Failed to transpose", "error");
+      }
+    });
+  } catch (error) {
+    console.error("Failed to setup scale controls:", error);
+    showNotification("Failed to initialize scale controls", "error");
+    throw error;
+  }
+}
+
+/**
+ * Fills the key, scale and transpose selectors and creates one custom scale
+ * checkbox per semitone above the key note. Call before setupControls.
+ * @throws {Error} If required scale control elements are not found
+ */
+export function populateScaleControls() {
+  const rootSelect = getRequiredElement(ELEMENT_IDS.SCALE_ROOT_SELECT);
+  const typeSelect = getRequiredElement(ELEMENT_IDS.SCALE_TYPE_SELECT);
+  const transposeSelect = getRequiredElement(ELEMENT_IDS.TRANSPOSE_SELECT);
+  const customScale = getRequiredElement(ELEMENT_IDS.CUSTOM_SCALE);
+
+  [rootSelect, transposeSelect].forEach((select) => {
+    select.innerHTML = "";
+    PITCH_CLASSES.forEach((pitchClass) => {
+      const option = document.createElement("option");
+      option.value = pitchClass;
+      option.textContent = pitchClass;
+      select.appendChild(option);
+    });
+  });
+
+  typeSelect.innerHTML = "";
+  SCALES.forEach((scale) => {
+    const option = document.createElement("option");
+    option.value = scale.id;
+    option.textContent = scale.name;
+    typeSelect.appendChild(option);
+  });
+
+  // Note names are filled in by syncScaleControls, as they follow the key
+  customScale.querySelectorAll("label").forEach((label) => label.remove());
+  PITCH_CLASSES.forEach((_, interval) => {
+    const label = createElement("label", "toggle-label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = interval.toString();
+    // The key note is always in the scale
+    checkbox.disabled = interval === 0;
+    label.append(checkbox, createElement("span"));
+    customScale.appendChild(label);
+  });
+}
+
+/**
+ * Updates the key and scale controls to show a scale, for example after
+ * opening a song. Custom scale checkboxes are named after the notes they
+ * add in the current key.
+ * @param {Object} scale - Scale to show (see scales.js)
+ * @throws {Error} If required scale control elements are not found
+ */
+export function syncScaleControls(scale) {
+  const customScale = getRequiredElement(ELEMENT_IDS.CUSTOM_SCALE);
+  const rootIndex = PITCH_CLASSES.indexOf(scale.root);
+
+  getRequiredElement(ELEMENT_IDS.SCALE_ROOT_SELECT).value = scale.root;
+  getRequiredElement(ELEMENT_IDS.SCALE_TYPE_SELECT).value = scale.type;
+  getRequiredElement(ELEMENT_IDS.SCALE_DISPLAY_SELECT).value = scale.display;
+  getRequiredElement(ELEMENT_IDS.TRANSPOSE_SELECT).value = scale.root;
+
+  customScale.hidden = scale.type !== SCALE_CONFIG.CUSTOM_TYPE;
+  customScale.querySelectorAll("input").forEach((checkbox) => {
+    const interval = parseInt(checkbox.value);
+    checkbox.checked = interval === 0 || scale.custom.includes(interval);
+    checkbox.nextElementSibling.textContent =
+      PITCH_CLASSES[(rootIndex + interval) % PITCH_CLASSES.length];
+  });
+}
+
+/**
+ * Sets up the selection tool buttons. Each button names its tool in a
+ * data-selection-action attribute.
+ * @param {Function} onSelectionAction - Called with the tool's action
+ * @throws {Error} If the selection toolbar is not found
+ */
+function setupSelectionTools(onSelectionAction) {
+  try {
+    const toolbar = getRequiredElement(ELEMENT_IDS.SELECTION_TOOLS);
+
+    toolbar.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-selection-action]");
+      if (!button) return;
+
+      try {
+        onSelectionAction(button.dataset.selectionAction);
+      } catch (error) {
+        console.error("Selection tool failed:", error);
+        showNotification("Failed to edit the selected notes", "error");
+      }
+    });
+  } catch (error) {
+    console.error("Failed to setup selection tools:", error);
+    showNotification("Failed to initialize selection tools", "error");
+    throw error;
+  }
+}
+
+/**
+ * Enables the selection tools that can run: Paste needs notes on the
+ * clipboard, Select all always works, the transpose tools need a selection
+ * on a track with pitched rows, and the rest need a selection.
+ * @param {boolean} hasSelection - Whether cells are selected
+ * @param {boolean} hasClipboard - Whether notes were copied or cut
+ * @param {boolean} canTranspose - Whether the track's rows have pitches, unlike drums
+ * @throws {Error} If the selection toolbar is not found
+ */
+export function syncSelectionTools(hasSelection, hasClipboard, canTranspose) {
+  const transposeActions = [
+    SELECTION_ACTIONS.TRANSPOSE_UP,
+    SELECTION_ACTIONS.TRANSPOSE_DOWN,
+    SELECTION_ACTIONS.OCTAVE_UP,
+    SELECTION_ACTIONS.OCTAVE_DOWN,
+  ];
+  getRequiredElement(ELEMENT_IDS.SELECTION_TOOLS)
+    .querySelectorAll("[data-selection-action]")
+    .forEach((button) => {
+      const action = button.dataset.selectionAction;
+      if (action === SELECTION_ACTIONS.PASTE) {
+        button.disabled = !hasClipboard;
+      } else if (transposeActions.includes(action)) {
+        button.disabled = !hasSelection || !canTranspose;
+      } else if (action !== SELECTION_ACTIONS.SELECT_ALL) {
+        button.disabled = !hasSelection;
+      }
+    });
+}
+
+/**
+ * Sets up the swing slider, groove template selector and micro-timing
+ * sliders. Moving a slider reports the complete groove settings with the
+ * template set to custom, once while it moves and once more when released,
+ * so the caller can play the change at once and save it when done.
+ *
+ * @param {Function} onGrooveChange - Called with ({swing, template, offsets}, isFinal)
+ * @param {Function} onGrooveTemplate - Called with the template ID
+ * @throws {Error} If required groove control elements are not found
+ */
+function setupGrooveControls(onGrooveChange, onGrooveTemplate) {
+  try {
+    const swingSlider = getRequiredElement(ELEMENT_IDS.SWING_SLIDER);
+    const swingValue = getRequiredElement(ELEMENT_IDS.SWING_VALUE);
+    const templateSelect = getRequiredElement(
+      ELEMENT_IDS.GROOVE_TEMPLATE_SELECT
+    );
+    const microTiming = getRequiredElement(ELEMENT_IDS.MICRO_TIMING);
+
+    const handleChange = (event) => {
+      try {
+        swingValue.textContent = `${swingSlider.value}%`;
+        templateSelect.value = GROOVE_CONFIG.CUSTOM_TEMPLATE;
+        onGrooveChange(
+          {
+            swing: parseInt(swingSlider.value),
+            template: GROOVE_CONFIG.CUSTOM_TEMPLATE,
+            offsets: [...microTiming.querySelectorAll("input")].map((slider) =>
+              parseInt(slider.value)
+            ),
+          },
+          event.type === "change"
+        );
+      } catch (error) {
+        console.error("Groove update failed:", error);
+        showNotification("Failed to update the groove", "error");
+      }
+    };
+
+    // Micro-timing slider events bubble up to their container
+    [swingSlider, microTiming].forEach((element) => {
+      element.addEventListener("input", handleChange);
+      element.addEventListener("change", handleChange);
+    });
+
+    templateSelect.addEventListener("change", () => {
+      try {
+        onGrooveTemplate(templateSelect.value);
+      } catch (error) {
+        console.error("Groove template failed:", error);
+        showNotification("Failed to apply the groove template", "error");
+      }
+    });
+  } catch (error) {
+    console.error("Failed to setup groove controls:", error);
+    showNotification("Failed to initialize groove controls", "error");
+    throw error;
+  }
+}
+
+/**
+ * Fills the groove template selector and creates one micro-timing slider
+ * per step of a bar. Call before setupControls.
+ * @throws {Error} If required groove control elements are not found
+ */
+export function populateGrooveControls() {
+  const templateSelect = getRequiredElement(ELEMENT_IDS.GROOVE_TEMPLATE_SELECT);
+  const microTiming = getRequiredElement(ELEMENT_IDS.MICRO_TIMING);
+
+  templateSelect.innerHTML = "";
+  GROOVE_TEMPLATES.forEach((template) => {
+    const option = document.createElement("option");
+    option.value = template.id;
+    option.textContent = template.name;
+    templateSelect.appendChild(option);
+  });
+  // Shown after manual edits, never chosen directly
+  const customOption = document.createElement("option");
+  customOption.value = GROOVE_CONFIG.CUSTOM_TEMPLATE;
+  customOption.textContent = "Custom";
+  customOption.disabled = true;
+  templateSelect.appendChild(customOption);
+
+  microTiming.querySelectorAll("label").forEach((label) => label.remove());
+  for (let step = 0; step < GROOVE_CONFIG.STEPS; step++) {
+    const label = createElement("label", "micro-timing-step");
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = (-GROOVE_CONFIG.MAX_OFFSET).toString();
+    slider.max = GROOVE_CONFIG.MAX_OFFSET.toString();
+    slider.step = "1";
+    slider.value = "0";
+    const number = createElement("span");
+    number.textContent = (step + 1).toString();
+    label.append(slider, number);
+    microTiming.appendChild(label);
+  }
+}
+
+/**
+ * Updates the groove controls to show a groove, for example after opening
+ * a song or choosing a template.
+ * @param {Object} groove - Groove to show (see groove.js)
+ * @throws {Error} If required groove control elements are not found
+ */
+export function syncGrooveControls(groove) {
+  const swingSlider = getRequiredElement(ELEMENT_IDS.SWING_SLIDER);
+  swingSlider.value = groove.swing.toString();
+  getRequiredElement(ELEMENT_IDS.SWING_VALUE).textContent = `${groove.swing}%`;
+  getRequiredElement(ELEMENT_IDS.GROOVE_TEMPLATE_SELECT).value =
+    groove.template;
+
+  getRequiredElement(ELEMENT_IDS.MICRO_TIMING)
+    .querySelectorAll("input")
+    .forEach((slider, step) => {
+      const offset = groove.offsets[step];
+      slider.value = offset.toString();
+      slider.title = `Step ${step + 1}: ${
+        offset === 0
+          ? "on time"
+          : `${Math.abs(offset)}% of a step ${offset > 0 ? "late" : "early"}`
+      }`;
+    });
+}
+
+/**
+ * Formats a signed number with a unit, e.g. "+7 ct".
+ * @param {number} value - Number to format
+ * @param {string} unit - Unit after the number
+ * @param {number} [decimals=0] - Decimal places
+ * @returns {string} Formatted value
+ */
+function formatSigned(value, unit, decimals = 0) {
+  return `${value > 0 ? "+" : ""}${value.toFixed(decimals)} ${unit}`;
+}
+
+/**
+ * Creates a labelled slider for one setting of a panel, with a value
+ * display. The slider's data-setting attribute holds the setting's path in
+ * the panel's settings, e.g. "filter.cutoff"; log sliders hold the base-2
+ * logarithm of the value.
+ *
+ * @param {string} path - Dotted path of the setting
+ * @param {Object} settings - Slider settings
+ * @param {string} settings.label - Label text
+ * @param {number} settings.min - Lowest value
+ * @param {number} settings.max - Highest value
+ * @param {number} settings.step - Slider step, on the slider's own scale
+ * @param {Function} settings.format - Formats the value for the display
+ * @param {boolean} [settings.log=false] - Whether the slider moves on a logarithmic scale
+ * @returns {HTMLElement} Label holding the slider and its value display
+ */
+function createSettingSlider(path, { label, min, max, step, format, log }) {
+  const container = createElement("label", "setting-control");
+  const text = createElement("span");
+  text.textContent = label;
+  const slider = document.createElement("input");
+  slider.type = "range";
+  slider.min = (log ? Math.log2(min) : min).toString();
+  slider.max = (log ? Math.log2(max) : max).toString();
+  slider.step = step.toString();
+  slider.dataset.setting = path;
+  if (log) slider.dataset.scale = "log";
+  const value = createElement("span", "value-display");
+  settingFormats.set(slider, format);
+  container.append(text, slider, value);
+  return container;
+}
+
+/**
+ * Creates a labelled selector for one setting of a panel.
+ * @param {string} path - Dotted path of the setting
+ * @param {string} label - Label text
+ * @param {Array<{value: string, name: string}>} options - Choices
+ * @param {boolean} [numeric=false] - Whether the setting is a number
+ * @returns {HTMLElement} Label holding the selector
+ */
+function createSettingSelect(path, label, options, numeric = false) {
+  const container = createElement("label", "setting-control");
+  const text = createElement("span");
+  text.textContent = label;
+  const select = createElement("select", "control-select");
+  select.dataset.setting = path;
+  if (numeric) select.dataset.numeric = "true";
+  options.forEach(({ value, name }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  container.append(text, select);
+  return container;
+}
+
+/**
+ * Creates a labelled checkbox for one on/off setting of a panel.
+ * @param {string} path - Dotted path of the setting
+ * @param {string} label - Label text
+ * @returns {HTMLElement} Label holding the checkbox
+ */
+function createSettingToggle(path, label) {
+  const container = createElement("label", "toggle-label");
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.dataset.setting = path;
+  const text = createElement("span");
+  text.textContent = label;
+  container.append(checkbox, text);
+  return container;
+}
+
+/**
+ * Adds a titled group of setting controls to a panel.
+ * @param {HTMLElement} panel - Panel to add to
+ * @param {string} title - Group legend
+ * @param {HTMLElement[]} controls - Controls in the group
+ */
+function appendSettingGroup(panel, title, controls) {
+  const group = createElement("fieldset", "setting-group");
+  const legend = document.createElement("legend");
+  legend.textContent = title;
+  group.append(legend, ...controls);
+  panel.appendChild(group);
+}
+
+/**
+ * Reads a setting control's value, undoing a log slider's scale.
+ * @param {HTMLInputElement|HTMLSelectElement} control - Setting control
+ * @returns {number|string|boolean} Setting value
+ */
+function readSettingControl(control) {
+  if (control.type === "checkbox") {
+    return control.checked;
+  }
+  if (control.tagName === "SELECT") {
+    return control.dataset.numeric ? parseInt(control.value) : control.value;
+  }
+  const value = parseFloat(control.value);
+  return control.dataset.scale === "log" ? Math.round(2 ** value) : value;
+}
+
+/**
+ * Sets up the synth voice panel. Any change reports the complete voice
+ * settings read from the panel, once while a slider moves and once more
+ * when it is released, so the caller can play the change at once and save
+ * it when done.
+ *
+ * @param {Function} onVoiceChange - Called with (voice settings, isFinal)
+ * @param {Function} onResetVoice - Called when the reset button is clicked
+ * @throws {Error} If required voice control elements are not found
+ */
+function setupVoiceControls(onVoiceChange, onResetVoice) {
+  try {
+    const voicePanel = getRequiredElement(ELEMENT_IDS.VOICE_PANEL);
+    const resetVoiceBtn = getRequiredElement(ELEMENT_IDS.RESET_VOICE_BUTTON);
+
+    const handleChange = (event) => {
+      if (!event.target.dataset.setting) return;
+      try {
+        showSettingValue(event.target);
+        onVoiceChange(readSettings(voicePanel), event.type === "change");
+      } catch (error) {
+        console.error("Voice update failed:", error);
+        showNotification("Failed to update the synth voice", "error");
+      }
+    };
+
+    // Control events bubble up to the panel
+    voicePanel.addEventListener("input", handleChange);
+    voicePanel.addEventListener("change", handleChange);
+
+    resetVoiceBtn.addEventListener("click", () => {
+      try {
+        onResetVoice();
+      } catch (error) {
+        console.error("Voice reset failed:", error);
+        showNotification("Failed to reset the synth voice", "error");
+      }
+    });
+  } catch (error) {
+    console.error("Failed to setup voice controls:", error);
+    showNotification("Failed to initialize the synth voice panel", "error");
+    throw error;
+  }
+}
+
+/**
+ * Reads every setting control of a panel into a settings object, following
+ * the controls' paths. Numeric path keys index arrays.
+ * @param {HTMLElement} panel - Panel holding the controls
+ * @returns {Object} Settings
+ */
+function readSettings(panel) {
+  const settings = {};
+  panel.querySelectorAll("[data-setting]").forEach((control) => {
+    const keys = control.dataset.setting.split(".");
+    const last = keys.pop();
+    const parent = keys.reduce((node, key, index) => {
+      if (!node[key]) {
+        const next = keys[index + 1] ?? last;
+        node[key] = /^\d+$/.test(next) ? [] : {};
+      }
+      return node[key];
+    }, settings);
+    parent[last] = readSettingControl(control);
+  });
+  return settings;
+}
+
+/**
+ * Shows the values of a settings object in a panel's controls.
+ * @param {HTMLElement} panel - Panel holding the controls
+ * @param {Object} settings - Settings, shaped like those readSettings returns
+ */
+function syncSettings(panel, settings) {
+  panel.querySelectorAll("[data-setting]").forEach((control) => {
+    const value = control.dataset.setting
+      .split(".")
+      .reduce((node, key) => node[key], settings);
+    if (control.type === "checkbox") {
+      control.checked = value;
+      return;
+    }
+    control.value = (
+      control.dataset.scale === "log" ? Math.log2(value) : value
+    ).toString();
+    showSettingValue(control);
+  });
+}
+
+/**
+ * Shows a slider's value in its display.
+ * @param {HTMLElement} control - Setting control; selectors and checkboxes have no display
+ */
+function showSettingValue(control) {
+  const format = settingFormats.get(control);
+  if (format) {
+    control.nextElementSibling.textContent = format(
+      readSettingControl(control)
+    );
+  }
+}
+
+/**
+ * Builds the synth voice panel: the amplitude envelope, one group per
+ * oscillator, and the filter with its envelope. Call before setupControls.
+ * @throws {Error} If the voice panel element is not found
+ */
+export function populateVoiceControls() {
+  const voicePanel = getRequiredElement(ELEMENT_IDS.VOICE_PANEL);
+  voicePanel.querySelectorAll("fieldset").forEach((group) => group.remove());
+  const createGroup = (title, controls) =>
+    appendSettingGroup(voicePanel, title, controls);
+  const waveformNames = Object.values(WAVEFORMS).map((waveform) => ({
+    value: waveform,
+    name: waveform.charAt(0).toUpperCase() + waveform.slice(1),
+  }));
+
+  createGroup(
+    "Envelope",
+    ENVELOPE_SLIDERS.map((slider) => createSettingSlider(slider.key, slider))
+  );
+
+  for (let index = 0; index < VOICE_CONFIG.OSCILLATORS; index++) {
+    const path = `oscillators.${index}`;
+    const octaves = [];
+    for (
+      let octave = VOICE_CONFIG.MIN_OCTAVE;
+      octave <= VOICE_CONFIG.MAX_OCTAVE;
+      octave++
+    ) {
+      octaves.push({
+        value: octave.toString(),
+        name: formatSigned(octave, "oct"),
+      });
+    }
+    createGroup(`Oscillator ${index + 1}`, [
+      createSettingSelect(`${path}.waveform`, "Wave", [
+        { value: VOICE_CONFIG.TRACK_WAVEFORM, name: "Track wave" },
+        ...waveformNames,
+      ]),
+      createSettingSelect(`${path}.octave`, "Octave", octaves, true),
+      createSettingSlider(`${path}.detune`, {
+        label: "Detune",
+        min: -VOICE_CONFIG.MAX_DETUNE,
+        max: VOICE_CONFIG.MAX_DETUNE,
+        step: 1,
+        format: (value) => formatSigned(value, "ct"),
+      }),
+      createSettingSlider(`${path}.level`, {
+        label: "Mix",
+        min: 0,
+        max: 1,
+        step: 0.01,
+        format: (value) => formatAsPercentage(value),
+      }),
+    ]);
+  }
+
+  createGroup("Filter", [
+    createSettingSelect("filter.type", "Type", [
+      { value: FILTER_TYPES.LOWPASS, name: "Low-pass" },
+      { value: FILTER_TYPES.HIGHPASS, name: "High-pass" },
+      { value: FILTER_TYPES.BANDPASS, name: "Band-pass" },
+    ]),
+    createSettingSlider("filter.cutoff", {
+      label: "Cutoff",
+      min: VOICE_CONFIG.MIN_CUTOFF,
+      max: VOICE_CONFIG.MAX_CUTOFF,
+      step: 0.01,
+      log: true,
+      format: (value) => `${value} Hz`,
+    }),
+    createSettingSlider("filter.resonance", {
+      label: "Resonance",
+      min: VOICE_CONFIG.MIN_RESONANCE,
+      max: VOICE_CONFIG.MAX_RESONANCE,
+      step: 0.1,
+      format: (value) => `Q ${value.toFixed(1)}`,
+    }),
+    createSettingSlider("filter.amount", {
+      label: "Env amount",
+      min: -VOICE_CONFIG.MAX_FILTER_AMOUNT,
+      max: VOICE_CONFIG.MAX_FILTER_AMOUNT,
+      step: 0.1,
+      format: (value) => formatSigned(value, "oct", 1),
+    }),
+  ]);
+
+  createGroup(
+    "Filter envelope",
+    ENVELOPE_SLIDERS.map((slider) =>
+      createSettingSlider(`filter.${slider.key}`, slider)
+    )
+  );
+}
+
+/**
+ * Updates the synth voice panel to show a voice, for example after opening
+ * a song or resetting the voice.
+ * @param {Object} voice - Voice to show (see voices.js)
+ * @throws {Error} If the voice panel element is not found
+ */
+export function syncVoiceControls(voice) {
+  syncSettings(getRequiredElement(ELEMENT_IDS.VOICE_PANEL), voice);
+}
+
+/**
+ * Sets up the master and track effects panels. Like the voice panel, any
+ * change reports the panel's complete effects settings while a slider moves
+ * and again when it is released.
+ *
+ * @param {Function} onEffectsChange - Called with (target, effects settings, isFinal); target is an EFFECT_TARGETS value
+ * @throws {Error} If required effects panel elements are not found
+ */
+function setupEffectsControls(onEffectsChange) {
+  try {
+    Object.entries(EFFECT_PANELS).forEach(([target, id]) => {
+      const panel = getRequiredElement(id);
+      const handleChange = (event) => {
+        if (!event.target.dataset.setting) return;
+        try {
+          showSettingValue(event.target);
+          onEffectsChange(target, readSettings(panel), event.type === "change");
+        } catch (error) {
+          console.error("Effects update failed:", error);
+          showNotification("Failed to update the effects", "error");
+        }
+      };
+
+      panel.addEventListener("input", handleChange);
+      panel.addEventListener("change", handleChange);
+    });
+  } catch (error) {
+    console.error("Failed to setup effects controls:", error);
+    showNotification("Failed to initialize the effects panels", "error");
+    throw error;
+  }
+}
+
+/**
+ * Builds the master and track effects panels, with a group per effect in
+ * the order sound passes through them. Call before setupControls.
+ * @throws {Error} If an effects panel element is not found
+ */
+export function populateEffectsControls() {
+  const percent = { min: 0, max: 1, step: 0.01, format: formatAsPercentage };
+  const decibels = (value) => formatSigned(value, "dB", 1);
+
+  Object.values(EFFECT_PANELS).forEach((id) => {
+    const panel = getRequiredElement(id);
+    panel.querySelectorAll("fieldset").forEach((group) => group.remove());
+    const createGroup = (title, effect, controls) =>
+      appendSettingGroup(panel, title, [
+        createSettingToggle(`${effect}.bypass`, "Bypass"),
+        ...controls,
+      ]);
+    const eqBand = (key, label) =>
+      createSettingSlider(`eq.${key}`, {
+        label,
+        min: -EFFECTS_CONFIG.MAX_EQ_GAIN,
+        max: EFFECTS_CONFIG.MAX_EQ_GAIN,
+        step: 0.5,
+        format: decibels,
+      });
+
+    createGroup("EQ", "eq", [
+      eqBand("low", "Low"),
+      eqBand("mid", "Mid"),
+      eqBand("high", "High"),
+    ]);
+
+    createGroup("Distortion", "distortion", [
+      createSettingSlider("distortion.drive", { label: "Drive", ...percent }),
+      createSettingSlider("distortion.mix", { label: "Mix", ...percent }),
+    ]);
+
+    createGroup("Delay", "delay", [
+      createSettingSelect(
+        "delay.division",
+        "Time",
+        DELAY_DIVISIONS.map(({ id: value, name }) => ({ value, name }))
+      ),
+      createSettingSlider("delay.feedback", {
+        label: "Feedback",
+        ...percent,
+        max: EFFECTS_CONFIG.MAX_FEEDBACK,
+      }),
+      createSettingSlider("delay.mix", { label: "Mix", ...percent }),
+    ]);
+
+    createGroup("Reverb", "reverb", [
+      createSettingSlider("reverb.size", {
+        label: "Size",
+        min: EFFECTS_CONFIG.MIN_REVERB_SIZE,
+        max: EFFECTS_CONFIG.MAX_REVERB_SIZE,
+        step: 0.1,
+        format: (value) => `${value.toFixed(1)} s`,
+      }),
+      createSettingSlider("reverb.decay", {
+        label: "Decay",
+        min: EFFECTS_CONFIG.MIN_REVERB_DECAY,
+        max: EFFECTS_CONFIG.MAX_REVERB_DECAY,
+        step: 0.1,
+        format: (value) => value.toFixed(1),
+      }),
+      createSettingSlider("reverb.mix", { label: "Mix", ...percent }),
+    ]);
+
+    createGroup("Compressor", "compressor", [
+      createSettingSlider("compressor.threshold", {
+        label: "Threshold",
+        min: EFFECTS_CONFIG.MIN_THRESHOLD,
+        max: 0,
+        step: 1,
+        format: (value) => `${value} dB`,
+      }),
+      createSettingSlider("compressor.ratio", {
+        label: "Ratio",
+        min: EFFECTS_CONFIG.MIN_RATIO,
+        max: EFFECTS_CONFIG.MAX_RATIO,
+        step: 0.5,
+        format: (value) =>
+          value >= EFFECTS_CONFIG.MAX_RATIO ? "Limiter" : `${value}:1`,
+      }),
+      createSettingSlider("compressor.makeup", {
+        label: "Make-up",
+        min: 0,
+        max: EFFECTS_CONFIG.MAX_MAKEUP,
+        step: 0.5,
+        format: decibels,
+      }),
+    ]);
+  });
+}
+
+/**
+ * Updates an effects panel to show effects settings, for example after
+ * opening a song or selecting another track.
+ * @param {string} target - Panel to update (see EFFECT_TARGETS)
+ * @param {Object} effects - Effects settings to show (see effects.js)
+ * @throws {Error} If the effects panel element is not found
+ */
+export function syncEffectsControls(target, effects) {
+  syncSettings(getRequiredElement(EFFECT_PANELS[target]), effects);
+}
+
+/**
+ * Sets up the MIDI device controls and fills the channel list. Connecting
+ * is asynchronous, as the browser may ask for permission, and reports its
+ * own errors.
+ *
+ * @param {Function} onConnectMidi - Called when the connect button is clicked
+ * @param {Function} onMidiInputChange - Called with the ID of the input chosen, or '' for none
+ * @param {Function} onMidiOutputChange - Called with the ID of the output chosen, or '' for none
+ * @param {Function} onMidiChannelChange - Called with the channel chosen (0-15), or MIDI_CONFIG.CHANNEL_BY_TRACK
+ * @throws {Error} If required MIDI control elements are not found
+ */
+function setupMidiControls(
+  onConnectMidi,
+  onMidiInputChange,
+  onMidiOutputChange,
+  onMidiChannelChange
+) {
+  try {
+    const connectMidiBtn = getRequiredElement(ELEMENT_IDS.CONNECT_MIDI_BUTTON);
+    const midiInputSelect = getRequiredElement(ELEMENT_IDS.MIDI_INPUT_SELECT);
+    const midiOutputSelect = getRequiredElement(ELEMENT_IDS.MIDI_OUTPUT_SELECT);
+    const midiChannelSelect = getRequiredElement(
+      ELEMENT_IDS.MIDI_CHANNEL_SELECT
+    );
+
+    // Channels are numbered from 1 for people and from 0 for MIDI
+    midiChannelSelect.innerHTML = "";
+    const byTrackOption = document.createElement("option");
+    byTrackOption.value = MIDI_CONFIG.CHANNEL_BY_TRACK;
+    byTrackOption.textContent = `By track (drums on ${
+      MIDI_CONFIG.DRUM_CHANNEL + 1
+    })`;
+    midiChannelSelect.appendChild(byTrackOption);
+    for (let channel = 0; channel < MIDI_CONFIG.CHANNELS; channel++) {
+      const option = document.createElement("option");
+      option.value = String(channel);
+      option.textContent = String(channel + 1);
+      midiChannelSelect.appendChild(option);
+    }
+
+    connectMidiBtn.addEventListener("click", () => {
+      try {
+        onConnectMidi();
+      } catch (error) {
+        console.error("Connect MIDI operation failed:", error);
+        showNotification("Failed to connect MIDI devices", "error");
+      }
+    });
+
+    midiInputSelect.addEventListener("change", () => {
+      try {
+        onMidiInputChange(midiInputSelect.value);
+      } catch (error) {
+        console.error("MIDI input change failed:", error);
+        showNotification("Failed to switch the MIDI input", "error");
+      }
+    });
+
+    midiOutputSelect.addEventListener("change", () => {
+      try {
+        onMidiOutputChange(midiOutputSelect.value);
+      } catch (error) {
+        console.error("MIDI output change failed:", error);
+        showNotification("Failed to switch the MIDI output", "error");
+      }
+    });
+
+    midiChannelSelect.addEventListener("change", () => {
+      const { value } = midiChannelSelect;
+      onMidiChannelChange(
+        value === MIDI_CONFIG.CHANNEL_BY_TRACK ? value : parseInt(value)
+      );
+    });
+  } catch (error) {
+    console.error("Failed to setup MIDI controls:", error);
+    showNotification("Failed to initialize the MIDI controls", "error");
+    throw error;
+  }
+}
+
+/**
+ * Fills the MIDI input list, keeping a "None" choice first, and enables it.
+ *
+ * @param {Array<{id: string, name: string}>} inputs - Connected inputs
+ * @param {string|null} selectedId - ID of the input listened to, or null for none
+ * @throws {Error} If the MIDI input list element is not found
+ */
+export function populateMidiInputs(inputs, selectedId) {
+  populateMidiPorts(ELEMENT_IDS.MIDI_INPUT_SELECT, inputs, selectedId);
+}
+
+/**
+ * Fills the MIDI output list, keeping a "None" choice first, and enables it.
+ *
+ * @param {Array<{id: string, name: string}>} outputs - Connected outputs
+ * @param {string|null} selectedId - ID of the output sent to, or null for none
+ * @throws {Error} If the MIDI output list element is not found
+ */
+export function populateMidiOutputs(outputs, selectedId) {
+  populateMidiPorts(ELEMENT_IDS.MIDI_OUTPUT_SELECT, outputs, selectedId);
+}
+
+/**
+ * Fills a list of MIDI ports, keeping a "None" choice first, and enables it.
+ *
+ * @param {string} elementId - ID of the list element
+ * @param {Array<{id: string, name: string}>} ports - Connected ports
+ * @param {string|null} selectedId - ID of the port in use, or null for none
+ * @throws {Error} If the list element is not found
+ */
+function populateMidiPorts(elementId, ports, selectedId) {
+  const portSelect = getRequiredElement(elementId);
+
+  portSelect.innerHTML = "";
+  [{ id: "", name: "None" }, ...ports].forEach((port) => {
+    const option = document.createElement("option");
+    option.value = port.id;
+    option.textContent = port.name;
+    portSelect.appendChild(option);
+  });
+
+  portSelect.value = selectedId || "";
+  portSelect.disabled = false;
+}
+
+/**
+ * Fills the song list with the projects in the library.
+ *
+ * @param {Array<{id: string, name: string}>} projects - Project summaries, in display order
+ * @param {string|null} selectedId - ID of the project being edited
+ * @throws {Error} If the song list element is not found
+ * @example
+ * populateProjectSelect(await listProjects(), appState.projectId);
+ */
+export function populateProjectSelect(projects, selectedId) {
+  const projectSelect = getRequiredElement(ELEMENT_IDS.PROJECT_SELECT);
+
+  projectSelect.innerHTML = "";
+  projects.forEach((project) => {
+    const option = document.createElement("option");
+    option.value = project.id;
+    option.textContent = project.name;
+    projectSelect.appendChild(option);
+  });
+
+  if (selectedId) {
+    projectSelect.value = selectedId;
+  }
+}
+
+/**
+ * Enables or disables the project library controls, for when the browser
+ * has no persistent storage.
+ * @param {boolean} enabled - Whether the controls can be used
+ */
+export function setProjectControlsEnabled(enabled) {
+  [
+    ELEMENT_IDS.PROJECT_SELECT,
+    ELEMENT_IDS.NEW_PROJECT_BUTTON,
+    ELEMENT_IDS.DUPLICATE_PROJECT_BUTTON,
+    ELEMENT_IDS.RENAME_PROJECT_BUTTON,
+    ELEMENT_IDS.DELETE_PROJECT_BUTTON,
+  ].forEach((id) => {
+    getRequiredElement(id).disabled = !enabled;
+  });
+}
+
 /**
  * Sets up the help overlay system with show/hide functionality.
  * Handles help button clicks and overlay interactions.
@@ -3,7 +3,14 @@
  * Contains reusable helpers for DOM manipulation, validation, storage, and formatting.
  */
 
-import { STORAGE_KEYS, MESSAGES, CSS_CLASSES, TIMING } from "./constants.js";
+import {
+  STORAGE_KEYS,
+  MESSAGES,
+  CSS_CLASSES,
+  TIMING,
+  ELEMENT_IDS,
+} from "./constants.js";
+import { ALL_NOTES } from "./config.js";
 
 // ===== DOM UTILITIES =====
 
@@ -167,6 +174,22 @@ export function showNotification(
   }
 }
 
+/**
+ * Reads a short message out to screen reader users through the page's
+ * polite live region, without showing anything on screen.
+ * @param {string} message - Message to announce
+ * @example
+ * announce('Added C4 beat 3');
+ */
+export function announce(message) {
+  const announcer = document.getElementById(ELEMENT_IDS.ANNOUNCER);
+  if (!announcer) return;
+
+  // Clearing first makes a repeated message count as a change
+  announcer.textContent = "";
+  announcer.textContent = message;
+}
+
 // ===== STORAGE UTILITIES =====
 
 /**
@@ -292,12 +315,34 @@ export function isValidArray(value, elementValidator = null) {
   return value.every(elementValidator);
 }
 
+/**
+ * Validates a single grid cell.
+ * Accepts empty cells (null), note cells with a positive integer length and
+ * an optional 0-127 velocity, and legacy boolean cells from grids saved
+ * before notes had a length.
+ * @param {any} cell - Cell value to validate
+ * @returns {boolean} True if the cell is valid
+ * @example
+ * isValidGridCell({ length: 2, velocity: 90 }); // true
+ * isValidGridCell(true); // true (legacy format)
+ */
+export function isValidGridCell(cell) {
+  if (cell === null || typeof cell === "boolean") return true;
+  if (typeof cell !== "object" || Array.isArray(cell)) return false;
+  if (!Number.isInteger(cell.length) || cell.length < 1) return false;
+  return (
+    cell.velocity === undefined ||
+    (Number.isInteger(cell.velocity) && isNumberInRange(cell.velocity, 0, 127))
+  );
+}
+
 /**
  * Validates a 2D grid state array.
+ * Legacy boolean grids pass validation so they can be migrated after loading.
  * @param {any} value - Value to validate
  * @param {number} [expectedRows] - Expected number of rows
  * @param {number} [expectedCols] - Expected number of columns
- * @returns {boolean} True if value is a valid 2D boolean array
+ * @returns {boolean} True if value is a valid 2D array of grid cells
  * @example
  * const isValidGrid = isValidGridState(gridState, 8, 16);
  */
@@ -313,7 +358,7 @@ export function isValidGridState(
   return value.every((row) => {
     if (!Array.isArray(row)) return false;
     if (expectedCols !== null && row.length !== expectedCols) return false;
-    return row.every((cell) => typeof cell === "boolean");
+    return row.every(isValidGridCell);
   });
 }
 
@@ -364,6 +409,25 @@ export function clamp(value, min, max) {
 
 // ===== MUSICAL UTILITIES =====
 
+/** Semitone offset of each note name from C within an octave */
+const NOTE_SEMITONES = {
+  C: 0,
+  "C#": 1,
+  D: 2,
+  "D#": 3,
+  E: 4,
+  F: 5,
+  "F#": 6,
+  G: 7,
+  "G#": 8,
+  A: 9,
+  "A#": 10,
+  B: 11,
+};
+
+/** MIDI note number of A4, the 440Hz tuning reference */
+const A4_MIDI_NUMBER = 69;
+
 /**
  * Converts a musical note name to its frequency in Hz.
  * @param {string} noteName - Note name in scientific notation (e.g., 'A4', 'C#3')
@@ -373,21 +437,21 @@ export function clamp(value, min, max) {
  * const freq = noteToFrequency('A4'); // 440
  */
 export function noteToFrequency(noteName) {
-  const noteMap = {
-    C: 0,
-    "C#": 1,
-    D: 2,
-    "D#": 3,
-    E: 4,
-    F: 5,
-    "F#": 6,
-    G: 7,
-    "G#": 8,
-    A: 9,
-    "A#": 10,
-    B: 11,
-  };
+  // A4 = 440Hz, calculate semitones from A4
+  const semitones = noteToMidiNumber(noteName) - A4_MIDI_NUMBER;
+  return 440 * Math.pow(2, semitones / 12);
+}
 
+/**
+ * Converts a musical note name to its MIDI note number.
+ * Uses the same note mapping as noteToFrequency, so C4 is 60 and A4 is 69.
+ * @param {string} noteName - Note name in scientific notation (e.g., 'A4', 'C#3')
+ * @returns {number} MIDI note number
+ * @throws {Error} If note name is invalid
+ * @example
+ * const key = noteToMidiNumber('C4'); // 60
+ */
+export function noteToMidiNumber(noteName) {
   if (!noteName || typeof noteName !== "string") {
     throw new Error("Invalid note name: must be a non-empty string");
   }
@@ -396,11 +460,11 @@ export function noteToFrequency(noteName) {
   const octaveStr = noteName.slice(-1);
   const octave = parseInt(octaveStr);
 
-  if (!(note in noteMap)) {
+  if (!(note in NOTE_SEMITONES)) {
     throw new Error(
-      `Invalid note name: ${note}. Must be one of: ${Object.keys(noteMap).join(
-        ", "
-      )}`
+      `Invalid note name: ${note}. Must be one of: ${Object.keys(
+        NOTE_SEMITONES
+      ).join(", ")}`
     );
   }
 
@@ -410,9 +474,63 @@ export function noteToFrequency(noteName) {
     );
   }
 
-  // A4 = 440Hz, calculate semitones from A4
-  const semitones = (octave - 4) * 12 + noteMap[note] - noteMap["A"];
-  return 440 * Math.pow(2, semitones / 12);
+  return (octave + 1) * 12 + NOTE_SEMITONES[note];
+}
+
+/**
+ * Converts a MIDI note number to a note name, the inverse of noteToMidiNumber.
+ * @param {number} midiNumber - MIDI note number (0-127)
+ * @returns {string|null} Note name (e.g., 'C4'), or null outside octaves 0-8
+ * @example
+ * const note = midiNumberToNote(61); // 'C#4'
+ */
+export function midiNumberToNote(midiNumber) {
+  const octave = Math.floor(midiNumber / 12) - 1;
+  if (!Number.isInteger(midiNumber) || octave < 0 || octave > 8) return null;
+
+  const names = Object.keys(NOTE_SEMITONES);
+  return `${names[midiNumber % 12]}${octave}`;
+}
+
+/**
+ * Builds the list of grid row notes between two notes, inclusive.
+ * Rows are ordered high to low to match the grid display.
+ * @param {string} startNote - Lowest note of the range (e.g., 'C3')
+ * @param {string} endNote - Highest note of the range (e.g., 'C4')
+ * @returns {string[]|null} Notes from endNote down to startNote, or null if the range is invalid
+ * @example
+ * const rows = getNoteRange('C3', 'E3'); // ['E3', 'D#3', 'D3', 'C#3', 'C3']
+ */
+export function getNoteRange(startNote, endNote) {
+  const startIndex = ALL_NOTES.indexOf(startNote);
+  const endIndex = ALL_NOTES.indexOf(endNote);
+
+  // ALL_NOTES is ordered high to low, so the low note has the larger index
+  if (startIndex === -1 || endIndex === -1 || startIndex < endIndex) {
+    return null;
+  }
+
+  return ALL_NOTES.slice(endIndex, startIndex + 1);
+}
+
+/**
+ * Offers data to the user as a file download.
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ * @example
+ * downloadBlob(new Blob([bytes], { type: 'audio/midi' }), 'song.mid');
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), TIMING.ANIMATION_DURATION);
 }
 
 /**
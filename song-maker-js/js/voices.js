@@ -0,0 +1,166 @@
+/**
+ * Synth voices for the Song Maker.
+ * A voice describes how melodic tracks sound: the oscillators mixed
+ * together, the amplitude envelope, and a resonant filter with its own
+ * envelope. The song has one voice; each track still picks the waveform of
+ * oscillators that follow the track.
+ *
+ * This module provides:
+ * - Voice creation with defaults, and validation
+ *
+ * Voice shape:
+ * {
+ *   attack: number,   // Seconds to reach the peak (0 to VOICE_CONFIG.MAX_TIME)
+ *   decay: number,    // Seconds to fall to the sustain level
+ *   sustain: number,  // Level held until the note ends, as a share of the peak (0-1)
+ *   release: number,  // Seconds to fade out after the note ends
+ *   oscillators: Array<{
+ *     waveform: string, // Waveform (see WAVEFORMS), or VOICE_CONFIG.TRACK_WAVEFORM
+ *     octave: number,   // Octaves above the note (VOICE_CONFIG.MIN_OCTAVE to MAX_OCTAVE)
+ *     detune: number,   // Cents above the note (-VOICE_CONFIG.MAX_DETUNE to MAX_DETUNE)
+ *     level: number,    // Share of the mix (0-1); levels are scaled to add up to 1
+ *   }>,                 // VOICE_CONFIG.OSCILLATORS entries
+ *   filter: {
+ *     type: string,     // Filter type (see FILTER_TYPES)
+ *     cutoff: number,   // Cutoff frequency in Hz, without the envelope
+ *     resonance: number,// Q of the filter
+ *     amount: number,   // Octaves the envelope moves the cutoff at its peak,
+ *                       // negative to sweep down
+ *     attack: number,   // Filter envelope, like the amplitude envelope
+ *     decay: number,
+ *     sustain: number,
+ *     release: number,
+ *   },
+ * }
+ */
+
+import { FILTER_TYPES, VOICE_CONFIG, WAVEFORMS } from "./constants.js";
+import { isNumberInRange, isValidArray } from "./utilities.js";
+
+/** Oscillators of the default voice: the track's waveform, and a detuned saw left out of the mix */
+const DEFAULT_OSCILLATORS = [
+  { waveform: VOICE_CONFIG.TRACK_WAVEFORM, octave: 0, detune: 0, level: 1 },
+  { waveform: WAVEFORMS.SAWTOOTH, octave: 0, detune: 7, level: 0 },
+];
+
+/**
+ * Creates a voice, filling in defaults for missing settings.
+ * @param {Object} [settings] - Voice settings (see the voice shape)
+ * @returns {Object} New voice
+ * @example
+ * const pluck = createVoice({ decay: 0.2, sustain: 0, filter: { cutoff: 800, amount: 2 } });
+ */
+export function createVoice({
+  attack = VOICE_CONFIG.DEFAULT_ATTACK,
+  decay = VOICE_CONFIG.DEFAULT_DECAY,
+  sustain = VOICE_CONFIG.DEFAULT_SUSTAIN,
+  release = VOICE_CONFIG.DEFAULT_RELEASE,
+  oscillators = [],
+  filter = {},
+} = {}) {
+  return {
+    attack,
+    decay,
+    sustain,
+    release,
+    oscillators: DEFAULT_OSCILLATORS.map((defaults, index) => ({
+      ...defaults,
+      ...oscillators[index],
+    })),
+    filter: {
+      type: FILTER_TYPES.LOWPASS,
+      cutoff: VOICE_CONFIG.MAX_CUTOFF,
+      resonance: VOICE_CONFIG.DEFAULT_RESONANCE,
+      amount: 0,
+      attack: VOICE_CONFIG.DEFAULT_ATTACK,
+      decay: VOICE_CONFIG.DEFAULT_DECAY,
+      sustain: 0,
+      release: VOICE_CONFIG.DEFAULT_RELEASE,
+      ...filter,
+    },
+  };
+}
+
+/**
+ * Validates a saved voice.
+ * @param {any} value - Value to validate
+ * @returns {boolean} True if value is a usable voice
+ */
+export function isValidVoice(value) {
+  return (
+    Boolean(value) &&
+    typeof value === "object" &&
+    isValidEnvelope(value) &&
+    isValidArray(value.oscillators, isValidOscillator) &&
+    value.oscillators.length === VOICE_CONFIG.OSCILLATORS &&
+    isValidFilter(value.filter)
+  );
+}
+
+/**
+ * Validates the attack, decay, sustain and release of an envelope.
+ * @param {Object} envelope - Voice or filter settings holding the envelope
+ * @returns {boolean} True if every stage is in range
+ */
+function isValidEnvelope(envelope) {
+  return (
+    isNumberInRange(envelope.attack, 0, VOICE_CONFIG.MAX_TIME) &&
+    isNumberInRange(envelope.decay, 0, VOICE_CONFIG.MAX_TIME) &&
+    isNumberInRange(envelope.sustain, 0, 1) &&
+    isNumberInRange(envelope.release, 0, VOICE_CONFIG.MAX_TIME)
+  );
+}
+
+/**
+ * Validates one oscillator of a voice.
+ * @param {any} oscillator - Value to validate
+ * @returns {boolean} True if value is a usable oscillator
+ */
+function isValidOscillator(oscillator) {
+  return (
+    Boolean(oscillator) &&
+    (oscillator.waveform === VOICE_CONFIG.TRACK_WAVEFORM ||
+      Object.values(WAVEFORMS).includes(oscillator.waveform)) &&
+    Number.isInteger(oscillator.octave) &&
+    isNumberInRange(
+      oscillator.octave,
+      VOICE_CONFIG.MIN_OCTAVE,
+      VOICE_CONFIG.MAX_OCTAVE
+    ) &&
+    isNumberInRange(
+      oscillator.detune,
+      -VOICE_CONFIG.MAX_DETUNE,
+      VOICE_CONFIG.MAX_DETUNE
+    ) &&
+    isNumberInRange(oscillator.level, 0, 1)
+  );
+}
+
+/**
+ * Validates the filter of a voice.
+ * @param {any} filter - Value to validate
+ * @returns {boolean} True if value is a usable filter
+ */
+function isValidFilter(filter) {
+  return (
+    Boolean(filter) &&
+    typeof filter === "object" &&
+    Object.values(FILTER_TYPES).includes(filter.type) &&
+    isNumberInRange(
+      filter.cutoff,
+      VOICE_CONFIG.MIN_CUTOFF,
+      VOICE_CONFIG.MAX_CUTOFF
+    ) &&
+    isNumberInRange(
+      filter.resonance,
+      VOICE_CONFIG.MIN_RESONANCE,
+      VOICE_CONFIG.MAX_RESONANCE
+    ) &&
+    isNumberInRange(
+      filter.amount,
+      -VOICE_CONFIG.MAX_FILTER_AMOUNT,
+      VOICE_CONFIG.MAX_FILTER_AMOUNT
+    ) &&
+    isValidEnvelope(filter)
+  );
+}
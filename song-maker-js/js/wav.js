@@ -0,0 +1,88 @@
+/**
+ * WAV file encoding for the Song Maker.
+ * Turns rendered audio into an uncompressed RIFF/WAVE file that any audio
+ * editor or player can open.
+ *
+ * This module provides:
+ * - 16-bit PCM WAV encoding of an AudioBuffer
+ */
+
+import { WAV_CONFIG } from "./constants.js";
+
+/** Size of the RIFF header plus the fmt and data chunk headers, in bytes */
+const WAV_HEADER_SIZE = 44;
+
+/**
+ * Encodes an AudioBuffer as a 16-bit PCM WAV file.
+ * Channels are interleaved and samples outside -1..1 are clipped.
+ *
+ * @param {AudioBuffer} audioBuffer - Rendered audio
+ * @returns {ArrayBuffer} Complete WAV file
+ * @throws {Error} If the buffer has no channels
+ * @example
+ * const wav = encodeWav(await renderOffline(4, 0.5, schedule));
+ * downloadBlob(new Blob([wav], { type: 'audio/wav' }), 'song.wav');
+ */
+export function encodeWav(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  if (!numberOfChannels) {
+    throw new Error("Audio buffer has no channels");
+  }
+
+  const bytesPerSample = WAV_CONFIG.BITS_PER_SAMPLE / 8;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+  const buffer = new ArrayBuffer(WAV_HEADER_SIZE + dataSize);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  writeAscii(view, 0, "RIFF");
+  view.setUint32(4, WAV_HEADER_SIZE - 8 + dataSize, true);
+  writeAscii(view, 8, "WAVE");
+
+  // Format chunk: PCM (1), channels, rates and sample size
+  writeAscii(view, 12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, WAV_CONFIG.BITS_PER_SAMPLE, true);
+
+  // Data chunk with interleaved samples
+  writeAscii(view, 36, "data");
+  view.setUint32(40, dataSize, true);
+
+  const channels = [];
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    channels.push(audioBuffer.getChannelData(channel));
+  }
+
+  let offset = WAV_HEADER_SIZE;
+  for (let i = 0; i < length; i++) {
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+      view.setInt16(
+        offset,
+        sample < 0 ? sample * 0x8000 : sample * 0x7fff,
+        true
+      );
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Writes an ASCII tag such as "RIFF" into a DataView.
+ * @param {DataView} view - View to write into
+ * @param {number} offset - Byte offset of the first character
+ * @param {string} text - ASCII text
+ */
+function writeAscii(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
@@ -0,0 +1,282 @@
+/**
+ * Web MIDI devices for the Song Maker.
+ * Asks the browser for MIDI access, lists the connected devices, turns the
+ * raw messages of the chosen input into note events and sends notes and
+ * clock to the chosen output. Access goes through
+ * `navigator.requestMIDIAccess`, so tests can replace it with a mock.
+ *
+ * Messages to the output are timestamped in `performance.now()`
+ * milliseconds, so the browser sends them on time however far ahead they
+ * are scheduled. Not every browser can take back messages once queued, so
+ * the notes still queued or sounding are remembered until they end, and
+ * stopping follows the last queued message with their note-offs.
+ *
+ * This module provides:
+ * - MIDI access, requested once
+ * - Device lists, and notice of devices being plugged in or out
+ * - Listening to one input at a time
+ * - Decoding note-on and note-off messages
+ * - Sending notes, clock, start and stop to one output at a time
+ *
+ * Note event shape:
+ * {
+ *   type: string,     // 'noteOn' or 'noteOff' (see MIDI_EVENTS)
+ *   channel: number,  // Zero-based MIDI channel (0-15)
+ *   key: number,      // MIDI note number (0-127)
+ *   velocity: number, // Velocity (1-127 for note-on, 0 for note-off)
+ * }
+ */
+
+import { MIDI_CONFIG, MIDI_EVENTS } from "./constants.js";
+
+/** MIDI access granted by the browser, once requested */
+let midiAccess = null;
+/** Input currently listened to, or null */
+let activeInput = null;
+/** Output currently sent to, or null */
+let activeOutput = null;
+/** Latest time a message is queued for on the output, in performance.now() milliseconds */
+let queuedUntil = 0;
+/** Notes sent to the output that have not ended yet: {channel, key, end} */
+let openNotes = [];
+
+/**
+ * Requests access to the MIDI devices, asking the browser only once.
+ * @returns {Promise<MIDIAccess>} MIDI access
+ * @throws {Error} If the browser has no Web MIDI support or access is refused
+ */
+export async function requestMidiAccess() {
+  if (midiAccess) return midiAccess;
+
+  if (typeof navigator.requestMIDIAccess !== "function") {
+    throw new Error("Web MIDI is not supported in this browser");
+  }
+  midiAccess = await navigator.requestMIDIAccess();
+  return midiAccess;
+}
+
+/**
+ * Returns the MIDI access granted earlier.
+ * @returns {MIDIAccess} MIDI access
+ * @throws {Error} If access has not been granted yet
+ */
+function getMidiAccess() {
+  if (!midiAccess) {
+    throw new Error("MIDI access has not been requested");
+  }
+  return midiAccess;
+}
+
+/**
+ * Lists the MIDI inputs that are connected.
+ * @returns {Array<{id: string, name: string}>} Inputs in the browser's order
+ * @throws {Error} If access has not been granted yet
+ */
+export function listMidiInputs() {
+  return listPorts(getMidiAccess().inputs);
+}
+
+/**
+ * Lists the MIDI outputs that are connected.
+ * @returns {Array<{id: string, name: string}>} Outputs in the browser's order
+ * @throws {Error} If access has not been granted yet
+ */
+export function listMidiOutputs() {
+  return listPorts(getMidiAccess().outputs);
+}
+
+/**
+ * Lists the ports of a MIDI port map by ID and name.
+ * @param {Map<string, MIDIPort>} ports - Inputs or outputs of the MIDI access
+ * @returns {Array<{id: string, name: string}>} Ports in the browser's order
+ */
+function listPorts(ports) {
+  return Array.from(ports.values()).map((port) => ({
+    id: port.id,
+    name: port.name || port.id,
+  }));
+}
+
+/**
+ * Calls back whenever a MIDI device is plugged in or out.
+ * @param {Function} onChange - Called with no arguments after each change
+ * @throws {Error} If access has not been granted yet
+ */
+export function watchMidiDevices(onChange) {
+  getMidiAccess().onstatechange = () => onChange();
+}
+
+/**
+ * Listens to one MIDI input, and stops listening to the previous one.
+ * Messages other than notes are ignored.
+ *
+ * @param {string|null} id - ID of the input to listen to, or null for none
+ * @param {Function} onNote - Called with each note event (see the note event shape)
+ * @returns {boolean} True if the input was found, or none was asked for
+ * @throws {Error} If access has not been granted yet
+ * @example
+ * selectMidiInput(inputId, (event) => console.log(event.type, event.key));
+ */
+export function selectMidiInput(id, onNote) {
+  if (activeInput) {
+    activeInput.onmidimessage = null;
+    activeInput = null;
+  }
+  if (!id) return true;
+
+  const input = getMidiAccess().inputs.get(id);
+  if (!input) return false;
+
+  input.onmidimessage = (message) => {
+    const event = parseNoteMessage(message.data);
+    if (event) onNote(event);
+  };
+  activeInput = input;
+  return true;
+}
+
+/**
+ * Sends to one MIDI output from now on. The previous output is silenced,
+ * so no note is left hanging on it.
+ * @param {string|null} id - ID of the output to send to, or null for none
+ * @returns {boolean} True if the output was found, or none was asked for
+ * @throws {Error} If access has not been granted yet
+ */
+export function selectMidiOutput(id) {
+  if (activeOutput) {
+    silenceOutput(activeOutput);
+    activeOutput = null;
+  }
+  if (!id) return true;
+
+  const output = getMidiAccess().outputs.get(id);
+  if (!output) return false;
+
+  activeOutput = output;
+  return true;
+}
+
+/**
+ * Checks whether notes and clock are being sent to an output.
+ * @returns {boolean} True if an output is selected
+ */
+export function isMidiOutputSelected() {
+  return activeOutput !== null;
+}
+
+/**
+ * Sends a note to the output as a note-on and a later note-off.
+ * Does nothing when no output is selected.
+ *
+ * @param {number} channel - Zero-based MIDI channel (0-15)
+ * @param {number} key - MIDI note number (0-127)
+ * @param {number} velocity - Velocity (0-127); 0 is sent as 1, as it would end the note
+ * @param {number} time - When the note starts, in performance.now() milliseconds
+ * @param {number} duration - How long the note lasts, in milliseconds
+ * @example
+ * sendMidiNote(0, 60, 100, performance.now() + 50, 250);
+ */
+export function sendMidiNote(channel, key, velocity, time, duration) {
+  if (!activeOutput) return;
+
+  const now = performance.now();
+  openNotes = openNotes.filter((note) => note.end > now);
+  openNotes.push({ channel, key, end: time + duration });
+
+  queueMessage([0x90 | channel, key, Math.max(1, velocity)], time);
+  activeOutput.send([0x80 | channel, key, 0], time + duration);
+}
+
+/**
+ * Sends one MIDI clock pulse; external gear counts
+ * MIDI_CONFIG.CLOCKS_PER_QUARTER of them per beat to follow the tempo.
+ * Does nothing when no output is selected.
+ * @param {number} time - When the pulse is sent, in performance.now() milliseconds
+ */
+export function sendMidiClock(time) {
+  if (activeOutput) queueMessage([0xf8], time);
+}
+
+/**
+ * Tells external gear to start from the beginning of its song.
+ * Does nothing when no output is selected.
+ * @param {number} time - When playback starts, in performance.now() milliseconds
+ */
+export function sendMidiStart(time) {
+  if (activeOutput) queueMessage([0xfa], time);
+}
+
+/**
+ * Tells external gear to stop, and silences the output.
+ * Does nothing when no output is selected.
+ */
+export function sendMidiStop() {
+  if (activeOutput) silenceOutput(activeOutput);
+}
+
+/**
+ * Sends a message to the output, remembering how far ahead messages are
+ * queued.
+ * @param {number[]} message - Message bytes
+ * @param {number} time - When the message is sent, in performance.now() milliseconds
+ */
+function queueMessage(message, time) {
+  activeOutput.send(message, time);
+  queuedUntil = Math.max(queuedUntil, time);
+}
+
+/**
+ * Drops the messages still waiting to be sent to an output, then sends a
+ * stop and turns off every note on every channel. Dropping queued messages
+ * also drops note-offs, so the notes are turned off explicitly.
+ * Where the browser cannot drop them, the queued clock and note-ons still go
+ * out, so the stop and note-offs are sent after the last of them.
+ * @param {MIDIOutput} output - Output to silence
+ */
+function silenceOutput(output) {
+  const now = performance.now();
+  const notes = openNotes.filter((note) => note.end > now);
+  let time = Math.max(now, queuedUntil);
+  openNotes = [];
+  queuedUntil = 0;
+
+  // An unplugged output cannot be sent to, and has nothing left to silence
+  if (output.state === "disconnected") return;
+
+  if (typeof output.clear === "function") {
+    output.clear();
+    time = now;
+  }
+
+  output.send([0xfc], time);
+  notes.forEach(({ channel, key }) =>
+    output.send([0x80 | channel, key, 0], time)
+  );
+  for (let channel = 0; channel < MIDI_CONFIG.CHANNELS; channel++) {
+    // Controller 123: all notes off
+    output.send([0xb0 | channel, 123, 0], time);
+  }
+}
+
+/**
+ * Decodes a note-on or note-off message. A note-on with zero velocity is a
+ * note-off, as many keyboards send it that way.
+ * @param {Uint8Array|number[]} data - Message bytes
+ * @returns {Object|null} Note event, or null for other messages
+ * @example
+ * parseNoteMessage([0x90, 60, 100]); // { type: 'noteOn', channel: 0, key: 60, velocity: 100 }
+ */
+export function parseNoteMessage(data) {
+  if (!data || data.length < 3) return null;
+
+  const type = data[0] & 0xf0;
+  const channel = data[0] & 0x0f;
+  const [, key, velocity] = data;
+  if (type === 0x90 && velocity > 0) {
+    return { type: MIDI_EVENTS.NOTE_ON, channel, key, velocity };
+  }
+  if (type === 0x80 || type === 0x90) {
+    return { type: MIDI_EVENTS.NOTE_OFF, channel, key, velocity: 0 };
+  }
+  return null;
+}
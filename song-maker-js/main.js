@@ -7,24 +7,201 @@
  * - DOM initialization and event binding
  * - Audio playback coordination
  * - User interaction handling
- * - Data persistence via sessionStorage
+ * - Multi-track editing and mixing
+ * - Master and per-track effects chains
+ * - Patterns and song arrangement
+ * - MIDI file export and import
+ * - Web MIDI input for auditioning and recording notes
+ * - Web MIDI output of notes and clock to external synths
+ * - Computer keyboard piano for auditioning and recording notes
+ * - Offline WAV rendering
+ * - Song file download and upload
+ * - Shareable song links
+ * - Undo and redo of grid edits
+ * - Selection, clipboard and transforms of notes on the grid
+ * - Data persistence via sessionStorage and the project library
  */
-import { DEFAULT_COLS, DEFAULT_NOTES, ALL_NOTES } from "./js/config.js";
+import {
+  DEFAULT_COLS,
+  DEFAULT_NOTES,
+  ALL_NOTES,
+  GENERATORS,
+  PIANO_KEYS,
+} from "./js/config.js";
 import { renderGrid } from "./js/grid.js";
+import { renderTrackList } from "./js/trackList.js";
+import {
+  renderPatternList,
+  renderArrangement,
+  highlightArrangementSlot,
+} from "./js/patternList.js";
 import {
   ensureAudioContext,
   setVolume,
   playNote,
+  playDrum,
   highlightColumn,
+  getTrackOutput,
+  setTrackLevel,
+  removeTrackOutput,
+  getPerformanceTime,
+  setMasterEffects,
+  setTrackEffects,
+  setEffectsTempo,
+  renderOffline,
 } from "./js/audio.js";
-import { setupControls, populateNoteSelectors } from "./js/ui.js";
+import { encodeWav } from "./js/wav.js";
+import {
+  openProjectStore,
+  createProject,
+  listProjects,
+  loadProject,
+  saveProject,
+  deleteProject,
+} from "./js/projectStore.js";
+import {
+  createSongDocument,
+  migrateSongDocument,
+  parseSongFile,
+  serializeSongDocument,
+  getSongFileName,
+} from "./js/songFile.js";
+import { isSongLink, encodeSongLink, decodeSongLink } from "./js/shareLink.js";
+import {
+  setupControls,
+  populateNoteSelectors,
+  syncGridControls,
+  populateScaleControls,
+  syncScaleControls,
+  populateGrooveControls,
+  syncGrooveControls,
+  populateVoiceControls,
+  syncVoiceControls,
+  populateEffectsControls,
+  syncEffectsControls,
+  populateMidiInputs,
+  populateMidiOutputs,
+  syncSelectionTools,
+  populateProjectSelect,
+  setProjectControlsEnabled,
+} from "./js/ui.js";
+import { startScheduler, stopScheduler } from "./js/scheduler.js";
+import {
+  requestMidiAccess,
+  listMidiInputs,
+  listMidiOutputs,
+  watchMidiDevices,
+  selectMidiInput,
+  selectMidiOutput,
+  isMidiOutputSelected,
+  sendMidiNote,
+  sendMidiClock,
+  sendMidiStart,
+  sendMidiStop,
+} from "./js/webMidi.js";
+import {
+  createScale,
+  isValidScale,
+  isNoteInScale,
+  getTransposition,
+  transposeNote,
+} from "./js/scales.js";
+import {
+  createGroove,
+  createGrooveFromTemplate,
+  isValidGroove,
+  getNoteTiming,
+} from "./js/groove.js";
+import { createVoice, isValidVoice } from "./js/voices.js";
+import {
+  createEffects,
+  createEffectsChain,
+  isValidEffects,
+} from "./js/effects.js";
+import { generatePattern, createSeed } from "./js/generators.js";
+import {
+  selectAll,
+  fitSelection,
+  getSelectionBounds,
+  copyNotes,
+  deleteNotes,
+  pasteNotes,
+  moveNotes,
+  transposeNotes,
+  reverseNotes,
+  invertNotes,
+  duplicateNotes,
+} from "./js/selection.js";
+import {
+  createEmptyGrid as createEmptyGridState,
+  createNote,
+  clampVelocity,
+  findNoteAt,
+  getMaxNoteLength,
+  normalizeGridState,
+  remapGridState,
+  cloneGridState,
+} from "./js/cells.js";
+import {
+  recordCommand,
+  undo,
+  redo,
+  getHistoryLabels,
+  clearHistory,
+} from "./js/history.js";
+import {
+  createTrackFromPreset,
+  createDrumTrack,
+  createTrackGrids,
+  copyPatternGrids,
+  getRowLabels,
+  isDrumTrack,
+  isTrackAudible,
+  isValidTrack,
+  normalizeTrack,
+} from "./js/tracks.js";
+import {
+  createPattern,
+  getNextPatternName,
+  isValidPattern,
+  createArrangement,
+  isValidArrangement,
+  normalizeArrangement,
+  appendArrangementSlot,
+  removeArrangementSlot,
+  setLoopPoints,
+  resolveArrangementStep,
+  getBarNumber,
+} from "./js/arrangement.js";
+import {
+  getTrackMidiNotes,
+  getRowMidiKeys,
+  writeMidiFile,
+  readMidiFile,
+  quantizeMidiNotes,
+  placeMidiNotes,
+  assignMidiChannels,
+} from "./js/midi.js";
 import {
   STORAGE_KEYS,
   ELEMENT_IDS,
   GRID_LIMITS,
   AUDIO_CONFIG,
   MESSAGES,
-  RANDOMIZE_CONFIG,
+  GENERATOR_CONFIG,
+  TRACK_CONFIG,
+  PATTERN_CONFIG,
+  MIDI_CONFIG,
+  WAV_CONFIG,
+  PROJECT_CONFIG,
+  SCALE_DISPLAY,
+  SELECTION_ACTIONS,
+  SELECTION_CONFIG,
+  EFFECT_TARGETS,
+  MIDI_EVENTS,
+  MIDI_RECORD_MODES,
+  KEYBOARD_PIANO_CONFIG,
+  VELOCITY_CONFIG,
 } from "./js/constants.js";
 import {
   saveToStorage,
@@ -36,6 +213,11 @@ import {
   isNonEmptyString,
   isNumberInRange,
   calculateNoteDuration,
+  getNoteRange,
+  downloadBlob,
+  clamp,
+  noteToMidiNumber,
+  midiNumberToNote,
 } from "./js/utilities.js";
 
 /**
@@ -45,18 +227,62 @@ import {
 let appState = {
   /** Whether the sequencer is currently playing */
   isPlaying: false,
-  /** Current column being played (0-indexed) */
+  /** Column currently highlighted as playing (0-indexed) */
   currentColumn: 0,
-  /** Timer ID for the playback loop */
-  timerId: null,
-  /** Number of columns in the current grid */
+  /** ID of the pattern the playing column belongs to, or null before the first step sounds */
+  playingPatternId: null,
+  /** Number of columns shared by every track's grid */
   cols: DEFAULT_COLS,
-  /** Array of musical notes currently displayed in the grid rows */
-  notes: [...DEFAULT_NOTES],
-  /** 2D boolean array representing which cells are active [row][col] */
-  gridState: null,
+  /** Instrument tracks played in sync, each with its own notes and pattern grids (see js/tracks.js) */
+  tracks: [],
+  /** Index of the track shown in the grid */
+  selectedTrackIndex: 0,
+  /** Named patterns; every track has a grid for each (see js/arrangement.js) */
+  patterns: [],
+  /** Index of the pattern shown in the grid */
+  selectedPatternIndex: 0,
+  /** Order the patterns play in during song mode, with its loop points */
+  arrangement: createArrangement(),
+  /** Key and scale the rows of melodic tracks follow (see js/scales.js) */
+  scale: createScale(),
+  /** Swing and micro-timing the song plays with (see js/groove.js) */
+  groove: createGroove(),
+  /** Synth voice melodic tracks play with (see js/voices.js) */
+  voice: createVoice(),
+  /** Effects chain on the master output (see js/effects.js) */
+  effects: createEffects(),
+  /** Cells selected in the grid, or null (see js/selection.js) */
+  selection: null,
+  /** Cell the keyboard cursor is on in the grid */
+  cursor: { row: 0, col: 0 },
+  /** Notes copied or cut from a selection, kept across tracks and patterns */
+  clipboard: null,
   /** References to DOM elements for the rendered grid */
   gridRefs: null,
+  /** ID of the library project being edited, or null if the library is unavailable */
+  projectId: null,
+  /** Summaries of the projects in the library, most recently saved first */
+  projects: [],
+  /** Pending autosave timeout ID, or null when the project is saved */
+  autosaveTimer: null,
+  /** Name of a song opened from a link, saved as a new project once the library opens */
+  linkedSongName: null,
+  /** ID of the MIDI input listened to, or null (see js/webMidi.js) */
+  midiInputId: null,
+  /** Keys held since they were step recorded; the cursor moves on once all are up */
+  heldMidiKeys: new Set(),
+  /** ID of the MIDI output played along with the audio, or null */
+  midiOutputId: null,
+  /** MIDI output channel (0-15), or MIDI_CONFIG.CHANNEL_BY_TRACK */
+  midiChannel: MIDI_CONFIG.CHANNEL_BY_TRACK,
+  /** MIDI keys held on the MIDI input or computer keyboard; their rows are highlighted */
+  soundingKeys: new Set(),
+  /** Release functions of the synth notes those keys hold, by MIDI key */
+  soundingVoices: new Map(),
+  /** Octave of the computer keyboard piano's lowest C */
+  pianoOctave: KEYBOARD_PIANO_CONFIG.DEFAULT_OCTAVE,
+  /** MIDI key each held computer keyboard piano key plays, by key position */
+  pianoKeys: new Map(),
 };
 
 /**
@@ -74,6 +300,39 @@ function main() {
     const tempoInput = getRequiredElement(ELEMENT_IDS.TEMPO_SLIDER);
     const volumeInput = getRequiredElement(ELEMENT_IDS.VOLUME_SLIDER);
     const waveSelect = getRequiredElement(ELEMENT_IDS.WAVE_SELECT);
+    const trackList = getRequiredElement(ELEMENT_IDS.TRACK_LIST);
+    const patternList = getRequiredElement(ELEMENT_IDS.PATTERN_LIST);
+    const arrangementContainer = getRequiredElement(ELEMENT_IDS.ARRANGEMENT);
+    const songModeToggle = getRequiredElement(ELEMENT_IDS.SONG_MODE_TOGGLE);
+    const midiFormatSelect = getRequiredElement(ELEMENT_IDS.MIDI_FORMAT_SELECT);
+    const startNoteSelect = getRequiredElement(ELEMENT_IDS.START_NOTE_SELECT);
+    const endNoteSelect = getRequiredElement(ELEMENT_IDS.END_NOTE_SELECT);
+    const wavLoopsInput = getRequiredElement(ELEMENT_IDS.WAV_LOOPS_INPUT);
+    const wavTailInput = getRequiredElement(ELEMENT_IDS.WAV_TAIL_INPUT);
+    const renderWavButton = getRequiredElement(ELEMENT_IDS.RENDER_WAV_BUTTON);
+    const projectStatus = getRequiredElement(ELEMENT_IDS.PROJECT_STATUS);
+    const undoButton = getRequiredElement(ELEMENT_IDS.UNDO_BUTTON);
+    const redoButton = getRequiredElement(ELEMENT_IDS.REDO_BUTTON);
+    const randomVelocityToggle = getRequiredElement(
+      ELEMENT_IDS.RANDOM_VELOCITY_TOGGLE
+    );
+    const generatorSelect = getRequiredElement(ELEMENT_IDS.GENERATOR_SELECT);
+    const generatorDensityInput = getRequiredElement(
+      ELEMENT_IDS.GENERATOR_DENSITY_SLIDER
+    );
+    const generatorSeedInput = getRequiredElement(
+      ELEMENT_IDS.GENERATOR_SEED_INPUT
+    );
+    const clearOnResizeToggle = getRequiredElement(
+      ELEMENT_IDS.CLEAR_ON_RESIZE_TOGGLE
+    );
+    const midiRecordSelect = getRequiredElement(ELEMENT_IDS.MIDI_RECORD_SELECT);
+
+    // The scale controls are shown as the song loads
+    populateScaleControls();
+    populateGrooveControls();
+    populateVoiceControls();
+    populateEffectsControls();
 
     // Load saved state and render the initial grid
     initializeGrid();
@@ -90,422 +349,2936 @@ function main() {
       }
     });
 
+    // Delays follow the tempo as it changes
+    tempoInput.addEventListener("input", () =>
+      setEffectsTempo(parseInt(tempoInput.value))
+    );
+
+    // Tempo and volume are part of the song; save once the slider is released
+    tempoInput.addEventListener("change", saveState);
+    volumeInput.addEventListener("change", saveState);
+
+    // The wave selector edits the selected track's waveform
+    waveSelect.addEventListener("change", () => {
+      getSelectedTrack().waveform = waveSelect.value;
+      saveState();
+    });
+
     // Initialize note selectors with all available notes
     populateNoteSelectors(ALL_NOTES);
+    syncTrackControls();
 
     // Initialize all UI controls with callback functions
     setupControls({
       onClear: clearGrid,
       onRandomize: randomizeGrid,
+      onGenerate: generateGrid,
+      onUndo: undoEdit,
+      onRedo: redoEdit,
       onGridChange: updateGridConfiguration,
+      onScaleChange: setScale,
+      onTranspose: transposeSong,
+      onGrooveChange: setGroove,
+      onGrooveTemplate: applyGrooveTemplate,
+      onVoiceChange: setVoice,
+      onResetVoice: resetVoice,
+      onEffectsChange: setEffects,
+      onSelectionAction: runSelectionAction,
+      onAddTrack: addTrack,
+      onAddDrumTrack: addDrumTrack,
+      onAddPattern: addPattern,
+      onDuplicatePattern: duplicatePattern,
+      onAddToArrangement: addToArrangement,
+      onExportMidi: exportMidi,
+      onImportMidi: importMidi,
+      onExportWav: exportWav,
+      onExportSong: exportSong,
+      onImportSong: importSong,
+      onShareLink: copySongLink,
+      onConnectMidi: connectMidi,
+      onMidiInputChange: changeMidiInput,
+      onMidiOutputChange: changeMidiOutput,
+      onMidiChannelChange: setMidiChannel,
+      onOpenProject: openProject,
+      onNewProject: createNewProject,
+      onDuplicateProject: duplicateCurrentProject,
+      onRenameProject: renameCurrentProject,
+      onDeleteProject: deleteCurrentProject,
     });
 
     // Set up keyboard shortcuts
     setupKeyboardShortcuts();
 
+    // Open the project library; the session's song is already on screen
+    initializeProjects();
+    window.addEventListener("pagehide", flushAutosave);
+
     /**
-     * Initializes the grid by loading saved configuration from sessionStorage
-     * and rendering the grid with the appropriate state.
+     * Initializes the grid by loading a song link from the URL, or else the
+     * saved configuration from sessionStorage, and rendering the grid with
+     * the appropriate state.
      * Handles loading errors gracefully and validates loaded data.
      */
     function initializeGrid() {
       try {
-        // Load saved grid dimensions with validation
-        const savedCols = loadFromStorage(
-          STORAGE_KEYS.COLUMNS,
-          DEFAULT_COLS,
-          (value) =>
-            isNumberInRange(
-              value,
-              GRID_LIMITS.MIN_COLUMNS,
-              GRID_LIMITS.MAX_COLUMNS
-            )
-        );
-        appState.cols = savedCols;
-
-        // Load saved notes with validation
-        const savedNotes = loadFromStorage(
-          STORAGE_KEYS.NOTE_NAMES,
-          [...DEFAULT_NOTES],
-          (value) => isValidArray(value, isNonEmptyString)
-        );
-        appState.notes = savedNotes;
-
-        // Load saved cell states with validation
-        const savedState = loadFromStorage(
-          STORAGE_KEYS.GRID_STATE,
-          null,
-          (value) =>
-            isValidGridState(value, appState.notes.length, appState.cols)
-        );
-        appState.gridState = savedState || createEmptyGrid();
-
-        // Render the grid DOM elements and store references for later manipulation
-        appState.gridRefs = renderGrid(
-          gridContainer,
-          appState.notes,
-          appState.cols,
-          appState.gridState
-        );
-
-        // Set up event listener for cell state changes
-        setupGridEventListeners(gridContainer);
+        if (isSongLink(window.location.hash) && loadSongLink()) return;
+        applySong(readSessionSong(), loadLegacyTrack);
       } catch (error) {
         console.error("Failed to initialize grid:", error);
         showNotification(MESSAGES.STORAGE_LOAD_ERROR, "error");
 
         // Fallback to defaults
-        appState.cols = DEFAULT_COLS;
-        appState.notes = [...DEFAULT_NOTES];
-        appState.gridState = createEmptyGrid();
-        appState.gridRefs = renderGrid(
-          gridContainer,
-          appState.notes,
-          appState.cols,
-          appState.gridState
-        );
-
-        // Set up event listener for cell state changes
-        setupGridEventListeners(gridContainer);
-      }
-    }
-
-    /**
-     * Creates a 2D boolean array filled with false values.
-     * Dimensions are based on current notes (rows) and columns.
-     * @returns {boolean[][]} Empty grid state where all cells are inactive
-     */
-    function createEmptyGrid() {
-      return Array.from({ length: appState.notes.length }, () =>
-        Array(appState.cols).fill(false)
-      );
-    }
-
-    /**
-     * Persists current application state to browser's sessionStorage.
-     * Saves grid cell states, column count, and note configuration.
-     * Provides user feedback on save success/failure.
-     */
-    function saveState() {
-      const saveOperations = [
-        () => saveToStorage(STORAGE_KEYS.GRID_STATE, appState.gridState),
-        () => saveToStorage(STORAGE_KEYS.COLUMNS, appState.cols),
-        () => saveToStorage(STORAGE_KEYS.NOTE_NAMES, appState.notes),
-      ];
-
-      const allSuccessful = saveOperations.every((operation) => operation());
-
-      if (!allSuccessful) {
-        console.warn("Some state data failed to save");
+        applySong(createDefaultSong());
       }
     }
 
     /**
-     * Clears all active cells in the grid and saves the state.
-     * Provides user feedback upon completion.
+     * Loads the song in the URL fragment, then removes the fragment so a
+     * refresh keeps later edits instead of reopening the link.
+     * @returns {boolean} True if the song was loaded, false if the link is corrupted
      */
-    function clearGrid() {
+    function loadSongLink() {
       try {
-        appState.gridState = createEmptyGrid();
-        saveState();
-        refreshGrid();
-        showNotification("Grid cleared successfully", "success");
+        const song = decodeSongLink(window.location.hash);
+        applySong(song);
+        saveSessionState();
+        appState.linkedSongName = song.name || PROJECT_CONFIG.DEFAULT_NAME;
+        return true;
       } catch (error) {
-        console.error("Failed to clear grid:", error);
-        showNotification("Failed to clear grid", "error");
+        console.error("Failed to open song link:", error);
+        showNotification(MESSAGES.SHARE_LINK_INVALID, "error");
+        return false;
+      } finally {
+        window.history.replaceState(
+          null,
+          "",
+          window.location.pathname + window.location.search
+        );
       }
     }
 
     /**
-     * Randomly activates cells in the grid with a configured probability.
-     * Creates interesting musical patterns while maintaining usability.
+     * Reads the song saved in sessionStorage, without validating it.
+     * @returns {Object} Song fields (see getSongSnapshot); missing parts are null
      */
-    function randomizeGrid() {
-      try {
-        // First clear the grid
-        appState.gridState = createEmptyGrid();
-
-        // Then randomly activate cells based on configuration
-        for (let row = 0; row < appState.notes.length; row++) {
-          for (let col = 0; col < appState.cols; col++) {
-            if (Math.random() < RANDOMIZE_CONFIG.CELL_ACTIVATION_PROBABILITY) {
-              appState.gridState[row][col] = true;
-            }
-          }
-        }
-
-        saveState();
-        refreshGrid();
-        showNotification("Grid randomized successfully", "success");
-      } catch (error) {
-        console.error("Failed to randomize grid:", error);
-        showNotification("Failed to randomize grid", "error");
-      }
+    function readSessionSong() {
+      return {
+        tempo: loadFromStorage(STORAGE_KEYS.TEMPO),
+        volume: loadFromStorage(STORAGE_KEYS.VOLUME),
+        cols: loadFromStorage(STORAGE_KEYS.COLUMNS),
+        patterns: loadFromStorage(STORAGE_KEYS.PATTERNS),
+        tracks: loadFromStorage(STORAGE_KEYS.TRACKS),
+        selectedTrackIndex: loadFromStorage(STORAGE_KEYS.SELECTED_TRACK),
+        selectedPatternIndex: loadFromStorage(STORAGE_KEYS.SELECTED_PATTERN),
+        arrangement: loadFromStorage(STORAGE_KEYS.ARRANGEMENT),
+        scale: loadFromStorage(STORAGE_KEYS.SCALE),
+        groove: loadFromStorage(STORAGE_KEYS.GROOVE),
+        voice: loadFromStorage(STORAGE_KEYS.VOICE),
+        effects: loadFromStorage(STORAGE_KEYS.EFFECTS),
+      };
     }
 
-    function refreshGrid() {
-      gridContainer.innerHTML = "";
-      appState.gridRefs = renderGrid(
-        gridContainer,
-        appState.notes,
-        appState.cols,
-        appState.gridState
-      );
-
-      // Re-setup event listeners after grid refresh
-      setupGridEventListeners(gridContainer);
+    /**
+     * Returns everything needed to restore the song being edited, as a
+     * song document (see js/songFile.js). This is what the project library
+     * stores for each song and what song files contain.
+     * @returns {Object} Song document at the current version
+     */
+    function getSongSnapshot() {
+      return createSongDocument({
+        tempo: parseInt(tempoInput.value),
+        volume: parseFloat(volumeInput.value),
+        cols: appState.cols,
+        patterns: appState.patterns,
+        tracks: appState.tracks,
+        selectedTrackIndex: appState.selectedTrackIndex,
+        selectedPatternIndex: appState.selectedPatternIndex,
+        arrangement: appState.arrangement,
+        scale: appState.scale,
+        groove: appState.groove,
+        voice: appState.voice,
+        effects: appState.effects,
+      });
     }
 
     /**
-     * Sets up event listeners for grid cell interactions.
-     * Listens for custom cellStateChange events and updates application state.
-     *
-     * @param {HTMLElement} container - Grid container element
+     * Creates the song a new project starts with: one track and one pattern
+     * at the default tempo and volume.
+     * @returns {Object} Song document (see getSongSnapshot)
      */
-    function setupGridEventListeners(container) {
-      // Remove existing listener if present
-      container.removeEventListener("cellStateChange", handleCellStateChange);
-
-      // Add event listener for cell state changes
-      container.addEventListener("cellStateChange", handleCellStateChange);
+    function createDefaultSong() {
+      const pattern = createPattern("A");
+      return createSongDocument({
+        tempo: AUDIO_CONFIG.DEFAULT_TEMPO,
+        volume: AUDIO_CONFIG.DEFAULT_VOLUME,
+        cols: DEFAULT_COLS,
+        patterns: [pattern],
+        tracks: [createTrackFromPreset(0, DEFAULT_COLS, [pattern.id])],
+        selectedTrackIndex: 0,
+        selectedPatternIndex: 0,
+        arrangement: createArrangement([pattern.id]),
+        scale: createScale(),
+        groove: createGroove(),
+        voice: createVoice(),
+        effects: createEffects(),
+      });
     }
 
     /**
-     * Sets up keyboard shortcuts for improved user experience.
-     * Handles global keyboard events with proper focus management.
+     * Loads a song into the editor and renders it.
+     * Every part is validated; parts that are missing or invalid fall back
+     * to defaults, and older saves are migrated to the current format.
+     *
+     * @param {Object} song - Current-version song document (see getSongSnapshot)
+     * @param {Function} [createFallbackTrack] - Creates the track used when the song has no valid tracks
      */
-    function setupKeyboardShortcuts() {
-      document.addEventListener("keydown", (event) => {
-        // Don't trigger shortcuts when typing in input fields
-        if (event.target.matches("input, select, textarea")) {
-          return;
-        }
-
-        // Don't trigger shortcuts when help overlay is open (except Escape)
-        const helpOverlay = document.getElementById("helpOverlay");
-        const isHelpOpen = helpOverlay && !helpOverlay.hasAttribute("hidden");
-        if (isHelpOpen && event.key !== "Escape") {
-          return;
-        }
+    function applySong(
+      song,
+      createFallbackTrack = () =>
+        createTrackFromPreset(0, appState.cols, getPatternIds())
+    ) {
+      tempoInput.value = validOr(
+        song.tempo,
+        AUDIO_CONFIG.DEFAULT_TEMPO,
+        (value) =>
+          isNumberInRange(value, AUDIO_CONFIG.MIN_TEMPO, AUDIO_CONFIG.MAX_TEMPO)
+      ).toString();
+      const volume = validOr(
+        song.volume,
+        AUDIO_CONFIG.DEFAULT_VOLUME,
+        (value) => isNumberInRange(value, 0, 1)
+      );
+      volumeInput.value = volume.toString();
+      setVolume(volume);
+      setEffectsTempo(parseInt(tempoInput.value));
+      // Let the value displays follow
+      tempoInput.dispatchEvent(new Event("input"));
+      volumeInput.dispatchEvent(new Event("input"));
 
-        try {
-          switch (event.key.toLowerCase()) {
-            case " ": // Space bar - Play/Stop
-              event.preventDefault();
-              togglePlayback();
-              break;
+      appState.cols = validOr(song.cols, DEFAULT_COLS, (value) =>
+        isNumberInRange(value, GRID_LIMITS.MIN_COLUMNS, GRID_LIMITS.MAX_COLUMNS)
+      );
 
-            case "c": // C - Clear grid
-              event.preventDefault();
-              clearGrid();
-              break;
+      // Songs from before patterns get pattern A
+      appState.patterns = validOr(
+        song.patterns,
+        [createPattern("A")],
+        (value) => isValidArray(value, isValidPattern) && value.length > 0
+      );
+      const patternIds = getPatternIds();
 
-            case "r": // R - Randomize grid
-              event.preventDefault();
-              randomizeGrid();
-              break;
+      const previousTrackIds = appState.tracks.map((track) => track.id);
+      const savedTracks = validOr(
+        song.tracks,
+        null,
+        (value) =>
+          isValidArray(value, (track) => isValidTrack(track, appState.cols)) &&
+          value.length > 0
+      );
+      appState.tracks = savedTracks
+        ? savedTracks.map((track) =>
+            normalizeTrack(track, patternIds, appState.cols)
+          )
+        : [createFallbackTrack()];
 
-            case "?": // ? - Toggle help
-            case "/": // Also handle / key for help
-              if (event.shiftKey || event.key === "?") {
-                event.preventDefault();
-                if (window.toggleHelp) {
-                  window.toggleHelp();
-                }
-              }
-              break;
+      appState.selectedTrackIndex = validOr(
+        song.selectedTrackIndex,
+        0,
+        (value) =>
+          Number.isInteger(value) &&
+          isNumberInRange(value, 0, appState.tracks.length - 1)
+      );
 
-            case "escape": // Escape - Close help or stop playback
-              event.preventDefault();
-              if (isHelpOpen && window.toggleHelp) {
-                window.toggleHelp();
-              } else if (appState.isPlaying) {
-                stopPlayback();
-              }
-              break;
-          }
-        } catch (error) {
-          console.error("Keyboard shortcut failed:", error);
-          showNotification("Keyboard shortcut failed", "error");
-        }
-      });
-    }
+      appState.selectedPatternIndex = validOr(
+        song.selectedPatternIndex,
+        0,
+        (value) =>
+          Number.isInteger(value) &&
+          isNumberInRange(value, 0, appState.patterns.length - 1)
+      );
 
-    /**
-     * Updates the grid configuration with new note range and column count.
-     * @param {string} startNote - Starting (lowest) note of the range
-     * @param {string} endNote - Ending (highest) note of the range
-     * @param {number} newColumns - Number of columns in the new grid
-     */
-    function updateGridConfiguration(startNote, endNote, newColumns) {
-      if (appState.isPlaying) {
-        stopPlayback();
-      }
+      const savedArrangement = validOr(
+        song.arrangement,
+        null,
+        isValidArrangement
+      );
+      appState.arrangement = savedArrangement
+        ? normalizeArrangement(savedArrangement, patternIds)
+        : createArrangement([patternIds[0]]);
 
-      // Validate notes
-      const startIndex = ALL_NOTES.indexOf(startNote);
-      const endIndex = ALL_NOTES.indexOf(endNote);
+      appState.scale = validOr(song.scale, createScale(), isValidScale);
+      syncScaleControls(appState.scale);
 
-      if (startIndex === -1 || endIndex === -1) {
-        showNotification(MESSAGES.INVALID_NOTES, "error");
-        return;
-      }
+      appState.groove = validOr(song.groove, createGroove(), isValidGroove);
+      syncGrooveControls(appState.groove);
 
-      // Since ALL_NOTES is ordered from high to low, startIndex should be >= endIndex
-      // for a valid range from low to high notes
-      if (startIndex < endIndex) {
-        showNotification(MESSAGES.INVALID_NOTE_RANGE, "error");
-        return;
-      }
+      appState.voice = validOr(song.voice, createVoice(), isValidVoice);
+      syncVoiceControls(appState.voice);
 
-      // Validate columns using utility function
-      if (
-        !isNumberInRange(
-          newColumns,
-          GRID_LIMITS.MIN_COLUMNS,
-          GRID_LIMITS.MAX_COLUMNS
-        )
-      ) {
-        showNotification(MESSAGES.INVALID_COLUMNS, "error");
-        return;
-      }
+      appState.effects = validOr(song.effects, createEffects(), isValidEffects);
+      setMasterEffects(appState.effects);
+      syncEffectsControls(EFFECT_TARGETS.MASTER, appState.effects);
+      // Track IDs kept from the previous song may already have live chains,
+      // so they take this song's effects and levels; the rest are dropped
+      appState.tracks.forEach((track) =>
+        setTrackEffects(track.id, track.effects)
+      );
+      applyTrackLevels();
+      previousTrackIds
+        .filter((id) => !appState.tracks.some((track) => track.id === id))
+        .forEach(removeTrackOutput);
 
-      // Update state - slice from endIndex to startIndex+1 since array is high-to-low
-      appState.notes = ALL_NOTES.slice(endIndex, startIndex + 1).reverse();
-      appState.cols = newColumns;
-      appState.gridState = createEmptyGrid();
+      // Edits to the previous song cannot be undone in this one
+      clearHistory();
+      updateHistoryButtons();
+      appState.selection = null;
 
-      // Save and refresh
-      saveState();
+      // Render the grid DOM elements and store references for later manipulation
       refreshGrid();
-
-      // Re-setup controls for the new grid
-      setupControls({
-        onClear: clearGrid,
-        onRandomize: randomizeGrid,
-        onGridChange: updateGridConfiguration,
-      });
-
-      // Provide success feedback
-      showNotification(MESSAGES.GRID_UPDATED, "success");
     }
 
     /**
-     * Calculates the duration of each grid column based on current tempo.
-     * Uses 16th note subdivision for musical timing.
-     *
-     * @returns {number} Column duration in milliseconds
+     * Returns a saved value if it passes validation, otherwise a fallback.
+     * @param {any} value - Saved value, or null if missing
+     * @param {any} fallback - Value used when the saved value is unusable
+     * @param {Function} validator - Returns true for usable values
+     * @returns {any} The saved value or the fallback
      */
-    function getColumnDurationMs() {
-      const bpm = parseInt(tempoInput.value);
-      return calculateNoteDuration(bpm, AUDIO_CONFIG.NOTE_SUBDIVISION);
+    function validOr(value, fallback, validator) {
+      if (value === null || value === undefined) return fallback;
+      if (validator(value)) return value;
+
+      console.warn("Invalid saved data, using default:", value);
+      return fallback;
     }
 
     /**
-     * Playback step function called at each column interval.
-     * Plays active notes in the current column, updates visual highlights,
-     * and schedules the next step.
-     * @returns {void}
+     * Builds the first track from the single-grid state saved before
+     * tracks existed, so older sessions keep their notes in the first pattern.
+     * Older sessions may also store booleans, which are migrated to note cells.
+     * @returns {Object} Track holding the legacy notes and grid state
      */
-    function playbackStep() {
-      if (!appState.isPlaying) return;
-
-      const now = ensureAudioContext().currentTime;
-      const waveForm = waveSelect.value;
+    function loadLegacyTrack() {
+      const patternIds = getPatternIds();
+      const track = createTrackFromPreset(0, appState.cols, patternIds);
 
-      // Play active notes in current column
-      for (let row = 0; row < appState.notes.length; row++) {
-        if (appState.gridState[row][appState.currentColumn]) {
-          playNote(appState.notes[row], now, waveForm);
-        }
-      }
-
-      // Update visual highlights
-      const prevColumn =
-        (appState.currentColumn - 1 + appState.cols) % appState.cols;
-      highlightColumn(
-        prevColumn,
-        false,
-        appState.gridRefs.gridInner,
-        appState.gridRefs.ruler
+      const savedNotes = loadFromStorage(
+        STORAGE_KEYS.NOTE_NAMES,
+        [...DEFAULT_NOTES],
+        (value) => isValidArray(value, isNonEmptyString) && value.length > 0
       );
-      highlightColumn(
-        appState.currentColumn,
-        true,
-        appState.gridRefs.gridInner,
-        appState.gridRefs.ruler
+      const savedState = loadFromStorage(
+        STORAGE_KEYS.GRID_STATE,
+        null,
+        (value) => isValidGridState(value, savedNotes.length, appState.cols)
       );
 
-      // Move to next column
-      appState.currentColumn = (appState.currentColumn + 1) % appState.cols;
-      appState.timerId = setTimeout(playbackStep, getColumnDurationMs());
+      track.notes = savedNotes;
+      track.waveform = waveSelect.value;
+      track.grids = createTrackGrids(
+        patternIds,
+        savedNotes.length,
+        appState.cols
+      );
+      if (savedState) {
+        track.grids[patternIds[0]] = normalizeGridState(savedState);
+      }
+      return track;
     }
 
     /**
-     * Starts the playback loop if not already playing.
-     * Initializes playback state and begins the timed sequence.
-     * @returns {void}
+     * Returns the track currently shown in the grid.
+     * @returns {Object} Selected track
      */
-    function startPlayback() {
-      if (appState.isPlaying) return;
-      appState.isPlaying = true;
-      ensureAudioContext();
-      playButton.textContent = "Stop";
-      appState.currentColumn = 0;
-      playbackStep();
+    function getSelectedTrack() {
+      return appState.tracks[appState.selectedTrackIndex];
     }
 
     /**
-     * Stops the playback loop if currently playing.
-     * Clears playback state and visual highlights.
-     * @returns {void}
+     * Returns the pattern currently shown in the grid.
+     * @returns {Object} Selected pattern
      */
-    function stopPlayback() {
-      if (!appState.isPlaying) return;
-      appState.isPlaying = false;
-      clearTimeout(appState.timerId);
-      playButton.textContent = "Play";
+    function getSelectedPattern() {
+      return appState.patterns[appState.selectedPatternIndex];
+    }
 
-      // Clear all highlights
-      for (let c = 0; c < appState.cols; c++) {
-        highlightColumn(
-          c,
-          false,
-          appState.gridRefs.gridInner,
-          appState.gridRefs.ruler
-        );
-      }
+    /**
+     * Returns the IDs of every pattern, in pattern list order.
+     * @returns {string[]} Pattern IDs
+     */
+    function getPatternIds() {
+      return appState.patterns.map((pattern) => pattern.id);
     }
 
     /**
-     * Toggles playback state between playing and stopped.
-     * @returns {void}
+     * Returns a track's grid state for the selected pattern.
+     * @param {Object} [track] - Track to read (defaults to the selected track)
+     * @returns {Array<Array<Object|null>>} Grid state shown in the grid
      */
-    function togglePlayback() {
-      if (appState.isPlaying) {
-        stopPlayback();
-      } else {
-        startPlayback();
-      }
+    function getEditedGrid(track = getSelectedTrack()) {
+      return track.grids[getSelectedPattern().id];
     }
 
     /**
-     * Event handler for grid cell state changes.
-     * Updates the application state and persists changes.
-     *
-     * @param {CustomEvent} event - Custom event containing cell change details
+     * Replaces a track's grid state for the selected pattern.
+     * @param {Array<Array<Object|null>>} gridState - New grid state
+     * @param {Object} [track] - Track to update (defaults to the selected track)
      */
-    function handleCellStateChange(event) {
+    function setEditedGrid(gridState, track = getSelectedTrack()) {
+      track.grids[getSelectedPattern().id] = gridState;
+    }
+
+    /**
+     * Creates a grid state with no notes.
+     * Rows follow the given notes and columns follow the shared column count.
+     * @param {string[]} [notes] - Row notes (defaults to the selected track's notes)
+     * @returns {Array<Array<null>>} Empty grid state where all cells are inactive
+     */
+    function createEmptyGrid(notes = getSelectedTrack().notes) {
+      return createEmptyGridState(notes.length, appState.cols);
+    }
+
+    /**
+     * Persists current application state to browser's sessionStorage and
+     * schedules an autosave of the current project.
+     */
+    function saveState() {
+      saveSessionState();
+      scheduleAutosave();
+    }
+
+    /**
+     * Persists current application state to browser's sessionStorage.
+     * Saves every track, the column count, the patterns and arrangement,
+     * and the selected track and pattern.
+     * Provides user feedback on save success/failure.
+     */
+    function saveSessionState() {
+      const saveOperations = [
+        () => saveToStorage(STORAGE_KEYS.TRACKS, appState.tracks),
+        () => saveToStorage(STORAGE_KEYS.COLUMNS, appState.cols),
+        () => saveToStorage(STORAGE_KEYS.TEMPO, parseInt(tempoInput.value)),
+        () => saveToStorage(STORAGE_KEYS.VOLUME, parseFloat(volumeInput.value)),
+        () =>
+          saveToStorage(
+            STORAGE_KEYS.SELECTED_TRACK,
+            appState.selectedTrackIndex
+          ),
+        () => saveToStorage(STORAGE_KEYS.PATTERNS, appState.patterns),
+        () =>
+          saveToStorage(
+            STORAGE_KEYS.SELECTED_PATTERN,
+            appState.selectedPatternIndex
+          ),
+        () => saveToStorage(STORAGE_KEYS.ARRANGEMENT, appState.arrangement),
+        () => saveToStorage(STORAGE_KEYS.SCALE, appState.scale),
+        () => saveToStorage(STORAGE_KEYS.GROOVE, appState.groove),
+        () => saveToStorage(STORAGE_KEYS.VOICE, appState.voice),
+        () => saveToStorage(STORAGE_KEYS.EFFECTS, appState.effects),
+      ];
+
+      const allSuccessful = saveOperations.every((operation) => operation());
+
+      if (!allSuccessful) {
+        console.warn("Some state data failed to save");
+      }
+    }
+
+    /**
+     * Opens the project library and decides which project this tab edits.
+     * A song opened from a link is saved as a new project. Otherwise a tab
+     * that was already editing a project keeps it. Work from a session
+     * without a project, including sessions from before the library existed,
+     * is saved as a new project (the first one when the library is empty).
+     * Otherwise the most recently saved project is opened.
+     * @returns {Promise<void>}
+     */
+    async function initializeProjects() {
+      try {
+        await openProjectStore();
+        const projects = await listProjects();
+        const savedId = loadFromStorage(
+          STORAGE_KEYS.PROJECT_ID,
+          null,
+          isNonEmptyString
+        );
+        const hasSessionSong =
+          loadFromStorage(STORAGE_KEYS.TRACKS) !== null ||
+          loadFromStorage(STORAGE_KEYS.GRID_STATE) !== null;
+
+        if (appState.linkedSongName) {
+          const project = await saveProject(
+            createProject(appState.linkedSongName, getSongSnapshot())
+          );
+          appState.projectId = project.id;
+        } else if (
+          savedId &&
+          projects.some((project) => project.id === savedId)
+        ) {
+          appState.projectId = savedId;
+        } else if (hasSessionSong || projects.length === 0) {
+          const name =
+            projects.length === 0
+              ? PROJECT_CONFIG.FIRST_PROJECT_NAME
+              : PROJECT_CONFIG.DEFAULT_NAME;
+          const project = await saveProject(
+            createProject(name, getSongSnapshot())
+          );
+          appState.projectId = project.id;
+        } else {
+          await openProject(projects[0].id);
+          return;
+        }
+
+        saveToStorage(STORAGE_KEYS.PROJECT_ID, appState.projectId);
+        await refreshProjectList();
+        projectStatus.textContent = "Saved";
+      } catch (error) {
+        console.error("Failed to open project library:", error);
+        showNotification(MESSAGES.PROJECT_LIBRARY_UNAVAILABLE, "warning");
+        setProjectControlsEnabled(false);
+        projectStatus.textContent = "Not saved";
+      }
+    }
+
+    /**
+     * Reloads the project summaries and shows them in the song list.
+     * @returns {Promise<void>}
+     */
+    async function refreshProjectList() {
+      appState.projects = await listProjects();
+      populateProjectSelect(appState.projects, appState.projectId);
+    }
+
+    /**
+     * Returns the summary of the project being edited.
+     * @returns {Object|undefined} Project summary
+     */
+    function getCurrentProject() {
+      return appState.projects.find(
+        (project) => project.id === appState.projectId
+      );
+    }
+
+    /**
+     * Saves the current project a short while after the last edit, so a
+     * burst of edits is written once.
+     */
+    function scheduleAutosave() {
+      if (!appState.projectId) return;
+
+      clearTimeout(appState.autosaveTimer);
+      projectStatus.textContent = "Unsaved changes";
+      appState.autosaveTimer = setTimeout(() => {
+        appState.autosaveTimer = null;
+        saveCurrentProject();
+      }, PROJECT_CONFIG.AUTOSAVE_DELAY);
+    }
+
+    /**
+     * Saves the current project now if an autosave is pending.
+     * @returns {Promise<void>}
+     */
+    async function flushAutosave() {
+      if (!appState.autosaveTimer) return;
+
+      clearTimeout(appState.autosaveTimer);
+      appState.autosaveTimer = null;
+      await saveCurrentProject();
+    }
+
+    /**
+     * Writes the song being edited to its project in the library.
+     * @returns {Promise<boolean>} True if the project was saved
+     */
+    async function saveCurrentProject() {
+      const project = getCurrentProject();
+      if (!project) return false;
+
+      try {
+        projectStatus.textContent = "Saving…";
+        const updatedAt = Date.now();
+        await saveProject({ ...project, updatedAt, song: getSongSnapshot() });
+        project.updatedAt = updatedAt;
+        projectStatus.textContent = "Saved";
+        return true;
+      } catch (error) {
+        console.error("Failed to save project:", error);
+        showNotification(MESSAGES.PROJECT_SAVE_ERROR, "error");
+        projectStatus.textContent = "Not saved";
+        return false;
+      }
+    }
+
+    /**
+     * Saves the current project, then loads another project into the editor.
+     * Playback stops since the new song has different patterns.
+     * @param {string} id - ID of the project to open
+     * @returns {Promise<void>}
+     */
+    async function openProject(id) {
+      try {
+        await flushAutosave();
+        const project = await loadProject(id);
+        if (!project) {
+          throw new Error(`Project not found: ${id}`);
+        }
+
+        if (appState.isPlaying) {
+          stopPlayback();
+        }
+        applySong(migrateSongDocument(project.song));
+        syncTrackControls();
+
+        appState.projectId = project.id;
+        saveSessionState();
+        saveToStorage(STORAGE_KEYS.PROJECT_ID, project.id);
+        projectStatus.textContent = "Saved";
+      } catch (error) {
+        console.error("Failed to open project:", error);
+        showNotification(MESSAGES.PROJECT_LOAD_ERROR, "error");
+      }
+
+      try {
+        await refreshProjectList();
+      } catch (error) {
+        console.error("Failed to list projects:", error);
+      }
+    }
+
+    /**
+     * Asks for a name and creates an empty song in the library, then opens it.
+     * @returns {Promise<void>}
+     */
+    async function createNewProject() {
+      const name = window.prompt(
+        "Name for the new song",
+        PROJECT_CONFIG.DEFAULT_NAME
+      );
+      if (!isNonEmptyString(name)) return;
+
+      try {
+        const project = await saveProject(
+          createProject(name.trim(), createDefaultSong())
+        );
+        await openProject(project.id);
+        showNotification(`Created "${project.name}"`, "success");
+      } catch (error) {
+        console.error("Failed to create project:", error);
+        showNotification(MESSAGES.PROJECT_SAVE_ERROR, "error");
+      }
+    }
+
+    /**
+     * Saves a copy of the song being edited under a new name and switches
+     * to the copy, leaving the original as it was last saved.
+     * @returns {Promise<void>}
+     */
+    async function duplicateCurrentProject() {
+      const current = getCurrentProject();
+      if (!current) return;
+
+      const name = window.prompt("Name for the copy", `${current.name} copy`);
+      if (!isNonEmptyString(name)) return;
+
+      try {
+        const project = await saveProject(
+          createProject(name.trim(), getSongSnapshot())
+        );
+        await openProject(project.id);
+        showNotification(`Saved a copy as "${project.name}"`, "success");
+      } catch (error) {
+        console.error("Failed to duplicate project:", error);
+        showNotification(MESSAGES.PROJECT_SAVE_ERROR, "error");
+      }
+    }
+
+    /**
+     * Asks for a new name for the song being edited and saves it.
+     * @returns {Promise<void>}
+     */
+    async function renameCurrentProject() {
+      const current = getCurrentProject();
+      if (!current) return;
+
+      const name = window.prompt("Song name", current.name);
+      if (!isNonEmptyString(name)) return;
+
+      clearTimeout(appState.autosaveTimer);
+      appState.autosaveTimer = null;
+      current.name = name.trim();
+      if (await saveCurrentProject()) {
+        populateProjectSelect(appState.projects, appState.projectId);
+      }
+    }
+
+    /**
+     * Deletes the song being edited after confirmation, then opens the most
+     * recently saved remaining song, or a new empty one if none are left.
+     * @returns {Promise<void>}
+     */
+    async function deleteCurrentProject() {
+      const current = getCurrentProject();
+      if (!current) return;
+
+      if (
+        !window.confirm(
+          `Delete the song "${current.name}"? This can't be undone.`
+        )
+      ) {
+        return;
+      }
+
+      try {
+        clearTimeout(appState.autosaveTimer);
+        appState.autosaveTimer = null;
+        await deleteProject(current.id);
+
+        const [mostRecent] = await listProjects();
+        const next =
+          mostRecent ||
+          (await saveProject(
+            createProject(PROJECT_CONFIG.DEFAULT_NAME, createDefaultSong())
+          ));
+        await openProject(next.id);
+        showNotification(`Deleted "${current.name}"`, "success");
+      } catch (error) {
+        console.error("Failed to delete project:", error);
+        showNotification("Failed to delete the song", "error");
+      }
+    }
+
+    /**
+     * Records an edit of the grid on screen so it can be undone.
+     * Call after the edit, with a copy of the grid taken before it.
+     * @param {string} label - Description of the edit
+     * @param {Array<Array<Object|null>>} before - Copy of the grid before the edit
+     * @param {string} [mergeKey] - Repeats of an edit with the same key merge
+     *   into one step, so a velocity scroll undoes at once
+     */
+    function recordGridChange(label, before, mergeKey) {
+      const trackId = getSelectedTrack().id;
+      const patternId = getSelectedPattern().id;
+      const after = cloneGridState(getEditedGrid());
+
+      recordCommand({
+        label,
+        mergeKey: mergeKey && `${trackId}:${patternId}:${mergeKey}`,
+        undo: () => restoreGrid(trackId, patternId, before),
+        redo: () => restoreGrid(trackId, patternId, after),
+      });
+      updateHistoryButtons();
+    }
+
+    /**
+     * Puts back a recorded grid and shows it.
+     * @param {string} trackId - ID of the edited track
+     * @param {string} patternId - ID of the edited pattern
+     * @param {Array<Array<Object|null>>} gridState - Grid to restore
+     * @throws {Error} If the track or pattern was removed, or the grid size changed since
+     */
+    function restoreGrid(trackId, patternId, gridState) {
+      const trackIndex = appState.tracks.findIndex(
+        (track) => track.id === trackId
+      );
+      const patternIndex = getPatternIds().indexOf(patternId);
+      const track = appState.tracks[trackIndex];
+      if (
+        !track ||
+        patternIndex === -1 ||
+        gridState.length !== track.notes.length ||
+        gridState[0].length !== appState.cols
+      ) {
+        throw new Error("The edited track or pattern no longer matches");
+      }
+
+      track.grids[patternId] = cloneGridState(gridState);
+      appState.selectedTrackIndex = trackIndex;
+      appState.selectedPatternIndex = patternIndex;
+    }
+
+    /**
+     * Copies the grid size, the key and scale, and every track's rows and
+     * grids, for undoing edits that change the shape of the grids.
+     * @returns {{cols: number, scale: Object, tracks: Object[]}} Layout copy
+     */
+    function captureLayout() {
+      return {
+        cols: appState.cols,
+        scale: createScale(appState.scale),
+        tracks: appState.tracks.map((track) => ({
+          id: track.id,
+          notes: [...track.notes],
+          grids: Object.fromEntries(
+            Object.entries(track.grids).map(([id, gridState]) => [
+              id,
+              cloneGridState(gridState),
+            ])
+          ),
+        })),
+      };
+    }
+
+    /**
+     * Records an edit that changed the grid size or a track's rows.
+     * Call after the edit, with the layout captured before it.
+     * @param {string} label - Description of the edit
+     * @param {Object} before - Layout from captureLayout before the edit
+     */
+    function recordLayoutChange(label, before) {
+      const after = captureLayout();
+      recordCommand({
+        label,
+        undo: () => restoreLayout(before),
+        redo: () => restoreLayout(after),
+      });
+      updateHistoryButtons();
+    }
+
+    /**
+     * Puts back a captured layout. Tracks and patterns added since it was
+     * captured keep their notes, fitted to the restored size.
+     * @param {Object} layout - Layout from captureLayout
+     */
+    function restoreLayout(layout) {
+      if (appState.isPlaying) {
+        stopPlayback();
+      }
+
+      appState.tracks.forEach((track) => {
+        const saved = layout.tracks.find((entry) => entry.id === track.id);
+        const notes = saved ? saved.notes : track.notes;
+        track.grids = Object.fromEntries(
+          getPatternIds().map((id) => [
+            id,
+            saved && saved.grids[id]
+              ? cloneGridState(saved.grids[id])
+              : remapGridState(track.grids[id], track.notes, notes, layout.cols)
+                  .gridState,
+          ])
+        );
+        track.notes = [...notes];
+      });
+      appState.cols = layout.cols;
+      appState.scale = createScale(layout.scale);
+    }
+
+    /**
+     * Undoes the most recent edit and shows the result.
+     */
+    function undoEdit() {
+      applyHistoryStep(undo);
+    }
+
+    /**
+     * Redoes the most recently undone edit and shows the result.
+     */
+    function redoEdit() {
+      applyHistoryStep(redo);
+    }
+
+    /**
+     * Runs an undo or redo step, then saves and re-renders.
+     * A step that no longer applies is dropped with a notification.
+     * @param {Function} step - undo or redo from js/history.js
+     */
+    function applyHistoryStep(step) {
+      try {
+        if (!step()) return;
+        saveState();
+        refreshGrid();
+        syncTrackControls();
+        syncScaleControls(appState.scale);
+      } catch (error) {
+        console.error("Failed to undo or redo:", error);
+        showNotification(MESSAGES.HISTORY_STEP_FAILED, "error");
+      } finally {
+        updateHistoryButtons();
+      }
+    }
+
+    /**
+     * Enables the undo and redo buttons when there is something to undo or
+     * redo, and names the step in their tooltips.
+     */
+    function updateHistoryButtons() {
+      const labels = getHistoryLabels();
+      undoButton.disabled = !labels.undo;
+      undoButton.title = labels.undo
+        ? `Undo: ${labels.undo} (Ctrl+Z)`
+        : "Nothing to undo";
+      redoButton.disabled = !labels.redo;
+      redoButton.title = labels.redo
+        ? `Redo: ${labels.redo} (Ctrl+Shift+Z)`
+        : "Nothing to redo";
+    }
+
+    /**
+     * Clears all active cells in the selected track's grid for the selected
+     * pattern and saves the state.
+     * Provides user feedback upon completion.
+     */
+    function clearGrid() {
+      try {
+        const before = cloneGridState(getEditedGrid());
+        setEditedGrid(createEmptyGrid());
+        recordGridChange("Clear", before);
+        saveState();
+        refreshGrid();
+        showNotification("Grid cleared successfully", "success");
+      } catch (error) {
+        console.error("Failed to clear grid:", error);
+        showNotification("Failed to clear grid", "error");
+      }
+    }
+
+    /**
+     * Fills the selected track's grid for the selected pattern from the
+     * selected generator with a new seed. The seed is shown, so Generate
+     * can recreate the pattern.
+     */
+    function randomizeGrid() {
+      generatorSeedInput.value = createSeed().toString();
+      generateGrid();
+    }
+
+    /**
+     * Replaces the selected track's grid for the selected pattern with a
+     * pattern from the selected generator, density and seed, so the same
+     * settings always give the same pattern.
+     * Velocities are randomized too when the random velocity toggle is on.
+     */
+    function generateGrid() {
+      try {
+        const track = getSelectedTrack();
+        const generator = GENERATORS.find(
+          (entry) => entry.id === generatorSelect.value
+        );
+        if (generator.melodicOnly && isDrumTrack(track)) {
+          showNotification(
+            `${generator.name} needs a melodic track`,
+            "warning"
+          );
+          return;
+        }
+
+        const seed = Number(generatorSeedInput.value);
+        if (
+          !Number.isInteger(seed) ||
+          !isNumberInRange(seed, 1, GENERATOR_CONFIG.MAX_SEED)
+        ) {
+          showNotification(MESSAGES.INVALID_SEED, "warning");
+          return;
+        }
+
+        const before = cloneGridState(getEditedGrid(track));
+        setEditedGrid(
+          generatePattern(generator.id, {
+            notes: track.notes,
+            cols: appState.cols,
+            isDrums: isDrumTrack(track),
+            scale: appState.scale,
+            density: parseFloat(generatorDensityInput.value),
+            seed,
+            randomVelocity: randomVelocityToggle.checked,
+          })
+        );
+        recordGridChange(generator.name, before);
+
+        saveState();
+        refreshGrid();
+        showNotification(
+          `${generator.name} generated (seed ${seed})`,
+          "success"
+        );
+      } catch (error) {
+        console.error("Failed to generate pattern:", error);
+        showNotification("Failed to generate a pattern", "error");
+      }
+    }
+
+    /**
+     * Runs a selection tool from its button or keyboard shortcut.
+     * @param {string} action - Tool to run (see SELECTION_ACTIONS)
+     */
+    function runSelectionAction(action) {
+      const octave = SELECTION_CONFIG.OCTAVE_SEMITONES;
+      switch (action) {
+        case SELECTION_ACTIONS.SELECT_ALL:
+          selectWholeGrid();
+          break;
+        case SELECTION_ACTIONS.COPY:
+          copySelection();
+          break;
+        case SELECTION_ACTIONS.CUT:
+          cutSelection();
+          break;
+        case SELECTION_ACTIONS.PASTE:
+          pasteClipboard();
+          break;
+        case SELECTION_ACTIONS.DELETE:
+          deleteSelection();
+          break;
+        case SELECTION_ACTIONS.TRANSPOSE_UP:
+          transposeSelection("Transpose up", 1);
+          break;
+        case SELECTION_ACTIONS.TRANSPOSE_DOWN:
+          transposeSelection("Transpose down", -1);
+          break;
+        case SELECTION_ACTIONS.OCTAVE_UP:
+          transposeSelection("Transpose up an octave", octave);
+          break;
+        case SELECTION_ACTIONS.OCTAVE_DOWN:
+          transposeSelection("Transpose down an octave", -octave);
+          break;
+        case SELECTION_ACTIONS.SHIFT_LEFT:
+          moveSelection("Shift left", 0, -1);
+          break;
+        case SELECTION_ACTIONS.SHIFT_RIGHT:
+          moveSelection("Shift right", 0, 1);
+          break;
+        case SELECTION_ACTIONS.REVERSE:
+          transformSelection("Reverse", reverseNotes);
+          break;
+        case SELECTION_ACTIONS.INVERT:
+          transformSelection("Invert", invertNotes);
+          break;
+        case SELECTION_ACTIONS.DUPLICATE:
+          duplicateSelection();
+          break;
+        default:
+          console.warn(`Unknown selection action: ${action}`);
+      }
+    }
+
+    /**
+     * Enables the selection tools that apply to the current selection and
+     * clipboard.
+     */
+    function updateSelectionTools() {
+      syncSelectionTools(
+        Boolean(appState.selection),
+        Boolean(appState.clipboard),
+        !isDrumTrack(getSelectedTrack())
+      );
+    }
+
+    /**
+     * Checks that cells are selected, and tells the user how to select them
+     * if not.
+     * @returns {boolean} True if there is a selection
+     */
+    function requireSelection() {
+      if (appState.selection) return true;
+      showNotification(MESSAGES.NO_SELECTION, "warning");
+      return false;
+    }
+
+    /**
+     * Selects every cell of the grid on screen.
+     */
+    function selectWholeGrid() {
+      appState.selection = selectAll(
+        getSelectedTrack().notes.length,
+        appState.cols
+      );
+      refreshGrid();
+    }
+
+    /**
+     * Forgets the selection and unmarks its cells.
+     */
+    function clearSelection() {
+      appState.selection = null;
+      refreshGrid();
+    }
+
+    /**
+     * Copies the selected notes to the clipboard, so they can be pasted into
+     * any track or pattern.
+     */
+    function copySelection() {
+      if (!requireSelection()) return;
+
+      try {
+        appState.clipboard = copyNotes(getEditedGrid(), appState.selection);
+        updateSelectionTools();
+        const count = appState.clipboard.notes.length;
+        showNotification(
+          `Copied ${count} note${count === 1 ? "" : "s"}`,
+          "success"
+        );
+      } catch (error) {
+        console.error("Failed to copy notes:", error);
+        showNotification("Failed to copy the selected notes", "error");
+      }
+    }
+
+    /**
+     * Copies the selected notes to the clipboard and removes them.
+     */
+    function cutSelection() {
+      if (!requireSelection()) return;
+      appState.clipboard = copyNotes(getEditedGrid(), appState.selection);
+      applySelectionEdit("Cut", {
+        gridState: deleteNotes(getEditedGrid(), appState.selection),
+        selection: appState.selection,
+        dropped: 0,
+      });
+    }
+
+    /**
+     * Removes the selected notes.
+     */
+    function deleteSelection() {
+      if (!requireSelection()) return;
+      applySelectionEdit("Delete notes", {
+        gridState: deleteNotes(getEditedGrid(), appState.selection),
+        selection: appState.selection,
+        dropped: 0,
+      });
+    }
+
+    /**
+     * Pastes the clipboard at the top left of the selection, or where it was
+     * copied from when nothing is selected, and selects the pasted notes.
+     */
+    function pasteClipboard() {
+      if (!appState.clipboard) {
+        showNotification(MESSAGES.CLIPBOARD_EMPTY, "warning");
+        return;
+      }
+
+      const gridState = getEditedGrid();
+      const target = appState.selection
+        ? getSelectionBounds(appState.selection)
+        : {
+            top: appState.clipboard.origin.row,
+            left: appState.clipboard.origin.col,
+          };
+      const result = pasteNotes(gridState, appState.clipboard, {
+        row: Math.min(target.top, gridState.length - 1),
+        col: Math.min(target.left, appState.cols - 1),
+      });
+      applySelectionEdit("Paste", result);
+    }
+
+    /**
+     * Moves the selected notes and the selection by rows or columns. A move
+     * that would push notes off the grid is refused, so nothing is lost.
+     * @param {string} label - Description of the edit
+     * @param {number} rowOffset - Rows to move by, positive for lower notes
+     * @param {number} colOffset - Columns to move by, positive for later
+     */
+    function moveSelection(label, rowOffset, colOffset) {
+      if (!requireSelection()) return;
+
+      const result = moveNotes(
+        getEditedGrid(),
+        appState.selection,
+        rowOffset,
+        colOffset
+      );
+      if (result.dropped > 0 || !result.selection) {
+        showNotification(MESSAGES.SELECTION_AT_EDGE, "warning");
+        return;
+      }
+      applySelectionEdit(label, result);
+    }
+
+    /**
+     * Transposes the selected notes by pitch, onto the rows of their new
+     * notes. A transpose that would take notes past the track's range is
+     * refused, and drum tracks have no pitch to transpose.
+     * @param {string} label - Description of the edit
+     * @param {number} semitones - Semitones to move by, positive for up
+     */
+    function transposeSelection(label, semitones) {
+      if (!requireSelection()) return;
+
+      const track = getSelectedTrack();
+      if (isDrumTrack(track)) {
+        showNotification(MESSAGES.DRUM_TRANSPOSE, "warning");
+        return;
+      }
+      const result = transposeNotes(
+        getEditedGrid(track),
+        appState.selection,
+        track.notes,
+        semitones
+      );
+      if (result.betweenRows > 0) {
+        showNotification(MESSAGES.TRANSPOSE_BETWEEN_ROWS, "warning");
+        return;
+      }
+      if (result.dropped > 0 || !result.selection) {
+        showNotification(MESSAGES.SELECTION_AT_EDGE, "warning");
+        return;
+      }
+      applySelectionEdit(label, result);
+    }
+
+    /**
+     * Rearranges the selected notes within the selection.
+     * @param {string} label - Description of the edit
+     * @param {Function} transform - reverseNotes or invertNotes from js/selection.js
+     */
+    function transformSelection(label, transform) {
+      if (!requireSelection()) return;
+      applySelectionEdit(label, transform(getEditedGrid(), appState.selection));
+    }
+
+    /**
+     * Copies the selected notes straight after the selection and selects
+     * the copy.
+     */
+    function duplicateSelection() {
+      if (!requireSelection()) return;
+
+      const result = duplicateNotes(getEditedGrid(), appState.selection);
+      if (!result.selection) {
+        showNotification(MESSAGES.NO_ROOM_TO_DUPLICATE, "warning");
+        return;
+      }
+      applySelectionEdit("Duplicate", result);
+    }
+
+    /**
+     * Applies the result of a selection edit to the grid on screen, records
+     * it for undo, and reports notes that fell off the grid.
+     * @param {string} label - Description of the edit
+     * @param {Object} result - Edit result from js/selection.js
+     */
+    function applySelectionEdit(label, result) {
+      try {
+        const before = cloneGridState(getEditedGrid());
+        setEditedGrid(result.gridState);
+        appState.selection = result.selection;
+        recordGridChange(label, before);
+        saveState();
+        refreshGrid();
+
+        if (result.dropped > 0) {
+          showNotification(
+            `${label}: ${result.dropped} note${
+              result.dropped === 1 ? "" : "s"
+            } past the edge of the grid left out. Press Ctrl+Z to undo.`,
+            "warning"
+          );
+        }
+      } catch (error) {
+        console.error(`Failed to ${label.toLowerCase()}:`, error);
+        showNotification("Failed to edit the selected notes", "error");
+      }
+    }
+
+    /**
+     * Re-renders the selected track's grid, the track and pattern switchers
+     * and the arrangement.
+     */
+    function refreshGrid() {
+      const track = getSelectedTrack();
+
+      // The selection and cursor stay put across tracks and patterns,
+      // within the grid
+      appState.selection = fitSelection(
+        appState.selection,
+        track.notes.length,
+        appState.cols
+      );
+      appState.cursor = {
+        row: clamp(appState.cursor.row, 0, track.notes.length - 1),
+        col: clamp(appState.cursor.col, 0, appState.cols - 1),
+      };
+      updateSelectionTools();
+
+      // Keep keyboard focus in the grid when it is rebuilt
+      const hadFocus = gridContainer.contains(document.activeElement);
+      gridContainer.innerHTML = "";
+      appState.gridRefs = renderGrid(
+        gridContainer,
+        track.notes,
+        appState.cols,
+        getEditedGrid(track),
+        {
+          labels: getRowLabels(track, appState.scale),
+          heldNotes: !isDrumTrack(track),
+          offScaleRows: getOffScaleRows(track),
+          hideOffScaleRows: appState.scale.display === SCALE_DISPLAY.HIDE,
+          selection: appState.selection,
+          cursor: appState.cursor,
+        }
+      );
+      appState.gridRefs.rulerLabel.textContent = getSelectedPattern().name;
+      showSoundingRows();
+      if (hadFocus) {
+        appState.gridRefs.focusCursor();
+      }
+
+      // Re-setup event listeners after grid refresh
+      setupGridEventListeners(gridContainer);
+
+      renderTrackList(trackList, appState.tracks, appState.selectedTrackIndex, {
+        onSelect: selectTrack,
+        onToggleMute: (index) => toggleTrackFlag(index, "muted"),
+        onToggleSolo: (index) => toggleTrackFlag(index, "solo"),
+        onVolumeChange: setTrackVolume,
+        onRename: renameTrack,
+        onRemove: removeTrack,
+      });
+
+      renderPatternList(
+        patternList,
+        appState.patterns,
+        appState.selectedPatternIndex,
+        {
+          onSelect: selectPattern,
+          onRename: renamePattern,
+          onRemove: removePattern,
+        }
+      );
+
+      renderArrangement(
+        arrangementContainer,
+        appState.arrangement,
+        appState.patterns,
+        {
+          onSelectSlot: selectArrangementSlot,
+          onRemoveSlot: removeFromArrangement,
+          onLoopChange: setArrangementLoop,
+        }
+      );
+    }
+
+    /**
+     * Shows the selected track's waveform and note range in the shared controls.
+     * Drum tracks have a fixed kit, so the waveform and note range are disabled.
+     */
+    function syncTrackControls() {
+      const track = getSelectedTrack();
+      const isDrums = isDrumTrack(track);
+
+      waveSelect.disabled = isDrums;
+      startNoteSelect.disabled = isDrums;
+      endNoteSelect.disabled = isDrums;
+      waveSelect.value = track.waveform;
+      syncEffectsControls(EFFECT_TARGETS.TRACK, track.effects);
+
+      if (isDrums) {
+        syncGridControls(
+          startNoteSelect.value,
+          endNoteSelect.value,
+          appState.cols
+        );
+      } else {
+        syncGridControls(
+          track.notes[track.notes.length - 1],
+          track.notes[0],
+          appState.cols
+        );
+      }
+    }
+
+    /**
+     * Switches the grid to another track.
+     * @param {number} index - Index of the track to edit
+     */
+    function selectTrack(index) {
+      if (index === appState.selectedTrackIndex) return;
+
+      appState.selectedTrackIndex = index;
+      saveState();
+      refreshGrid();
+      syncTrackControls();
+    }
+
+    /**
+     * Adds a new track using the next instrument preset and selects it.
+     */
+    function addTrack() {
+      if (appState.tracks.length >= TRACK_CONFIG.MAX_TRACKS) {
+        showNotification(MESSAGES.MAX_TRACKS_REACHED, "warning");
+        return;
+      }
+
+      insertTrack(
+        createTrackFromPreset(
+          appState.tracks.length,
+          appState.cols,
+          getPatternIds()
+        )
+      );
+    }
+
+    /**
+     * Adds a drum track with the synthesized kit and selects it.
+     */
+    function addDrumTrack() {
+      if (appState.tracks.length >= TRACK_CONFIG.MAX_TRACKS) {
+        showNotification(MESSAGES.MAX_TRACKS_REACHED, "warning");
+        return;
+      }
+
+      insertTrack(createDrumTrack(appState.cols, getPatternIds()));
+    }
+
+    /**
+     * Appends a track to the song and selects it.
+     * @param {Object} track - Track to add
+     */
+    function insertTrack(track) {
+      appState.tracks.push(track);
+      appState.selectedTrackIndex = appState.tracks.length - 1;
+
+      saveState();
+      refreshGrid();
+      syncTrackControls();
+      showNotification(`Added track "${track.name}"`, "success");
+    }
+
+    /**
+     * Removes a track after confirmation. The last track cannot be removed.
+     * @param {number} index - Index of the track to remove
+     */
+    function removeTrack(index) {
+      if (appState.tracks.length <= 1) {
+        showNotification(MESSAGES.LAST_TRACK, "warning");
+        return;
+      }
+
+      const track = appState.tracks[index];
+      if (!window.confirm(`Remove track "${track.name}" and its notes?`)) {
+        return;
+      }
+
+      appState.tracks.splice(index, 1);
+      removeTrackOutput(track.id);
+
+      // Keep the same track selected when removing one above it
+      if (appState.selectedTrackIndex >= index) {
+        appState.selectedTrackIndex = Math.max(
+          0,
+          appState.selectedTrackIndex - 1
+        );
+      }
+
+      applyTrackLevels();
+      saveState();
+      refreshGrid();
+      syncTrackControls();
+    }
+
+    /**
+     * Renames a track.
+     * @param {number} index - Index of the track to rename
+     * @param {string} name - New display name
+     */
+    function renameTrack(index, name) {
+      appState.tracks[index].name = name;
+      saveState();
+      refreshGrid();
+    }
+
+    /**
+     * Toggles a track's mute or solo flag and updates the mix immediately.
+     * @param {number} index - Index of the track
+     * @param {'muted'|'solo'} flag - Flag to toggle
+     */
+    function toggleTrackFlag(index, flag) {
+      const track = appState.tracks[index];
+      track[flag] = !track[flag];
+
+      applyTrackLevels();
+      saveState();
+      refreshGrid();
+    }
+
+    /**
+     * Sets a track's volume from its mixer slider.
+     * @param {number} index - Index of the track
+     * @param {number} volume - New level (0-1)
+     */
+    function setTrackVolume(index, volume) {
+      const track = appState.tracks[index];
+      track.volume = volume;
+
+      if (isTrackAudible(track, appState.tracks)) {
+        setTrackLevel(track.id, volume);
+      }
+      saveState();
+    }
+
+    /**
+     * Applies every track's volume, mute and solo state to its audio output
+     * so held notes are silenced as soon as a track is muted.
+     */
+    function applyTrackLevels() {
+      appState.tracks.forEach((track) => {
+        setTrackLevel(
+          track.id,
+          isTrackAudible(track, appState.tracks) ? track.volume : 0
+        );
+      });
+    }
+
+    /**
+     * Switches the grid to another pattern.
+     * @param {number} index - Index of the pattern to edit
+     */
+    function selectPattern(index) {
+      if (index === appState.selectedPatternIndex) return;
+
+      appState.selectedPatternIndex = index;
+      saveState();
+      refreshGrid();
+    }
+
+    /**
+     * Adds an empty pattern and selects it.
+     */
+    function addPattern() {
+      insertPattern(null);
+    }
+
+    /**
+     * Adds a copy of the selected pattern and selects it.
+     */
+    function duplicatePattern() {
+      insertPattern(getSelectedPattern());
+    }
+
+    /**
+     * Appends a new pattern, giving every track a grid for it, and selects it.
+     * @param {Object|null} source - Pattern whose notes are copied, or null for an empty pattern
+     */
+    function insertPattern(source) {
+      if (appState.patterns.length >= PATTERN_CONFIG.MAX_PATTERNS) {
+        showNotification(MESSAGES.MAX_PATTERNS_REACHED, "warning");
+        return;
+      }
+
+      const pattern = createPattern(getNextPatternName(appState.patterns));
+      if (source) {
+        copyPatternGrids(appState.tracks, source.id, pattern.id);
+      } else {
+        appState.tracks.forEach((track) => {
+          track.grids[pattern.id] = createEmptyGrid(track.notes);
+        });
+      }
+
+      appState.patterns.push(pattern);
+      appState.selectedPatternIndex = appState.patterns.length - 1;
+
+      saveState();
+      refreshGrid();
+      showNotification(`Added pattern "${pattern.name}"`, "success");
+    }
+
+    /**
+     * Renames a pattern.
+     * @param {number} index - Index of the pattern to rename
+     * @param {string} name - New display name
+     */
+    function renamePattern(index, name) {
+      appState.patterns[index].name = name;
+      saveState();
+      refreshGrid();
+    }
+
+    /**
+     * Removes a pattern after confirmation, along with its notes and its
+     * slots in the arrangement. The last pattern cannot be removed.
+     * @param {number} index - Index of the pattern to remove
+     */
+    function removePattern(index) {
+      if (appState.patterns.length <= 1) {
+        showNotification(MESSAGES.LAST_PATTERN, "warning");
+        return;
+      }
+
+      const pattern = appState.patterns[index];
+      if (!window.confirm(`Remove pattern "${pattern.name}" and its notes?`)) {
+        return;
+      }
+
+      appState.patterns.splice(index, 1);
+      appState.tracks.forEach((track) => delete track.grids[pattern.id]);
+      appState.arrangement = normalizeArrangement(
+        appState.arrangement,
+        getPatternIds()
+      );
+
+      // Keep the same pattern selected when removing one above it
+      if (appState.selectedPatternIndex >= index) {
+        appState.selectedPatternIndex = Math.max(
+          0,
+          appState.selectedPatternIndex - 1
+        );
+      }
+
+      saveState();
+      refreshGrid();
+    }
+
+    /**
+     * Appends the selected pattern to the end of the song arrangement.
+     */
+    function addToArrangement() {
+      if (
+        appState.arrangement.slots.length >=
+        PATTERN_CONFIG.MAX_ARRANGEMENT_LENGTH
+      ) {
+        showNotification(MESSAGES.ARRANGEMENT_FULL, "warning");
+        return;
+      }
+
+      appState.arrangement = appendArrangementSlot(
+        appState.arrangement,
+        getSelectedPattern().id
+      );
+      saveState();
+      refreshGrid();
+    }
+
+    /**
+     * Removes a slot from the song arrangement.
+     * @param {number} slot - Index of the slot to remove
+     */
+    function removeFromArrangement(slot) {
+      appState.arrangement = removeArrangementSlot(appState.arrangement, slot);
+      saveState();
+      refreshGrid();
+    }
+
+    /**
+     * Shows the pattern used by an arrangement slot in the grid.
+     * @param {number} slot - Index of the slot
+     */
+    function selectArrangementSlot(slot) {
+      const patternId = appState.arrangement.slots[slot];
+      selectPattern(getPatternIds().indexOf(patternId));
+    }
+
+    /**
+     * Sets which arrangement slots repeat once the song reaches the loop end.
+     * @param {number} loopStart - First repeated slot
+     * @param {number} loopEnd - Last repeated slot
+     */
+    function setArrangementLoop(loopStart, loopEnd) {
+      appState.arrangement = setLoopPoints(
+        appState.arrangement,
+        loopStart,
+        loopEnd
+      );
+      saveState();
+      refreshGrid();
+    }
+
+    /**
+     * Returns the patterns that playback walks through once: the arrangement
+     * in song mode, otherwise just the selected pattern.
+     * @returns {string[]} Pattern IDs in play order
+     */
+    function getSongPatternIds() {
+      return songModeToggle.checked && appState.arrangement.slots.length > 0
+        ? [...appState.arrangement.slots]
+        : [getSelectedPattern().id];
+    }
+
+    /**
+     * Downloads the song as a Standard MIDI File of the chosen type.
+     * Exports what Play would play once through: the audible tracks, over the
+     * arrangement in song mode or the selected pattern otherwise.
+     */
+    function exportMidi() {
+      try {
+        const patternIds = getSongPatternIds();
+        const tracks = appState.tracks.filter((track) =>
+          isTrackAudible(track, appState.tracks)
+        );
+        const channels = assignMidiChannels(tracks);
+        const midiTracks = tracks.map((track, index) => ({
+          name: track.name,
+          channel: channels[index],
+          notes: getTrackMidiNotes(
+            track,
+            patternIds,
+            appState.cols,
+            appState.groove
+          ),
+        }));
+
+        if (midiTracks.every((track) => track.notes.length === 0)) {
+          showNotification(MESSAGES.EXPORT_EMPTY, "warning");
+          return;
+        }
+
+        const bytes = writeMidiFile(
+          { tempo: parseInt(tempoInput.value), tracks: midiTracks },
+          parseInt(midiFormatSelect.value)
+        );
+        downloadBlob(
+          new Blob([bytes], { type: "audio/midi" }),
+          MIDI_CONFIG.EXPORT_FILENAME
+        );
+        showNotification("MIDI file exported", "success");
+      } catch (error) {
+        console.error("Failed to export MIDI file:", error);
+        showNotification("Failed to export MIDI file", "error");
+      }
+    }
+
+    /**
+     * Renders the song offline and downloads it as a 16-bit WAV file.
+     * Plays the same audio as Play, through the same synthesis, track
+     * effects and levels, master effects and volume, followed by a tail so
+     * the last notes and echoes can fade out. In song mode the song plays
+     * once and each further loop repeats its loop section, as Play does;
+     * otherwise each loop is the selected pattern.
+     *
+     * @returns {Promise<void>}
+     */
+    async function exportWav() {
+      const loops = clamp(
+        parseInt(wavLoopsInput.value) || WAV_CONFIG.DEFAULT_LOOPS,
+        1,
+        WAV_CONFIG.MAX_LOOPS
+      );
+      const tailValue = parseFloat(wavTailInput.value);
+      const tail = clamp(
+        isNaN(tailValue) ? WAV_CONFIG.DEFAULT_TAIL : tailValue,
+        0,
+        WAV_CONFIG.MAX_TAIL
+      );
+
+      const { slots, loopStart, loopEnd } = appState.arrangement;
+      const patternCount =
+        songModeToggle.checked && slots.length > 0
+          ? slots.length + (loops - 1) * (loopEnd - loopStart + 1)
+          : loops;
+      const patternIds = Array.from(
+        { length: patternCount },
+        (_, index) => getPlaybackPosition(index * appState.cols).patternId
+      );
+      const tracks = appState.tracks.filter((track) =>
+        isTrackAudible(track, appState.tracks)
+      );
+      const hasNotes = tracks.some((track) =>
+        patternIds.some((id) =>
+          track.grids[id].some((row) => row.some(Boolean))
+        )
+      );
+      if (!hasNotes) {
+        showNotification(MESSAGES.EXPORT_EMPTY, "warning");
+        return;
+      }
+
+      const stepDuration = getColumnDurationMs() / 1000;
+      const duration = patternIds.length * appState.cols * stepDuration + tail;
+      if (duration > WAV_CONFIG.MAX_DURATION) {
+        showNotification(MESSAGES.RENDER_TOO_LONG, "warning");
+        return;
+      }
+
+      const tempo = parseInt(tempoInput.value);
+      renderWavButton.disabled = true;
+      try {
+        showNotification("Rendering audio...", "info");
+        const audioBuffer = await renderOffline(
+          duration,
+          parseFloat(volumeInput.value),
+          (context, master) => {
+            tracks.forEach((track) => {
+              const chain = createEffectsChain(context, track.effects, tempo);
+              const output = context.createGain();
+              output.gain.value = track.volume;
+              chain.output.connect(output);
+              output.connect(master);
+
+              patternIds.forEach((patternId, index) => {
+                for (let column = 0; column < appState.cols; column++) {
+                  const step = index * appState.cols + column;
+                  scheduleTrackColumn(
+                    track,
+                    { patternId, column },
+                    step * stepDuration,
+                    stepDuration,
+                    chain.input
+                  );
+                }
+              });
+            });
+          },
+          { effects: appState.effects, tempo }
+        );
+
+        downloadBlob(
+          new Blob([encodeWav(audioBuffer)], { type: "audio/wav" }),
+          WAV_CONFIG.EXPORT_FILENAME
+        );
+        showNotification("WAV file exported", "success");
+      } catch (error) {
+        console.error("Failed to render WAV file:", error);
+        showNotification(MESSAGES.RENDER_ERROR, "error");
+      } finally {
+        renderWavButton.disabled = false;
+      }
+    }
+
+    /**
+     * Downloads the song being edited as a JSON song file.
+     */
+    function exportSong() {
+      try {
+        const project = getCurrentProject();
+        const name = project ? project.name : undefined;
+        const songDocument = { ...getSongSnapshot(), name };
+
+        downloadBlob(
+          new Blob([serializeSongDocument(songDocument)], {
+            type: "application/json",
+          }),
+          getSongFileName(name)
+        );
+        showNotification("Song file saved", "success");
+      } catch (error) {
+        console.error("Failed to export song file:", error);
+        showNotification("Failed to save the song file", "error");
+      }
+    }
+
+    /**
+     * Copies a link containing the whole song to the clipboard. When the
+     * clipboard cannot be used the link is shown for copying by hand.
+     * @returns {Promise<void>}
+     */
+    async function copySongLink() {
+      let url;
+      try {
+        const project = getCurrentProject();
+        const fragment = encodeSongLink({
+          ...getSongSnapshot(),
+          name: project ? project.name : undefined,
+        });
+        url = window.location.href.split("#")[0] + fragment;
+      } catch (error) {
+        console.error("Failed to create song link:", error);
+        showNotification("Failed to create a song link", "error");
+        return;
+      }
+
+      try {
+        await navigator.clipboard.writeText(url);
+        showNotification("Song link copied to the clipboard", "success");
+      } catch (error) {
+        window.prompt("Copy this link to share the song", url);
+      }
+    }
+
+    /**
+     * Opens a JSON song file. Files from older versions are migrated and
+     * every file is validated before anything changes. The song is added to
+     * the project library as a new song when the library is available.
+     *
+     * @param {File} file - Song file chosen by the user
+     * @returns {Promise<void>}
+     */
+    async function importSong(file) {
+      let text;
+      try {
+        text = await file.text();
+      } catch (error) {
+        console.error("Failed to read song file:", error);
+        showNotification(MESSAGES.SONG_FILE_READ_ERROR, "error");
+        return;
+      }
+
+      // Parse errors describe what is wrong with the file
+      let songDocument;
+      try {
+        songDocument = parseSongFile(text);
+      } catch (error) {
+        console.error("Invalid song file:", error);
+        showNotification(error.message, "error");
+        return;
+      }
+
+      const name = isNonEmptyString(songDocument.name)
+        ? songDocument.name
+        : file.name.replace(/\.[^.]*$/, "");
+
+      try {
+        if (appState.projectId) {
+          const project = await saveProject(createProject(name, songDocument));
+          await openProject(project.id);
+        } else {
+          if (appState.isPlaying) {
+            stopPlayback();
+          }
+          applySong(songDocument);
+          syncTrackControls();
+          saveState();
+        }
+        showNotification(`Opened "${name}"`, "success");
+      } catch (error) {
+        console.error("Failed to open song file:", error);
+        showNotification(MESSAGES.SONG_FILE_READ_ERROR, "error");
+      }
+    }
+
+    /**
+     * Loads one track of a MIDI file into the selected track and pattern.
+     * Notes are quantized to grid columns; for melodic tracks the note range
+     * is fitted to the notes, and the column count and tempo follow the file.
+     * Dropped and shortened notes are reported in the final notification.
+     *
+     * @param {File} file - MIDI file chosen by the user
+     * @returns {Promise<void>}
+     */
+    async function importMidi(file) {
+      let midi;
+      try {
+        midi = readMidiFile(new Uint8Array(await file.arrayBuffer()));
+      } catch (error) {
+        console.error("Failed to read MIDI file:", error);
+        showNotification(MESSAGES.IMPORT_READ_ERROR, "error");
+        return;
+      }
+
+      try {
+        const source = chooseMidiTrack(midi.tracks);
+        if (!source) return;
+
+        if (appState.isPlaying) {
+          stopPlayback();
+        }
+
+        const track = getSelectedTrack();
+        const notes = quantizeMidiNotes(source.notes, midi.ticksPerQuarter);
+
+        // Fit the note range to the notes the grid can show, keeping the
+        // rows the track's other patterns play so none of their notes are lost
+        const patternId = getSelectedPattern().id;
+        const lowestKey = noteToMidiNumber(ALL_NOTES[ALL_NOTES.length - 1]);
+        const highestKey = noteToMidiNumber(ALL_NOTES[0]);
+        const keys = notes
+          .map((note) => note.key)
+          .filter((key) => key >= lowestKey && key <= highestKey);
+        const usedKeys = track.notes
+          .filter((note, row) =>
+            Object.entries(track.grids).some(
+              ([id, grid]) => id !== patternId && grid[row].some(Boolean)
+            )
+          )
+          .map(noteToMidiNumber);
+        const rangeKeys = [...keys, ...usedKeys];
+        const rowNotes =
+          isDrumTrack(track) || keys.length === 0
+            ? track.notes
+            : getNoteRange(
+                midiNumberToNote(Math.min(...rangeKeys)),
+                midiNumberToNote(Math.max(...rangeKeys))
+              );
+
+        // Fit the columns to the notes in whole beats, without shrinking the
+        // grid under notes in other tracks or patterns
+        const lastColumn = Math.max(
+          ...notes.map((note) => note.column + note.length)
+        );
+        const othersHaveNotes = appState.tracks.some((other) =>
+          Object.entries(other.grids).some(
+            ([id, grid]) =>
+              !(other === track && id === patternId) &&
+              grid.some((row) => row.some(Boolean))
+          )
+        );
+        const cols = clamp(
+          Math.max(
+            Math.ceil(lastColumn / AUDIO_CONFIG.NOTE_SUBDIVISION) *
+              AUDIO_CONFIG.NOTE_SUBDIVISION,
+            othersHaveNotes ? appState.cols : 0
+          ),
+          GRID_LIMITS.MIN_COLUMNS,
+          GRID_LIMITS.MAX_COLUMNS
+        );
+
+        // Other tracks and patterns keep their notes at the new size
+        const before = captureLayout();
+        appState.tracks.forEach((other) => {
+          const toNotes = other === track ? rowNotes : other.notes;
+          Object.keys(other.grids).forEach((id) => {
+            other.grids[id] = remapGridState(
+              other.grids[id],
+              other.notes,
+              toNotes,
+              cols
+            ).gridState;
+          });
+        });
+
+        track.notes = [...rowNotes];
+        appState.cols = cols;
+
+        const placement = placeMidiNotes(
+          notes,
+          getRowMidiKeys(track),
+          appState.cols
+        );
+        setEditedGrid(placement.gridState);
+        recordLayoutChange("Import MIDI", before);
+
+        if (midi.tempo) {
+          tempoInput.value = clamp(
+            Math.round(midi.tempo),
+            AUDIO_CONFIG.MIN_TEMPO,
+            AUDIO_CONFIG.MAX_TEMPO
+          ).toString();
+          tempoInput.dispatchEvent(new Event("input"));
+        }
+
+        saveState();
+        refreshGrid();
+        syncTrackControls();
+        reportMidiImport(source.name, placement);
+      } catch (error) {
+        console.error("Failed to import MIDI file:", error);
+        showNotification("Failed to import MIDI file", "error");
+      }
+    }
+
+    /**
+     * Asks which track to import when a MIDI file has more than one with notes.
+     * @param {Object[]} tracks - Tracks from readMidiFile
+     * @returns {Object|null} Chosen track, or null if there is none or the user cancelled
+     */
+    function chooseMidiTrack(tracks) {
+      const candidates = tracks.filter((track) => track.notes.length > 0);
+      if (candidates.length === 0) {
+        showNotification(MESSAGES.IMPORT_NO_NOTES, "warning");
+        return null;
+      }
+      if (candidates.length === 1) return candidates[0];
+
+      const list = candidates
+        .map(
+          (track, index) =>
+            `${index + 1}. ${track.name} (${track.notes.length} notes)`
+        )
+        .join("\n");
+      const answer = window.prompt(
+        `Which track should be imported?\n${list}`,
+        "1"
+      );
+      if (answer === null) return null;
+
+      const choice = candidates[parseInt(answer) - 1];
+      if (!choice) {
+        showNotification(
+          `Please enter a track number from 1 to ${candidates.length}`,
+          "warning"
+        );
+        return null;
+      }
+      return choice;
+    }
+
+    /**
+     * Summarizes a MIDI import, including every note that was left out or cut.
+     * @param {string} trackName - Name of the imported MIDI track
+     * @param {Object} placement - Result of placeMidiNotes
+     */
+    function reportMidiImport(trackName, placement) {
+      const problems = [];
+      if (placement.outOfRange > 0) {
+        problems.push(
+          `${placement.outOfRange} outside ${ALL_NOTES[ALL_NOTES.length - 1]}-${
+            ALL_NOTES[0]
+          }${isDrumTrack(getSelectedTrack()) ? " or the drum kit" : ""} dropped`
+        );
+      }
+      if (placement.pastEnd > 0) {
+        problems.push(
+          `${placement.pastEnd} past column ${GRID_LIMITS.MAX_COLUMNS} dropped`
+        );
+      }
+      if (placement.merged > 0) {
+        problems.push(
+          `${placement.merged} merged into notes starting on the same column`
+        );
+      }
+      if (placement.shortened > 0) {
+        problems.push(`${placement.shortened} shortened to fit`);
+      }
+
+      const count = placement.placed;
+      const summary = `Imported ${count} note${
+        count === 1 ? "" : "s"
+      } from "${trackName}"`;
+      if (problems.length === 0) {
+        showNotification(summary, "success");
+      } else {
+        showNotification(`${summary}; ${problems.join(", ")}`, "warning");
+      }
+    }
+
+    /**
+     * Sets up event listeners for grid cell interactions.
+     * Listens for custom cellStateChange, cellsPaint, noteLengthChange,
+     * noteVelocityChange, selectionChange and cursorMove events and
+     * updates application state.
+     *
+     * @param {HTMLElement} container - Grid container element
+     */
+    function setupGridEventListeners(container) {
+      // Remove existing listeners if present
+      container.removeEventListener("cellStateChange", handleCellStateChange);
+      container.removeEventListener("cellsPaint", handleCellsPaint);
+      container.removeEventListener("noteLengthChange", handleNoteLengthChange);
+      container.removeEventListener(
+        "noteVelocityChange",
+        handleNoteVelocityChange
+      );
+      container.removeEventListener("selectionChange", handleSelectionChange);
+      container.removeEventListener("cursorMove", handleCursorMove);
+
+      // Add event listeners for cell state, note length and velocity changes
+      container.addEventListener("cellStateChange", handleCellStateChange);
+      container.addEventListener("cellsPaint", handleCellsPaint);
+      container.addEventListener("noteLengthChange", handleNoteLengthChange);
+      container.addEventListener(
+        "noteVelocityChange",
+        handleNoteVelocityChange
+      );
+      container.addEventListener("selectionChange", handleSelectionChange);
+      container.addEventListener("cursorMove", handleCursorMove);
+    }
+
+    /**
+     * Sets up keyboard shortcuts for improved user experience.
+     * Handles global keyboard events with proper focus management.
+     */
+    function setupKeyboardShortcuts() {
+      document.addEventListener("keydown", (event) => {
+        // Don't trigger shortcuts when typing in input fields, or for keys
+        // the grid already handled, such as Space on a cell
+        if (
+          event.target.matches("input, select, textarea") ||
+          event.defaultPrevented
+        ) {
+          return;
+        }
+
+        // Don't trigger shortcuts when help overlay is open (except Escape)
+        const helpOverlay = document.getElementById("helpOverlay");
+        const isHelpOpen = helpOverlay && !helpOverlay.hasAttribute("hidden");
+        if (isHelpOpen && event.key !== "Escape") {
+          return;
+        }
+
+        try {
+          // Ctrl/Cmd+Z - Undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y - Redo;
+          // Ctrl/Cmd+A, C, X, V and D - Select all, copy, cut, paste and
+          // duplicate. Other modified keys, and copying with nothing
+          // selected, are left to the browser
+          if (event.ctrlKey || event.metaKey) {
+            const key = event.key.toLowerCase();
+            const selectionAction = {
+              a: SELECTION_ACTIONS.SELECT_ALL,
+              c: SELECTION_ACTIONS.COPY,
+              x: SELECTION_ACTIONS.CUT,
+              v: SELECTION_ACTIONS.PASTE,
+              d: SELECTION_ACTIONS.DUPLICATE,
+            }[key];
+            if (key === "z") {
+              event.preventDefault();
+              if (event.shiftKey) {
+                redoEdit();
+              } else {
+                undoEdit();
+              }
+            } else if (key === "y") {
+              event.preventDefault();
+              redoEdit();
+            } else if (
+              selectionAction &&
+              (key === "a" ||
+                (key === "v" ? appState.clipboard : appState.selection))
+            ) {
+              event.preventDefault();
+              runSelectionAction(selectionAction);
+            }
+            return;
+          }
+
+          // Alt+Up/Down - Transpose the selection a semitone (an octave
+          // with Shift), Alt+Left/Right - Shift it in time, Alt+R - Reverse,
+          // Alt+I - Invert. Keys are matched by position, as Alt changes the
+          // typed character on some layouts
+          if (event.altKey) {
+            const selectionAction = {
+              ArrowUp: event.shiftKey
+                ? SELECTION_ACTIONS.OCTAVE_UP
+                : SELECTION_ACTIONS.TRANSPOSE_UP,
+              ArrowDown: event.shiftKey
+                ? SELECTION_ACTIONS.OCTAVE_DOWN
+                : SELECTION_ACTIONS.TRANSPOSE_DOWN,
+              ArrowLeft: SELECTION_ACTIONS.SHIFT_LEFT,
+              ArrowRight: SELECTION_ACTIONS.SHIFT_RIGHT,
+              KeyR: SELECTION_ACTIONS.REVERSE,
+              KeyI: SELECTION_ACTIONS.INVERT,
+            }[event.code];
+            if (selectionAction && appState.selection) {
+              event.preventDefault();
+              runSelectionAction(selectionAction);
+            }
+            return;
+          }
+
+          // Piano keys play notes (see PIANO_KEYS) and are matched by
+          // position; Shift is left to ?, and held keys do not repeat
+          if (!event.shiftKey && Object.hasOwn(PIANO_KEYS, event.code)) {
+            event.preventDefault();
+            if (!event.repeat) {
+              pressPianoKey(event.code);
+            }
+            return;
+          }
+
+          switch (event.key.toLowerCase()) {
+            case " ": // Space bar - Play/Stop (Shift+Space in the grid)
+              event.preventDefault();
+              togglePlayback();
+              break;
+
+            case "c": // C - Clear grid
+              event.preventDefault();
+              clearGrid();
+              break;
+
+            case "r": // R - Randomize grid
+              event.preventDefault();
+              randomizeGrid();
+              break;
+
+            case "z": // Z/X - Keyboard piano octave down/up
+              event.preventDefault();
+              shiftPianoOctave(-1);
+              break;
+
+            case "x":
+              event.preventDefault();
+              shiftPianoOctave(1);
+              break;
+
+            case "?": // ? - Toggle help
+            case "/": // Also handle / key for help
+              if (event.shiftKey || event.key === "?") {
+                event.preventDefault();
+                if (window.toggleHelp) {
+                  window.toggleHelp();
+                }
+              }
+              break;
+
+            case "delete": // Delete/Backspace - Remove the selected notes
+            case "backspace":
+              if (appState.selection) {
+                event.preventDefault();
+                deleteSelection();
+              }
+              break;
+
+            case "escape": // Escape - Close help, clear the selection or stop playback
+              event.preventDefault();
+              if (isHelpOpen && window.toggleHelp) {
+                window.toggleHelp();
+              } else if (appState.selection) {
+                clearSelection();
+              } else if (appState.isPlaying) {
+                stopPlayback();
+              }
+              break;
+          }
+        } catch (error) {
+          console.error("Keyboard shortcut failed:", error);
+          showNotification("Keyboard shortcut failed", "error");
+        }
+      });
+
+      // Piano keys are released wherever focus has moved to, and all at
+      // once when the window loses focus, as their key-ups are then missed
+      document.addEventListener("keyup", (event) =>
+        releasePianoKey(event.code)
+      );
+      window.addEventListener("blur", () =>
+        Array.from(appState.pianoKeys.keys()).forEach(releasePianoKey)
+      );
+    }
+
+    /**
+     * Plays the note of a computer keyboard piano key as if it came from a
+     * MIDI keyboard, so it is heard and recorded the same way.
+     * @param {string} code - Position of the key (see PIANO_KEYS)
+     */
+    function pressPianoKey(code) {
+      const key =
+        noteToMidiNumber(`C${appState.pianoOctave}`) + PIANO_KEYS[code];
+      appState.pianoKeys.set(code, key);
+      handleMidiNote({
+        type: MIDI_EVENTS.NOTE_ON,
+        channel: 0,
+        key,
+        velocity: VELOCITY_CONFIG.DEFAULT,
+      });
+    }
+
+    /**
+     * Releases a computer keyboard piano key. The note it started ends even
+     * if the octave has changed since.
+     * @param {string} code - Position of the key (see PIANO_KEYS)
+     */
+    function releasePianoKey(code) {
+      const key = appState.pianoKeys.get(code);
+      if (key === undefined) return;
+
+      appState.pianoKeys.delete(code);
+      handleMidiNote({
+        type: MIDI_EVENTS.NOTE_OFF,
+        channel: 0,
+        key,
+        velocity: 0,
+      });
+    }
+
+    /**
+     * Moves the computer keyboard piano up or down an octave and shows the
+     * notes it now plays.
+     * @param {number} offset - Octaves to move by
+     */
+    function shiftPianoOctave(offset) {
+      const octave = clamp(
+        appState.pianoOctave + offset,
+        KEYBOARD_PIANO_CONFIG.MIN_OCTAVE,
+        KEYBOARD_PIANO_CONFIG.MAX_OCTAVE
+      );
+      if (octave === appState.pianoOctave) return;
+
+      appState.pianoOctave = octave;
+      const lowest = noteToMidiNumber(`C${octave}`);
+      const highest = lowest + Math.max(...Object.values(PIANO_KEYS));
+      showNotification(
+        `Keyboard piano: ${midiNumberToNote(lowest)} to ${midiNumberToNote(
+          highest
+        )}`,
+        "info"
+      );
+    }
+
+    /**
+     * Updates the grid configuration with new note range and column count.
+     * The note range applies to the selected melodic track (drum tracks keep
+     * their kit) and remaps its grids in every pattern by note name; the
+     * column count is shared, so changing it remaps every track's grids.
+     * Notes keep their column; notes that no longer fit are dropped or
+     * shortened and reported. With "Clear notes on resize" ticked the
+     * affected grids are emptied instead.
+     * @param {string} startNote - Starting (lowest) note of the range
+     * @param {string} endNote - Ending (highest) note of the range
+     * @param {number} newColumns - Number of columns in the new grid
+     */
+    function updateGridConfiguration(startNote, endNote, newColumns) {
+      if (appState.isPlaying) {
+        stopPlayback();
+      }
+
+      // Validate notes
+      if (!ALL_NOTES.includes(startNote) || !ALL_NOTES.includes(endNote)) {
+        showNotification(MESSAGES.INVALID_NOTES, "error");
+        return;
+      }
+
+      // Rows run from the end note down to the start note
+      const notes = getNoteRange(startNote, endNote);
+      if (!notes) {
+        showNotification(MESSAGES.INVALID_NOTE_RANGE, "error");
+        return;
+      }
+
+      // Validate columns using utility function
+      if (
+        !isNumberInRange(
+          newColumns,
+          GRID_LIMITS.MIN_COLUMNS,
+          GRID_LIMITS.MAX_COLUMNS
+        )
+      ) {
+        showNotification(MESSAGES.INVALID_COLUMNS, "error");
+        return;
+      }
+
+      const track = getSelectedTrack();
+      const columnsChanged = newColumns !== appState.cols;
+      const rangeChanged =
+        !isDrumTrack(track) && notes.join() !== track.notes.join();
+      if (!columnsChanged && !rangeChanged) return;
+
+      // Update state
+      const before = captureLayout();
+      const clearNotes = clearOnResizeToggle.checked;
+      let dropped = 0;
+      let shortened = 0;
+
+      appState.tracks.forEach((other) => {
+        const rowsChange = other === track && rangeChanged;
+        if (!rowsChange && !columnsChanged) return;
+
+        const toNotes = rowsChange ? notes : other.notes;
+        if (clearNotes) {
+          other.grids = createTrackGrids(
+            getPatternIds(),
+            toNotes.length,
+            newColumns
+          );
+        } else {
+          Object.keys(other.grids).forEach((id) => {
+            const result = remapGridState(
+              other.grids[id],
+              other.notes,
+              toNotes,
+              newColumns
+            );
+            other.grids[id] = result.gridState;
+            dropped += result.dropped;
+            shortened += result.shortened;
+          });
+        }
+        other.notes = [...toNotes];
+      });
+      appState.cols = newColumns;
+      recordLayoutChange(
+        clearNotes ? "Clear and resize grid" : "Change grid size",
+        before
+      );
+
+      // Save and refresh
+      saveState();
+      refreshGrid();
+      reportGridResize(dropped, shortened);
+    }
+
+    /**
+     * Tells the user the grid was resized, and how many notes did not fit.
+     * @param {number} dropped - Notes removed because their note or column is gone
+     * @param {number} shortened - Notes cut short at the new last column
+     */
+    function reportGridResize(dropped, shortened) {
+      const problems = [];
+      if (dropped > 0) {
+        problems.push(
+          `${dropped} note${
+            dropped === 1 ? "" : "s"
+          } outside the new grid dropped`
+        );
+      }
+      if (shortened > 0) {
+        problems.push(
+          `${shortened} note${shortened === 1 ? "" : "s"} shortened to fit`
+        );
+      }
+
+      if (problems.length === 0) {
+        showNotification(MESSAGES.GRID_UPDATED, "success");
+      } else {
+        showNotification(
+          `Grid resized: ${problems.join(", ")}. Press Ctrl+Z to undo.`,
+          "warning"
+        );
+      }
+    }
+
+    /**
+     * Marks the rows of a track that are outside the song's key and scale.
+     * Drum rows are never outside the scale.
+     * @param {Object} track - Track whose rows to check
+     * @returns {boolean[]} One flag per row, true for rows outside the scale
+     */
+    function getOffScaleRows(track) {
+      return track.notes.map(
+        (note) => !isDrumTrack(track) && !isNoteInScale(note, appState.scale)
+      );
+    }
+
+    /**
+     * Changes the key and scale the rows follow. Notes are never changed;
+     * rows outside the scale are greyed out or hidden.
+     * @param {Object} settings - Scale settings from the scale controls
+     * @throws {Error} If the settings do not describe a valid scale
+     */
+    function setScale(settings) {
+      const scale = createScale(settings);
+      if (!isValidScale(scale)) {
+        throw new Error("Invalid scale settings");
+      }
+
+      const before = captureLayout();
+      appState.scale = scale;
+      recordLayoutChange("Change scale", before);
+
+      saveState();
+      refreshGrid();
+      syncScaleControls(scale);
+    }
+
+    /**
+     * Moves every melodic note into another key by the smallest step, up to
+     * a tritone either way, and makes it the song's key. Each track's note
+     * range always moves with its notes. Rows that would move past the end
+     * of the piano are removed with their notes; a track left with no rows
+     * keeps the piano's end note as its only row.
+     * @param {string} toRoot - Pitch class of the new key
+     */
+    function transposeSong(toRoot) {
+      const semitones = getTransposition(appState.scale.root, toRoot);
+      if (semitones === 0) {
+        showNotification(`The song is already in ${toRoot}`, "info");
+        return;
+      }
+
+      const before = captureLayout();
+      let dropped = 0;
+      appState.tracks
+        .filter((track) => !isDrumTrack(track))
+        .forEach((track) => {
+          const shifted = track.notes.map((note) =>
+            transposeNote(note, semitones)
+          );
+          const onPiano = shifted.filter(Boolean);
+          const rowNotes =
+            onPiano.length > 0
+              ? onPiano
+              : [
+                  semitones > 0
+                    ? ALL_NOTES[0]
+                    : ALL_NOTES[ALL_NOTES.length - 1],
+                ];
+
+          Object.keys(track.grids).forEach((id) => {
+            const result = remapGridState(
+              track.grids[id],
+              shifted,
+              rowNotes,
+              appState.cols
+            );
+            track.grids[id] = result.gridState;
+            dropped += result.dropped;
+          });
+          track.notes = rowNotes;
+        });
+      appState.scale = createScale({ ...appState.scale, root: toRoot });
+      recordLayoutChange(`Transpose to ${toRoot}`, before);
+
+      saveState();
+      refreshGrid();
+      syncTrackControls();
+      syncScaleControls(appState.scale);
+
+      const summary = `Transposed ${semitones > 0 ? "up" : "down"} ${Math.abs(
+        semitones
+      )} semitone${Math.abs(semitones) === 1 ? "" : "s"} to ${toRoot}`;
+      if (dropped > 0) {
+        showNotification(
+          `${summary}; ${dropped} note${
+            dropped === 1 ? "" : "s"
+          } past the end of the piano dropped`,
+          "warning"
+        );
+      } else {
+        showNotification(summary, "success");
+      }
+    }
+
+    /**
+     * Changes the swing and micro-timing from the groove controls. The new
+     * groove plays from the next scheduled column; it is saved once the
+     * slider is released, like the tempo.
+     * @param {Object} settings - Groove settings from the groove controls
+     * @param {boolean} isFinal - Whether the slider was released
+     * @throws {Error} If the settings do not describe a valid groove
+     */
+    function setGroove(settings, isFinal) {
+      const groove = createGroove(settings);
+      if (!isValidGroove(groove)) {
+        throw new Error("Invalid groove settings");
+      }
+
+      appState.groove = groove;
+      if (isFinal) {
+        saveState();
+        syncGrooveControls(groove);
+      }
+    }
+
+    /**
+     * Replaces the swing and micro-timing with a groove template's.
+     * @param {string} id - Template ID (see GROOVE_TEMPLATES in js/config.js)
+     */
+    function applyGrooveTemplate(id) {
+      appState.groove = createGrooveFromTemplate(id);
+      saveState();
+      syncGrooveControls(appState.groove);
+    }
+
+    /**
+     * Changes the synth voice from the voice panel. Notes scheduled from
+     * now on play with it; it is saved once the control is released.
+     * @param {Object} settings - Voice settings from the voice panel
+     * @param {boolean} isFinal - Whether the control was released
+     * @throws {Error} If the settings do not describe a valid voice
+     */
+    function setVoice(settings, isFinal) {
+      const voice = createVoice(settings);
+      if (!isValidVoice(voice)) {
+        throw new Error("Invalid voice settings");
+      }
+
+      appState.voice = voice;
+      if (isFinal) saveState();
+    }
+
+    /**
+     * Puts the synth voice back to the default: the track's waveform alone,
+     * held until the note ends, through an open filter.
+     */
+    function resetVoice() {
+      appState.voice = createVoice();
+      saveState();
+      syncVoiceControls(appState.voice);
+      showNotification("Synth voice reset", "info");
+    }
+
+    /**
+     * Changes an effects chain from an effects panel. The live chain follows
+     * at once; the settings are saved once the control is released.
+     * @param {string} target - Chain that changed (see EFFECT_TARGETS)
+     * @param {Object} settings - Effects settings from the panel
+     * @param {boolean} isFinal - Whether the control was released
+     * @throws {Error} If the settings are not valid effects
+     */
+    function setEffects(target, settings, isFinal) {
+      const effects = createEffects(settings);
+      if (!isValidEffects(effects)) {
+        throw new Error("Invalid effects settings");
+      }
+
+      if (target === EFFECT_TARGETS.MASTER) {
+        appState.effects = effects;
+        setMasterEffects(effects);
+      } else {
+        const track = getSelectedTrack();
+        track.effects = effects;
+        setTrackEffects(track.id, effects);
+      }
+      if (isFinal) saveState();
+    }
+
+    /**
+     * Calculates the duration of each grid column based on current tempo.
+     * Uses 16th note subdivision for musical timing.
+     *
+     * @returns {number} Column duration in milliseconds
+     */
+    function getColumnDurationMs() {
+      const bpm = parseInt(tempoInput.value);
+      return calculateNoteDuration(bpm, AUDIO_CONFIG.NOTE_SUBDIVISION);
+    }
+
+    /**
+     * Works out which pattern and column a playback step plays.
+     * In song mode the step walks through the arrangement; otherwise the
+     * selected pattern loops.
+     *
+     * @param {number} step - Monotonic step index since playback started
+     * @returns {{slot: number|null, patternId: string, column: number}} Playback position
+     */
+    function getPlaybackPosition(step) {
+      const songPosition =
+        songModeToggle.checked &&
+        resolveArrangementStep(step, appState.arrangement, appState.cols);
+
+      return (
+        songPosition || {
+          slot: null,
+          patternId: getSelectedPattern().id,
+          column: step % appState.cols,
+        }
+      );
+    }
+
+    /**
+     * Schedules the active notes of one column on the audio clock, and
+     * sends them to the MIDI output.
+     * Every audible track plays its own notes through its own output,
+     * so all tracks stay in sync. Called by the lookahead scheduler
+     * ahead of the time the step sounds.
+     *
+     * @param {number} step - Monotonic step index since playback started
+     * @param {number} time - AudioContext time at which the step sounds
+     * @param {number} stepDuration - Length of one column in seconds
+     * @returns {Object} Playback position (see getPlaybackPosition), used for the visual highlight
+     */
+    function scheduleStep(step, time, stepDuration) {
+      const position = getPlaybackPosition(step);
+
+      appState.tracks.forEach((track) => {
+        if (!isTrackAudible(track, appState.tracks)) return;
+
+        const destination = getTrackOutput(
+          track.id,
+          track.volume,
+          track.effects
+        );
+        scheduleTrackColumn(track, position, time, stepDuration, destination);
+      });
+      sendMidiStep(step, position, time, stepDuration);
+
+      return position;
+    }
+
+    /**
+     * Lists the notes one track plays at a position, placed in time.
+     * Shared by live playback, offline rendering and MIDI output, so all
+     * follow the song's groove: notes move from the column's place on the
+     * grid by its swing and micro-timing, never to before the start of the
+     * clock.
+     *
+     * @param {Object} track - Track to play
+     * @param {{patternId: string, column: number}} position - Pattern and column to play
+     * @param {number} time - Audio context time at which the column sits on the grid
+     * @param {number} stepDuration - Length of one column in seconds
+     * @returns {Array<{row: number, start: number, duration: number, velocity: number}>} Notes with their start time and duration in seconds
+     */
+    function getColumnNotes(track, { patternId, column }, time, stepDuration) {
+      const notes = [];
+      for (let row = 0; row < track.notes.length; row++) {
+        const cell = track.grids[patternId][row][column];
+        if (!cell) continue;
+
+        const timing = getNoteTiming(appState.groove, column, cell.length);
+        notes.push({
+          row,
+          start: Math.max(0, time + timing.offset * stepDuration),
+          duration: timing.length * stepDuration,
+          velocity: cell.velocity,
+        });
+      }
+      return notes;
+    }
+
+    /**
+     * Schedules the notes one track plays at a position.
+     *
+     * @param {Object} track - Track to play
+     * @param {{patternId: string, column: number}} position - Pattern and column to play
+     * @param {number} time - Audio context time at which the column sits on the grid
+     * @param {number} stepDuration - Length of one column in seconds
+     * @param {AudioNode} destination - Node the notes connect to
+     */
+    function scheduleTrackColumn(
+      track,
+      position,
+      time,
+      stepDuration,
+      destination
+    ) {
+      getColumnNotes(track, position, time, stepDuration).forEach(
+        ({ row, start, duration, velocity }) => {
+          if (isDrumTrack(track)) {
+            playDrum(track.notes[row], start, { velocity, destination });
+          } else {
+            playNote(track.notes[row], start, track.waveform, {
+              duration,
+              voice: appState.voice,
+              velocity,
+              destination,
+            });
+          }
+        }
+      );
+    }
+
+    /**
+     * Sends one step to the MIDI output: the notes of every audible track,
+     * timed like the audio, and the clock pulses that let external gear
+     * follow the tempo. The clock stays on the grid whatever the groove.
+     * External gear is started on the first step.
+     *
+     * @param {number} step - Monotonic step index since playback started
+     * @param {Object} position - Playback position (see getPlaybackPosition)
+     * @param {number} time - AudioContext time at which the step sounds
+     * @param {number} stepDuration - Length of one column in seconds
+     */
+    function sendMidiStep(step, position, time, stepDuration) {
+      if (!isMidiOutputSelected()) return;
+
+      if (step === 0) sendMidiStart(getPerformanceTime(time));
+      const pulses =
+        MIDI_CONFIG.CLOCKS_PER_QUARTER / AUDIO_CONFIG.NOTE_SUBDIVISION;
+      for (let pulse = 0; pulse < pulses; pulse++) {
+        sendMidiClock(
+          getPerformanceTime(time + (pulse / pulses) * stepDuration)
+        );
+      }
+
+      const channels =
+        appState.midiChannel === MIDI_CONFIG.CHANNEL_BY_TRACK
+          ? assignMidiChannels(appState.tracks)
+          : appState.tracks.map(() => appState.midiChannel);
+      appState.tracks.forEach((track, index) => {
+        if (!isTrackAudible(track, appState.tracks)) return;
+
+        const keys = getRowMidiKeys(track);
+        getColumnNotes(track, position, time, stepDuration).forEach(
+          ({ row, start, duration, velocity }) => {
+            sendMidiNote(
+              channels[index],
+              keys[row],
+              velocity,
+              getPerformanceTime(start),
+              duration * 1000
+            );
+          }
+        );
+      });
+    }
+
+    /**
+     * Moves the playback highlight to the column that is currently audible
+     * and shows the pattern and bar on the ruler. The column is only
+     * highlighted while the playing pattern is the one shown in the grid.
+     * Called from the scheduler's animation frame loop.
+     *
+     * @param {Object} position - Playback position that just started sounding
+     */
+    function showPlayingColumn(position) {
+      if (!appState.isPlaying) return;
+
+      const { slot, patternId, column } = position;
+      const isShown = patternId === getSelectedPattern().id;
+
+      highlightColumn(
+        appState.currentColumn,
+        false,
+        appState.gridRefs.gridInner,
+        appState.gridRefs.ruler
+      );
+      if (isShown) {
+        highlightColumn(
+          column,
+          true,
+          appState.gridRefs.gridInner,
+          appState.gridRefs.ruler
+        );
+      }
+      appState.currentColumn = column;
+      appState.playingPatternId = patternId;
+
+      // Bars count from the start of the song, or of the pattern when looping
+      const pattern = appState.patterns.find((entry) => entry.id === patternId);
+      const bar = getBarNumber((slot || 0) * appState.cols + column);
+      const rulerLabel = appState.gridRefs.rulerLabel;
+      rulerLabel.textContent = `${pattern ? pattern.name : "?"} · ${bar}`;
+      rulerLabel.title = `Playing pattern ${
+        pattern ? pattern.name : "?"
+      }, bar ${bar}`;
+      highlightArrangementSlot(arrangementContainer, slot);
+    }
+
+    /**
+     * Starts the playback loop if not already playing.
+     * Hands column scheduling to the lookahead scheduler, which reads the tempo
+     * for every step so slider changes take effect at the next column.
+     * @returns {void}
+     */
+    function startPlayback() {
+      if (appState.isPlaying) return;
+      appState.isPlaying = true;
+      playButton.textContent = "Stop";
+      appState.currentColumn = 0;
+      appState.playingPatternId = null;
+
+      const audioContext = ensureAudioContext();
+      applyTrackLevels();
+
+      if (songModeToggle.checked && appState.arrangement.slots.length === 0) {
+        showNotification(MESSAGES.EMPTY_ARRANGEMENT, "info");
+      }
+
+      startScheduler({
+        audioContext,
+        getStepDuration: () => getColumnDurationMs() / 1000,
+        onScheduleStep: scheduleStep,
+        onVisualStep: showPlayingColumn,
+      });
+    }
+
+    /**
+     * Stops the playback loop if currently playing.
+     * Clears playback state and visual highlights.
+     * @returns {void}
+     */
+    function stopPlayback() {
+      if (!appState.isPlaying) return;
+      appState.isPlaying = false;
+      stopScheduler();
+      sendMidiStop();
+      playButton.textContent = "Play";
+
+      // Clear all highlights
+      for (let c = 0; c < appState.cols; c++) {
+        highlightColumn(
+          c,
+          false,
+          appState.gridRefs.gridInner,
+          appState.gridRefs.ruler
+        );
+      }
+      highlightArrangementSlot(arrangementContainer, null);
+      appState.gridRefs.rulerLabel.textContent = getSelectedPattern().name;
+      appState.gridRefs.rulerLabel.title = "";
+    }
+
+    /**
+     * Toggles playback state between playing and stopped.
+     * @returns {void}
+     */
+    function togglePlayback() {
+      if (appState.isPlaying) {
+        stopPlayback();
+      } else {
+        startPlayback();
+      }
+    }
+
+    /**
+     * Event handler for grid cell state changes.
+     * Updates the application state and persists changes.
+     *
+     * @param {CustomEvent} event - Custom event containing cell change details
+     */
+    function handleCellStateChange(event) {
       try {
         const { row, col, isActive } = event.detail;
+        const track = getSelectedTrack();
 
         if (
           row >= 0 &&
-          row < appState.notes.length &&
+          row < track.notes.length &&
           col >= 0 &&
           col < appState.cols
         ) {
-          appState.gridState[row][col] = isActive;
+          const before = cloneGridState(getEditedGrid(track));
+          getEditedGrid(track)[row][col] = isActive ? createNote() : null;
+          recordGridChange(isActive ? "Add note" : "Remove note", before);
           saveState();
         } else {
           console.warn(`Invalid cell coordinates: row=${row}, col=${col}`);
@@ -515,6 +3288,368 @@ function main() {
         showNotification("Failed to update cell state", "error");
       }
     }
+
+    /**
+     * Event handler for a paint or erase drag across cells.
+     * The whole stroke is applied, saved and recorded for undo as one edit.
+     *
+     * @param {CustomEvent} event - Custom event containing the painted cells and whether notes were added
+     */
+    function handleCellsPaint(event) {
+      try {
+        const { cells, isActive } = event.detail;
+        const gridState = getEditedGrid();
+        const before = cloneGridState(gridState);
+
+        cells.forEach(({ row, col }) => {
+          const rowState = gridState[row];
+          if (!rowState || col < 0 || col >= appState.cols) {
+            console.warn(`Invalid cell coordinates: row=${row}, col=${col}`);
+            return;
+          }
+          // Painting never overwrites a held note, erasing removes it whole
+          const hit = findNoteAt(rowState, col);
+          if (isActive && !hit) {
+            rowState[col] = createNote();
+          } else if (!isActive && hit) {
+            rowState[hit.start] = null;
+          }
+        });
+
+        recordGridChange(isActive ? "Paint notes" : "Erase notes", before);
+        saveState();
+      } catch (error) {
+        console.error("Failed to handle painted cells:", error);
+        showNotification("Failed to update cells", "error");
+      }
+    }
+
+    /**
+     * Event handler for selections made by Shift-click or Shift-drag.
+     * The grid already shows the selection, so it is not re-rendered.
+     *
+     * @param {CustomEvent} event - Custom event containing the new selection
+     */
+    function handleSelectionChange(event) {
+      appState.selection = event.detail.selection;
+      updateSelectionTools();
+    }
+
+    /**
+     * Event handler for keyboard cursor moves, so the cursor stays on the
+     * same cell when the grid is rebuilt.
+     *
+     * @param {CustomEvent} event - Custom event containing the cursor's row and column
+     */
+    function handleCursorMove(event) {
+      appState.cursor = { row: event.detail.row, col: event.detail.col };
+    }
+
+    /**
+     * Event handler for note length changes from dragging a note's end handle.
+     * Clamps the length so the note cannot overlap the next note in its row.
+     *
+     * @param {CustomEvent} event - Custom event containing row, start column and new length
+     */
+    function handleNoteLengthChange(event) {
+      try {
+        const { row, col, length } = event.detail;
+        const rowState = getEditedGrid()[row];
+        const cell = rowState && rowState[col];
+
+        if (!cell) {
+          console.warn(`No note to resize at row=${row}, col=${col}`);
+          return;
+        }
+
+        const before = cloneGridState(getEditedGrid());
+        cell.length = Math.min(
+          Math.max(1, length),
+          getMaxNoteLength(rowState, col)
+        );
+        recordGridChange("Change note length", before, `length:${row}:${col}`);
+        saveState();
+      } catch (error) {
+        console.error("Failed to handle note length change:", error);
+        showNotification("Failed to update note length", "error");
+      }
+    }
+
+    /**
+     * Event handler for note velocity changes from the mouse wheel or Alt-drag.
+     *
+     * @param {CustomEvent} event - Custom event containing row, start column and new velocity
+     */
+    function handleNoteVelocityChange(event) {
+      try {
+        const { row, col, velocity } = event.detail;
+        const rowState = getEditedGrid()[row];
+        const cell = rowState && rowState[col];
+
+        if (!cell) {
+          console.warn(`No note to change velocity at row=${row}, col=${col}`);
+          return;
+        }
+
+        const before = cloneGridState(getEditedGrid());
+        cell.velocity = clampVelocity(velocity);
+        recordGridChange("Change velocity", before, `velocity:${row}:${col}`);
+        saveState();
+      } catch (error) {
+        console.error("Failed to handle note velocity change:", error);
+        showNotification("Failed to update note velocity", "error");
+      }
+    }
+
+    /**
+     * Asks for access to the MIDI devices and lists the inputs, listening to
+     * the first one unless an input is already chosen. The list follows
+     * devices as they are plugged in or out.
+     * @returns {Promise<void>}
+     */
+    async function connectMidi() {
+      try {
+        // Connecting is a click, so incoming notes can be heard straight away
+        ensureAudioContext();
+        await requestMidiAccess();
+        watchMidiDevices(refreshMidiDevices);
+
+        // Only the input is picked for you; an output would double the sound
+        const inputs = listMidiInputs();
+        if (inputs.length === 0 && listMidiOutputs().length === 0) {
+          showNotification(MESSAGES.MIDI_NO_DEVICES, "info");
+        } else if (inputs.length > 0 && !appState.midiInputId) {
+          changeMidiInput(inputs[0].id);
+          showNotification(`Listening to ${inputs[0].name}`, "success");
+        }
+        refreshMidiDevices();
+      } catch (error) {
+        console.error("Failed to connect MIDI devices:", error);
+        showNotification(MESSAGES.MIDI_UNAVAILABLE, "error");
+      }
+    }
+
+    /**
+     * Lists the connected MIDI inputs and outputs. A device that was
+     * unplugged stops being used.
+     */
+    function refreshMidiDevices() {
+      const inputs = listMidiInputs();
+      const outputs = listMidiOutputs();
+      const { midiInputId, midiOutputId } = appState;
+      if (midiInputId && !inputs.some((input) => input.id === midiInputId)) {
+        changeMidiInput(null);
+        showNotification(MESSAGES.MIDI_INPUT_MISSING, "warning");
+      }
+      if (
+        midiOutputId &&
+        !outputs.some((output) => output.id === midiOutputId)
+      ) {
+        changeMidiOutput(null);
+        showNotification(MESSAGES.MIDI_OUTPUT_MISSING, "warning");
+      }
+      populateMidiInputs(inputs, appState.midiInputId);
+      populateMidiOutputs(outputs, appState.midiOutputId);
+    }
+
+    /**
+     * Listens to another MIDI input.
+     * @param {string|null} id - ID of the input, or null to stop listening
+     */
+    function changeMidiInput(id) {
+      // Note-offs from the previous input will not arrive
+      appState.heldMidiKeys.clear();
+      Array.from(appState.soundingVoices.keys()).forEach(releaseMidiVoice);
+      appState.midiInputId = selectMidiInput(id, handleMidiNote) ? id : null;
+      if (id && !appState.midiInputId) {
+        showNotification(MESSAGES.MIDI_INPUT_MISSING, "warning");
+      }
+    }
+
+    /**
+     * Plays along on another MIDI output. Changing outputs during playback
+     * joins in at the next step; the gear is started with the next playback.
+     * @param {string|null} id - ID of the output, or null to stop sending
+     */
+    function changeMidiOutput(id) {
+      appState.midiOutputId = selectMidiOutput(id) ? id : null;
+      if (id && !appState.midiOutputId) {
+        showNotification(MESSAGES.MIDI_OUTPUT_MISSING, "warning");
+      }
+    }
+
+    /**
+     * Sets the channel notes are sent to on the MIDI output, from the next step.
+     * @param {number|string} channel - Channel (0-15), or MIDI_CONFIG.CHANNEL_BY_TRACK
+     */
+    function setMidiChannel(channel) {
+      appState.midiChannel = channel;
+    }
+
+    /**
+     * Plays a note from the MIDI input or computer keyboard on the selected
+     * track, holding it and highlighting its row until the key is released,
+     * and, when a record mode is on, writes it to the track's grid. Step
+     * recording writes at the cursor in the pattern on screen and moves it on
+     * once every key is released; real time recording writes at the playing
+     * column of the playing pattern. Keys with no row on the track are heard
+     * but not written.
+     *
+     * @param {Object} event - Note event (see js/webMidi.js)
+     */
+    function handleMidiNote(event) {
+      try {
+        const mode = midiRecordSelect.value;
+        if (event.type === MIDI_EVENTS.NOTE_OFF) {
+          appState.soundingKeys.delete(event.key);
+          releaseMidiVoice(event.key);
+          showSoundingRows();
+
+          const { heldMidiKeys } = appState;
+          if (heldMidiKeys.delete(event.key) && heldMidiKeys.size === 0) {
+            appState.cursor = {
+              ...appState.cursor,
+              col: (appState.cursor.col + 1) % appState.cols,
+            };
+            refreshGrid();
+          }
+          return;
+        }
+
+        appState.soundingKeys.add(event.key);
+        showSoundingRows();
+
+        const track = getSelectedTrack();
+        const row = getRowMidiKeys(track).indexOf(event.key);
+        auditionMidiNote(track, row, event);
+
+        if (mode === MIDI_RECORD_MODES.OFF) return;
+        if (row === -1) {
+          showNotification(
+            `${midiNumberToNote(event.key)} is not a row on this track`,
+            "warning"
+          );
+          return;
+        }
+        if (mode === MIDI_RECORD_MODES.STEP) {
+          recordMidiNote(row, appState.cursor.col, event.velocity);
+          appState.cursor = { ...appState.cursor, row };
+          appState.heldMidiKeys.add(event.key);
+          refreshGrid();
+        } else if (
+          mode === MIDI_RECORD_MODES.REALTIME &&
+          appState.isPlaying &&
+          appState.playingPatternId
+        ) {
+          recordMidiNote(
+            row,
+            appState.currentColumn,
+            event.velocity,
+            appState.playingPatternId
+          );
+          refreshGrid();
+        }
+      } catch (error) {
+        console.error("Failed to handle played note:", error);
+        showNotification("Failed to play the note", "error");
+      }
+    }
+
+    /**
+     * Highlights the row labels of the keys held on the MIDI input or
+     * computer keyboard.
+     */
+    function showSoundingRows() {
+      const keys = getRowMidiKeys(getSelectedTrack());
+      appState.gridRefs.highlightRows(
+        keys.map((key) => appState.soundingKeys.has(key))
+      );
+    }
+
+    /**
+     * Plays a note from the MIDI input or computer keyboard through the
+     * track's output. Melodic notes are held until releaseMidiVoice is
+     * called for the key; drum hits play out, and only for keys that have
+     * a row.
+     *
+     * @param {Object} track - Track to play on
+     * @param {number} row - Row of the key on the track, or -1
+     * @param {Object} event - Note-on event (see js/webMidi.js)
+     */
+    function auditionMidiNote(track, row, { key, velocity }) {
+      const audioContext = ensureAudioContext();
+      const destination = getTrackOutput(track.id, track.volume, track.effects);
+      if (!isDrumTrack(track)) {
+        // A key played again before its note-off arrived restarts the note
+        releaseMidiVoice(key);
+        const release = playNote(
+          midiNumberToNote(key),
+          audioContext.currentTime,
+          track.waveform,
+          {
+            duration: Infinity,
+            voice: appState.voice,
+            velocity,
+            destination,
+          }
+        );
+        if (release) appState.soundingVoices.set(key, release);
+      } else if (row !== -1) {
+        playDrum(track.notes[row], audioContext.currentTime, {
+          velocity,
+          destination,
+        });
+      }
+    }
+
+    /**
+     * Releases the synth note a MIDI input or computer keyboard key holds.
+     * @param {number} key - MIDI key number
+     */
+    function releaseMidiVoice(key) {
+      const release = appState.soundingVoices.get(key);
+      if (!release) return;
+
+      appState.soundingVoices.delete(key);
+      release(ensureAudioContext().currentTime);
+    }
+
+    /**
+     * Writes a one-column note to one of the selected track's patterns,
+     * shortening a note held over the column so they do not overlap.
+     * Undoing it shows the pattern it was written to.
+     *
+     * @param {number} row - Row of the note
+     * @param {number} col - Column of the note
+     * @param {number} velocity - Velocity played (1-127)
+     * @param {string} [patternId] - Pattern to write to (defaults to the pattern on screen)
+     * @throws {Error} If the pattern no longer exists
+     */
+    function recordMidiNote(
+      row,
+      col,
+      velocity,
+      patternId = getSelectedPattern().id
+    ) {
+      const track = getSelectedTrack();
+      if (!track.grids[patternId]) {
+        throw new Error(`Pattern ${patternId} no longer exists`);
+      }
+
+      const before = cloneGridState(track.grids[patternId]);
+      const gridState = cloneGridState(before);
+      gridState[row][col] = createNote(1, velocity);
+      track.grids[patternId] = normalizeGridState(gridState);
+      const after = cloneGridState(track.grids[patternId]);
+
+      recordCommand({
+        label: "Record note",
+        undo: () => restoreGrid(track.id, patternId, before),
+        redo: () => restoreGrid(track.id, patternId, after),
+      });
+      updateHistoryButtons();
+      saveState();
+    }
   } catch (error) {
     console.error("Failed to initialize application:", error);
     showNotification(